@@ -0,0 +1,361 @@
+// components/AlignedTranslationEditor.js
+import { forwardRef, useEffect, useImperativeHandle, useMemo, useState } from "react";
+import styled from "styled-components";
+import * as SubsImport from "../shared/subtitleFormats";
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+
+// "much longer than the source": target chars > source chars * ratio + slack
+const LONG_RATIO = 1.6;
+const LONG_SLACK = 12;
+
+function fmtClock(seconds) {
+  const s = Math.max(0, Number(seconds || 0));
+  const m = Math.floor(s / 60);
+  const r = Math.floor(s % 60);
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+function clean(text) {
+  return String(text || "").replace(/\r\n?/g, "\n").trim();
+}
+
+function segmentsKey(segments) {
+  return (Array.isArray(segments) ? segments : [])
+    .map((s) => `${Number(s?.start)}|${Number(s?.end)}|${String(s?.speaker || "")}|${String(s?.text || "")}`)
+    .join("\n");
+}
+
+function rowIssues(source, target) {
+  const src = clean(source);
+  const tgt = clean(target);
+  if (!src) return [];
+  if (!tgt) return [{ code: "missing", short: "Missing", message: "No translation for this line" }];
+  if (tgt.length > src.length * LONG_RATIO + LONG_SLACK) {
+    return [{ code: "long", short: "Long", message: `Translation is ${tgt.length} chars vs ${src.length} in the source` }];
+  }
+  return [];
+}
+
+// Side-by-side translation editor: one row per SOURCE cue (transcript timing wins),
+// the overlapping translation text beside it. Translation cues that overlap no source cue are kept on save.
+// onTranslateRow({ index, text, prev, next }) -> Promise<string|null> re-translates one row (kept as an unsaved edit).
+const AlignedTranslationEditor = forwardRef(function AlignedTranslationEditor(
+  {
+    sourceSegments,
+    segments,
+    currentTime = 0,
+    onSeek,
+    onSave,
+    onMeta,
+    onTranslateRow,
+    disabled = false,
+    maxHeight = 360,
+    check = null, // same contract as LegacySrtSegmentsEditor: (rowSegments) => issues per row
+    checkKey = "",
+  },
+  ref
+) {
+  // parents rebuild the segment arrays every render; only re-align when their content changes
+  const srcKey = segmentsKey(sourceSegments);
+  const trKey = segmentsKey(segments);
+  const aligned = useMemo(
+    () =>
+      typeof Subs.alignTranslationToSource === "function"
+        ? Subs.alignTranslationToSource(sourceSegments, segments)
+        : { rows: [], orphans: [] },
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [srcKey, trKey]
+  );
+  const baseRows = aligned.rows;
+
+  // row index -> edited target text (only rows that differ from the baseline)
+  const [edits, setEdits] = useState({});
+  const [busyRows, setBusyRows] = useState({});
+
+  // new baseline (saved, re-run, switched language) -> local edits no longer apply
+  useEffect(() => {
+    setEdits({});
+  }, [baseRows]);
+
+  const rows = useMemo(
+    () => baseRows.map((r, i) => (Object.prototype.hasOwnProperty.call(edits, i) ? { ...r, target: edits[i] } : r)),
+    [baseRows, edits]
+  );
+
+  const rowSegments = (list) =>
+    list
+      .filter((r) => clean(r.target))
+      .map((r) => {
+        const seg = { start: r.start, end: r.end, text: clean(r.target) };
+        if (r.speaker) seg.speaker = r.speaker;
+        return seg;
+      });
+
+  const outSegments = (list) => [...rowSegments(list), ...aligned.orphans].sort((a, b) => a.start - b.start);
+
+  const issues = useMemo(() => {
+    const extra = typeof check === "function" ? check(rows.map((r) => ({ start: r.start, end: r.end, text: r.target }))) : [];
+    return rows.map((r, i) => [...rowIssues(r.source, r.target), ...((Array.isArray(extra) && extra[i]) || [])]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, checkKey]);
+
+  const computeMeta = () => {
+    const dirty = Object.keys(edits).length > 0;
+    const count = (code) => issues.filter((list) => list.some((x) => x.code === code)).length;
+    return {
+      dirty,
+      hasBadTime: false,
+      missing: count("missing"),
+      long: count("long"),
+      flagged: issues.filter((list) => list.some((x) => x.code === "glossary" || x.code === "dnt")).length,
+      canUndo: false,
+      canRedo: false,
+    };
+  };
+
+  useEffect(() => {
+    if (typeof onMeta === "function") onMeta(computeMeta());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [edits, issues]);
+
+  const setTarget = (i, text) => {
+    if (disabled) return;
+    setEdits((prev) => {
+      const next = { ...(prev || {}) };
+      if (String(text) === String(baseRows[i]?.target || "")) delete next[i];
+      else next[i] = String(text);
+      return next;
+    });
+  };
+
+  const retranslate = async (i) => {
+    if (disabled || busyRows[i] || typeof onTranslateRow !== "function") return;
+    const row = rows[i];
+    if (!clean(row?.source)) return;
+
+    setBusyRows((p) => ({ ...(p || {}), [i]: true }));
+    try {
+      const text = await onTranslateRow({
+        index: i,
+        text: row.source,
+        prev: rows[i - 1]?.source || "",
+        next: rows[i + 1]?.source || "",
+      });
+      if (text != null && clean(text)) setTarget(i, clean(text));
+    } finally {
+      setBusyRows((p) => {
+        const next = { ...(p || {}) };
+        delete next[i];
+        return next;
+      });
+    }
+  };
+
+  const reset = () => setEdits({});
+
+  const save = () => {
+    if (disabled || typeof onSave !== "function") return;
+    const segs = outSegments(rows);
+    onSave({
+      translationSrt: Subs.segmentsToSrt(segs),
+      translationText: Subs.segmentsToPlainText(segs),
+      segments: segs,
+    });
+  };
+
+  useImperativeHandle(ref, () => ({
+    reset,
+    save,
+    getMeta: computeMeta,
+    getSrt: () => Subs.segmentsToSrt(outSegments(rows)),
+    getText: () => Subs.segmentsToPlainText(outSegments(rows)),
+    getSegments: () => outSegments(rows),
+  }));
+
+  if (!rows.length) {
+    return (
+      <Empty style={{ maxHeight }}>
+        The aligned view needs a saved transcript — translation rows follow its cues.
+      </Empty>
+    );
+  }
+
+  const t = Number(currentTime || 0);
+
+  return (
+    <Wrap style={{ maxHeight }}>
+      {rows.map((r, i) => {
+        const list = issues[i] || [];
+        const active = t >= r.start && t < r.end;
+        const edited = Object.prototype.hasOwnProperty.call(edits, i);
+        return (
+          <Row key={`${r.start}|${i}`} $active={active} $flag={list.length > 0}>
+            <When type="button" onClick={() => onSeek?.(r.start)} title="Seek to this line">
+              {fmtClock(r.start)}
+            </When>
+
+            <Source dir="auto">
+              {r.speaker ? <Speaker>{r.speaker}</Speaker> : null}
+              {r.source}
+            </Source>
+
+            <Target
+              dir="auto"
+              value={r.target}
+              disabled={disabled || !!busyRows[i]}
+              onChange={(e) => setTarget(i, e.target.value)}
+              onFocus={() => onSeek?.(r.start)}
+              rows={Math.min(4, Math.max(2, String(r.target || "").split("\n").length))}
+              $edited={edited}
+              aria-label={`Translation for line ${i + 1}`}
+            />
+
+            <Side>
+              {typeof onTranslateRow === "function" ? (
+                <RowBtn
+                  type="button"
+                  onClick={() => retranslate(i)}
+                  disabled={disabled || !!busyRows[i] || !clean(r.source)}
+                  title="Re-translate this line (uses the lines around it as context)"
+                >
+                  {busyRows[i] ? "…" : "↻"}
+                </RowBtn>
+              ) : null}
+              {list.map((x) => (
+                <Flag key={x.code} title={x.message}>
+                  {x.short}
+                </Flag>
+              ))}
+            </Side>
+          </Row>
+        );
+      })}
+
+      {aligned.orphans.length ? (
+        <Note>
+          {aligned.orphans.length} translated cue{aligned.orphans.length === 1 ? "" : "s"} outside any transcript line (kept as-is on save).
+        </Note>
+      ) : null}
+    </Wrap>
+  );
+});
+
+export default AlignedTranslationEditor;
+
+const Wrap = styled.div`
+  overflow: auto;
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  padding: 4px 2px;
+`;
+
+const Empty = styled.div`
+  padding: 14px;
+  font-size: 12px;
+  color: var(--muted);
+`;
+
+const Row = styled.div`
+  display: grid;
+  grid-template-columns: 44px minmax(0, 1fr) minmax(0, 1fr) 64px;
+  align-items: start;
+  gap: 8px;
+  padding: 6px;
+  border-radius: 10px;
+  border: 1px solid ${(p) => (p.$flag ? "rgba(239, 68, 68, 0.28)" : "transparent")};
+  background: ${(p) => (p.$active ? "rgba(16, 116, 196, 0.06)" : "transparent")};
+`;
+
+const When = styled.button`
+  border: 0;
+  background: transparent;
+  padding: 2px 0;
+  font-size: 11px;
+  font-weight: 800;
+  font-variant-numeric: tabular-nums;
+  color: var(--muted);
+  text-align: left;
+  cursor: pointer;
+
+  &:hover {
+    color: var(--text);
+  }
+`;
+
+const Source = styled.div`
+  font-size: 12px;
+  line-height: 1.45;
+  color: var(--text);
+  white-space: pre-wrap;
+  padding-top: 2px;
+`;
+
+const Speaker = styled.span`
+  font-size: 10.5px;
+  font-weight: 900;
+  color: var(--muted);
+  margin-right: 6px;
+`;
+
+const Target = styled.textarea`
+  width: 100%;
+  border-radius: 8px;
+  border: 1px solid ${(p) => (p.$edited ? "rgba(16, 116, 196, 0.45)" : "var(--border)")};
+  background: #fff;
+  color: var(--text);
+  padding: 4px 8px;
+  font: inherit;
+  font-size: 12px;
+  line-height: 1.45;
+  resize: vertical;
+  outline: none;
+
+  &:focus {
+    border-color: rgba(239, 68, 68, 0.35);
+    box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+  }
+`;
+
+const Side = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: flex-start;
+  gap: 4px;
+`;
+
+const RowBtn = styled.button`
+  width: 26px;
+  height: 26px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  color: var(--text);
+  font-weight: 900;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Flag = styled.span`
+  font-size: 10px;
+  font-weight: 900;
+  color: var(--accent);
+  background: rgba(239, 68, 68, 0.08);
+  border-radius: 999px;
+  padding: 1px 6px;
+`;
+
+const Note = styled.div`
+  font-size: 11px;
+  font-weight: 800;
+  color: var(--muted);
+  padding: 4px 6px;
+`;
@@ -0,0 +1,293 @@
+// components/AudioRecorder.js
+import { useEffect, useRef, useState } from "react";
+import styled from "styled-components";
+import { toast } from "sonner";
+import { pickRecorderMime, extForMime, recordingFileName } from "../lib/wsLiveTranscribeClient";
+
+function nowMs() {
+  return Date.now();
+}
+
+function fmtClock(seconds) {
+  const s = Math.max(0, Math.floor(Number(seconds || 0)));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = s % 60;
+  return h ? `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}` : `${m}:${String(r).padStart(2, "0")}`;
+}
+
+// source: "mic" | "tab". Tab capture needs a video track in Chrome; we keep only the audio.
+async function openStream(source) {
+  const md = typeof navigator !== "undefined" ? navigator.mediaDevices : null;
+  if (!md) throw new Error("Recording isn’t supported in this browser.");
+
+  if (source !== "tab") {
+    return md.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+  }
+
+  if (typeof md.getDisplayMedia !== "function") throw new Error("Tab audio capture isn’t supported in this browser.");
+  const display = await md.getDisplayMedia({ video: true, audio: true });
+  const audio = display.getAudioTracks();
+  display.getVideoTracks().forEach((t) => t.stop());
+  if (!audio.length) throw new Error("No audio shared — pick a tab and tick “Share tab audio”.");
+  return new MediaStream(audio);
+}
+
+// stop the meter + timer and release the capture devices
+function releaseRecording(ref) {
+  const r = ref.current;
+  ref.current = null;
+  if (!r) return;
+  if (r.raf) cancelAnimationFrame(r.raf);
+  if (r.timer) clearInterval(r.timer);
+  r.stream?.getTracks().forEach((t) => t.stop());
+  r.ctx?.close().catch(() => {});
+}
+
+// Records mic / tab audio with MediaRecorder. onRecorded(File) gets a normal audio file
+// (the composer adds it as a draft like any upload); onClose() hides the bar.
+export default function AudioRecorder({ onRecorded, onClose, disabled = false }) {
+  const [phase, setPhase] = useState("idle"); // idle | starting | recording
+  const [elapsed, setElapsed] = useState(0);
+  const [level, setLevel] = useState(0);
+
+  const recRef = useRef(null); // { recorder, stream, ctx, raf, timer, chunks, source, mime, startedAt, cancelled }
+
+  const cleanup = () => releaseRecording(recRef);
+
+  // stop everything if the composer unmounts mid-recording (the take is dropped)
+  useEffect(() => {
+    return () => {
+      const r = recRef.current;
+      if (!r) return;
+      r.cancelled = true;
+      try {
+        if (r.recorder.state !== "inactive") r.recorder.stop();
+      } catch {}
+      releaseRecording(recRef);
+    };
+  }, []);
+
+  const start = async (source) => {
+    if (phase !== "idle" || disabled) return;
+    if (typeof MediaRecorder === "undefined") {
+      toast.error("Recording isn’t supported in this browser.");
+      return;
+    }
+
+    setPhase("starting");
+    let stream = null;
+    try {
+      stream = await openStream(source);
+      const mime = pickRecorderMime();
+      const recorder = new MediaRecorder(stream, mime ? { mimeType: mime } : undefined);
+      const r = { recorder, stream, chunks: [], source, mime: recorder.mimeType || mime || "audio/webm", startedAt: nowMs() };
+      recRef.current = r;
+
+      // level meter: RMS of the analyser's time-domain window, ~60 fps
+      const AC = window.AudioContext || window.webkitAudioContext;
+      if (AC) {
+        r.ctx = new AC();
+        const analyser = r.ctx.createAnalyser();
+        analyser.fftSize = 1024;
+        r.ctx.createMediaStreamSource(stream).connect(analyser);
+        const buf = new Float32Array(analyser.fftSize);
+        const tick = () => {
+          analyser.getFloatTimeDomainData(buf);
+          let sum = 0;
+          for (let i = 0; i < buf.length; i += 1) sum += buf[i] * buf[i];
+          setLevel(Math.min(1, Math.sqrt(sum / buf.length) * 4));
+          r.raf = requestAnimationFrame(tick);
+        };
+        r.raf = requestAnimationFrame(tick);
+      }
+
+      r.timer = setInterval(() => setElapsed((nowMs() - r.startedAt) / 1000), 250);
+
+      recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size) r.chunks.push(e.data);
+      };
+      recorder.onstop = () => {
+        if (r.cancelled || !r.chunks.length) return;
+        const type = r.mime.split(";")[0];
+        const file = new File(r.chunks, recordingFileName(r.source === "tab" ? "Tab recording" : "Voice note", extForMime(type)), { type, lastModified: nowMs() });
+        // onRecorded stores the take locally before uploading; a quota error there would otherwise lose it silently
+        Promise.resolve()
+          .then(() => onRecorded?.(file))
+          .catch((err) => toast.error(`The recording could not be saved${err?.message ? `: ${err.message}` : "."}`));
+      };
+      // the user can end tab sharing from the browser's own bar
+      stream.getAudioTracks().forEach((t) => (t.onended = () => stop()));
+
+      recorder.start(1000);
+      setElapsed(0);
+      setPhase("recording");
+    } catch (err) {
+      stream?.getTracks().forEach((t) => t.stop());
+      cleanup();
+      setPhase("idle");
+      const denied = err?.name === "NotAllowedError" || err?.name === "AbortError";
+      if (denied) toast.error(source === "tab" ? "Tab sharing was cancelled." : "Microphone access was denied.");
+      else toast.error(err?.message || "Couldn’t start recording.");
+    }
+  };
+
+  const finish = (cancelled) => {
+    const r = recRef.current;
+    if (!r) return;
+    r.cancelled = !!cancelled;
+    try {
+      if (r.recorder.state !== "inactive") r.recorder.stop(); // onstop -> onRecorded
+    } catch {}
+    cleanup();
+    setPhase("idle");
+    setLevel(0);
+    setElapsed(0);
+  };
+
+  const stop = () => finish(false);
+  const cancel = () => finish(true);
+
+  const recording = phase === "recording";
+
+  return (
+    <Bar>
+      {recording ? (
+        <>
+          <RecDot aria-hidden />
+          <Clock>{fmtClock(elapsed)}</Clock>
+          <Meter title="Input level" aria-label="Input level">
+            <MeterFill style={{ width: `${Math.round(level * 100)}%` }} />
+          </Meter>
+          <StopBtn type="button" onClick={stop} title="Stop and add to this thread">
+            Stop
+          </StopBtn>
+          <Btn type="button" onClick={cancel} title="Discard this recording">
+            Discard
+          </Btn>
+        </>
+      ) : (
+        <>
+          <Hint>Record</Hint>
+          <Btn type="button" onClick={() => start("mic")} disabled={disabled || phase !== "idle"}>
+            🎙 Microphone
+          </Btn>
+          <Btn
+            type="button"
+            onClick={() => start("tab")}
+            disabled={disabled || phase !== "idle"}
+            title="Capture the audio of another tab (e.g. a meeting)"
+          >
+            🔊 Tab audio
+          </Btn>
+          <Spacer />
+          <CloseBtn type="button" onClick={onClose} aria-label="Close recorder" title="Close">
+            ×
+          </CloseBtn>
+        </>
+      )}
+    </Bar>
+  );
+}
+
+const Bar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  min-width: 0;
+  padding: 8px 10px;
+  border: 1px solid var(--border);
+  border-radius: 14px;
+  background: var(--panel);
+  box-shadow: var(--shadow);
+`;
+
+const Hint = styled.span`
+  font-size: 11px;
+  font-weight: 900;
+  color: var(--muted);
+`;
+
+const RecDot = styled.span`
+  width: 10px;
+  height: 10px;
+  border-radius: 999px;
+  background: var(--accent);
+  animation: recPulse 1.2s ease-in-out infinite;
+
+  @keyframes recPulse {
+    50% {
+      opacity: 0.35;
+    }
+  }
+`;
+
+const Clock = styled.span`
+  font-size: 12px;
+  font-weight: 900;
+  font-variant-numeric: tabular-nums;
+  color: var(--text);
+  min-width: 44px;
+`;
+
+const Meter = styled.div`
+  flex: 1;
+  min-width: 40px;
+  height: 8px;
+  border-radius: 999px;
+  background: var(--hover);
+  overflow: hidden;
+`;
+
+const MeterFill = styled.div`
+  height: 100%;
+  background: var(--accent);
+  transition: width 60ms linear;
+`;
+
+const Spacer = styled.div`
+  flex: 1;
+`;
+
+const Btn = styled.button`
+  height: 30px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 950;
+  padding: 0 12px;
+  cursor: pointer;
+  white-space: nowrap;
+
+  &:hover:enabled {
+    background: var(--hover);
+  }
+
+  &:disabled {
+    opacity: 0.55;
+    cursor: not-allowed;
+  }
+`;
+
+const StopBtn = styled(Btn)`
+  border-color: rgba(239, 68, 68, 0.25);
+  background: rgba(239, 68, 68, 0.08);
+  color: var(--accent);
+
+  &:hover:enabled {
+    background: rgba(239, 68, 68, 0.12);
+  }
+`;
+
+const CloseBtn = styled.button`
+  width: 30px;
+  height: 30px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  color: var(--text);
+  font-weight: 900;
+  cursor: pointer;
+`;
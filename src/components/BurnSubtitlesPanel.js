@@ -0,0 +1,268 @@
+// components/BurnSubtitlesPanel.js
+import { useEffect, useRef, useState } from "react";
+import styled from "styled-components";
+import { toast } from "sonner";
+import { useFfmpeg } from "../contexts/FfmpegContext";
+import { getLocalMedia } from "../lib/mediaStore";
+import * as SubtitleBurnImport from "../shared/subtitleBurn";
+const SubtitleBurn = (SubtitleBurnImport && (SubtitleBurnImport.default || SubtitleBurnImport)) || {};
+
+const STYLES = SubtitleBurn.getBurnStyles();
+
+function revoke(url) {
+  if (!url) return;
+  try {
+    URL.revokeObjectURL(url);
+  } catch {}
+}
+
+// Burns one subtitle track into the item's locally stored video with ffmpeg.wasm and offers the MP4.
+// tracks: [{ id, label, lang, segments }] (transcript first, then saved translations)
+// Nothing is uploaded: the original upload (mediaStore, clientFileId) is the input.
+export default function BurnSubtitlesPanel({ scope, threadId, clientFileId, tracks, baseName, durationSeconds }) {
+  const { burnSubtitlesToMp4 } = useFfmpeg();
+
+  const list = Array.isArray(tracks) ? tracks.filter((t) => Array.isArray(t?.segments) && t.segments.length) : [];
+
+  const [trackId, setTrackId] = useState("");
+  const [styleId, setStyleId] = useState(SubtitleBurn.DEFAULT_STYLE);
+  const [phase, setPhase] = useState("idle"); // idle | rendering | done
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null); // { url, name, bytes }
+
+  const urlRef = useRef("");
+  useEffect(() => () => revoke(urlRef.current), []);
+
+  const track = list.find((t) => t.id === trackId) || list[0] || null;
+  const rendering = phase === "rendering";
+
+  const onRender = async () => {
+    if (!track || rendering) return;
+
+    setError("");
+    setProgress(0);
+    setPhase("rendering");
+
+    try {
+      const file = scope && clientFileId ? await getLocalMedia(scope, threadId, clientFileId) : null;
+      if (!(file instanceof Blob)) {
+        throw new Error("The original video isn’t stored in this browser — burn-in only works where it was uploaded.");
+      }
+      if (!String(file.type || "").startsWith("video/")) {
+        throw new Error("This item is audio-only — there’s no video to burn captions into.");
+      }
+
+      const name = SubtitleBurn.burnOutputName(baseName, track.lang);
+      const out = await burnSubtitlesToMp4(file, {
+        ass: SubtitleBurn.buildBurnAss(track.segments, { styleId, title: baseName }),
+        filename: name,
+        durationSeconds,
+        onProgress: (p) => setProgress(p),
+      });
+
+      revoke(urlRef.current);
+      urlRef.current = out.url;
+      setResult({ url: out.url, name, bytes: out.blob.size });
+      setPhase("done");
+      toast.success("Video ready");
+    } catch (err) {
+      console.error("[burn] failed", err);
+      setError(err?.message || "Rendering failed");
+      setPhase(result ? "done" : "idle");
+    }
+  };
+
+  if (!list.length) {
+    return <Note>Nothing to burn in yet — transcribe or translate this item first.</Note>;
+  }
+
+  return (
+    <Wrap>
+      <Row>
+        <Field>
+          <Label>Track</Label>
+          <Select value={track?.id || ""} onChange={(e) => setTrackId(e.target.value)} disabled={rendering}>
+            {list.map((t) => (
+              <option key={t.id} value={t.id}>
+                {t.label}
+              </option>
+            ))}
+          </Select>
+        </Field>
+
+        <Field>
+          <Label>Style</Label>
+          <Select value={styleId} onChange={(e) => setStyleId(e.target.value)} disabled={rendering}>
+            {STYLES.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.label}
+              </option>
+            ))}
+          </Select>
+        </Field>
+
+        <RenderBtn type="button" onClick={onRender} disabled={rendering}>
+          {rendering ? `Rendering ${Math.round(progress * 100)}%` : result ? "Render again" : "Burn into video"}
+        </RenderBtn>
+      </Row>
+
+      {rendering ? (
+        <Bar aria-label="Render progress">
+          <BarFill style={{ width: `${Math.round(progress * 100)}%` }} />
+        </Bar>
+      ) : null}
+
+      {error ? <Err>{error}</Err> : null}
+
+      {track && !SubtitleBurn.burnFontCoversLanguage(track.lang) ? (
+        <Warn>
+          The built-in caption font only covers Latin script, so this track’s letters would render as empty boxes.
+          Set NEXT_PUBLIC_BURN_FONT_URL / NEXT_PUBLIC_BURN_FONT_NAME to a font for this language, or use the soft
+          subtitle export below.
+        </Warn>
+      ) : null}
+
+      {result && !rendering ? (
+        <Done>
+          <span>
+            {result.name} • {(result.bytes / (1024 * 1024)).toFixed(1)} MB
+          </span>
+          <DownloadLink href={result.url} download={result.name}>
+            Download MP4
+          </DownloadLink>
+        </Done>
+      ) : null}
+
+      <Note>
+        Renders in this tab with ffmpeg.wasm — keep it open; long videos take a while. The video never leaves your
+        browser.
+      </Note>
+    </Wrap>
+  );
+}
+
+const Wrap = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: flex-end;
+  gap: 10px;
+  flex-wrap: wrap;
+`;
+
+const Field = styled.label`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  min-width: 0;
+`;
+
+const Label = styled.span`
+  font-size: 11px;
+  font-weight: 900;
+  color: var(--muted);
+`;
+
+const Select = styled.select`
+  height: 32px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 12px;
+  font-weight: 800;
+  padding: 0 8px;
+  max-width: 260px;
+`;
+
+const RenderBtn = styled.button`
+  height: 32px;
+  border-radius: 999px;
+  border: 1px solid rgba(239, 68, 68, 0.25);
+  background: rgba(239, 68, 68, 0.08);
+  color: var(--accent);
+  font-size: 12px;
+  font-weight: 950;
+  padding: 0 14px;
+  cursor: pointer;
+  font-variant-numeric: tabular-nums;
+
+  &:hover:enabled {
+    background: rgba(239, 68, 68, 0.12);
+  }
+
+  &:disabled {
+    opacity: 0.7;
+    cursor: progress;
+  }
+`;
+
+const Bar = styled.div`
+  height: 6px;
+  border-radius: 999px;
+  background: var(--hover);
+  overflow: hidden;
+`;
+
+const BarFill = styled.div`
+  height: 100%;
+  background: var(--accent);
+  transition: width 200ms linear;
+`;
+
+const Err = styled.div`
+  font-size: 12px;
+  font-weight: 800;
+  color: var(--accent);
+`;
+
+const Warn = styled.div`
+  font-size: 12px;
+  font-weight: 700;
+  color: var(--text);
+  line-height: 1.4;
+  border: 1px solid rgba(245, 158, 11, 0.35);
+  background: rgba(245, 158, 11, 0.08);
+  border-radius: 10px;
+  padding: 8px 10px;
+`;
+
+const Done = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 10px;
+  flex-wrap: wrap;
+  font-size: 12px;
+  font-weight: 800;
+  color: var(--text);
+`;
+
+const DownloadLink = styled.a`
+  height: 30px;
+  display: inline-flex;
+  align-items: center;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 950;
+  padding: 0 12px;
+  text-decoration: none;
+
+  &:hover {
+    background: var(--hover);
+  }
+`;
+
+const Note = styled.div`
+  font-size: 11px;
+  color: var(--muted);
+  line-height: 1.4;
+`;
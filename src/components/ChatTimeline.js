@@ -1,12 +1,21 @@
 // components/ChatTimeline.js
 import { useEffect, useMemo, useRef, useState } from "react";
 import styled from "styled-components";
+import { toast } from "sonner";
 import { useAuth } from "../contexts/AuthContext";
 import { createPortal } from "react-dom";
 import { useThreads } from "../contexts/threadsContext";
 import ChatMediaPlayer from "./ChatMediaPlayer";
 import LegacySrtSegmentsEditor from "./LegacySrtSegmentsEditor";
+import AlignedTranslationEditor from "./AlignedTranslationEditor";
+import ThreadFindReplace from "./ThreadFindReplace";
+import TranscriptQaPanel from "./TranscriptQaPanel";
+import BurnSubtitlesPanel from "./BurnSubtitlesPanel";
+import MuxSubtitlesPanel from "./MuxSubtitlesPanel";
+import { makeScope } from "../lib/scopeKey";
+import { getTranslationGlossary, onTranslationGlossaryChanged } from "../lib/translationGlossaryStore";
 import TranslatedSrtViewer from "./TranslatedSrtViewer";
+import KaraokeText from "./KaraokeText";
 import { getLangKeyCI, getByLangCI } from "../lib/langKey";
 import * as CatalogImport from "../shared/transcriptionCatalog";
 const Catalog = (CatalogImport && (CatalogImport.default || CatalogImport)) || {};
@@ -28,6 +37,29 @@ const TrBill = (TrBillImport && (TrBillImport.default || TrBillImport)) || {};
 import * as SumBillImport from "../shared/summarizationBillingCatalog";
 const SumBill = (SumBillImport && (SumBillImport.default || SumBillImport)) || {};
 
+// ✅ subtitle codec (parse + SRT/VTT/ASS export)
+import * as SubsImport from "../shared/subtitleFormats";
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+const { srtToSegments, segmentsToPlainText, segmentsToSrt } = Subs;
+const SUB_FORMATS = Object.values(Subs.FORMATS || {});
+const ASS_PRESETS = Object.values(Subs.ASS_STYLE_PRESETS || {});
+
+// ✅ subtitle spec presets (validation + reflow)
+import * as ReflowImport from "../shared/subtitleReflow";
+const Reflow = (ReflowImport && (ReflowImport.default || ReflowImport)) || {};
+const REFLOW_PRESETS = Object.values(Reflow.REFLOW_PRESETS || {});
+
+// ✅ translation glossary / do-not-translate checker
+import * as TrGlossaryImport from "../shared/translationGlossary";
+const TrGlossary = (TrGlossaryImport && (TrGlossaryImport.default || TrGlossaryImport)) || {};
+
+// summary templates (chapters / minutes / quotes / show notes) + their Markdown / JSON exports
+import * as SumCatalogImport from "../shared/summarizationCatalog";
+const SumCatalog = (SumCatalogImport && (SumCatalogImport.default || SumCatalogImport)) || {};
+import * as SummaryTplImport from "../shared/summaryTemplates";
+const SummaryTpl = (SummaryTplImport && (SummaryTplImport.default || SummaryTplImport)) || {};
+import StructuredSummaryView from "./StructuredSummaryView";
+
 function normalizeWhitespace(t) {
   return String(t || "")
     .replace(/\s+/g, " ")
@@ -87,6 +119,26 @@ function getTranslationPayload(results, lang, opts) {
   return firstKey ? trMap[firstKey] : null;
 }
 
+// Saved transcript rows (optimistic SRT first), with word timings / speakers carried over.
+function savedTranscriptSegments(results, optimisticSrt) {
+  const srt = String(optimisticSrt || results?.transcriptSrt || "").trim();
+  const stored = Array.isArray(results?.transcriptSegments) ? results.transcriptSegments : [];
+  return srt ? Subs.carrySegmentExtras(srtToSegments(srt), stored) : stored;
+}
+
+// Saved translation rows for one language payload (string SRT | segments array | object).
+function savedTranslationSegments(payload, optimisticSrt) {
+  const p = payload;
+  const stored =
+    (Array.isArray(p) && p) ||
+    (Array.isArray(p?.segments) && p.segments) ||
+    (Array.isArray(p?.translationSegments) && p.translationSegments) ||
+    [];
+  const srt = String(
+    optimisticSrt || (typeof p === "string" ? p : p && typeof p === "object" ? p?.srt || p?.translationSrt || "" : "")
+  ).trim();
+  return srt ? Subs.carrySegmentExtras(srtToSegments(srt), stored) : stored;
+}
 
 function hasTranslationContent(v) {
   if (!v) return false;
@@ -260,7 +312,7 @@ function getServerTranslateUnitTokens({ it, liveOne, tr }) {
 }
 
 // Returns { totalTokens, usdFormatted, used: "server"|"client"|"none" }
-function estimateTranslateTotalTokens({ it, liveOne, tr, inputForEstimate, targetLangs }) {
+function estimateTranslateTotalTokens({ it, liveOne, tr, inputForEstimate, targetLangs, modelId }) {
   const langs = Array.isArray(targetLangs) ? targetLangs.map(String).filter(Boolean) : [];
   if (!langs.length) return { totalTokens: 0, usdFormatted: "", used: "none" };
 
@@ -274,7 +326,7 @@ function estimateTranslateTotalTokens({ it, liveOne, tr, inputForEstimate, targe
   // ✅ prefer duration-based estimate (matches ThreadComposer)
   const durationSeconds = durationSecondsFromChatItem(it);
   if (durationSeconds != null && typeof TrBill?.estimateTranslationRunWithDurationFallback === "function") {
-    const est = TrBill.estimateTranslationRunWithDurationFallback(null, durationSeconds, langs, null);
+    const est = TrBill.estimateTranslationRunWithDurationFallback(null, durationSeconds, langs, modelId ? { modelId } : null);
     const totalTokens = Math.max(0, Number(est?.mediaTokens || 0) || 0);
     const usdFormatted = est?.usdFormatted || "";
     return { totalTokens, usdFormatted, used: totalTokens ? "duration" : "none" };
@@ -283,7 +335,7 @@ function estimateTranslateTotalTokens({ it, liveOne, tr, inputForEstimate, targe
   // fallback: text-based
   const est =
     typeof TrBill?.estimateTranslationRun === "function"
-      ? TrBill.estimateTranslationRun(inputForEstimate, langs, null)
+      ? TrBill.estimateTranslationRun(inputForEstimate, langs, modelId ? { modelId } : null)
       : null;
 
   const totalTokens = est ? Math.max(0, Number(est.mediaTokens || 0) || 0) : 0;
@@ -437,53 +489,6 @@ function getStepForLang(step, lang) {
 
 
 
-function parseTimecodeToSeconds(tc) {
-  const s = String(tc || "").trim();
-  const m = s.match(/^(\d+):(\d+):(\d+),(\d+)$/);
-  if (!m) return null;
-  const hh = Number(m[1] || 0);
-  const mm = Number(m[2] || 0);
-  const ss = Number(m[3] || 0);
-  const ms = Number(m[4] || 0);
-  if (![hh, mm, ss, ms].every((x) => Number.isFinite(x))) return null;
-  return hh * 3600 + mm * 60 + ss + ms / 1000;
-}
-
-function srtToSegments(srt) {
-  const raw = String(srt || "").trim();
-  if (!raw) return [];
-  const blocks = raw.split(/\n\s*\n/g);
-  const out = [];
-
-  for (const b of blocks) {
-    const lines = b.split("\n").map((x) => String(x || "").trim());
-    if (lines.length < 3) continue;
-
-    const ts = lines[1] || "";
-    const parts = ts.split(" --> ");
-    if (parts.length !== 2) continue;
-
-    const start = parseTimecodeToSeconds(parts[0]);
-    const end = parseTimecodeToSeconds(parts[1]);
-    if (start == null || end == null) continue;
-
-    const text = normalizeWhitespace(lines.slice(2).join("\n"));
-    out.push({ start, end, text });
-  }
-
-  out.sort((a, b) => a.start - b.start || a.end - b.end);
-  return out;
-}
-
-function segmentsToPlainText(segments) {
-  const segs = Array.isArray(segments) ? segments : [];
-  return segs
-    .map((s) => normalizeWhitespace(s?.text || ""))
-    .filter(Boolean)
-    .join(" ")
-    .trim();
-}
-
 function formatCompact(n) {
   const x = Number(n);
   if (!Number.isFinite(x)) return "—";
@@ -523,39 +528,20 @@ function trKey(chatItemId, lang) {
   return cid && l ? `${cid}::${l}` : cid;
 }
 
-function pad2(n) {
-  return String(n).padStart(2, "0");
-}
-function pad3(n) {
-  return String(n).padStart(3, "0");
-}
-function secondsToTimecode(sec) {
-  const s = Math.max(0, Number(sec || 0));
-  const totalMs = Math.round(s * 1000);
-
-  const hh = Math.floor(totalMs / 3600000);
-  const rem1 = totalMs % 3600000;
-  const mm = Math.floor(rem1 / 60000);
-  const rem2 = rem1 % 60000;
-  const ss = Math.floor(rem2 / 1000);
-  const ms = rem2 % 1000;
-
-  return `${pad2(hh)}:${pad2(mm)}:${pad2(ss)},${pad3(ms)}`;
+// editor/server SRT -> chosen export format (srt passes through untouched unless speakers get prefixed)
+// opts go to the writer (ass/ssa: { preset, title, layers }, all: { speakers })
+// richSegs: segments that may carry word timings / speakers (SRT can't), matched back onto the cues by time
+function srtToSubtitleFormat(srt, format, opts, richSegs) {
+  const raw = String(srt || "");
+  const fmt = Subs.getFormat(format);
+  if (!raw.trim()) return raw;
+
+  const segs = Subs.carrySegmentExtras(Subs.parseSubtitleText(raw), richSegs);
+  if (fmt.id === "srt" && !(opts?.speakers && segs.some((x) => x.speaker))) return raw;
+  return Subs.segmentsToFormat(segs, fmt.id, opts);
 }
 
-function segmentsToSrt(segments) {
-  const segs = Array.isArray(segments) ? segments : [];
-  const blocks = segs
-    .map((seg, i) => {
-      const idx = String(i + 1);
-      const start = secondsToTimecode(Number(seg?.start || 0));
-      const end = secondsToTimecode(Number(seg?.end || 0));
-      const text = String(seg?.text || "").trim();
-      return `${idx}\n${start} --> ${end}\n${text}`;
-    })
-    .join("\n\n");
-  return blocks.trim() ? blocks.trim() + "\n" : "";
-}
+
 
 
 // ✅ robust duration getter for client-side estimation
@@ -881,7 +867,7 @@ function getSummaryCostDisplay({ it, liveOne, sum, inputText, modelId, language
 
 
 export default function ChatTimeline({ thread, showEmpty = true }) {
-  const { liveRunsByThread, retryTranscribe, retryTranslate, retrySummarize, saveSrt, saveTranslationSrt } = useThreads();
+  const { liveRunsByThread, retryTranscribe, retryTranslate, retrySummarize, saveSrt, saveTranslationSrt, translateSegment, askQuestion } = useThreads();
 
 
   const [trViewByItem, setTrViewByItem] = useState({});
@@ -895,6 +881,12 @@ const [sumOptsByItem, setSumOptsByItem] = useState({});
 
   const [tabByItem, setTabByItem] = useState({});
   const [transViewByItem, setTransViewByItem] = useState({});
+  const [subFmtByItem, setSubFmtByItem] = useState({}); // export format for SRT view: "srt" | "vtt" | "ass" | "ssa"
+  const [assPresetByItem, setAssPresetByItem] = useState({}); // ass/ssa style preset id
+  const [specByItem, setSpecByItem] = useState({}); // reflow/spec preset id ("" = no spec check)
+  const [findOpen, setFindOpen] = useState(false); // thread-wide find / replace panel
+  const [askOpen, setAskOpen] = useState(false); // thread-wide Q&A panel
+  const [dualOpts, setDualOpts] = useState({ order: "original-top", separator: "\n", unpaired: "keep" }); // bilingual export
   const [timeByItem, setTimeByItem] = useState({});
 
 // shape: { chatItemId, kind: "transcribe" | "translate" | "summarize" }
@@ -915,7 +907,36 @@ const [openMenu, setOpenMenu] = useState(null);
   const [optimisticSrtByItem, setOptimisticSrtByItem] = useState({});
 
   // ✅ token gating for client-side actions
-  const { tokenSnapshot, mediaTokens, pendingMediaTokens, reserveMediaTokens } = useAuth();
+  const { user, isAnonymous, tokenSnapshot, mediaTokens, pendingMediaTokens, reserveMediaTokens } = useAuth();
+
+  // ✅ per-user key space for editor autosave drafts
+  const scope = useMemo(() => makeScope(user, isAnonymous), [user, isAnonymous]);
+
+  // ✅ thread translation glossary (edited in ThreadComposer): sent on reruns + checked against translations
+  const [trGlossary, setTrGlossary] = useState(null);
+  const [trGlossaryRev, setTrGlossaryRev] = useState(0);
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const g = thread?.id ? await getTranslationGlossary(scope, thread.id) : null;
+        if (cancelled) return;
+        setTrGlossary(g || null);
+        setTrGlossaryRev((n) => n + 1);
+      } catch {}
+    };
+
+    load();
+    const off = onTranslationGlossaryChanged((d) => {
+      if (d?.scope === scope && String(d?.threadId || "") === String(thread?.id || "")) load();
+    });
+
+    return () => {
+      cancelled = true;
+      off();
+    };
+  }, [scope, thread?.id]);
+  const hasTrGlossary = !!trGlossary && !TrGlossary.isEmptyGlossary?.(TrGlossary.normalizeTranslationGlossary?.(trGlossary));
 
   // ✅ unused = availableRaw - optimisticEffective (capped)
   const availableUnused = useMemo(() => {
@@ -1138,6 +1159,8 @@ async function downloadAllAsZipOrBundle({ zipName, bundleName, files }) {
 
   const live = liveRunsByThread && liveRunsByThread[String(thread?.id)] ? liveRunsByThread[String(thread?.id)] : null;
   const liveChat = live?.chatItems && typeof live.chatItems === "object" ? live.chatItems : {};
+  // "stream" mode session in progress (no chat item yet — it's created when the session is saved)
+  const liveSession = live?.liveSession || null;
 
   const isBrowser = typeof window !== "undefined" && typeof document !== "undefined";
 
@@ -1145,6 +1168,10 @@ async function downloadAllAsZipOrBundle({ zipName, bundleName, files }) {
   const trModelOptions = useMemo(() => {
     return typeof getTrModels === "function" ? safeArr(getTrModels()) : [];
   }, []);
+  // summaries run on LLMs only (no MT providers)
+  const sumModelOptions = useMemo(() => {
+    return typeof SumCatalog.getModels === "function" ? safeArr(SumCatalog.getModels()) : [];
+  }, []);
   const trSourceLangOptions = useMemo(() => {
     return typeof getSourceLanguages === "function" ? safeArr(getSourceLanguages()) : [];
   }, []);
@@ -1252,7 +1279,122 @@ async function downloadAllAsZipOrBundle({ zipName, bundleName, files }) {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [openMenu]);
 
-  if (!items.length) {
+  // ======================
+  // ✅ FIND / REPLACE (thread-wide: transcript + every saved translation)
+  // ======================
+  const findSources = useMemo(() => {
+    if (!findOpen) return [];
+    const out = [];
+
+    for (const it of items) {
+      const cid = String(it?.chatItemId || "");
+      if (!cid) continue;
+
+      const media = it?.media || {};
+      const itemLabel = media?.filename || media?.name || (media?.url ? "linked media" : cid);
+      const results = it?.results || {};
+      const status = it?.status || {};
+
+      const transSegs = savedTranscriptSegments(results, optimisticSrtByItem?.[cid]);
+      if (transSegs.length) {
+        out.push({
+          key: cid,
+          chatItemId: cid,
+          lang: "",
+          itemLabel,
+          trackLabel: "Transcript",
+          segments: transSegs,
+          blocked: isBusy(status?.transcribe)
+            ? "transcribing…"
+            : srtMetaByItem?.[cid]?.dirty
+            ? "unsaved editor edits — save or reset first"
+            : "",
+        });
+      }
+
+      const trMap = results?.translations && typeof results.translations === "object" ? results.translations : {};
+      for (const lang of Object.keys(trMap)) {
+        const k = trKey(cid, lang);
+        const segs = savedTranslationSegments(trMap[lang], optimisticTrSrtByKey?.[k]);
+        if (!segs.length) continue;
+
+        out.push({
+          key: k,
+          chatItemId: cid,
+          lang,
+          itemLabel,
+          trackLabel: `Translation (${lang})`,
+          segments: segs,
+          blocked: isBusy(getStepForLang(status?.translate, lang))
+            ? "translating…"
+            : trSrtMetaByKey?.[k]?.dirty
+            ? "unsaved editor edits — save or reset first"
+            : "",
+        });
+      }
+    }
+
+    return out;
+  }, [findOpen, items, optimisticSrtByItem, optimisticTrSrtByKey, srtMetaByItem, trSrtMetaByKey]);
+
+  // ======================
+  // ✅ Q&A (thread-wide): every transcribed item is context; citations seek that item's player
+  // ======================
+  const askContexts = useMemo(() => {
+    if (!askOpen) return [];
+    return items
+      .map((it) => {
+        const cid = String(it?.chatItemId || "");
+        const r = it?.results || {};
+        return String(r?.transcript || "").trim() || segmentsToPlainText(savedTranscriptSegments(r, optimisticSrtByItem?.[cid]));
+      })
+      .filter(Boolean);
+  }, [askOpen, items, optimisticSrtByItem]);
+
+  const itemLabel = (cid) => {
+    const it = items.find((x) => String(x?.chatItemId || "") === String(cid || ""));
+    const media = it?.media || {};
+    return media?.filename || media?.name || (media?.url ? "linked media" : "item");
+  };
+
+  const seekItem = (cid, t) => {
+    const api = playerApisRef.current?.[String(cid || "")];
+    if (api && typeof api.seek === "function") api.seek(t);
+  };
+
+  // one batch: every changed track goes out through the regular save paths
+  const applyFindReplace = async (changes) => {
+    let sent = 0;
+    let matches = 0;
+
+    for (const { source, segments, count } of Array.isArray(changes) ? changes : []) {
+      const srt = segmentsToSrt(segments);
+      const text = segmentsToPlainText(segments);
+      let ok = false;
+
+      if (!source.lang) {
+        ok = await saveSrt({ chatItemId: source.chatItemId, transcriptSrt: srt, transcriptText: text, segments });
+        if (ok) setOptimisticSrtByItem((p) => ({ ...(p || {}), [source.chatItemId]: srt }));
+      } else {
+        ok = await saveTranslationSrt({
+          chatItemId: source.chatItemId,
+          lang: source.lang,
+          translationSrt: srt,
+          translationText: text,
+          segments,
+        });
+        if (ok) setOptimisticTrSrtByKey((p) => ({ ...(p || {}), [source.key]: srt }));
+      }
+
+      if (!ok) break; // saveSrt / saveTranslationSrt already toasted why
+      sent++;
+      matches += count;
+    }
+
+    if (sent) toast.success(`Replaced ${matches} match${matches === 1 ? "" : "es"} in ${sent} track${sent === 1 ? "" : "s"}.`);
+  };
+
+  if (!items.length && !liveSession) {
     if (!showEmpty) return null;
     return (
       <EmptyCard>
@@ -1266,6 +1408,35 @@ async function downloadAllAsZipOrBundle({ zipName, bundleName, files }) {
 
   return (
     <List>
+      <TimelineTools>
+        <HdrBtn type="button" onClick={() => setFindOpen((v) => !v)} title="Find / replace across every transcript and translation">
+          {findOpen ? "Close find & replace" : "Find & replace"}
+        </HdrBtn>
+        <HdrBtn type="button" onClick={() => setAskOpen((v) => !v)} title="Ask questions across every transcript in this thread">
+          {askOpen ? "Close questions" : "Ask this thread"}
+        </HdrBtn>
+      </TimelineTools>
+
+      {askOpen ? (
+        <AskPanel>
+          <TranscriptQaPanel
+            scope={scope}
+            threadId={String(thread?.id || "")}
+            chatItemId={null}
+            contexts={askContexts}
+            availableTokens={availableUnused}
+            onAsk={({ question, history }) => askQuestion({ question, history })}
+            onSeek={seekItem}
+            labelFor={itemLabel}
+            onClose={() => setAskOpen(false)}
+          />
+        </AskPanel>
+      ) : null}
+
+      {findOpen ? (
+        <ThreadFindReplace sources={findSources} onApply={applyFindReplace} onClose={() => setFindOpen(false)} />
+      ) : null}
+
       {items.map((it) => {
         const chatItemId = String(it?.chatItemId || "");
         const media = it?.media || {};
@@ -1286,16 +1457,19 @@ async function downloadAllAsZipOrBundle({ zipName, bundleName, files }) {
         const transState = String(trans?.state || "");
         const isTranscribing = transState === "running" || transState === "queued";
 
+        // live CHAT_ITEM_PROGRESS (server or in-browser ASR) -> " 42%" next to the stage
+        const transProg = Number(liveOne?.progress?.transcribe);
+        const transPct =
+          transState === "running" && transProg > 0 && transProg < 1 ? ` ${Math.round(transProg * 100)}%` : "";
+
         const persistedSrtRaw = String(results?.transcriptSrt || "");
         const optimisticSrt = String(optimisticSrtByItem?.[chatItemId] || "");
         const persistedSrt = (optimisticSrt || persistedSrtRaw || "").trim();
 
-        const editedSegs = persistedSrt ? srtToSegments(persistedSrt) : [];
-        const persistedSegs = editedSegs.length
-          ? editedSegs
-          : Array.isArray(results?.transcriptSegments)
-          ? results.transcriptSegments
-          : [];
+        const storedSegs = Array.isArray(results?.transcriptSegments) ? results.transcriptSegments : [];
+        // SRT can't hold word timings / speakers -> carry them over from the stored segments
+        const editedSegs = persistedSrt ? Subs.carrySegmentExtras(srtToSegments(persistedSrt), storedSegs) : [];
+        const persistedSegs = editedSegs.length ? editedSegs : storedSegs;
 
         const liveSegs = Array.isArray(liveOne?.segments?.transcribe) ? liveOne.segments.transcribe : [];
         const mergedSegs = transState === "running" ? mergeSegments(persistedSegs, liveSegs) : persistedSegs;
@@ -1311,11 +1485,21 @@ const seedTargets = Array.isArray(TR_DEFAULTS?.targetLangs) && TR_DEFAULTS.targe
 const trSeed = {
   sourceLang: String(TR_DEFAULTS?.sourceLang || "auto") || "auto",
   targetLangs: uniq(seedTargets),
-  modelId: String(TR_DEFAULTS?.modelId || "gpt-4o-mini") || "gpt-4o-mini",
+  modelId: String(TR_DEFAULTS?.modelId || ""),
 };
 
 const trOpts = trOptsByItem?.[chatItemId] || trSeed;
 
+// models that handle this item's source + targets; the picked one falls back when the langs change
+const trItemModelOptions =
+  typeof TranslationCatalog.getModelsForLanguages === "function"
+    ? TranslationCatalog.getModelsForLanguages(trOpts?.sourceLang, trOpts?.targetLangs)
+    : trModelOptions;
+const trModelId =
+  typeof TranslationCatalog.resolveModelId === "function"
+    ? TranslationCatalog.resolveModelId(trOpts?.modelId, trOpts?.sourceLang, trOpts?.targetLangs)
+    : String(trOpts?.modelId || TR_DEFAULTS?.modelId || "");
+
 
 const trByLang = tr?.byLang && typeof tr.byLang === "object" ? tr.byLang : null;
 
@@ -1344,13 +1528,15 @@ const selectedTrLang =
 
 // seed settings (ThreadComposer-aligned)
 const sumSeed = {
-  modelId: String(sum?.modelId || it?.options?.summarize?.modelId || TR_DEFAULTS?.modelId || "gpt-4o-mini"),
+  modelId: SumCatalog.resolveModelId(sum?.modelId || it?.options?.summarize?.modelId),
   language: String(sum?.language || it?.options?.summarize?.language || it?.options?.summarize?.lang || "auto") || "auto",
+  template: SumCatalog.normalizeTemplateId(sum?.template || it?.options?.summarize?.template),
 };
 
 const sumOpts = sumOptsByItem?.[chatItemId] || sumSeed;
-const sumModelId = String(sumOpts?.modelId || sumSeed.modelId || "gpt-4o-mini");
+const sumModelId = String(sumOpts?.modelId || sumSeed.modelId);
 const sumLang = String(sumOpts?.language || sumSeed.language || "auto") || "auto";
+const sumTemplate = SumCatalog.normalizeTemplateId(sumOpts?.template || sumSeed.template);
 
 // best input text to summarize (prefer transcript)
 const summaryInputText =
@@ -1424,9 +1610,17 @@ const trMeta = trSrtMetaByKey?.[trMetaKey] || {};
 const trDirty = !!trMeta.dirty;
 const trBadTime = !!trMeta.hasBadTime;
 const trView = trViewByItem?.[chatItemId] || "srt";
-
-const canTrReset = tab === "translate" && trView === "srt" && !isTranslatingLang && trDirty;
-const canTrSave = tab === "translate" && trView === "srt" && !isTranslatingLang && trDirty && !trBadTime;
+const trSubs = trView !== "text"; // "srt" + "aligned" both edit/export subtitle cues
+const subFmt = Subs.getFormat(subFmtByItem?.[chatItemId] || "srt");
+const assPreset = String(assPresetByItem?.[chatItemId] || Subs.ASS_DEFAULT_PRESET || "classic");
+const spec = String(specByItem?.[chatItemId] || "");
+const trOffSpec = spec ? Number(trMeta.offSpec || 0) : 0;
+const trGlossaryFlagged = hasTrGlossary ? Number(trMeta.flagged || 0) : 0;
+
+const canTrReset = tab === "translate" && trSubs && !isTranslatingLang && trDirty;
+const canTrSave = tab === "translate" && trSubs && !isTranslatingLang && trDirty && !trBadTime;
+const trMissing = trView === "aligned" ? Number(trMeta.missing || 0) : 0;
+const trLong = trView === "aligned" ? Number(trMeta.long || 0) : 0;
 
 const doTrReset = () => {
   const api = trSrtEditorRefsRef.current?.[chatItemId];
@@ -1438,6 +1632,19 @@ const doTrSave = () => {
   if (api && typeof api.save === "function") api.save();
 };
 
+const canTrUndo = tab === "translate" && trView === "srt" && !isTranslatingLang && !!trMeta.canUndo;
+const canTrRedo = tab === "translate" && trView === "srt" && !isTranslatingLang && !!trMeta.canRedo;
+
+const doTrUndo = () => {
+  const api = trSrtEditorRefsRef.current?.[chatItemId];
+  if (api && typeof api.undo === "function") api.undo();
+};
+
+const doTrRedo = () => {
+  const api = trSrtEditorRefsRef.current?.[chatItemId];
+  if (api && typeof api.redo === "function") api.redo();
+};
+
 
 
 
@@ -1473,7 +1680,14 @@ if (!persistedTrSrt) {
   }
 }
 
-if (!persistedTrSegs.length && persistedTrSrt) persistedTrSegs = srtToSegments(persistedTrSrt);
+if (!persistedTrSegs.length && persistedTrSrt) {
+  const storedTrSegs =
+    (Array.isArray(p) && p) ||
+    (Array.isArray(p?.segments) && p.segments) ||
+    (Array.isArray(p?.translationSegments) && p.translationSegments) ||
+    [];
+  persistedTrSegs = Subs.carrySegmentExtras(srtToSegments(persistedTrSrt), storedTrSegs);
+}
 if (!persistedTrText && persistedTrSegs.length) persistedTrText = segmentsToPlainText(persistedTrSegs);
 
 
@@ -1684,8 +1898,7 @@ const trBtnPill =
 
 
 const trModelLabel =
-  (trModelOptions || []).find((m) => String(m?.id || "") === String(trOpts?.modelId || ""))?.label ||
-  String(trOpts?.modelId || "gpt-4o-mini");
+  (trModelOptions || []).find((m) => String(m?.id || "") === trModelId)?.label || trModelId;
 
 const translateSummaryTitle = [
   `Source: ${String(trOpts?.sourceLang || "auto")}`,
@@ -1739,6 +1952,13 @@ const trMissingTargets = trTargetsAll.filter((l) => !hasTranslationOutput(l));
 // ----------------------
 // ✅ TRANSCRIPTION export
 // ----------------------
+const subWriterOpts = (lang) => ({
+  preset: assPreset,
+  title: lang ? `${title || baseName} (${lang})` : title || baseName,
+  primaryName: lang || "Default",
+  speakers: true, // "Name: " prefixes (srt/ass) or <v> voice tags (vtt) when cues have speakers
+});
+
 const getTranscribeSrtOut = () => {
   const api = srtEditorRefsRef.current?.[chatItemId];
   if (api && typeof api.getSrt === "function") return String(api.getSrt() || "");
@@ -1754,6 +1974,13 @@ const getTranscribeTextOut = () => {
   return txt;
 };
 
+// segments with word timings / speakers (editor rows first, so unsaved edits are what gets exported)
+const getTranscribeRichSegs = () => {
+  const api = srtEditorRefsRef.current?.[chatItemId];
+  if (api && typeof api.getSegments === "function") return api.getSegments();
+  return mergedSegs;
+};
+
 const transcribeHasOut =
   transView === "srt" ? !!getTranscribeSrtOut().trim() : !!getTranscribeTextOut().trim();
 
@@ -1761,7 +1988,11 @@ const onDownloadTranscribe = () => {
   if (transView === "srt") {
     const srt = getTranscribeSrtOut();
     if (!srt.trim()) return;
-    downloadTextFile(`${baseName}.srt`, srt, "application/x-subrip;charset=utf-8");
+    downloadTextFile(
+      `${baseName}.${subFmt.ext}`,
+      srtToSubtitleFormat(srt, subFmt.id, subWriterOpts(), getTranscribeRichSegs()),
+      subFmt.mime
+    );
   } else {
     const txt = getTranscribeTextOut();
     if (!txt.trim()) return;
@@ -1770,7 +2001,10 @@ const onDownloadTranscribe = () => {
 };
 
 const onCopyTranscribe = async () => {
-  const payload = transView === "srt" ? getTranscribeSrtOut() : getTranscribeTextOut();
+  const payload =
+    transView === "srt"
+      ? srtToSubtitleFormat(getTranscribeSrtOut(), subFmt.id, subWriterOpts(), getTranscribeRichSegs())
+      : getTranscribeTextOut();
   await copyToClipboard(payload);
 };
 
@@ -1833,17 +2067,27 @@ const getTranslateTextOut = () => {
   return String(mergedTranslateText || translateStream || "");
 };
 
+const getTranslateRichSegs = () => {
+  const api = trSrtEditorRefsRef.current?.[chatItemId];
+  if (api && typeof api.getSegments === "function") return api.getSegments();
+  return mergedTranslateSegs;
+};
+
 const translateHasOut =
-  trView === "srt" ? !!getTranslateSrtOut().trim() : !!getTranslateTextOut().trim();
+  trSubs ? !!getTranslateSrtOut().trim() : !!getTranslateTextOut().trim();
 
 const onDownloadTranslateOne = () => {
   const lang = String(selectedTrLang || "").trim();
   if (!lang) return;
 
-  if (trView === "srt") {
+  if (trSubs) {
     const srt = getTranslateSrtOut();
     if (!srt.trim()) return;
-    downloadTextFile(`${baseName}.${lang}.srt`, srt, "application/x-subrip;charset=utf-8");
+    downloadTextFile(
+      `${baseName}.${lang}.${subFmt.ext}`,
+      srtToSubtitleFormat(srt, subFmt.id, subWriterOpts(lang), getTranslateRichSegs()),
+      subFmt.mime
+    );
   } else {
     const txt = getTranslateTextOut();
     if (!txt.trim()) return;
@@ -1851,8 +2095,54 @@ const onDownloadTranslateOne = () => {
   }
 };
 
+// ✅ bilingual export: transcript + selected translation in the same cue (current SRT/VTT/ASS format)
+const canDownloadDual = !!String(selectedTrLang || "").trim() && !!mergedSegs.length && !!mergedTranslateSegs.length;
+
+const onDownloadDual = () => {
+  const lang = String(selectedTrLang || "").trim();
+  if (!lang) return;
+
+  const { text, stats } = Subs.segmentsToBilingual(getTranscribeRichSegs(), getTranslateRichSegs(), subFmt.id, {
+    ...subWriterOpts(lang),
+    ...dualOpts,
+    primaryName: "Original",
+    dualName: lang,
+  });
+  if (!String(text || "").trim() || !stats.paired) {
+    toast.error("No transcript and translation cues overlap in time.");
+    return;
+  }
+
+  downloadTextFile(`${baseName}.${lang}.dual.${subFmt.ext}`, text, subFmt.mime);
+
+  const odd = [
+    stats.originalOnly ? `${stats.originalOnly} original-only` : null,
+    stats.translationOnly ? `${stats.translationOnly} translation-only` : null,
+    stats.dropped ? `${stats.dropped} dropped` : null,
+  ].filter(Boolean);
+  if (odd.length) toast.message(`${stats.paired} paired cues • ${odd.join(", ")}`);
+  closeMenu();
+};
+
+const openDualMenu = (e) => {
+  if (!isBrowser) return;
+  const el = e?.currentTarget;
+  if (!el) return;
+
+  if (openMenu && openMenu.chatItemId === chatItemId && openMenu.kind === "dual") {
+    closeMenu();
+    return;
+  }
+
+  anchorElRef.current = el;
+  setOpenMenu({ chatItemId, kind: "dual" });
+};
+
 const onCopyTranslate = async () => {
-  const payload = trView === "srt" ? getTranslateSrtOut() : getTranslateTextOut();
+  const payload =
+    trSubs
+      ? srtToSubtitleFormat(getTranslateSrtOut(), subFmt.id, subWriterOpts(selectedTrLang), getTranslateRichSegs())
+      : getTranslateTextOut();
   await copyToClipboard(payload);
 };
 
@@ -1870,11 +2160,24 @@ const trLangsForDownloadAll = (Array.isArray(trSelectableLangs) ? trSelectableLa
 });
 
 const onDownloadTranslateAll = async () => {
-  const ext = trView === "text" ? "txt" : "srt";
+  // ✅ styled formats: ONE file — transcript as the main style, each translation as its own styled layer
+  if (trSubs && subFmt.styled) {
+    const layers = trLangsForDownloadAll
+      .map((lang) => ({ name: lang, segments: Subs.parseSubtitleText(extractTranslationForLang(lang).srt) }))
+      .filter((l) => l.segments.length);
+    if (!layers.length) return;
+
+    const primary = Subs.carrySegmentExtras(Subs.parseSubtitleText(getTranscribeSrtOut()), getTranscribeRichSegs());
+    const content = Subs.segmentsToFormat(primary, subFmt.id, { ...subWriterOpts(), layers });
+    downloadTextFile(`${baseName}.translations.${subFmt.ext}`, content, subFmt.mime);
+    return;
+  }
+
+  const ext = trView === "text" ? "txt" : subFmt.ext;
   const files = trLangsForDownloadAll
     .map((lang) => {
       const out = extractTranslationForLang(lang);
-      const content = trView === "text" ? out.text : out.srt;
+      const content = trView === "text" ? out.text : srtToSubtitleFormat(out.srt, subFmt.id, subWriterOpts(lang));
       return {
         name: `${baseName}.${lang}.${ext}`,
         content,
@@ -1894,7 +2197,18 @@ const onDownloadTranslateAll = async () => {
 // ----------------------
 // ✅ SUMMARY export
 // ----------------------
-const summaryTextOut = String(results?.summary || getLiveStreamFor(liveOne?.stream?.summarize) || "");
+// structured = results.summaryData (or a JSON summary); plain text summaries come back as bullets
+const summaryData = sumIsBusy
+  ? null
+  : SummaryTpl.anchorSummaryToSegments(SummaryTpl.getStructuredSummary(results, sumSeed.template), mergedSegs);
+const showStructuredSummary = !!summaryData && (summaryData.template !== "bullets" || !!results?.summaryData);
+
+const summaryTextOut = String(
+  results?.summary ||
+    getLiveStreamFor(liveOne?.stream?.summarize) ||
+    (summaryData ? SummaryTpl.summaryToMarkdown(summaryData) : "") ||
+    ""
+);
 const summaryHasOut = !!summaryTextOut.trim();
 
 const onDownloadSummary = () => {
@@ -1906,6 +2220,20 @@ const onCopySummary = async () => {
   await copyToClipboard(summaryTextOut);
 };
 
+const onDownloadSummaryMd = () => {
+  if (!summaryData) return;
+  downloadTextFile(
+    `${baseName}.${summaryData.template}.md`,
+    SummaryTpl.summaryToMarkdown(summaryData, { title }),
+    "text/markdown;charset=utf-8"
+  );
+};
+
+const onDownloadSummaryJson = () => {
+  if (!summaryData) return;
+  downloadTextFile(`${baseName}.${summaryData.template}.json`, SummaryTpl.summaryToJson(summaryData), "application/json");
+};
+
 
 
 
@@ -1921,6 +2249,7 @@ const inputForTrEstimate =
   tr,
   inputForEstimate: inputForTrEstimate,
   targetLangs: trMissingTargets,
+  modelId: trModelId,
 });
 
 const fullEst = estimateTranslateTotalTokens({
@@ -1929,6 +2258,7 @@ const fullEst = estimateTranslateTotalTokens({
   tr,
   inputForEstimate: inputForTrEstimate,
   targetLangs: trTargetsAll,
+  modelId: trModelId,
 });
 
 const missingNeed = missingEst.totalTokens || 0;
@@ -1981,6 +2311,7 @@ const est = estimateTranslateTotalTokens({
   tr,
   inputForEstimate: inputForTrEstimate,
   targetLangs: targetsToRun,
+  modelId: trModelId,
 });
 
 const need = est ? Math.max(0, Number(est.totalTokens || 0) || 0) : 0;
@@ -2018,9 +2349,10 @@ if (need > 0 && need > availableUnused) {
       doTranslate: true,
       translation: {
         enabled: true,
-        modelId: String(trOpts?.modelId || "gpt-4o-mini"),
+        modelId: trModelId,
         sourceLang: String(trOpts?.sourceLang || "auto"),
         targetLangs: targetsToRun,
+        glossary: hasTrGlossary ? trGlossary : undefined, // normalizeRunOptions keeps only these langs
       },
     },
   });
@@ -2068,6 +2400,8 @@ if (need > 0 && need > availableUnused) {
               clear: true,
               asrLang: String(opts.language || "auto") || "auto",
               asrModel: String(effectiveModelId || "deepgram_nova3") || "deepgram_nova3",
+              diarize: !!it?.options?.diarize && !!Catalog.supportsDiarization?.(effectiveModelId), // keep speaker labels on rerun
+              keyterms: Array.isArray(it?.options?.keyterms) ? it.options.keyterms : [], // same boost terms (re-capped per model)
             },
           });
 
@@ -2125,6 +2459,7 @@ console.log("SUM CLICK", {
           modelId: sumModelId,
           language: sumLang,     // ✅ UI language setting
           lang: sumLang,         // ✅ extra alias (server can ignore)
+          template: sumTemplate,
         },
       },
     });
@@ -2138,11 +2473,22 @@ console.log("SUM CLICK", {
 
 
         const outputHeaderLabel =
-          tab === "transcribe" ? (transView === "srt" ? "SRT" : "Text") : tab === "translate" ? "Translation" : "Summary";
+          tab === "transcribe"
+            ? transView === "srt"
+              ? "SRT"
+              : "Text"
+            : tab === "translate"
+            ? "Translation"
+            : tab === "ask"
+            ? "Questions"
+            : tab === "video"
+            ? "Video export"
+            : "Summary";
 
         const meta = srtMetaByItem?.[chatItemId] || {};
         const dirty = !!meta.dirty;
         const hasBadTime = !!meta.hasBadTime;
+        const offSpec = spec ? Number(meta.offSpec || 0) : 0;
 
         const canReset = tab === "transcribe" && transView === "srt" && !isTranscribing && dirty;
         const canSave = tab === "transcribe" && transView === "srt" && !isTranscribing && dirty && !hasBadTime;
@@ -2157,6 +2503,19 @@ console.log("SUM CLICK", {
           if (api && typeof api.save === "function") api.save();
         };
 
+        const canUndo = tab === "transcribe" && transView === "srt" && !isTranscribing && !!meta.canUndo;
+        const canRedo = tab === "transcribe" && transView === "srt" && !isTranscribing && !!meta.canRedo;
+
+        const doUndo = () => {
+          const api = srtEditorRefsRef.current?.[chatItemId];
+          if (api && typeof api.undo === "function") api.undo();
+        };
+
+        const doRedo = () => {
+          const api = srtEditorRefsRef.current?.[chatItemId];
+          if (api && typeof api.redo === "function") api.redo();
+        };
+
         const langForDir = String(trans?.language || opts?.language || seedLang || "auto") || "auto";
 
         const sampleForDir =
@@ -2186,13 +2545,17 @@ console.log("SUM CLICK", {
                 currentTime={curTime}
                 onSeek={(t) => doSeek(t)}
                 disabled={isTranscribing}
+                spec={spec || null}
                 maxHeight={360}
+                autosaveScope={scope}
+                autosaveKey={`${String(thread?.id || "")}:${chatItemId}`}
+                waveform={media?.clientFileId ? { scope, threadId: String(thread?.id || ""), clientFileId: String(media.clientFileId) } : null}
                 onMeta={(m) => {
                   setSrtMetaByItem((p) => ({ ...(p || {}), [chatItemId]: m || {} }));
                 }}
-                onSave={({ transcriptSrt, transcriptText }) => {
+                onSave={({ transcriptSrt, transcriptText, segments }) => {
                   setOptimisticSrtByItem((p) => ({ ...(p || {}), [chatItemId]: String(transcriptSrt || "") }));
-                  saveSrt({ chatItemId, transcriptSrt, transcriptText });
+                  saveSrt({ chatItemId, transcriptSrt, transcriptText, segments });
                 }}
               />
 
@@ -2218,7 +2581,7 @@ console.log("SUM CLICK", {
                     title={`${fmtClock(seg?.start)} → ${fmtClock(seg?.end)} (click to seek)`}
                     onClick={() => doSeek(Number(seg?.start || 0))}
                   >
-                    {txt}
+                    <KaraokeText seg={seg} text={txt} currentTime={curTime} active={active} />
                   </Snippet>
                 );
               })}
@@ -2233,7 +2596,61 @@ if (tab === "transcribe") {
   outputBody = transcriptionBody;
 } else if (tab === "translate") {
   outputBody = selectedTrLang ? (
-    trView === "srt" ? (
+    trView === "aligned" ? (
+      <SrtModeWrap>
+        <AlignedTranslationEditor
+          key={`${chatItemId}::${selectedTrLang}::aligned`}
+          ref={(r) => {
+            if (!r) {
+              const next = { ...(trSrtEditorRefsRef.current || {}) };
+              delete next[chatItemId];
+              trSrtEditorRefsRef.current = next;
+              return;
+            }
+            trSrtEditorRefsRef.current = { ...(trSrtEditorRefsRef.current || {}), [chatItemId]: r };
+          }}
+          sourceSegments={mergedSegs}
+          segments={mergedTranslateSegs}
+          currentTime={curTime}
+          onSeek={(t) => doSeek(t)}
+          disabled={isTranslatingLang || isTranscribing}
+          check={
+            hasTrGlossary
+              ? (rows) => TrGlossary.checkGlossarySegments(mergedSegs, rows, trGlossary, selectedTrLang)
+              : null
+          }
+          checkKey={hasTrGlossary ? `${trGlossaryRev}|${selectedTrLang}|${persistedSrt || mergedSegs.length}` : ""}
+          maxHeight={360}
+          onMeta={(m) => {
+            setTrSrtMetaByKey((p) => ({ ...(p || {}), [trMetaKey]: m || {} }));
+          }}
+          onTranslateRow={({ text, prev, next }) =>
+            translateSegment({
+              chatItemId,
+              lang: selectedTrLang,
+              text,
+              context: { prev, next },
+              options: {
+                modelId: trModelId,
+                sourceLang: String(trOpts?.sourceLang || "auto"),
+                glossary: hasTrGlossary ? trGlossary : undefined,
+              },
+            })
+          }
+          onSave={({ translationSrt, translationText, segments }) => {
+            const srt = String(translationSrt || "");
+            setOptimisticTrSrtByKey((p) => ({ ...(p || {}), [trOptKey]: srt }));
+            saveTranslationSrt({
+              chatItemId,
+              lang: selectedTrLang,
+              translationSrt: srt,
+              translationText: String(translationText || ""),
+              segments,
+            });
+          }}
+        />
+      </SrtModeWrap>
+    ) : trView === "srt" ? (
       <SrtModeWrap>
         <LegacySrtSegmentsEditor
           key={`${chatItemId}::${selectedTrLang}`} // ✅ reset editor when switching langs
@@ -2250,11 +2667,21 @@ if (tab === "transcribe") {
           currentTime={curTime}
           onSeek={(t) => doSeek(t)}
           disabled={isTranslatingLang}
+          spec={spec || null}
+          check={
+            hasTrGlossary
+              ? (rows) => TrGlossary.checkGlossarySegments(mergedSegs, rows, trGlossary, selectedTrLang)
+              : null
+          }
+          checkKey={hasTrGlossary ? `${trGlossaryRev}|${selectedTrLang}|${persistedSrt || mergedSegs.length}` : ""}
           maxHeight={360}
+          autosaveScope={scope}
+          autosaveKey={`${String(thread?.id || "")}:${chatItemId}::${selectedTrLang}`}
+          waveform={media?.clientFileId ? { scope, threadId: String(thread?.id || ""), clientFileId: String(media.clientFileId) } : null}
           onMeta={(m) => {
             setTrSrtMetaByKey((p) => ({ ...(p || {}), [trMetaKey]: m || {} }));
           }}
-          onSave={({ transcriptSrt, transcriptText }) => {
+          onSave={({ transcriptSrt, transcriptText, segments }) => {
             const srt = String(transcriptSrt || "");
             const txt = String(transcriptText || "");
 
@@ -2266,6 +2693,7 @@ if (tab === "transcribe") {
               lang: selectedTrLang,
               translationSrt: srt,
               translationText: txt,
+              segments,
             });
           }}
         />
@@ -2295,7 +2723,7 @@ if (tab === "transcribe") {
               title={`${fmtClock(seg?.start)} → ${fmtClock(seg?.end)} (click to seek)`}
               onClick={() => doSeek(Number(seg?.start || 0))}
             >
-              {txt}
+              <KaraokeText seg={seg} text={txt} currentTime={curTime} active={active} />
             </Snippet>
           );
         })}
@@ -2324,8 +2752,66 @@ if (tab === "transcribe") {
   );
 }
 
+ else if (tab === "ask") {
+  outputBody = (
+    <TranscriptQaPanel
+      scope={scope}
+      threadId={String(thread?.id || "")}
+      chatItemId={chatItemId}
+      contexts={[summaryInputText]}
+      availableTokens={availableUnused}
+      onAsk={({ question, history }) => askQuestion({ chatItemIds: [chatItemId], question, history })}
+      onSeek={(_, t) => doSeek(t)}
+    />
+  );
+}
+
+ else if (tab === "video") {
+  const trMap = results?.translations && typeof results.translations === "object" ? results.translations : {};
+  // transcript language for stream tags / file names ("auto" / "multi" = unknown)
+  const spokenLang = String(trans?.language || "").trim();
+  const videoTracks = [
+    {
+      id: "transcript",
+      label: "Transcript",
+      lang: spokenLang && spokenLang !== "auto" && spokenLang !== "multi" ? spokenLang : "",
+      segments: mergedSegs,
+    },
+    ...Object.keys(trMap).map((lang) => ({
+      id: `tr:${lang}`,
+      label: `Translation (${lang})`,
+      lang,
+      segments: savedTranslationSegments(trMap[lang], optimisticTrSrtByKey?.[trKey(chatItemId, lang)]),
+    })),
+  ];
+  outputBody = (
+    <VideoExports>
+      <BurnSubtitlesPanel
+        scope={scope}
+        threadId={String(thread?.id || "")}
+        clientFileId={String(media?.clientFileId || "")}
+        baseName={baseName}
+        durationSeconds={durationSeconds}
+        tracks={videoTracks}
+      />
+      <MuxSubtitlesPanel
+        scope={scope}
+        threadId={String(thread?.id || "")}
+        clientFileId={String(media?.clientFileId || "")}
+        baseName={baseName}
+        durationSeconds={durationSeconds}
+        tracks={videoTracks}
+      />
+    </VideoExports>
+  );
+}
+
  else {
-  outputBody = <Text>{showText || fallbackStream || "—"}</Text>;
+  outputBody = showStructuredSummary ? (
+    <StructuredSummaryView data={summaryData} currentTime={curTime} onSeek={(t) => doSeek(t)} />
+  ) : (
+    <Text>{showText || fallbackStream || "—"}</Text>
+  );
 }
 
 
@@ -2363,6 +2849,76 @@ if (tab === "transcribe") {
                 .filter(Boolean)
                 .join(" • ");
 
+        // ✅ export format picker (SRT view only; shared by transcription + translation downloads)
+        const subFmtSelect = (
+          <SubFmtSelect
+            value={subFmt.id}
+            onChange={(e) => {
+              const v = String(e?.target?.value || "srt") || "srt";
+              setSubFmtByItem((p) => ({ ...(p || {}), [chatItemId]: v }));
+            }}
+            title="Subtitle export format"
+          >
+            {SUB_FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>
+                .{f.ext}
+              </option>
+            ))}
+          </SubFmtSelect>
+        );
+
+        // ✅ ass/ssa style preset (only when a styled format is picked)
+        const assPresetSelect = subFmt.styled ? (
+          <SubFmtSelect
+            value={assPreset}
+            onChange={(e) => {
+              const v = String(e?.target?.value || "");
+              setAssPresetByItem((p) => ({ ...(p || {}), [chatItemId]: v }));
+            }}
+            title="Caption style preset"
+          >
+            {ASS_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </SubFmtSelect>
+        ) : null;
+
+        // ✅ spec preset picker (SRT view only; shared by transcription + translation editors)
+        const specSelect = (
+          <SubFmtSelect
+            value={spec}
+            onChange={(e) => {
+              const v = String(e?.target?.value || "");
+              setSpecByItem((p) => ({ ...(p || {}), [chatItemId]: v }));
+            }}
+            title="Subtitle spec: flag rows that break it, and Reflow to fix them"
+          >
+            <option value="">No spec</option>
+            {REFLOW_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </SubFmtSelect>
+        );
+
+        // split/merge/retime/re-wrap the editor rows to the spec; lands as unsaved edits
+        const doReflow = (editorRefs) => {
+          const api = editorRefs.current?.[chatItemId];
+          if (!spec || !api || typeof api.reflow !== "function") return;
+
+          const stats = api.reflow(spec);
+          if (!stats) {
+            toast.error("Fix bad timecodes before reflowing.");
+            return;
+          }
+
+          const label = Reflow.getReflowPreset(spec)?.label || spec;
+          toast.success(`${label}: ${Reflow.describeReflowStats(stats)}. Review, then Save.`);
+        };
+
         // ✅ render menu for this item?
         const shouldShowMenu = isBrowser && openMenu && openMenu.chatItemId === chatItemId && menuPos;
 
@@ -2403,7 +2959,10 @@ if (tab === "transcribe") {
                 >
                   <Dot $tone={toneT} />
                   <StepK> T </StepK>
-                  <StepV>{deriveStage(trans, "transcribe")}</StepV>
+                  <StepV>
+                    {deriveStage(trans, "transcribe")}
+                    {transPct}
+                  </StepV>
 
                   <CostPill $state={pillState} title={pillTitle}>
                     {displayKind === "potential" || displayKind === "client" ? "~" : ""}
@@ -2518,6 +3077,21 @@ if (tab === "transcribe") {
                   >
                     Summary
                   </TabBtn>
+                  <TabBtn
+                    type="button"
+                    $on={tab === "ask"}
+                    onClick={() => setTabByItem((p) => ({ ...(p || {}), [chatItemId]: "ask" }))}
+                  >
+                    Ask
+                  </TabBtn>
+                  <TabBtn
+                    type="button"
+                    $on={tab === "video"}
+                    onClick={() => setTabByItem((p) => ({ ...(p || {}), [chatItemId]: "video" }))}
+                    title="Burn subtitles into the video"
+                  >
+                    Video
+                  </TabBtn>
                 </Tabs>
 
                 <Output $tight={tab === "transcribe" && transView === "srt"}>
@@ -2526,9 +3100,18 @@ if (tab === "transcribe") {
                       {outputHeaderLabel}
 {tab === "transcribe" && transView === "srt" && dirty ? <DirtyPill>unsaved</DirtyPill> : null}
 {tab === "transcribe" && transView === "srt" && hasBadTime ? <BadPill>bad timecode</BadPill> : null}
+{tab === "transcribe" && transView === "srt" && offSpec ? <BadPill>{offSpec} off-spec</BadPill> : null}
 
-{tab === "translate" && trView === "srt" && trDirty ? <DirtyPill>unsaved</DirtyPill> : null}
+{tab === "translate" && trSubs && trDirty ? <DirtyPill>unsaved</DirtyPill> : null}
 {tab === "translate" && trView === "srt" && trBadTime ? <BadPill>bad timecode</BadPill> : null}
+{tab === "translate" && trView === "srt" && trOffSpec ? <BadPill>{trOffSpec} off-spec</BadPill> : null}
+{tab === "translate" && trSubs && trGlossaryFlagged ? (
+  <BadPill title="Cues that skip a glossary term or change a do-not-translate term">{trGlossaryFlagged} glossary</BadPill>
+) : null}
+{tab === "translate" && trView === "aligned" && trMissing ? <BadPill>{trMissing} missing</BadPill> : null}
+{tab === "translate" && trView === "aligned" && trLong ? (
+  <BadPill title="Translations much longer than the source line">{trLong} long</BadPill>
+) : null}
 
                     </OutTitle>
 
@@ -2539,11 +3122,14 @@ if (tab === "transcribe") {
         type="button"
         onClick={onDownloadTranscribe}
         disabled={!transcribeHasOut}
-        title={transView === "srt" ? "Download transcription .srt" : "Download transcription .txt"}
+        title={transView === "srt" ? `Download transcription .${subFmt.ext}` : "Download transcription .txt"}
       >
-        {transView === "srt" ? "Download SRT" : "Download TXT"}
+        {transView === "srt" ? `Download ${subFmt.label}` : "Download TXT"}
       </HdrBtn>
 
+      {transView === "srt" ? subFmtSelect : null}
+      {transView === "srt" ? assPresetSelect : null}
+
       <HdrBtn
         type="button"
         onClick={onCopyTranscribe}
@@ -2555,6 +3141,21 @@ if (tab === "transcribe") {
 
       {transView === "srt" ? (
         <>
+          {specSelect}
+          <HdrBtn
+            type="button"
+            onClick={() => doReflow(srtEditorRefsRef)}
+            disabled={!spec || isTranscribing || !mergedSegs.length}
+            title="Split, merge, retime and re-wrap cues to the selected spec"
+          >
+            Reflow
+          </HdrBtn>
+          <HdrBtn type="button" onClick={doUndo} disabled={!canUndo} title="Undo (Ctrl/⌘+Z)">
+            Undo
+          </HdrBtn>
+          <HdrBtn type="button" onClick={doRedo} disabled={!canRedo} title="Redo (Ctrl/⌘+Shift+Z)">
+            Redo
+          </HdrBtn>
           <HdrBtn type="button" onClick={doReset} disabled={!canReset} title="Discard local edits">
             Reset
           </HdrBtn>
@@ -2589,9 +3190,9 @@ if (tab === "transcribe") {
         type="button"
         onClick={onDownloadTranslateOne}
         disabled={!translateHasOut || !String(selectedTrLang || "").trim()}
-        title={trView === "srt" ? "Download selected translation .srt" : "Download selected translation .txt"}
+        title={trSubs ? `Download selected translation .${subFmt.ext}` : "Download selected translation .txt"}
       >
-        {trView === "srt" ? "Download SRT" : "Download TXT"}
+        {trSubs ? `Download ${subFmt.label}` : "Download TXT"}
       </HdrBtn>
 
       <HdrBtn
@@ -2599,14 +3200,30 @@ if (tab === "transcribe") {
         onClick={onDownloadTranslateAll}
         disabled={!trLangsForDownloadAll.length}
         title={
-          trView === "srt"
-            ? "Download ALL translations as .srt (zip if available)"
+          trSubs
+            ? subFmt.styled
+            ? `Download transcript + ALL translations as one .${subFmt.ext} (one styled layer per language)`
+            : `Download ALL translations as .${subFmt.ext} (zip if available)`
             : "Download ALL translations as .txt (zip if available)"
         }
       >
         Download all
       </HdrBtn>
 
+      {trSubs ? subFmtSelect : null}
+      {trSubs ? assPresetSelect : null}
+
+      {trSubs ? (
+        <HdrBtn
+          type="button"
+          onClick={openDualMenu}
+          disabled={!canDownloadDual}
+          title="Transcript + this translation in the same cue (dual subtitles)"
+        >
+          Dual…
+        </HdrBtn>
+      ) : null}
+
       <HdrBtn
         type="button"
         onClick={onCopyTranslate}
@@ -2617,6 +3234,26 @@ if (tab === "transcribe") {
       </HdrBtn>
 
       {trView === "srt" ? (
+        <>
+          {specSelect}
+          <HdrBtn
+            type="button"
+            onClick={() => doReflow(trSrtEditorRefsRef)}
+            disabled={!spec || isTranslatingLang || !mergedTranslateSegs.length}
+            title="Split, merge, retime and re-wrap translated cues to the selected spec"
+          >
+            Reflow
+          </HdrBtn>
+          <HdrBtn type="button" onClick={doTrUndo} disabled={!canTrUndo} title="Undo (Ctrl/⌘+Z)">
+            Undo
+          </HdrBtn>
+          <HdrBtn type="button" onClick={doTrRedo} disabled={!canTrRedo} title="Redo (Ctrl/⌘+Shift+Z)">
+            Redo
+          </HdrBtn>
+        </>
+      ) : null}
+
+      {trSubs ? (
         <>
           <HdrBtn type="button" onClick={doTrReset} disabled={!canTrReset} title="Discard local translation edits">
             Reset
@@ -2675,6 +3312,14 @@ if (tab === "transcribe") {
       >
         SRT
       </SwitchBtn>
+      <SwitchBtn
+        type="button"
+        $on={trView === "aligned"}
+        onClick={() => setTrViewByItem((p) => ({ ...(p || {}), [chatItemId]: "aligned" }))}
+        title="Source and translation side by side, one row per transcript line"
+      >
+        Aligned
+      </SwitchBtn>
       <SwitchBtn
         type="button"
         $on={trView === "text"}
@@ -2684,7 +3329,7 @@ if (tab === "transcribe") {
       </SwitchBtn>
     </Switch>
   </HdrRight>
-) : (
+) : tab === "ask" || tab === "video" ? null : (
   <HdrRight>
     <HdrActions>
       <HdrBtn
@@ -2696,6 +3341,19 @@ if (tab === "transcribe") {
         Download TXT
       </HdrBtn>
 
+      <HdrBtn
+        type="button"
+        onClick={onDownloadSummaryMd}
+        disabled={!summaryData}
+        title="Download summary as Markdown (chapters are paste-ready for YouTube)"
+      >
+        MD
+      </HdrBtn>
+
+      <HdrBtn type="button" onClick={onDownloadSummaryJson} disabled={!summaryData} title="Download structured summary .json">
+        JSON
+      </HdrBtn>
+
       <HdrBtn
         type="button"
         onClick={onCopySummary}
@@ -2718,7 +3376,73 @@ if (tab === "transcribe") {
 
             {shouldShowMenu
               ? createPortal(
-                  openMenu.kind === "transcribe" ? (
+                  openMenu.kind === "dual" ? (
+                    <Menu
+                      ref={menuElRef}
+                      style={{
+                        position: "fixed",
+                        top: menuPos.top,
+                        left: menuPos.left,
+                        width: menuPos.width,
+                        maxHeight: `calc(100vh - ${Math.max(12, menuPos.top)}px - 12px)`,
+                        overflow: "auto",
+                      }}
+                      role="dialog"
+                      aria-label="Bilingual export options"
+                    >
+                      <MenuTop>
+                        <MenuTitle>Dual subtitles</MenuTitle>
+                      </MenuTop>
+
+                      <MenuField>
+                        <MenuLabel>Order</MenuLabel>
+                        <MenuSelect
+                          value={dualOpts.order}
+                          onChange={(e) => setDualOpts((p) => ({ ...p, order: String(e?.target?.value || "original-top") }))}
+                        >
+                          <option value="original-top">Original on top</option>
+                          <option value="translation-top">{selectedTrLang || "Translation"} on top</option>
+                        </MenuSelect>
+                      </MenuField>
+
+                      <MenuField>
+                        <MenuLabel>Separator</MenuLabel>
+                        <MenuSelect
+                          value={dualOpts.separator}
+                          disabled={!!subFmt.styled}
+                          onChange={(e) => setDualOpts((p) => ({ ...p, separator: String(e?.target?.value ?? "\n") }))}
+                        >
+                          <option value={"\n"}>Line break</option>
+                          <option value=" / ">{"Slash ( / )"}</option>
+                          <option value=" | ">{"Bar ( | )"}</option>
+                          <option value=" — ">{"Dash ( — )"}</option>
+                        </MenuSelect>
+                      </MenuField>
+
+                      <MenuField>
+                        <MenuLabel>Cues without a partner</MenuLabel>
+                        <MenuSelect
+                          value={dualOpts.unpaired}
+                          onChange={(e) => setDualOpts((p) => ({ ...p, unpaired: String(e?.target?.value || "keep") }))}
+                        >
+                          <option value="keep">Keep (single language)</option>
+                          <option value="original">Keep original-only cues</option>
+                          <option value="drop">Drop</option>
+                        </MenuSelect>
+                      </MenuField>
+
+                      <MenuRow>
+                        <MenuAction type="button" onClick={onDownloadDual} disabled={!canDownloadDual}>
+                          Download {subFmt.label}
+                        </MenuAction>
+                      </MenuRow>
+
+                      <MenuNote>
+                        Translation cues are paired with the transcript cue they overlap most; timing follows the transcript.
+                        {subFmt.styled ? " ASS/SSA stacks both languages and styles the translation as the secondary line." : ""}
+                      </MenuNote>
+                    </Menu>
+                  ) : openMenu.kind === "transcribe" ? (
                     <Menu
                       ref={menuElRef}
                       style={{
@@ -2736,7 +3460,10 @@ if (tab === "transcribe") {
                         <MenuTitle>Transcription</MenuTitle>
                         <MenuStatus>
                           <Dot $tone={toneT} />
-                          <MenuStatusText>{deriveStage(trans, "transcribe")}</MenuStatusText>
+                          <MenuStatusText>
+                            {deriveStage(trans, "transcribe")}
+                            {transPct}
+                          </MenuStatusText>
                         </MenuStatus>
                       </MenuTop>
 
@@ -3006,16 +3733,16 @@ if (tab === "transcribe") {
                       <MenuField>
                         <MenuLabel>Model</MenuLabel>
                         <MenuSelect
-                          value={String(trOpts.modelId || "gpt-4o-mini")}
+                          value={trModelId}
                           onChange={(e) => {
-                            const v = String(e?.target?.value || "gpt-4o-mini") || "gpt-4o-mini";
+                            const v = String(e?.target?.value || trModelId);
                             setTrOptsByItem((p) => ({
                               ...(p || {}),
                               [chatItemId]: { ...(p?.[chatItemId] || trSeed), modelId: v },
                             }));
                           }}
                         >
-                          {(trModelOptions.length ? trModelOptions : [{ id: "gpt-4o-mini", label: "GPT-4o mini" }]).map((m) => (
+                          {(trItemModelOptions.length ? trItemModelOptions : trModelOptions).map((m) => (
                             <option key={String(m.id)} value={String(m.id)}>
                               {String(m.label || m.id)}
                             </option>
@@ -3059,7 +3786,7 @@ if (tab === "transcribe") {
         ? "Summarization is running"
         : !sumRerunAffordable
         ? `Not enough media tokens (need ~${sumRerunTokens}, have ${availableUnused})`
-        : `Re-summarize using ${sumModelId} • ${sumLang}`
+        : `Re-summarize using ${sumModelId} • ${sumLang} • ${sumTemplate}`
     }
   >
     {String(sum?.state || "") === "failed" ? "Retry summarize" : "Re-summarize"}
@@ -3093,14 +3820,14 @@ if (tab === "transcribe") {
       <MenuSelect
         value={String(sumModelId)}
         onChange={(e) => {
-          const v = String(e?.target?.value || "gpt-4o-mini") || "gpt-4o-mini";
+          const v = String(e?.target?.value || sumModelId);
           setSumOptsByItem((p) => ({
             ...(p || {}),
             [chatItemId]: { ...(p?.[chatItemId] || sumSeed), modelId: v },
           }));
         }}
       >
-        {(trModelOptions.length ? trModelOptions : [{ id: "gpt-4o-mini", label: "GPT-4o mini" }]).map((m) => (
+        {sumModelOptions.map((m) => (
           <option key={String(m.id)} value={String(m.id)}>
             {String(m.label || m.id)}
           </option>
@@ -3109,6 +3836,27 @@ if (tab === "transcribe") {
     </MenuField>
     <MenuDivider />
 
+    <MenuField>
+      <MenuLabel>Template</MenuLabel>
+      <MenuSelect
+        value={sumTemplate}
+        onChange={(e) => {
+          const v = SumCatalog.normalizeTemplateId(e?.target?.value);
+          setSumOptsByItem((p) => ({
+            ...(p || {}),
+            [chatItemId]: { ...(p?.[chatItemId] || sumSeed), template: v },
+          }));
+        }}
+      >
+        {(typeof SumCatalog.getTemplates === "function" ? SumCatalog.getTemplates() : []).map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.label}
+          </option>
+        ))}
+      </MenuSelect>
+    </MenuField>
+    <MenuDivider />
+
 <MenuField>
   <MenuLabel>Language</MenuLabel>
 
@@ -3156,6 +3904,32 @@ if (tab === "transcribe") {
           </Card>
         );
       })}
+
+      {liveSession ? (
+        <Card>
+          <CardHead>
+            <HeadLeft>
+              <Title>Live session</Title>
+              <Sub>
+                {liveSession.state === "saving"
+                  ? "Saving to this thread…"
+                  : liveSession.state === "starting"
+                  ? "Opening the microphone…"
+                  : `${safeArr(liveSession.segments).length} segments so far`}
+              </Sub>
+            </HeadLeft>
+          </CardHead>
+          <LiveSessionBody>
+            <LiveTextHint>
+              <LiveTextTitle>{liveSession.dropped ? "Live transcription stopped" : "Transcribing live…"}</LiveTextTitle>
+              <LiveTextBody>
+                {getLiveStreamFor(liveSession.stream?.transcribe)}
+                {liveSession.interim ? <LiveInterim>{liveSession.interim}</LiveInterim> : null}
+              </LiveTextBody>
+            </LiveTextHint>
+          </LiveSessionBody>
+        </Card>
+      ) : null}
     </List>
   );
 }
@@ -3167,6 +3941,20 @@ const List = styled.div`
   gap: 14px;
 `;
 
+const AskPanel = styled.div`
+  border: 1px solid var(--border);
+  background: var(--panel);
+  border-radius: 18px;
+  box-shadow: var(--shadow);
+  padding: 12px;
+`;
+
+const TimelineTools = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  gap: 8px;
+`;
+
 const Card = styled.div`
   border: 1px solid var(--border);
   background: var(--panel);
@@ -3567,6 +4355,21 @@ const LiveTextBody = styled.div`
   white-space: pre-wrap;
 `;
 
+const LiveSessionBody = styled.div`
+  padding: 12px 14px 14px;
+`;
+
+const LiveInterim = styled.span`
+  color: var(--muted);
+  font-style: italic;
+`;
+
+const VideoExports = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 14px;
+`;
+
 const TextSnippets = styled.div`
   font-size: 15px;
   color: var(--text);
@@ -4070,4 +4873,10 @@ const TranslateLangSelect = styled.select`
     border-color: rgba(239, 68, 68, 0.35);
     box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
   }
-`;
\ No newline at end of file
+`;
+
+const SubFmtSelect = styled(TranslateLangSelect)`
+  height: 30px;
+  padding: 0 8px;
+  font-size: 11px;
+`;
@@ -0,0 +1,54 @@
+// components/KaraokeText.js
+import styled from "styled-components";
+import * as SubsImport from "../shared/subtitleFormats";
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+
+// Cue text with the spoken word highlighted (needs seg.words that still line up with the text).
+// Falls back to plain text when the cue isn't active or has no usable word timings.
+export default function KaraokeText({ seg, text, currentTime, active = true }) {
+  const shown = String(text != null ? text : seg?.text || "");
+  const words = active && typeof Subs.segmentWords === "function" ? Subs.segmentWords({ ...seg, text: shown }) : null;
+  if (!words) return <>{shown}</>;
+
+  const cur = Subs.activeWordIndex(words, currentTime);
+  let wi = 0;
+
+  return (
+    <Wrap>
+      {shown.split("\n").map((line, li) => (
+        <span key={li}>
+          {li > 0 ? <br /> : null}
+          {line
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((tok, ti) => {
+              const idx = wi++;
+              const w = words[idx];
+              const state = idx === cur ? "on" : idx < cur ? "done" : "todo";
+              return (
+                <span key={ti}>
+                  {ti > 0 ? " " : null}
+                  <Word $state={state} title={`${Number(w?.start || 0).toFixed(2)}s`}>
+                    {tok}
+                  </Word>
+                </span>
+              );
+            })}
+        </span>
+      ))}
+    </Wrap>
+  );
+}
+
+const Wrap = styled.span`
+  display: inline;
+`;
+
+const Word = styled.span`
+  border-radius: 4px;
+  transition: background 0.08s linear, color 0.08s linear;
+  color: ${(p) => (p.$state === "on" ? "var(--accent)" : "inherit")};
+  background: ${(p) => (p.$state === "on" ? "rgba(239, 68, 68, 0.16)" : "transparent")};
+  opacity: ${(p) => (p.$state === "done" ? 0.75 : 1)};
+  font-weight: ${(p) => (p.$state === "on" ? 800 : "inherit")};
+`;
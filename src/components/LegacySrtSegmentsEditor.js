@@ -1,68 +1,28 @@
 // components/LegacySrtSegmentsEditor.js
 import React, { forwardRef, useEffect, useMemo, useRef, useState, useImperativeHandle } from "react";
 import styled, { css, keyframes } from "styled-components";
-
-function normalizeWhitespace(t) {
-  return String(t || "").replace(/\s+/g, " ").trim();
-}
-
-function pad2(n) {
-  return String(n).padStart(2, "0");
-}
-function pad3(n) {
-  return String(n).padStart(3, "0");
-}
-
-function secondsToTimecode(sec) {
-  const s = Math.max(0, Number(sec || 0));
-  const totalMs = Math.round(s * 1000);
-
-  const hh = Math.floor(totalMs / 3600000);
-  const rem1 = totalMs % 3600000;
-  const mm = Math.floor(rem1 / 60000);
-  const rem2 = rem1 % 60000;
-  const ss = Math.floor(rem2 / 1000);
-  const ms = rem2 % 1000;
-
-  return `${pad2(hh)}:${pad2(mm)}:${pad2(ss)},${pad3(ms)}`;
-}
-
-function parseTimecodeToSeconds(tc) {
-  const s = String(tc || "").trim();
-  const m = s.match(/^(\d+):(\d+):(\d+),(\d+)$/);
-  if (!m) return null;
-  const hh = Number(m[1] || 0);
-  const mm = Number(m[2] || 0);
-  const ss = Number(m[3] || 0);
-  const ms = Number(m[4] || 0);
-  if (![hh, mm, ss, ms].every((x) => Number.isFinite(x))) return null;
-  return hh * 3600 + mm * 60 + ss + ms / 1000;
-}
+import { toast } from "sonner";
+import { putEditorDraft, getEditorDraft, deleteEditorDraft } from "../lib/editorDraftStore";
+import * as SubsImport from "../shared/subtitleFormats";
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+const { segmentsToSrt, segmentsToPlainText } = Subs;
+import * as ReflowImport from "../shared/subtitleReflow";
+const Reflow = (ReflowImport && (ReflowImport.default || ReflowImport)) || {};
+import KaraokeText from "./KaraokeText";
+import WaveformTimeline from "./WaveformTimeline";
+
+// editor rows keep SRT-style timecode strings; parsing accepts "," or "."
+const secondsToTimecode = Subs.secondsToSrtTimecode;
+const parseTimecodeToSeconds = Subs.parseTimecodeToSeconds;
 
 function timeToMs(t) {
-  const s = String(t || "").trim();
-  const m = s.match(/^(\d+):(\d+):(\d+),(\d+)$/);
-  if (!m) return null;
-  const hh = Number(m[1] || 0);
-  const mm = Number(m[2] || 0);
-  const ss = Number(m[3] || 0);
-  const ms = Number(m[4] || 0);
-  if (![hh, mm, ss, ms].every((x) => Number.isFinite(x))) return null;
-  return (hh * 3600 + mm * 60 + ss) * 1000 + ms;
+  const s = parseTimecodeToSeconds(t);
+  return s == null ? null : Math.round(s * 1000);
 }
 
 function msToTime(msTotal) {
-  let ms = Number(msTotal || 0);
-  if (!Number.isFinite(ms) || ms < 0) ms = 0;
-
-  const hours = Math.floor(ms / 3600000);
-  ms = ms % 3600000;
-  const mins = Math.floor(ms / 60000);
-  ms = ms % 60000;
-  const secs = Math.floor(ms / 1000);
-  const milli = ms % 1000;
-
-  return `${pad2(hours)}:${pad2(mins)}:${pad2(secs)},${pad3(milli)}`;
+  const ms = Number(msTotal || 0);
+  return secondsToTimecode(Number.isFinite(ms) && ms > 0 ? ms / 1000 : 0);
 }
 
 function isActiveAtTime(item, currentTimeSec) {
@@ -86,6 +46,8 @@ function toItemsFromSegments(segments) {
         start: secondsToTimecode(start),
         end: secondsToTimecode(end),
         text,
+        words: Array.isArray(seg?.words) && seg.words.length ? seg.words : null,
+        speaker: Subs.normalizeSpeaker(seg?.speaker),
         _flash: false,
       };
     })
@@ -101,18 +63,9 @@ function reindex(items) {
   }));
 }
 
+// strict SRT out of the rows (renumbered, sorted, unreadable/empty rows left out)
 function buildSrtFromItems(items) {
-  const rows = Array.isArray(items) ? items : [];
-  const blocks = rows
-    .map((it, i) => {
-      const idx = String(i + 1);
-      const start = String(it?.start || "").trim();
-      const end = String(it?.end || "").trim();
-      const text = String(it?.text || "").trim();
-      return `${idx}\n${start} --> ${end}\n${text}`;
-    })
-    .join("\n\n");
-  return blocks.trim() ? blocks.trim() + "\n" : "";
+  return segmentsToSrt(itemsToSegments(items));
 }
 
 function itemsToSegments(items) {
@@ -125,35 +78,105 @@ function itemsToSegments(items) {
     if (s == null || e == null) continue;
     const start = Math.max(0, s);
     const end = Math.max(start, e);
-    out.push({ start, end, text: normalizeWhitespace(it?.text || "") });
+    const seg = { start, end, text: Subs.normalizeCueText(it?.text || "") }; // keeps multi-line cues
+
+    // word timings: clamped to edited times, kept while the words still line up with the text
+    const words = it?.words ? Subs.segmentWords({ ...seg, words: it.words }) : null;
+    if (words) seg.words = words;
+
+    const speaker = Subs.normalizeSpeaker(it?.speaker);
+    if (speaker) seg.speaker = speaker;
+
+    out.push(seg);
   }
 
   out.sort((a, b) => (a.start - b.start) || (a.end - b.end));
   return out;
 }
 
-function segmentsToPlainText(segments) {
-  const segs = Array.isArray(segments) ? segments : [];
-  return segs
-    .map((s) => normalizeWhitespace(s?.text || ""))
-    .filter(Boolean)
-    .join(" ")
-    .trim();
+// row-order segments for spec checks (unreadable times stay NaN so they're flagged, not dropped)
+function itemsToRowSegments(items) {
+  return (Array.isArray(items) ? items : []).map((it) => {
+    const s = parseTimecodeToSeconds(it?.start);
+    const e = parseTimecodeToSeconds(it?.end);
+    return { start: s == null ? NaN : s, end: e == null ? NaN : e, text: String(it?.text || "") };
+  });
 }
 
 function keyOfItems(items) {
+  // line breaks are part of the cue (reflow re-wraps), so they count as edits
   return (Array.isArray(items) ? items : [])
-    .map((it) => `${String(it?.start || "")}|${String(it?.end || "")}|${normalizeWhitespace(it?.text || "")}`)
+    .map(
+      (it) =>
+        `${String(it?.start || "")}|${String(it?.end || "")}|${Subs.normalizeCueText(it?.text || "")}|${Subs.normalizeSpeaker(it?.speaker)}`
+    )
     .join("§");
 }
 
+// undo/redo depth + autosave debounce
+const HISTORY_LIMIT = 200;
+const AUTOSAVE_MS = 800;
+
+// keyboard time nudge (Alt+←/→ start, Alt+Shift+←/→ end)
+const NUDGE_MS = 100;
+
+function stripFlash(items) {
+  return (Array.isArray(items) ? items : []).map((it) => (it?._flash ? { ...it, _flash: false } : it));
+}
+
+// split one row in two at the middle word (at a word start when word timings line up)
+function splitItemAt(item) {
+  const text = String(item?.text || "").replace(/\s+/g, " ").trim();
+  const tokens = text ? text.split(" ") : [];
+  const s = parseTimecodeToSeconds(item?.start);
+  const e = parseTimecodeToSeconds(item?.end);
+  if (tokens.length < 2 || s == null || e == null || e < s) return null;
+
+  const seg = { start: s, end: e, text, words: item?.words };
+  const words = item?.words ? Subs.segmentWords(seg) : null;
+
+  // balance by characters, not word count
+  let cut = 1;
+  let best = Infinity;
+  for (let k = 1; k < tokens.length; k++) {
+    const diff = Math.abs(tokens.slice(0, k).join(" ").length - tokens.slice(k).join(" ").length);
+    if (diff < best) {
+      best = diff;
+      cut = k;
+    }
+  }
+
+  const a = tokens.slice(0, cut).join(" ");
+  const b = tokens.slice(cut).join(" ");
+  const t = words ? words[cut].start : s + ((e - s) * a.length) / Math.max(1, a.length + b.length);
+
+  return [
+    { ...item, end: secondsToTimecode(t), text: a, words: words ? words.slice(0, cut) : null, _flash: true },
+    { ...item, start: secondsToTimecode(t), text: b, words: words ? words.slice(cut) : null, _flash: true },
+  ];
+}
+
 const fadeIn = keyframes`
   0% { background-color: #fc0; }
   100% { background-color: #eee; }
 `;
 
 const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
-  { segments, currentTime = 0, onSeek, onSave, onMeta, disabled = false, maxHeight = 360 },
+  {
+    segments,
+    currentTime = 0,
+    onSeek,
+    onSave,
+    onMeta,
+    disabled = false,
+    maxHeight = 360,
+    spec = null,
+    check = null, // optional extra row check: (rowSegments) => issues per row ({ code, short, message })
+    checkKey = "", // changes when `check`'s inputs change (the function itself may be new every render)
+    autosaveScope = null,
+    autosaveKey = null,
+    waveform = null, // { scope, threadId, clientFileId } of the local original -> waveform strip above the rows
+  },
   ref
 ) {
   const baseItems = useMemo(() => reindex(toItemsFromSegments(segments)), [segments]);
@@ -165,6 +188,55 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
   // baseline snapshot for dirty tracking
   const baselineKeyRef = useRef(baseKey);
 
+  // undo/redo: snapshots of `items`; every user edit goes through applyEdit()
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const pastRef = useRef([]);
+  const futureRef = useRef([]);
+  const [historyRev, setHistoryRev] = useState(0);
+  const [selectedIndex, setSelectedIndex] = useState(-1);
+
+  const applyEdit = (updater) => {
+    if (disabled) return;
+    const prev = itemsRef.current;
+    const next = typeof updater === "function" ? updater(prev) : updater;
+    if (!next || next === prev || keyOfItems(next) === keyOfItems(prev)) return;
+
+    pastRef.current = [...pastRef.current, stripFlash(prev)].slice(-HISTORY_LIMIT);
+    futureRef.current = [];
+    itemsRef.current = next;
+    setItems(next);
+    setHistoryRev((n) => n + 1);
+  };
+
+  const undo = () => {
+    if (disabled || !pastRef.current.length) return;
+    const prev = pastRef.current[pastRef.current.length - 1];
+    pastRef.current = pastRef.current.slice(0, -1);
+    futureRef.current = [...futureRef.current, stripFlash(itemsRef.current)];
+    setEditingId(null);
+    itemsRef.current = prev;
+    setItems(prev);
+    setHistoryRev((n) => n + 1);
+  };
+
+  const redo = () => {
+    if (disabled || !futureRef.current.length) return;
+    const next = futureRef.current[futureRef.current.length - 1];
+    futureRef.current = futureRef.current.slice(0, -1);
+    pastRef.current = [...pastRef.current, stripFlash(itemsRef.current)].slice(-HISTORY_LIMIT);
+    setEditingId(null);
+    itemsRef.current = next;
+    setItems(next);
+    setHistoryRev((n) => n + 1);
+  };
+
+  const clearHistory = () => {
+    pastRef.current = [];
+    futureRef.current = [];
+    setHistoryRev((n) => n + 1);
+  };
+
   const listRef = useRef(null);
 
   const isBrowser = typeof window !== "undefined" && typeof document !== "undefined";
@@ -195,6 +267,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
       setItems(baseItems);
       baselineKeyRef.current = baseKey;
       setEditingId(null);
+      clearHistory();
       return;
     }
 
@@ -203,10 +276,86 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
       setItems(baseItems);
       baselineKeyRef.current = baseKey;
       setEditingId(null);
+      clearHistory();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [baseKey, disabled]);
 
+  // ---------- autosave (localforage, per chat item / translation lang) ----------
+  const draftReadyRef = useRef(false);
+  const draftTimerRef = useRef(null);
+  const draftPendingRef = useRef(null);
+
+  // restore once per key/base: only if the server copy is still the one the draft was edited from
+  useEffect(() => {
+    let cancelled = false;
+    draftReadyRef.current = false;
+    if (!autosaveScope || !autosaveKey || disabled || !baseItems.length) return;
+
+    (async () => {
+      let draft = null;
+      try {
+        draft = await getEditorDraft(autosaveScope, autosaveKey);
+      } catch {}
+      if (cancelled) return;
+
+      const rows = Array.isArray(draft?.items) ? draft.items : [];
+      if (rows.length && draft.baseKey === baseKey && keyOfItems(itemsRef.current) === baselineKeyRef.current) {
+        applyEdit(reindex(stripFlash(rows)));
+        toast.message("Restored unsaved subtitle edits from this browser.");
+      } else if (rows.length && draft.baseKey !== baseKey) {
+        deleteEditorDraft(autosaveScope, autosaveKey).catch(() => {});
+        toast.warning("Dropped autosaved subtitle edits: the saved version changed since.");
+      }
+      draftReadyRef.current = true;
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [autosaveScope, autosaveKey, baseKey, disabled]);
+
+  const flushDraft = () => {
+    if (draftTimerRef.current) clearTimeout(draftTimerRef.current);
+    draftTimerRef.current = null;
+    const job = draftPendingRef.current;
+    draftPendingRef.current = null;
+    if (!job) return;
+
+    const run = job.items
+      ? putEditorDraft(job.scope, job.key, { baseKey: job.baseKey, items: job.items, savedAt: new Date().toISOString() })
+      : deleteEditorDraft(job.scope, job.key);
+    run.catch(() => {});
+  };
+
+  useEffect(() => {
+    if (!autosaveScope || !autosaveKey || disabled || !draftReadyRef.current) return;
+
+    const dirty = keyOfItems(items) !== baselineKeyRef.current;
+    draftPendingRef.current = {
+      scope: autosaveScope,
+      key: autosaveKey,
+      baseKey: baselineKeyRef.current,
+      items: dirty ? items.map(({ _flash, ...rest }) => rest) : null,
+    };
+
+    if (draftTimerRef.current) clearTimeout(draftTimerRef.current);
+    draftTimerRef.current = setTimeout(flushDraft, AUTOSAVE_MS);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [items]);
+
+  // don't lose the last keystrokes on unmount / tab close
+  useEffect(() => {
+    if (!isBrowser) return undefined;
+    window.addEventListener("beforeunload", flushDraft);
+    return () => {
+      window.removeEventListener("beforeunload", flushDraft);
+      flushDraft();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   const activeIndex = useMemo(() => {
     for (let i = 0; i < items.length; i++) {
       if (isActiveAtTime(items[i], currentTime)) return i;
@@ -223,6 +372,37 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
     }
   }, [activeIndex]);
 
+  const checkRef = useRef(check);
+  checkRef.current = check;
+
+  // extra checks (e.g. translation glossary); one issues list per row
+  const checkIssuesFor = (nextItems) => {
+    if (typeof checkRef.current !== "function") return [];
+    const out = checkRef.current(itemsToRowSegments(nextItems));
+    return Array.isArray(out) ? out : [];
+  };
+
+  // spec check (reflow preset id) + extra checks; one issues list per row
+  const rowIssues = useMemo(() => {
+    const specIssues = spec && typeof Reflow.validateSegments === "function" ? Reflow.validateSegments(itemsToRowSegments(items), spec) : [];
+    const extra = checkIssuesFor(items);
+    if (!extra.length) return specIssues;
+    return items.map((_, i) => [...(specIssues[i] || []), ...(extra[i] || [])]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [items, spec, checkKey]);
+
+  // diarized transcript? (speaker tags + rename bar only show up then)
+  const speakers = useMemo(() => Subs.listSpeakers(items), [items]);
+
+  // rename every row of one speaker; renaming onto an existing name merges the two
+  const renameSpeaker = (from, to) => {
+    if (disabled) return;
+    const src = Subs.normalizeSpeaker(from);
+    const dst = Subs.normalizeSpeaker(to);
+    if (!src || src === dst) return;
+    applyEdit((prev) => prev.map((it) => (Subs.normalizeSpeaker(it?.speaker) === src ? { ...it, speaker: dst } : it)));
+  };
+
   const computeMeta = (nextItems) => {
     const dirty = keyOfItems(nextItems) !== baselineKeyRef.current;
     const hasBadTime = (Array.isArray(nextItems) ? nextItems : []).some((it) => {
@@ -230,7 +410,19 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
       const e = timeToMs(it?.end);
       return s == null || e == null || e < s;
     });
-    return { dirty, hasBadTime };
+    const offSpec =
+      spec && typeof Reflow.countIssues === "function"
+        ? Reflow.countIssues(Reflow.validateSegments(itemsToRowSegments(nextItems), spec))
+        : 0;
+    const flagged = checkIssuesFor(nextItems).filter((x) => Array.isArray(x) && x.length).length;
+    return {
+      dirty,
+      hasBadTime,
+      offSpec,
+      flagged,
+      canUndo: pastRef.current.length > 0,
+      canRedo: futureRef.current.length > 0,
+    };
   };
 
   const pushMeta = (nextItems) => {
@@ -241,7 +433,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
   useEffect(() => {
     pushMeta(items);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [items]);
+  }, [items, spec, checkKey, historyRev]);
 
   function fixLineMinMax(next, i) {
     const startMs = timeToMs(next?.[i]?.start);
@@ -285,7 +477,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
   const patchItem = (idx, patch, propForOverlap) => {
     if (disabled) return;
 
-    setItems((prev) => {
+    applyEdit((prev) => {
       let next = prev.map((x, i) => (i === idx ? { ...x, ...patch } : x));
       next = reindex(next);
       next = fixLineMinMax(next, idx);
@@ -294,6 +486,55 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
     });
   };
 
+  // waveform drag: both edges at once, one undo step per drag
+  const retimeItem = (idx, { start, end }) => {
+    if (disabled) return;
+    setSelectedIndex(idx);
+
+    applyEdit((prev) => {
+      let next = prev.map((x, i) => (i === idx ? { ...x, start: secondsToTimecode(start), end: secondsToTimecode(end) } : x));
+      next = reindex(next);
+      next = fixLineMinMax(next, idx);
+      next = fixOverlaps(next, idx, "start");
+      next = fixOverlaps(next, idx, "end");
+      return next;
+    });
+  };
+
+  const hasWaveform = !!waveform;
+  const waveSegments = useMemo(() => (hasWaveform ? itemsToRowSegments(items) : []), [hasWaveform, items]);
+
+  const nudgeTime = (idx, prop, deltaMs) => {
+    const cur = timeToMs(itemsRef.current?.[idx]?.[prop]);
+    if (cur == null) return;
+    patchItem(idx, { [prop]: msToTime(Math.max(0, cur + deltaMs)) }, prop);
+  };
+
+  // Ctrl/Cmd+Z undo • Ctrl/Cmd+Shift+Z or Ctrl+Y redo • Alt+←/→ nudge start, Alt+Shift+←/→ nudge end
+  // (not while a field is being edited — the browser's own text undo applies there)
+  const handleEditorKeyDown = (e) => {
+    if (disabled || editingId || e?.target?.isContentEditable) return;
+    const k = String(e?.key || "").toLowerCase();
+    const mod = e.ctrlKey || e.metaKey;
+
+    if (mod && k === "z") {
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+      return;
+    }
+    if (mod && k === "y") {
+      e.preventDefault();
+      redo();
+      return;
+    }
+
+    if (e.altKey && (k === "arrowleft" || k === "arrowright") && selectedIndex >= 0 && selectedIndex < items.length) {
+      e.preventDefault();
+      nudgeTime(selectedIndex, e.shiftKey ? "end" : "start", k === "arrowleft" ? -NUDGE_MS : NUDGE_MS);
+    }
+  };
+
   const handleTimeKeyDown = (e) => {
     if (String(e?.key || "") === "Enter") {
       e.preventDefault();
@@ -303,6 +544,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
 
   const handleRowSeek = (index) => {
     if (disabled) return;
+    setSelectedIndex(index);
     if (typeof onSeek !== "function") return;
     const s = parseTimecodeToSeconds(items?.[index]?.start);
     if (s == null) return;
@@ -314,7 +556,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
     setEditingId(null);
     let next = items.filter((_, idx) => idx !== index);
     next = reindex(next);
-    setItems(next);
+    applyEdit(next);
   };
 
   const handleAddAfter = (index) => {
@@ -327,7 +569,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
 
     let next = [...items.slice(0, index + 1), newItem, ...items.slice(index + 1)];
     next = reindex(next);
-    setItems(next);
+    applyEdit(next);
 
     setTimeout(() => {
       setItems((p) => p.map((x, i) => (i === index + 1 ? { ...x, _flash: false } : x)));
@@ -344,7 +586,7 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
 
     let next = [...items.slice(0, Math.max(0, index)), newItem, ...items.slice(Math.max(0, index))];
     next = reindex(next);
-    setItems(next);
+    applyEdit(next);
 
     setTimeout(() => {
       setItems((p) => p.map((x, i) => (i === index ? { ...x, _flash: false } : x)));
@@ -364,19 +606,36 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
       start: a.start,
       end: b.end,
       text: `${String(a.text || "").trim()} ${String(b.text || "").trim()}`.trim(),
+      words: a.words && b.words ? [...a.words, ...b.words] : null,
       _flash: true,
     };
 
     let next = [...items];
     next.splice(index, 2, merged);
     next = reindex(next);
-    setItems(next);
+    applyEdit(next);
 
     setTimeout(() => {
       setItems((p) => p.map((x, i) => (i === index ? { ...x, _flash: false } : x)));
     }, 550);
   };
 
+  const handleSplit = (index) => {
+    if (disabled) return;
+    const parts = splitItemAt(items[index]);
+    if (!parts) return;
+    setEditingId(null);
+
+    let next = [...items];
+    next.splice(index, 1, ...parts);
+    next = reindex(next);
+    applyEdit(next);
+
+    setTimeout(() => {
+      setItems((p) => p.map((x, i) => (i === index || i === index + 1 ? { ...x, _flash: false } : x)));
+    }, 550);
+  };
+
   const addFirst = () => {
     if (disabled) return;
     const next = reindex([
@@ -388,18 +647,30 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
         _flash: true,
       },
     ]);
-    setItems(next);
+    applyEdit(next);
     setTimeout(() => {
       setItems((p) => p.map((x, i) => (i === 0 ? { ...x, _flash: false } : x)));
     }, 550);
   };
 
+  // back to the saved version — itself undoable
   const reset = () => {
     if (disabled) return;
-    setItems(baseItems);
+    applyEdit(baseItems);
     baselineKeyRef.current = baseKey;
     setEditingId(null);
-    if (typeof onMeta === "function") onMeta({ dirty: false, hasBadTime: false });
+  };
+
+  // split/merge/retime/re-wrap every row to a spec preset; the result is a normal unsaved edit
+  const reflow = (preset) => {
+    if (disabled) return null;
+    if (typeof Reflow.reflowSegments !== "function") return null;
+    if (computeMeta(items).hasBadTime) return null;
+
+    const { segments: out, stats } = Reflow.reflowSegments(itemsToSegments(items), preset || spec);
+    setEditingId(null);
+    applyEdit(reindex(toItemsFromSegments(out)));
+    return stats;
   };
 
   const save = () => {
@@ -416,8 +687,12 @@ const LegacySrtSegmentsEditor = forwardRef(function LegacySrtSegmentsEditor(
     baselineKeyRef.current = keyOfItems(items);
     setEditingId(null);
 
-    if (typeof onMeta === "function") onMeta({ dirty: false, hasBadTime: false });
-    onSave({ transcriptSrt, transcriptText });
+    // saved -> the autosaved draft is obsolete
+    draftPendingRef.current = autosaveScope && autosaveKey ? { scope: autosaveScope, key: autosaveKey, items: null } : null;
+    flushDraft();
+
+    if (typeof onMeta === "function") onMeta(computeMeta(items));
+    onSave({ transcriptSrt, transcriptText, segments: segs });
   };
 
 useImperativeHandle(ref, () => ({
@@ -432,6 +707,9 @@ useImperativeHandle(ref, () => ({
     return segmentsToPlainText(segs);
   },
   getSegments: () => itemsToSegments(items),
+  reflow,
+  undo,
+  redo,
 }));
 
 
@@ -459,16 +737,71 @@ useImperativeHandle(ref, () => ({
   }
 
   return (
-    <SRTEditorWrapper ref={listRef} style={{ maxHeight }}>
+    <>
+    {waveform ? (
+      <WaveformTimeline
+        scope={waveform.scope}
+        threadId={waveform.threadId}
+        clientFileId={waveform.clientFileId}
+        segments={waveSegments}
+        currentTime={currentTime}
+        selectedIndex={selectedIndex}
+        activeIndex={activeIndex}
+        disabled={disabled}
+        onSeek={onSeek}
+        onSelect={handleRowSeek}
+        onRetime={retimeItem}
+      />
+    ) : null}
+    <SRTEditorWrapper
+      ref={listRef}
+      style={{ maxHeight }}
+      tabIndex={0}
+      onKeyDown={handleEditorKeyDown}
+      title="Ctrl/⌘+Z undo • Ctrl/⌘+Shift+Z redo • Alt+←/→ nudge start • Alt+Shift+←/→ nudge end"
+    >
+      {speakers.length ? (
+        <SpeakerBar title="Double click a speaker to rename it • rename to an existing name to merge speakers">
+          {speakers.map((sp) => {
+            const domId = `srt-speaker-${sp.name}`;
+            return (
+              <SpeakerChip
+                key={sp.name}
+                id={domId}
+                suppressContentEditableWarning
+                contentEditable={!disabled && editingId === `speaker:${sp.name}`}
+                onDoubleClick={(e) => {
+                  if (disabled) return;
+                  e.stopPropagation();
+                  setEditingId(`speaker:${sp.name}`);
+                  focusEditableById(domId);
+                }}
+                onKeyDown={handleTimeKeyDown}
+                onBlur={(e) => {
+                  if (disabled) return;
+                  const v = String(e?.currentTarget?.innerText || "").trim();
+                  setEditingId(null);
+                  if (v) renameSpeaker(sp.name, v);
+                }}
+              >
+                {editingId === `speaker:${sp.name}` ? sp.name : `${sp.name} (${sp.count})`}
+              </SpeakerChip>
+            );
+          })}
+        </SpeakerBar>
+      ) : null}
+
       {items.map((item, i) => {
         const highlighted = i === activeIndex;
 
         const startDomId = `srt-start-${i}`;
         const endDomId = `srt-end-${i}`;
         const textDomId = `srt-text-${i}`;
+        const speakerDomId = `srt-row-speaker-${i}`;
 
         const startOk = parseTimecodeToSeconds(item.start) != null;
         const endOk = parseTimecodeToSeconds(item.end) != null;
+        const issues = rowIssues[i] || [];
 
         return (
           <SRTItem
@@ -476,6 +809,7 @@ useImperativeHandle(ref, () => ({
             id={`srt-item-${i}`}
             newItem={!!item._flash}
             isHighlighted={highlighted}
+            $selected={i === selectedIndex}
             $disabled={disabled}
             onClick={() => handleRowSeek(i)}
             title={disabled ? "Transcription is running" : "Click row to seek • Double click fields to edit"}
@@ -531,6 +865,39 @@ useImperativeHandle(ref, () => ({
               >
                 {item.end}
               </span>
+
+              {speakers.length ? (
+                <RowSpeaker
+                  id={speakerDomId}
+                  suppressContentEditableWarning
+                  contentEditable={!disabled && editingId === `row-speaker-${i}`}
+                  title="Double click to set this cue's speaker"
+                  onDoubleClick={(e) => {
+                    if (disabled) return;
+                    e.stopPropagation();
+                    setEditingId(`row-speaker-${i}`);
+                    focusEditableById(speakerDomId);
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                  onKeyDown={handleTimeKeyDown}
+                  onBlur={(e) => {
+                    if (disabled) return;
+                    const v = String(e?.currentTarget?.innerText || "").trim();
+                    patchItem(i, { speaker: v === "—" ? "" : v }, null);
+                    setEditingId(null);
+                  }}
+                >
+                  {item.speaker || "—"}
+                </RowSpeaker>
+              ) : null}
+
+              {issues.length ? (
+                <SpecFlags title={issues.map((x) => x.message).join("\n")}>
+                  {issues.map((x) => (
+                    <SpecFlag key={x.code}>{x.short}</SpecFlag>
+                  ))}
+                </SpecFlags>
+              ) : null}
             </Timestamp>
 
             {/* Subtitle Text */}
@@ -552,7 +919,11 @@ useImperativeHandle(ref, () => ({
                 setEditingId(null);
               }}
             >
-              {item.text}
+              {highlighted && editingId !== `text-${i}` ? (
+                <KaraokeText seg={{ ...itemsToRowSegments([item])[0], words: item.words }} currentTime={currentTime} />
+              ) : (
+                item.text
+              )}
             </SRTText>
 
             {/* Hover buttons (old vibe) */}
@@ -607,10 +978,24 @@ useImperativeHandle(ref, () => ({
             >
               Merge
             </MergeButton>
+
+            <SplitButton
+              className="split-btn"
+              onClick={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handleSplit(i);
+              }}
+              disabled={disabled || String(item.text || "").trim().split(/\s+/).length < 2}
+              title="Split in two"
+            >
+              Split
+            </SplitButton>
           </SRTItem>
         );
       })}
     </SRTEditorWrapper>
+    </>
   );
 });
 
@@ -697,10 +1082,14 @@ const SRTItem = styled.div`
   &:hover button.add2-btn {
     display: block;
   }
-  &:hover button.merge-btn {
+  &:hover button.merge-btn,
+  &:hover button.split-btn {
     display: block;
   }
 
+  /* keyboard target (Alt+←/→ nudges) */
+  box-shadow: ${(p) => (p.$selected ? "inset 0 0 0 1px rgba(16, 116, 196, 0.35)" : "none")};
+
   @media(max-width: 786px){
     padding: 2px 4px 4px 8px;
   }
@@ -755,6 +1144,73 @@ const Timestamp = styled.div`
   }
 `;
 
+const SpeakerBar = styled.div`
+  position: sticky;
+  top: -8px;
+  z-index: 2;
+  display: flex;
+  flex-wrap: wrap;
+  gap: 4px;
+  padding: 4px 0;
+  background-color: #f7f9fc;
+`;
+
+const SpeakerChip = styled.div`
+  font-size: 0.72rem;
+  font-weight: 700;
+  color: #1074c4;
+  background: rgba(16, 116, 196, 0.08);
+  border: 1px solid rgba(16, 116, 196, 0.22);
+  border-radius: 999px;
+  padding: 1px 8px;
+  cursor: default;
+  user-select: none;
+
+  &[contenteditable="true"] {
+    user-select: text;
+    outline: 2px solid rgba(16, 116, 196, 0.35);
+    background: rgba(255, 255, 255, 0.9);
+  }
+`;
+
+const RowSpeaker = styled.div`
+  margin: 2px 0 0 10px;
+  text-indent: 0;
+  font-size: 0.75em;
+  font-weight: 700;
+  color: #1074c4;
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+
+  &[contenteditable="true"] {
+    user-select: text;
+    outline: 2px solid rgba(16, 116, 196, 0.35);
+    border-radius: 6px;
+    padding: 2px 6px;
+    background: rgba(255, 255, 255, 0.8);
+  }
+`;
+
+const SpecFlags = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 2px;
+  margin: 2px 0 0 10px;
+  text-indent: 0;
+`;
+
+const SpecFlag = styled.div`
+  font-size: 0.7em;
+  font-weight: 700;
+  color: #b42318;
+  background: rgba(180, 35, 24, 0.08);
+  border: 1px solid rgba(180, 35, 24, 0.22);
+  border-radius: 999px;
+  padding: 0 5px;
+  white-space: nowrap;
+`;
+
 const SRTText = styled.div`
   flex: 3;
   padding: 5px;
@@ -864,3 +1320,26 @@ const MergeButton = styled.button`
     cursor: not-allowed;
   }
 `;
+
+const SplitButton = styled.button`
+  display: none;
+  position: absolute;
+  top: 0;
+  left: 0;
+  background-color: #99c2ee;
+  padding: 0px 6px;
+  margin-top: 42px;
+  margin-left: 78px;
+  font-size: 0.6rem;
+  border: 0;
+  border-radius: 4px;
+
+  &.split-btn {
+    cursor: pointer;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
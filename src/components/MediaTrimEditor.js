@@ -0,0 +1,388 @@
+// components/MediaTrimEditor.js
+import { useRef, useState } from "react";
+import styled from "styled-components";
+import * as MediaTrimImport from "../shared/mediaTrim";
+const MediaTrim = (MediaTrimImport && (MediaTrimImport.default || MediaTrimImport)) || {};
+
+// length of a range added at the playhead (shorter when the next range is closer)
+const NEW_RANGE_SECONDS = 10;
+
+function fmtTime(seconds) {
+  const x = Math.max(0, Number(seconds || 0) || 0);
+  const m = Math.floor(x / 60);
+  const s = x - m * 60;
+  return `${m}:${s.toFixed(1).padStart(4, "0")}`;
+}
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+// Keep-range editor for one draft file (controlled). ranges are on the ORIGINAL timeline; null = whole file.
+// The parent feeds onChange into its token estimate and hands the final ranges to trimDraftMedia.
+export default function MediaTrimEditor({
+  src,
+  isVideo,
+  name,
+  durationSeconds,
+  ranges,
+  estimateText,
+  busy,
+  onChange,
+  onApply,
+  onClose,
+}) {
+  const mediaRef = useRef(null);
+  const barRef = useRef(null);
+  const dragRef = useRef(null); // { index, edge: "start" | "end" }
+
+  const [metaSeconds, setMetaSeconds] = useState(0);
+  const [time, setTime] = useState(0);
+  const [selected, setSelected] = useState(0);
+
+  const total = Number(durationSeconds) > 0 ? Number(durationSeconds) : metaSeconds;
+  const list = Array.isArray(ranges) ? ranges : total ? [{ start: 0, end: total }] : [];
+  const sel = clamp(selected, 0, Math.max(0, list.length - 1));
+  const kept = MediaTrim.keptSeconds(list, total);
+  const pct = (t) => (total ? `${clamp((t / total) * 100, 0, 100)}%` : "0%");
+
+  const emit = (next) => {
+    if (typeof onChange === "function") onChange(MediaTrim.normalizeKeepRanges(next, total));
+  };
+
+  const seek = (t) => {
+    const el = mediaRef.current;
+    if (!el || !total) return;
+    const x = clamp(t, 0, total);
+    try {
+      el.currentTime = x;
+    } catch {}
+    setTime(x);
+  };
+
+  const timeAtClientX = (clientX) => {
+    const rect = barRef.current?.getBoundingClientRect();
+    if (!rect || !rect.width || !total) return 0;
+    return clamp(((clientX - rect.left) / rect.width) * total, 0, total);
+  };
+
+  // handle drag: stays between the neighbouring ranges and keeps the minimum length
+  const moveEdge = (index, edge, t) => {
+    const next = list.map((r) => ({ ...r }));
+    const r = next[index];
+    if (!r) return;
+    const min = MediaTrim.MIN_RANGE_SECONDS;
+
+    if (edge === "start") {
+      const lo = index > 0 ? next[index - 1].end : 0;
+      r.start = clamp(t, lo, r.end - min);
+    } else {
+      const hi = index < next.length - 1 ? next[index + 1].start : total;
+      r.end = clamp(t, r.start + min, hi);
+    }
+    if (typeof onChange === "function") onChange(next);
+  };
+
+  const onHandleDown = (index, edge) => (e) => {
+    e.stopPropagation();
+    if (busy) return;
+    dragRef.current = { index, edge };
+    setSelected(index);
+    try {
+      e.currentTarget.setPointerCapture(e.pointerId);
+    } catch {}
+  };
+
+  const onHandleMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const t = timeAtClientX(e.clientX);
+    moveEdge(d.index, d.edge, t);
+    seek(t);
+  };
+
+  const onHandleUp = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    emit(list);
+  };
+
+  const setIn = () => {
+    const r = list[sel];
+    if (!r) return;
+    emit(list.map((x, i) => (i === sel ? { start: Math.min(time, r.end - MediaTrim.MIN_RANGE_SECONDS), end: r.end } : x)));
+  };
+
+  const setOut = () => {
+    const r = list[sel];
+    if (!r) return;
+    emit(list.map((x, i) => (i === sel ? { start: r.start, end: Math.max(time, r.start + MediaTrim.MIN_RANGE_SECONDS) } : x)));
+  };
+
+  const addRange = () => {
+    if (!total) return;
+    const inside = list.findIndex((r) => time >= r.start && time <= r.end);
+    if (inside >= 0) return setSelected(inside);
+
+    const nextStart = list.find((r) => r.start > time)?.start ?? total;
+    const end = Math.min(nextStart, time + NEW_RANGE_SECONDS);
+    if (end - time < MediaTrim.MIN_RANGE_SECONDS) return;
+
+    const next = [...list, { start: time, end }].sort((a, b) => a.start - b.start);
+    setSelected(next.findIndex((r) => r.start === time));
+    emit(next);
+  };
+
+  const removeRange = () => {
+    if (list.length <= 1) return;
+    setSelected(Math.max(0, sel - 1));
+    emit(list.filter((_, i) => i !== sel));
+  };
+
+  const reset = () => {
+    setSelected(0);
+    if (typeof onChange === "function") onChange(null);
+  };
+
+  const Player = isVideo ? Video : Audio;
+
+  return (
+    <Wrap>
+      <Head>
+        <Title title={name || ""}>✂ Trim {name ? `“${name}”` : "media"}</Title>
+        <Close type="button" title="Close without trimming" onClick={onClose} disabled={busy}>
+          ✕
+        </Close>
+      </Head>
+
+      <Player
+        ref={mediaRef}
+        src={src}
+        controls
+        playsInline
+        preload="metadata"
+        onLoadedMetadata={(e) => {
+          const d = Number(e.currentTarget.duration);
+          if (Number.isFinite(d) && d > 0) setMetaSeconds(d);
+        }}
+        onTimeUpdate={(e) => setTime(Number(e.currentTarget.currentTime || 0))}
+      />
+
+      <Bar ref={barRef} onPointerDown={(e) => seek(timeAtClientX(e.clientX))} aria-label="Keep ranges">
+        {list.map((r, i) => (
+          <Keep
+            key={i}
+            $on={i === sel}
+            style={{ left: pct(r.start), width: `calc(${pct(r.end)} - ${pct(r.start)})` }}
+            onPointerDown={(e) => {
+              e.stopPropagation();
+              setSelected(i);
+              seek(timeAtClientX(e.clientX));
+            }}
+            title={`${fmtTime(r.start)} – ${fmtTime(r.end)}`}
+          >
+            <Handle
+              $edge="start"
+              onPointerDown={onHandleDown(i, "start")}
+              onPointerMove={onHandleMove}
+              onPointerUp={onHandleUp}
+              onPointerCancel={onHandleUp}
+            />
+            <Handle
+              $edge="end"
+              onPointerDown={onHandleDown(i, "end")}
+              onPointerMove={onHandleMove}
+              onPointerUp={onHandleUp}
+              onPointerCancel={onHandleUp}
+            />
+          </Keep>
+        ))}
+        <Playhead style={{ left: pct(time) }} />
+      </Bar>
+
+      <Row>
+        <Btn type="button" onClick={setIn} disabled={busy || !list.length} title="Start the selected range at the playhead">
+          [ In {fmtTime(time)}
+        </Btn>
+        <Btn type="button" onClick={setOut} disabled={busy || !list.length} title="End the selected range at the playhead">
+          Out {fmtTime(time)} ]
+        </Btn>
+        <Btn type="button" onClick={addRange} disabled={busy || !total} title="Keep another part, starting at the playhead">
+          + Range
+        </Btn>
+        <Btn type="button" onClick={removeRange} disabled={busy || list.length <= 1} title="Drop the selected range">
+          − Range
+        </Btn>
+        <Btn type="button" onClick={reset} disabled={busy || !Array.isArray(ranges)} title="Keep the whole file">
+          Reset
+        </Btn>
+      </Row>
+
+      <Foot>
+        <Info>
+          Keeping <b>{fmtTime(kept)}</b> of {fmtTime(total)} • {list.length} range{list.length === 1 ? "" : "s"}
+          {estimateText ? ` • ${estimateText}` : ""}
+        </Info>
+        <ApplyBtn type="button" onClick={() => onApply(MediaTrim.normalizeKeepRanges(list, total))} disabled={busy || !list.length}>
+          {busy ? "Trimming…" : "Apply trim"}
+        </ApplyBtn>
+      </Foot>
+    </Wrap>
+  );
+}
+
+const Wrap = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  padding: 12px;
+  margin-bottom: 10px;
+  border: 1px solid var(--border);
+  border-radius: 14px;
+  background: var(--panel);
+`;
+
+const Head = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 10px;
+`;
+
+const Title = styled.div`
+  font-size: 12px;
+  font-weight: 950;
+  color: var(--text);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const Close = styled.button`
+  border: 0;
+  background: transparent;
+  color: var(--muted);
+  font-size: 12px;
+  cursor: pointer;
+
+  &:hover:enabled {
+    color: var(--text);
+  }
+`;
+
+const Video = styled.video`
+  width: 100%;
+  max-height: 220px;
+  border-radius: 10px;
+  background: #000;
+`;
+
+const Audio = styled.audio`
+  width: 100%;
+`;
+
+const Bar = styled.div`
+  position: relative;
+  height: 28px;
+  border-radius: 8px;
+  background: var(--hover);
+  cursor: pointer;
+  touch-action: none;
+`;
+
+const Keep = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  border-radius: 6px;
+  background: ${(p) => (p.$on ? "rgba(239,68,68,0.28)" : "rgba(239,68,68,0.14)")};
+  border: 1px solid ${(p) => (p.$on ? "var(--accent)" : "rgba(239,68,68,0.35)")};
+`;
+
+const Handle = styled.div`
+  position: absolute;
+  top: -2px;
+  bottom: -2px;
+  width: 8px;
+  ${(p) => (p.$edge === "start" ? "left: -4px;" : "right: -4px;")}
+  border-radius: 3px;
+  background: var(--accent);
+  cursor: ew-resize;
+`;
+
+const Playhead = styled.div`
+  position: absolute;
+  top: -3px;
+  bottom: -3px;
+  width: 2px;
+  margin-left: -1px;
+  background: var(--text);
+  pointer-events: none;
+`;
+
+const Row = styled.div`
+  display: flex;
+  gap: 6px;
+  flex-wrap: wrap;
+`;
+
+const Btn = styled.button`
+  height: 28px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 900;
+  padding: 0 10px;
+  cursor: pointer;
+  font-variant-numeric: tabular-nums;
+
+  &:hover:enabled {
+    background: var(--hover);
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Foot = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 10px;
+  flex-wrap: wrap;
+`;
+
+const Info = styled.div`
+  font-size: 11px;
+  color: var(--muted);
+  font-variant-numeric: tabular-nums;
+
+  b {
+    color: var(--text);
+  }
+`;
+
+const ApplyBtn = styled.button`
+  height: 30px;
+  border-radius: 999px;
+  border: 1px solid rgba(239, 68, 68, 0.25);
+  background: rgba(239, 68, 68, 0.08);
+  color: var(--accent);
+  font-size: 12px;
+  font-weight: 950;
+  padding: 0 14px;
+  cursor: pointer;
+
+  &:hover:enabled {
+    background: rgba(239, 68, 68, 0.12);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
@@ -0,0 +1,280 @@
+// components/MuxSubtitlesPanel.js
+import { useEffect, useRef, useState } from "react";
+import styled from "styled-components";
+import { toast } from "sonner";
+import { useFfmpeg } from "../contexts/FfmpegContext";
+import { getLocalMedia } from "../lib/mediaStore";
+import { safeLangKey } from "../lib/langKey";
+import * as SubtitleMuxImport from "../shared/subtitleMux";
+const SubtitleMux = (SubtitleMuxImport && (SubtitleMuxImport.default || SubtitleMuxImport)) || {};
+import * as SubsImport from "../shared/subtitleFormats";
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+
+const CONTAINERS = Object.values(SubtitleMux.CONTAINERS || {});
+
+function revoke(url) {
+  if (!url) return;
+  try {
+    URL.revokeObjectURL(url);
+  } catch {}
+}
+
+// stream tags for one track: language from the langKey-normalized code, title from the catalog label
+function trackTags(track, containerId) {
+  const key = safeLangKey(track?.lang) || "";
+  return {
+    language: SubtitleMux.containerLanguage(key, containerId),
+    title: SubtitleMux.languageTitle(key) || String(track?.label || ""),
+  };
+}
+
+// Muxes the chosen tracks into the item's locally stored video as selectable subtitle streams (MP4 / MKV).
+// tracks: [{ id, label, lang, segments }] — same list as BurnSubtitlesPanel. Nothing is uploaded.
+export default function MuxSubtitlesPanel({ scope, threadId, clientFileId, tracks, baseName, durationSeconds }) {
+  const { muxSubtitlesIntoVideo } = useFfmpeg();
+
+  const list = Array.isArray(tracks) ? tracks.filter((t) => Array.isArray(t?.segments) && t.segments.length) : [];
+
+  const [off, setOff] = useState({}); // trackId -> true when unticked (new tracks start ticked)
+  const [container, setContainer] = useState(SubtitleMux.DEFAULT_CONTAINER);
+  const [phase, setPhase] = useState("idle"); // idle | muxing | done
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null); // { url, name, bytes }
+
+  const urlRef = useRef("");
+  useEffect(() => () => revoke(urlRef.current), []);
+
+  const picked = list.filter((t) => !off[t.id]);
+  const muxing = phase === "muxing";
+
+  const onExport = async () => {
+    if (!picked.length || muxing) return;
+
+    setError("");
+    setProgress(0);
+    setPhase("muxing");
+
+    try {
+      const file = scope && clientFileId ? await getLocalMedia(scope, threadId, clientFileId) : null;
+      if (!(file instanceof Blob)) {
+        throw new Error("The original video isn’t stored in this browser — export only works where it was uploaded.");
+      }
+      if (!String(file.type || "").startsWith("video/")) {
+        throw new Error("This item is audio-only — there’s no video to add subtitle tracks to.");
+      }
+
+      const name = SubtitleMux.muxOutputName(baseName, container);
+      const out = await muxSubtitlesIntoVideo(file, {
+        tracks: picked.map((t) => ({ srt: Subs.segmentsToSrt(t.segments), ...trackTags(t, container) })),
+        container,
+        filename: name,
+        durationSeconds,
+        onProgress: (p) => setProgress(p),
+      });
+
+      revoke(urlRef.current);
+      urlRef.current = out.url;
+      setResult({ url: out.url, name, bytes: out.blob.size });
+      setPhase("done");
+      toast.success(`${picked.length} subtitle track${picked.length === 1 ? "" : "s"} added`);
+    } catch (err) {
+      console.error("[mux] failed", err);
+      setError(err?.message || "Export failed");
+      setPhase(result ? "done" : "idle");
+    }
+  };
+
+  if (!list.length) return null;
+
+  return (
+    <Wrap>
+      <Head>Subtitle tracks (soft, selectable in the player)</Head>
+
+      <Tracks>
+        {list.map((t) => {
+          const tags = trackTags(t, container);
+          return (
+            <TrackRow key={t.id}>
+              <input
+                type="checkbox"
+                checked={!off[t.id]}
+                disabled={muxing}
+                onChange={(e) => setOff((p) => ({ ...(p || {}), [t.id]: !e.target.checked }))}
+              />
+              <span>{t.label}</span>
+              <Tag title={tags.title}>{tags.language}</Tag>
+              {picked[0]?.id === t.id ? <Tag title="Shown by default">default</Tag> : null}
+              {tags.language === "und" ? <Hint>language unknown</Hint> : null}
+            </TrackRow>
+          );
+        })}
+      </Tracks>
+
+      <Row>
+        <Select value={container} onChange={(e) => setContainer(e.target.value)} disabled={muxing}>
+          {CONTAINERS.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.label}
+            </option>
+          ))}
+        </Select>
+
+        <ExportBtn type="button" onClick={onExport} disabled={muxing || !picked.length}>
+          {muxing ? `Muxing ${Math.round(progress * 100)}%` : `Export with ${picked.length} track${picked.length === 1 ? "" : "s"}`}
+        </ExportBtn>
+      </Row>
+
+      {muxing ? (
+        <Bar aria-label="Export progress">
+          <BarFill style={{ width: `${Math.round(progress * 100)}%` }} />
+        </Bar>
+      ) : null}
+
+      {error ? <Err>{error}</Err> : null}
+
+      {result && !muxing ? (
+        <Done>
+          <span>
+            {result.name} • {(result.bytes / (1024 * 1024)).toFixed(1)} MB
+          </span>
+          <DownloadLink href={result.url} download={result.name}>
+            Download
+          </DownloadLink>
+        </Done>
+      ) : null}
+    </Wrap>
+  );
+}
+
+const Wrap = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  padding-top: 12px;
+  border-top: 1px solid var(--border);
+`;
+
+const Head = styled.div`
+  font-size: 11px;
+  font-weight: 950;
+  color: var(--muted);
+`;
+
+const Tracks = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const TrackRow = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 12px;
+  font-weight: 800;
+  color: var(--text);
+  cursor: pointer;
+`;
+
+const Tag = styled.span`
+  font-size: 10px;
+  font-weight: 950;
+  color: var(--muted);
+  border: 1px solid var(--border);
+  border-radius: 999px;
+  padding: 1px 6px;
+`;
+
+const Hint = styled.span`
+  font-size: 11px;
+  color: var(--muted);
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  flex-wrap: wrap;
+`;
+
+const Select = styled.select`
+  height: 32px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 12px;
+  font-weight: 800;
+  padding: 0 8px;
+`;
+
+const ExportBtn = styled.button`
+  height: 32px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 12px;
+  font-weight: 950;
+  padding: 0 14px;
+  cursor: pointer;
+  font-variant-numeric: tabular-nums;
+
+  &:hover:enabled {
+    background: var(--hover);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Bar = styled.div`
+  height: 6px;
+  border-radius: 999px;
+  background: var(--hover);
+  overflow: hidden;
+`;
+
+const BarFill = styled.div`
+  height: 100%;
+  background: var(--accent);
+  transition: width 200ms linear;
+`;
+
+const Err = styled.div`
+  font-size: 12px;
+  font-weight: 800;
+  color: var(--accent);
+`;
+
+const Done = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 10px;
+  flex-wrap: wrap;
+  font-size: 12px;
+  font-weight: 800;
+  color: var(--text);
+`;
+
+const DownloadLink = styled.a`
+  height: 30px;
+  display: inline-flex;
+  align-items: center;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 950;
+  padding: 0 12px;
+  text-decoration: none;
+
+  &:hover {
+    background: var(--hover);
+  }
+`;
@@ -0,0 +1,242 @@
+// components/StructuredSummaryView.js
+import styled from "styled-components";
+import * as SummaryImport from "../shared/summaryTemplates";
+const Summary = (SummaryImport && (SummaryImport.default || SummaryImport)) || {};
+
+function TimeChip({ start, onSeek }) {
+  if (start == null) return null;
+  return (
+    <Chip type="button" onClick={() => onSeek?.(start)} title="Seek to this moment">
+      {Summary.formatClock(start)}
+    </Chip>
+  );
+}
+
+// index of the last entry that started at/before t (chapters/topics: "you are here")
+function currentIndex(entries, t) {
+  let at = -1;
+  entries.forEach((e, i) => {
+    if (e.start != null && e.start <= t) at = i;
+  });
+  return at;
+}
+
+// Renders one normalized structured summary (shared/summaryTemplates.js shapes) with click-to-seek times.
+export default function StructuredSummaryView({ data, currentTime = 0, onSeek }) {
+  if (!data) return null;
+  const t = Number(currentTime || 0);
+
+  if (data.template === "chapters") {
+    const cur = currentIndex(data.chapters, t);
+    return (
+      <Wrap>
+        {data.chapters.map((c, i) => (
+          <Line key={`${c.start}|${i}`} $active={i === cur}>
+            <TimeChip start={c.start} onSeek={onSeek} />
+            <Strong dir="auto">{c.title}</Strong>
+          </Line>
+        ))}
+        {data.chapters.length < 3 ? <Muted>YouTube needs at least 3 chapters to show them.</Muted> : null}
+      </Wrap>
+    );
+  }
+
+  if (data.template === "minutes") {
+    return (
+      <Wrap>
+        {data.title ? <Title dir="auto">{data.title}</Title> : null}
+        {data.overview ? <Para dir="auto">{data.overview}</Para> : null}
+        {data.attendees.length ? <Muted>Attendees: {data.attendees.join(", ")}</Muted> : null}
+
+        {data.decisions.length ? (
+          <>
+            <Section>Decisions</Section>
+            {data.decisions.map((d, i) => (
+              <Line key={`d${i}`}>
+                <TimeChip start={d.start} onSeek={onSeek} />
+                <span dir="auto">{d.text}</span>
+              </Line>
+            ))}
+          </>
+        ) : null}
+
+        {data.actionItems.length ? (
+          <>
+            <Section>Action items</Section>
+            {data.actionItems.map((a, i) => (
+              <Line key={`a${i}`}>
+                <TimeChip start={a.start} onSeek={onSeek} />
+                <span dir="auto">{a.task}</span>
+                {a.owner ? <Owner>{a.owner}</Owner> : null}
+                {a.due ? <Muted>due {a.due}</Muted> : null}
+              </Line>
+            ))}
+          </>
+        ) : null}
+      </Wrap>
+    );
+  }
+
+  if (data.template === "quotes") {
+    return (
+      <Wrap>
+        {data.quotes.map((q, i) => {
+          const active = q.start != null && t >= q.start && t < (q.end ?? q.start + 5);
+          return (
+            <Quote key={`q${i}`} $active={active}>
+              <span dir="auto">“{q.text}”</span>
+              <QuoteBy>
+                {q.speaker ? <span>{q.speaker}</span> : null}
+                <TimeChip start={q.start} onSeek={onSeek} />
+              </QuoteBy>
+            </Quote>
+          );
+        })}
+      </Wrap>
+    );
+  }
+
+  if (data.template === "shownotes") {
+    const cur = currentIndex(data.topics, t);
+    return (
+      <Wrap>
+        {data.title ? <Title dir="auto">{data.title}</Title> : null}
+        {data.description ? <Para dir="auto">{data.description}</Para> : null}
+
+        {data.topics.length ? <Section>Topics</Section> : null}
+        {data.topics.map((tp, i) => (
+          <Topic key={`t${i}`} $active={i === cur}>
+            <Line>
+              <TimeChip start={tp.start} onSeek={onSeek} />
+              <Strong dir="auto">{tp.title}</Strong>
+            </Line>
+            {tp.notes ? <Para dir="auto">{tp.notes}</Para> : null}
+          </Topic>
+        ))}
+
+        {data.links.length ? <Section>Links</Section> : null}
+        {data.links.map((l, i) => (
+          <Line key={`l${i}`}>
+            <a href={l.url} target="_blank" rel="noopener noreferrer">
+              {l.label || l.url}
+            </a>
+          </Line>
+        ))}
+      </Wrap>
+    );
+  }
+
+  return (
+    <Wrap>
+      {data.bullets.map((b, i) => (
+        <Line key={`b${i}`}>
+          <Bullet>•</Bullet>
+          <TimeChip start={b.start} onSeek={onSeek} />
+          <span dir="auto">{b.text}</span>
+        </Line>
+      ))}
+    </Wrap>
+  );
+}
+
+const Wrap = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  font-size: 13px;
+  line-height: 1.5;
+  color: var(--text);
+`;
+
+const Line = styled.div`
+  display: flex;
+  align-items: baseline;
+  flex-wrap: wrap;
+  gap: 8px;
+  padding: 2px 4px;
+  border-radius: 8px;
+  background: ${(p) => (p.$active ? "rgba(16, 116, 196, 0.06)" : "transparent")};
+`;
+
+const Chip = styled.button`
+  flex: 0 0 auto;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  color: var(--text);
+  border-radius: 999px;
+  padding: 0 8px;
+  font-size: 11px;
+  font-weight: 900;
+  font-variant-numeric: tabular-nums;
+  cursor: pointer;
+
+  &:hover {
+    border-color: rgba(16, 116, 196, 0.45);
+  }
+`;
+
+const Title = styled.div`
+  font-size: 14px;
+  font-weight: 950;
+`;
+
+const Section = styled.div`
+  margin-top: 6px;
+  font-size: 11px;
+  font-weight: 950;
+  color: var(--muted);
+  text-transform: uppercase;
+  letter-spacing: 0.04em;
+`;
+
+const Strong = styled.span`
+  font-weight: 800;
+`;
+
+const Para = styled.div`
+  white-space: pre-wrap;
+`;
+
+const Muted = styled.span`
+  font-size: 11px;
+  font-weight: 800;
+  color: var(--muted);
+`;
+
+const Owner = styled.span`
+  font-size: 11px;
+  font-weight: 900;
+  color: var(--accent);
+  background: rgba(239, 68, 68, 0.08);
+  border-radius: 999px;
+  padding: 0 8px;
+`;
+
+const Bullet = styled.span`
+  color: var(--muted);
+`;
+
+const Quote = styled.div`
+  border-left: 3px solid ${(p) => (p.$active ? "rgba(16, 116, 196, 0.6)" : "var(--border)")};
+  padding: 2px 0 2px 10px;
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+`;
+
+const QuoteBy = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 11px;
+  font-weight: 800;
+  color: var(--muted);
+`;
+
+const Topic = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+  border-radius: 8px;
+  background: ${(p) => (p.$active ? "rgba(16, 116, 196, 0.06)" : "transparent")};
+`;
@@ -7,6 +7,16 @@ import { useAuth } from "../contexts/AuthContext";
 import { getLocalMedia } from "../lib/mediaStore";
 import { createPortal } from "react-dom";
 import { makeScope } from "@/lib/scopeKey";
+import { getGlossary, putGlossary, deleteGlossary } from "../lib/glossaryStore";
+import {
+  getTranslationGlossary,
+  putTranslationGlossary,
+  deleteTranslationGlossary,
+  onTranslationGlossaryChanged,
+} from "../lib/translationGlossaryStore";
+import TranslationGlossaryEditor from "./TranslationGlossaryEditor";
+import AudioRecorder from "./AudioRecorder";
+import MediaTrimEditor from "./MediaTrimEditor";
 
 import * as CatalogImport from "../shared/transcriptionCatalog";
 import * as BillingImport from "../shared/billingCatalog";
@@ -14,6 +24,8 @@ import * as TranslationImport from "../shared/translationCatalog";
 import * as TrBillingImport from "../shared/translationBillingCatalog";
 import * as SummarizationImport from "../shared/summarizationCatalog";
 import * as SumBillingImport from "../shared/summarizationBillingCatalog";
+import * as TrGlossaryImport from "../shared/translationGlossary";
+import * as MediaTrimImport from "../shared/mediaTrim";
 
 const TrBilling = (TrBillingImport && (TrBillingImport.default || TrBillingImport)) || {};
 const {
@@ -33,6 +45,7 @@ const TranslationCatalog =
 const {
   DEFAULTS: TR_DEFAULTS,
   getModels: getTrModels,
+  getModelsForLanguages: getTrModelsForLanguages,
   getSourceLanguages,
   getTargetLanguages,
 } = TranslationCatalog;
@@ -44,17 +57,31 @@ const {
   DEFAULTS: SUM_DEFAULTS,
   getModels: getSumModels,
   getModelById: getSumModelById,
+  getTemplates: getSumTemplates,
 } = SummarizationCatalog;
 
 
 const Billing = (BillingImport && (BillingImport.default || BillingImport)) || {};
-const { estimateTokensForRun, tokensToUsd, PRICING_VERSION } = Billing;
+const { estimateTokensForRun, estimateTokensForSeconds, tokensToUsd, PRICING_VERSION } = Billing;
 
 const Catalog = (CatalogImport && (CatalogImport.default || CatalogImport)) || {};
-const { LANGUAGES, getModelsForLanguage, getModelById } = Catalog;
+const {
+  LANGUAGES,
+  getModelsForLanguage,
+  getModelById,
+  supportsDiarization,
+  isBrowserModel,
+  isSelfHostedModel,
+  getKeytermLimits,
+  normalizeKeyterms,
+} = Catalog;
 
 const SumBilling = (SumBillingImport && (SumBillingImport.default || SumBillingImport)) || {};
 
+const TrGlossary = (TrGlossaryImport && (TrGlossaryImport.default || TrGlossaryImport)) || {};
+
+const MediaTrim = (MediaTrimImport && (MediaTrimImport.default || MediaTrimImport)) || {};
+
 
 function ensureDraftShape(d) {
   const out = d && typeof d === "object" ? { ...d } : {};
@@ -98,6 +125,32 @@ function safeFiniteSeconds(n) {
   return Number.isFinite(x) && x > 0 && x !== Infinity ? x : null;
 }
 
+// length of the ORIGINAL media behind a draft file (a trimmed upload reports the trimmed length)
+function sourceSecondsFromDraftFile(f, durationsByItemId) {
+  const trim = MediaTrim.getDraftTrim(f);
+  if (trim) return safeFiniteSeconds(trim.sourceDurationSeconds);
+  return durationSecondsFromDraftFile(f) ?? safeFiniteSeconds(durationsByItemId?.[String(f?.itemId || "")]);
+}
+
+// while the trim editor is open, estimates use the kept length of the ranges being edited
+function editedSecondsFromDraftFile(f, trimEdit, durationsByItemId) {
+  if (!trimEdit || String(trimEdit.itemId) !== String(f?.itemId || "") || !Array.isArray(trimEdit.ranges)) return null;
+  const src = sourceSecondsFromDraftFile(f, durationsByItemId);
+  return src != null ? safeFiniteSeconds(MediaTrim.keptSeconds(trimEdit.ranges, src)) : null;
+}
+
+// Be explicit with opts to avoid any “defaults drift”
+function billingRunOpts() {
+  return Billing && typeof Billing.getPublicPricingManifest === "function"
+    ? {
+        quantumSeconds: Billing.BILLING_QUANTUM_SECONDS,
+        minBillableSeconds: Billing.MIN_BILLABLE_SECONDS,
+        tokensOverheadPerItem: Billing.TOKENS_OVERHEAD_PER_ITEM,
+        tokensOverheadPerRun: Billing.TOKENS_OVERHEAD_PER_RUN,
+      }
+    : null;
+}
+
 // Browser-only metadata probe from a media URL (objectURL or remote URL)
 function probeDurationSecondsFromSrc({ src, kind }) {
   if (typeof window === "undefined") return Promise.resolve(null);
@@ -180,6 +233,12 @@ function safeStr(x) {
   return String(x == null ? "" : x);
 }
 
+function fmtClock(seconds) {
+  const s = Math.max(0, Math.floor(Number(seconds || 0)));
+  const m = Math.floor(s / 60);
+  return `${m}:${String(s % 60).padStart(2, "0")}`;
+}
+
 function uniq(arr) {
   return Array.from(new Set((arr || []).map((x) => String(x || "")).filter(Boolean)));
 }
@@ -473,22 +532,43 @@ export default function ThreadComposer({ thread }) {
     addDraftMediaFromFile,
     addDraftMediaFromUrl,
     deleteDraftMedia,
+    trimDraftMedia,
+    setDraftMode,
     startRun,
+    startLiveSession,
+    stopLiveSession,
+    cancelLiveSession,
+    liveRunsByThread,
     wsStatus,
     wsError,
     requestThreadSnapshot,
+    attachDraftTranscript,
+    getDraftTranscriptInfo,
+    removeDraftTranscript,
   } = useThreads();
 
   const { user, isAnonymous, mediaTokens } = useAuth();
 
   const [url, setUrl] = useState("");
+  const [recorderOpen, setRecorderOpen] = useState(false);
+  const [liveNowMs, setLiveNowMs] = useState(0); // clock for the live-session timer
 const [durationsByItemId, setDurationsByItemId] = useState({});
+  const [trimEdit, setTrimEdit] = useState(null); // { itemId, ranges | null } while the trim editor is open
+  const [trimBusyId, setTrimBusyId] = useState(null);
+  const [cutSilence, setCutSilence] = useState(false); // silence cut for the next uploads (shared/silenceCut)
   const [doTranscribe, setDoTranscribe] = useState(true);
   const [doTranslate, setDoTranslate] = useState(false);
   const [doSummarize, setDoSummarize] = useState(false);
 
   const [asrLang, setAsrLang] = useState("auto");
   const [asrModel, setAsrModel] = useState("deepgram_nova3");
+  const [diarize, setDiarize] = useState(false); // speaker labels ("who said what")
+  const canDiarize = typeof supportsDiarization === "function" && supportsDiarization(asrModel);
+
+  // keyterm glossaries (boost terms): textarea text, one term per line / comma
+  const [threadKeyterms, setThreadKeyterms] = useState("");
+  const [accountKeyterms, setAccountKeyterms] = useState("");
+  const keytermLimits = typeof getKeytermLimits === "function" ? getKeytermLimits(asrModel) : null;
 
 const [trSourceLang, setTrSourceLang] = useState(TR_DEFAULTS?.sourceLang || "auto");
 
@@ -497,13 +577,18 @@ const [trTargetLangs, setTrTargetLangs] = useState(() => {
   return uniq((defaults.length ? defaults : ["en"]).filter(Boolean));
 });
 
-const [trModelId, setTrModelId] = useState(TR_DEFAULTS?.modelId || "gpt-4o-mini");
+const [trModelId, setTrModelId] = useState(String(TR_DEFAULTS?.modelId || ""));
 
+// per-thread translation glossary ({ terms, dnt }) + inline editor toggle
+const [trGlossary, setTrGlossary] = useState(null);
+const [trGlossaryOpen, setTrGlossaryOpen] = useState(false);
 
-const [sumModelId, setSumModelId] = useState(() => String(SUM_DEFAULTS?.modelId || "gpt-4o-mini"));
+
+const [sumModelId, setSumModelId] = useState(() => String(SUM_DEFAULTS?.modelId || ""));
 const [sumTargetLang, setSumTargetLang] = useState(() =>
   String(SUM_DEFAULTS?.targetLang || "English")
 );
+const [sumTemplate, setSumTemplate] = useState(() => String(SUM_DEFAULTS?.template || "bullets"));
 
 
   const draft = ensureDraftShape(thread?.draft);
@@ -556,6 +641,85 @@ const [sumTargetLang, setSumTargetLang] = useState(() =>
   }, []);
 
     const scope = useMemo(() => makeScope(user, isAnonymous), [user?.$id, isAnonymous]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const [forThread, forAccount] = await Promise.all([
+          thread?.id ? getGlossary(scope, thread.id) : [],
+          getGlossary(scope, null),
+        ]);
+        if (cancelled) return;
+        setThreadKeyterms(forThread.join("\n"));
+        setAccountKeyterms(forAccount.join("\n"));
+      } catch {}
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scope, thread?.id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const g = thread?.id ? await getTranslationGlossary(scope, thread.id) : null;
+        if (!cancelled) setTrGlossary(g || null);
+      } catch {}
+    };
+
+    load();
+    const off = onTranslationGlossaryChanged((d) => {
+      if (d?.scope === scope && String(d?.threadId || "") === String(thread?.id || "")) load();
+    });
+
+    return () => {
+      cancelled = true;
+      off();
+    };
+  }, [scope, thread?.id]);
+
+  const saveTrGlossary = async (g) => {
+    if (!thread?.id) return;
+    try {
+      if (TrGlossary.isEmptyGlossary(g)) await deleteTranslationGlossary(scope, thread.id);
+      else await putTranslationGlossary(scope, thread.id, g);
+      toast.success("Glossary saved for this thread.");
+      setTrGlossaryOpen(false);
+    } catch {
+      toast.error("Couldn’t save the glossary in this browser.");
+    }
+  };
+
+  const trGlossaryCount = useMemo(() => {
+    const g = TrGlossary.normalizeTranslationGlossary?.(trGlossary) || { terms: [], dnt: [] };
+    return g.terms.length + g.dnt.length;
+  }, [trGlossary]);
+
+  // threadId = null -> account glossary
+  const saveGlossary = async (threadId, text) => {
+    const terms = typeof normalizeKeyterms === "function" ? normalizeKeyterms(text) : [];
+    try {
+      if (terms.length) await putGlossary(scope, threadId, terms);
+      else await deleteGlossary(scope, threadId);
+    } catch {
+      toast.error("Couldn’t save boost terms in this browser.");
+    }
+  };
+
+  // thread terms first (they win the model's cap), then account terms
+  const glossaryTerms = useMemo(() => {
+    if (typeof normalizeKeyterms !== "function") return [];
+    return normalizeKeyterms([...normalizeKeyterms(threadKeyterms), ...normalizeKeyterms(accountKeyterms)]);
+  }, [threadKeyterms, accountKeyterms]);
+
+  const runKeyterms = useMemo(() => {
+    if (!keytermLimits || typeof normalizeKeyterms !== "function") return [];
+    return normalizeKeyterms(glossaryTerms, asrModel);
+  }, [glossaryTerms, keytermLimits, asrModel]);
     
 
 
@@ -579,6 +743,67 @@ const [sumTargetLang, setSumTargetLang] = useState(() =>
     return (files || []).filter((f) => f?.itemId && isReadyDraftFile(f));
   }, [files]);
 
+  // ✅ imported transcripts (.srt/.vtt attached to a draft file): itemId -> { filename, format, cues, skipped }
+  const [transcriptsByItemId, setTranscriptsByItemId] = useState({});
+  const [transcriptsRev, setTranscriptsRev] = useState(0);
+  const subtitleInputRef = useRef(null);
+  const subtitleTargetRef = useRef(null); // itemId the picker was opened for
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      if (!thread?.id || typeof getDraftTranscriptInfo !== "function") return;
+
+      const next = {};
+      for (const f of files || []) {
+        const itemId = String(f?.itemId || "");
+        if (!itemId) continue;
+        const info = await getDraftTranscriptInfo(thread.id, itemId);
+        if (info) next[itemId] = info;
+      }
+
+      if (!cancelled) setTranscriptsByItemId(next);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [thread?.id, scope, filesPreviewKey, transcriptsRev]);
+
+  const openSubtitlePicker = (itemId) => {
+    subtitleTargetRef.current = String(itemId || "");
+    try {
+      subtitleInputRef.current && subtitleInputRef.current.click();
+    } catch {}
+  };
+
+  const onSubtitlePicked = async (e) => {
+    const picked = e?.target?.files?.[0] || null;
+    if (e?.target) e.target.value = "";
+    const itemId = subtitleTargetRef.current;
+    subtitleTargetRef.current = null;
+    if (!picked || !itemId || !thread?.id) return;
+
+    try {
+      const info = await attachDraftTranscript(thread.id, itemId, picked);
+      if (info) setTranscriptsRev((n) => n + 1);
+    } catch (err) {
+      toast.error(err?.message || `Could not attach ${picked.name || "the subtitle file"}.`);
+    }
+  };
+
+  const onRemoveTranscript = async (itemId) => {
+    if (!thread?.id || !itemId) return;
+    await removeDraftTranscript(thread.id, itemId);
+    setTranscriptsRev((n) => n + 1);
+  };
+
+  const readyImportedCount = useMemo(() => {
+    return readyFiles.filter((f) => transcriptsByItemId[String(f?.itemId || "")]).length;
+  }, [readyFiles, transcriptsByItemId]);
+
   useEffect(() => {
     let cancelled = false;
 
@@ -642,13 +867,19 @@ const [sumTargetLang, setSumTargetLang] = useState(() =>
   }, [files]);
 
   const hasAnyOption = useMemo(() => {
-    return Boolean(doTranscribe || doTranslate || doSummarize);
-  }, [doTranscribe, doTranslate, doSummarize]);
+    // an imported transcript is reason enough to start (the item is created without ASR)
+    return Boolean(doTranscribe || doTranslate || doSummarize || readyImportedCount > 0);
+  }, [doTranscribe, doTranslate, doSummarize, readyImportedCount]);
 
   const threadIsValid = Boolean(thread?.id && thread.id !== "default");
   const wsIsReady = String(wsStatus || "") === "ready";
   const hasReadyMedia = readyFiles.length > 0;
 
+  // "stream" draft mode: Start becomes Go live / Stop (mic -> WS -> live segments, see threadsContext)
+  const liveMode = String(thread?.draft?.mode || "") === "stream";
+  const liveSession = liveRunsByThread?.[String(thread?.id || "")]?.liveSession || null;
+  const liveState = String(liveSession?.state || "");
+
    const billingEstimate = useMemo(() => {
     if (!doTranscribe) return { ok: true, tokens: 0, unknown: 0 };
 
@@ -661,7 +892,9 @@ const [sumTargetLang, setSumTargetLang] = useState(() =>
 
     for (const f of readyFiles) {
       const itemId = String(f?.itemId || "");
-      const d1 = durationSecondsFromDraftFile(f);
+      if (transcriptsByItemId[itemId]) continue; // ✅ imported transcript — no ASR, no transcription cost
+
+      const d1 = editedSecondsFromDraftFile(f, trimEdit, durationsByItemId) ?? durationSecondsFromDraftFile(f);
       const d2 = itemId ? safeFiniteSeconds(durationsByItemId[itemId]) : null;
 
       const sec = d1 != null ? d1 : d2;
@@ -674,21 +907,11 @@ const [sumTargetLang, setSumTargetLang] = useState(() =>
     }
 
     if (unknown) return { ok: false, tokens: null, unknown };
+    if (!items.length) return { ok: true, tokens: 0, unknown: 0 };
 
-    // Be explicit with opts to avoid any “defaults drift”
-    const opts =
-      Billing && typeof Billing.getPublicPricingManifest === "function"
-        ? {
-            quantumSeconds: Billing.BILLING_QUANTUM_SECONDS,
-            minBillableSeconds: Billing.MIN_BILLABLE_SECONDS,
-            tokensOverheadPerItem: Billing.TOKENS_OVERHEAD_PER_ITEM,
-            tokensOverheadPerRun: Billing.TOKENS_OVERHEAD_PER_RUN,
-          }
-        : null;
-
-    const tokens = estimateTokensForRun(items, asrModel, opts);
+    const tokens = estimateTokensForRun(items, asrModel, billingRunOpts());
     return { ok: true, tokens: Number(tokens || 0) || 0, unknown: 0 };
-  }, [doTranscribe, readyFiles, asrModel, durationsByItemId]);
+  }, [doTranscribe, readyFiles, asrModel, durationsByItemId, transcriptsByItemId, trimEdit]);
 
 
 const translationEstimate = useMemo(() => {
@@ -710,7 +933,7 @@ const translationEstimate = useMemo(() => {
 
   for (const f of readyFiles) {
     const itemId = String(f?.itemId || "");
-    const d1 = durationSecondsFromDraftFile(f);
+    const d1 = editedSecondsFromDraftFile(f, trimEdit, durationsByItemId) ?? durationSecondsFromDraftFile(f);
     const d2 = itemId ? safeFiniteSeconds(durationsByItemId?.[itemId]) : null;
     const sec = d1 != null ? d1 : d2;
 
@@ -719,7 +942,7 @@ const translationEstimate = useMemo(() => {
       continue;
     }
 
-    const run = TrBilling.estimateTranslationRunFromDurationSeconds(sec, targets, null);
+    const run = TrBilling.estimateTranslationRunFromDurationSeconds(sec, targets, { modelId: trModelId });
     mediaTokensTotal += Math.max(0, Number(run?.mediaTokens || 0) || 0);
     usdCentsTotal += Math.max(0, Number(run?.usdCents || 0) || 0);
   }
@@ -734,7 +957,7 @@ const translationEstimate = useMemo(() => {
     mediaTokens: mediaTokensTotal,
     usdCents: usdCentsTotal,
   };
-}, [doTranslate, readyFiles, trTargetLangs, durationsByItemId]);
+}, [doTranslate, readyFiles, trTargetLangs, trModelId, durationsByItemId, trimEdit]);
 
 
 // ✅ Summarization estimate (shared deterministic; duration fallback)
@@ -753,7 +976,7 @@ const summarizationEstimate = useMemo(() => {
 
   for (const f of readyFiles) {
     const itemId = String(f?.itemId || "");
-    const d1 = durationSecondsFromDraftFile(f);
+    const d1 = editedSecondsFromDraftFile(f, trimEdit, durationsByItemId) ?? durationSecondsFromDraftFile(f);
     const d2 = itemId ? safeFiniteSeconds(durationsByItemId?.[itemId]) : null;
     const sec = d1 != null ? d1 : d2;
 
@@ -762,7 +985,7 @@ const summarizationEstimate = useMemo(() => {
       continue;
     }
 
-    const run = SumBilling.estimateSummarizationRunFromDurationSeconds(sec, null);
+    const run = SumBilling.estimateSummarizationRunFromDurationSeconds(sec, { modelId: sumModelId });
     mediaTokensTotal += Math.max(0, Number(run?.mediaTokens || 0) || 0);
     usdCentsTotal += Math.max(0, Number(run?.usdCents || 0) || 0);
   }
@@ -777,7 +1000,7 @@ const summarizationEstimate = useMemo(() => {
     mediaTokens: mediaTokensTotal,
     usdCents: usdCentsTotal,
   };
-}, [doSummarize, readyFiles, durationsByItemId]);
+}, [doSummarize, readyFiles, sumModelId, durationsByItemId, trimEdit]);
 
 
 
@@ -790,6 +1013,37 @@ const transcribeMini = useMemo(() => {
   return { show: true, state: "ok", text: formatCompact(need), title };
 }, [doTranscribe, hasReadyMedia, billingEstimate]);
 
+// tokens the trims / silence cuts on ready files save (full source length vs. what gets uploaded)
+const trimSavings = useMemo(() => {
+  if (!doTranscribe || typeof estimateTokensForRun !== "function") return { show: false };
+
+  const full = [];
+  const kept = [];
+  for (const f of readyFiles) {
+    if (transcriptsByItemId[String(f?.itemId || "")]) continue;
+    const trim = MediaTrim.getDraftTrim(f);
+    const src = trim ? safeFiniteSeconds(trim.sourceDurationSeconds) : null;
+    const keep = trim ? safeFiniteSeconds(trim.keptSeconds) : null;
+    if (src == null || keep == null) continue;
+    full.push({ durationSeconds: src });
+    kept.push({ durationSeconds: keep });
+  }
+  if (!full.length) return { show: false };
+
+  const opts = billingRunOpts();
+  const saved =
+    (Number(estimateTokensForRun(full, asrModel, opts) || 0) || 0) -
+    (Number(estimateTokensForRun(kept, asrModel, opts) || 0) || 0);
+  if (saved <= 0) return { show: false };
+
+  const cutSeconds = full.reduce((n, x, i) => n + x.durationSeconds - kept[i].durationSeconds, 0);
+  return {
+    show: true,
+    text: `−${formatCompact(saved)}`,
+    title: `Trimmed / silence-cut audio saves ~${saved} tokens (${fmtClock(cutSeconds)} not transcribed)`,
+  };
+}, [doTranscribe, readyFiles, transcriptsByItemId, asrModel]);
+
 const translateMini = useMemo(() => {
   if (!doTranslate || !hasReadyMedia) return { show: false };
   if (!translationEstimate?.ok) {
@@ -1040,17 +1294,48 @@ useEffect(() => {
     if (rejected.length) toast.error("Only audio/video files are allowed.");
 
     for (const f of allowed) {
-      await addDraftMediaFromFile(thread.id, f);
+      await addDraftMediaFromFile(thread.id, f, { cutSilence });
     }
   };
 
+  const onRecorded = async (file) => {
+    if (!thread?.id || !file) return;
+    await addDraftMediaFromFile(thread.id, file, { origin: "recording", cutSilence });
+  };
+
   const onAddUrl = async () => {
     const clean = String(url || "").trim();
     if (!clean || !thread?.id) return;
-    await addDraftMediaFromUrl(thread.id, clean);
+    await addDraftMediaFromUrl(thread.id, clean, { cutSilence });
     setUrl("");
   };
 
+  // ✂ trim editor: live estimate for the edited file, then re-cut + re-upload via trimDraftMedia
+  const trimFile = trimEdit ? files.find((f) => String(f?.itemId) === String(trimEdit.itemId) && objectUrls[f.itemId]) : null;
+
+  let trimEstimateText = "";
+  if (trimFile && doTranscribe && typeof estimateTokensForRun === "function") {
+    const sec =
+      editedSecondsFromDraftFile(trimFile, trimEdit, durationsByItemId) ??
+      sourceSecondsFromDraftFile(trimFile, durationsByItemId);
+    if (sec != null) {
+      const tokens = Number(estimateTokensForRun([{ durationSeconds: sec }], asrModel, billingRunOpts()) || 0) || 0;
+      trimEstimateText = `~${formatCompact(tokens)} tokens to transcribe`;
+    }
+  }
+
+  const onApplyTrim = async (ranges) => {
+    if (!thread?.id || !trimFile) return;
+    const itemId = trimFile.itemId;
+    setTrimBusyId(itemId);
+    try {
+      const next = await trimDraftMedia(thread.id, itemId, ranges);
+      if (next) setTrimEdit(null);
+    } finally {
+      setTrimBusyId(null);
+    }
+  };
+
   const playInline = async ({ itemId, previewUrl }) => {
     if (!previewUrl || !itemId) return;
 
@@ -1071,6 +1356,73 @@ useEffect(() => {
     }, 0);
   };
 
+  // run options from the composer state (Start, and the follow-ups of a live session)
+  const buildRunOptions = () => {
+    const selectedModel = typeof getModelById === "function" ? getModelById(asrModel) : null;
+
+    const options = {
+      doTranscribe,
+      asrLang,
+      asrModel,
+      asrProvider: selectedModel?.provider || null,
+      asrModelName: selectedModel?.model || null,
+      diarize: !!(doTranscribe && diarize && canDiarize),
+      keyterms: doTranscribe ? runKeyterms : [],
+
+      doTranslate,
+      doSummarize,
+    };
+
+    if (doSummarize) {
+      const modelObj =
+        typeof getSumModelById === "function" ? getSumModelById(sumModelId) : null;
+
+      const modelId = String(modelObj?.id || SUM_DEFAULTS?.modelId || "").trim();
+      const targetLang = String(sumTargetLang || SUM_DEFAULTS?.targetLang || "English").trim();
+
+      options.summarization = {
+        enabled: true,
+        provider: modelObj?.provider || "openai",
+        modelId,
+        targetLang,
+        template: sumTemplate,
+      };
+
+      // optional convenience/back-compat
+      options.sumTargetLang = targetLang;
+      options.sumModelId = modelId;
+    }
+
+
+    if (doTranslate) {
+      const modelObj = typeof TranslationCatalog?.getModelById === "function"
+        ? TranslationCatalog.getModelById(trModelId)
+        : null;
+
+      const fallbackTargets =
+        (Array.isArray(TR_DEFAULTS?.targetLangs) && TR_DEFAULTS.targetLangs.length ? TR_DEFAULTS.targetLangs : ["en"]);
+
+      const targets = uniq(
+        (Array.isArray(trTargetLangs) && trTargetLangs.length ? trTargetLangs : fallbackTargets)
+          .map((x) => String(x || "").trim())
+          .filter(Boolean)
+      );
+
+      options.translation = {
+        enabled: true,
+        provider: modelObj?.provider || "openai",
+        modelId: String(modelObj?.id || TR_DEFAULTS?.modelId || ""),
+        sourceLang: String(trSourceLang || TR_DEFAULTS?.sourceLang || "auto"),
+        targetLangs: targets, // ✅ always array, never singular
+      };
+
+      const glossary = TrGlossary.glossaryForLangs?.(trGlossary, targets);
+      if (glossary && !TrGlossary.isEmptyGlossary(glossary)) options.translation.glossary = glossary;
+    }
+
+    return options;
+  };
+
     const onStart = async () => {
     // Prevent double-click spam
     if (startPendingRef.current) {
@@ -1099,65 +1451,7 @@ useEffect(() => {
       return;
     }
 
-    const selectedModel = typeof getModelById === "function" ? getModelById(asrModel) : null;
-
-const options = {
-  doTranscribe,
-  asrLang,
-  asrModel,
-  asrProvider: selectedModel?.provider || null,
-  asrModelName: selectedModel?.model || null,
-
-  doTranslate,
-  doSummarize,
-};
-
-if (doSummarize) {
-  const modelObj =
-    typeof getSumModelById === "function" ? getSumModelById(sumModelId) : null;
-
-  const modelId = String(modelObj?.id || SUM_DEFAULTS?.modelId || sumModelId || "gpt-4o-mini").trim();
-  const targetLang = String(sumTargetLang || SUM_DEFAULTS?.targetLang || "English").trim();
-
-  options.summarization = {
-    enabled: true,
-    provider: modelObj?.provider || "openai",
-    modelId,
-    targetLang,
-  };
-
-  // optional convenience/back-compat
-  options.sumTargetLang = targetLang;
-  options.sumModelId = modelId;
-}
-
-
-if (doTranslate) {
-  const modelObj = typeof TranslationCatalog?.getModelById === "function"
-    ? TranslationCatalog.getModelById(trModelId)
-    : null;
-
-  const fallbackTargets =
-    (Array.isArray(TR_DEFAULTS?.targetLangs) && TR_DEFAULTS.targetLangs.length ? TR_DEFAULTS.targetLangs : ["en"]);
-
-  const targets = uniq(
-    (Array.isArray(trTargetLangs) && trTargetLangs.length ? trTargetLangs : fallbackTargets)
-      .map((x) => String(x || "").trim())
-      .filter(Boolean)
-  );
-
-  options.translation = {
-    enabled: true,
-    provider: modelObj?.provider || "openai",
-    modelId: String(modelObj?.id || TR_DEFAULTS?.modelId || "gpt-4o-mini"),
-    sourceLang: String(trSourceLang || TR_DEFAULTS?.sourceLang || "auto"),
-    targetLangs: targets, // ✅ always array, never singular
-  };
-}
-
-
-
-
+    const options = buildRunOptions();
 
     const readyIds = uniq(readyFiles.map((x) => String(x?.itemId || "")).filter(Boolean));
 
@@ -1204,9 +1498,56 @@ if (doTranslate) {
   };
 
 
+  // ---- live ("stream" mode) ----
+  // billed per minute while live: one minute has to be affordable to go live (threadsContext tops it up)
+  const livePerMinute =
+    typeof estimateTokensForSeconds === "function" ? Number(estimateTokensForSeconds(60, asrModel, billingRunOpts()) || 0) : 0;
+  const liveModelOk =
+    !(typeof isBrowserModel === "function" && isBrowserModel(asrModel)) &&
+    !(typeof isSelfHostedModel === "function" && isSelfHostedModel(asrModel));
+
+  const liveUi = (() => {
+    if (!threadIsValid) return { disabled: true, text: "Select", title: "Select a thread to begin" };
+    if (liveState === "starting") return { disabled: true, text: "Starting…", title: "Opening the microphone…" };
+    if (liveState === "saving") return { disabled: true, text: "Saving…", title: "Saving the live session to this thread…" };
+    if (liveSession) return { disabled: false, text: "Stop", title: "Stop and add this session to the thread" };
+    if (!liveModelOk) return { disabled: true, text: "Go live", title: "Live mode needs a server transcription model" };
+    if (livePerMinute > availableTokens) {
+      return { disabled: true, text: "No tokens", title: `Need ${livePerMinute} tokens per minute, have ${availableTokens}.` };
+    }
+    if (!wsIsReady) return { disabled: true, text: "Connecting…", title: "Connecting to realtime server (auth/HELLO)…" };
+    return { disabled: false, text: "Go live", title: "Transcribe your microphone live" };
+  })();
+
+  const onLiveToggle = async () => {
+    if (!thread?.id || liveUi.disabled) return;
+    if (liveSession) {
+      await stopLiveSession(thread.id);
+      return;
+    }
+    // transcription is the session itself; translate / summarize run on the saved item
+    await startLiveSession(thread.id, { options: { ...buildRunOptions(), doTranscribe: true } });
+  };
+
+  useEffect(() => {
+    if (liveState !== "live") return;
+    const t = setInterval(() => setLiveNowMs(Date.now()), 500);
+    return () => clearInterval(t);
+  }, [liveState]);
+
+  const liveStartedMs = Date.parse(String(liveSession?.startedAt || "")) || 0;
+  const liveElapsed = liveStartedMs ? Math.max(0, (liveNowMs - liveStartedMs) / 1000) : 0;
+  const liveCues = Array.isArray(liveSession?.segments) ? liveSession.segments.length : 0;
+
+
+// ✅ Only models that handle the chosen source + every target (registry: shared/llmProviders)
 const trModelOptions = useMemo(() => {
+  if (typeof getTrModelsForLanguages === "function") {
+    const fit = safeArr(getTrModelsForLanguages(trSourceLang, trTargetLangs));
+    if (fit.length) return fit;
+  }
   return typeof getTrModels === "function" ? safeArr(getTrModels()) : [];
-}, []);
+}, [trSourceLang, trTargetLangs]);
 
 const trSourceLangOptions = useMemo(() => {
   return typeof getSourceLanguages === "function" ? safeArr(getSourceLanguages()) : [];
@@ -1221,11 +1562,15 @@ const sumModelOptions = useMemo(() => {
   return typeof getSumModels === "function" ? safeArr(getSumModels()) : [];
 }, [getSumModels]);
 
+const sumTemplateOptions = useMemo(() => {
+  return typeof getSumTemplates === "function" ? safeArr(getSumTemplates()) : [];
+}, []);
+
 useEffect(() => {
   if (!sumModelOptions.length) return;
   const ok = sumModelOptions.some((m) => String(m?.id || "") === String(sumModelId || ""));
   if (!ok) {
-    setSumModelId(String(SUM_DEFAULTS?.modelId || sumModelOptions?.[0]?.id || "gpt-4o-mini"));
+    setSumModelId(String(SUM_DEFAULTS?.modelId || sumModelOptions?.[0]?.id || ""));
   }
 }, [sumModelOptions, sumModelId, SUM_DEFAULTS?.modelId]);
 
@@ -1269,7 +1614,10 @@ useEffect(() => {
 useEffect(() => {
   if (!trModelOptions.length) return;
   const ok = trModelOptions.some((m) => String(m?.id || "") === String(trModelId || ""));
-  if (!ok) setTrModelId(String(trModelOptions[0]?.id || TR_DEFAULTS?.modelId || "gpt-4o-mini"));
+  if (!ok) {
+    const def = trModelOptions.find((m) => String(m?.id || "") === String(TR_DEFAULTS?.modelId || ""));
+    setTrModelId(String((def || trModelOptions[0])?.id || ""));
+  }
 }, [trModelOptions, trModelId]);
 
 useEffect(() => {
@@ -1326,6 +1674,10 @@ const stageLabel =
                   : "";
 
               const stageLabelUi = `${stageLabel}${stageExtra}`;
+              const transcript = transcriptsByItemId[String(f.itemId || "")] || null;
+              const trim = MediaTrim.getDraftTrim(f);
+              // trimming re-cuts the local original; an attached transcript would no longer line up
+              const canTrim = Boolean(objectUrls[f.itemId]) && isReadyDraftFile(f) && !transcript && !trimBusyId;
 
 
               const onDelete = async () => {
@@ -1404,6 +1756,24 @@ const stageLabel =
                         ↗
                       </IconButton>
 
+                      {canTrim ? (
+                        <IconButton
+                          type="button"
+                          title="Trim — keep only parts of this file (fewer seconds to transcribe)"
+                          onClick={() => setTrimEdit({ itemId: f.itemId, ranges: trim ? trim.ranges : null })}
+                        >
+                          ✂
+                        </IconButton>
+                      ) : null}
+
+                      <IconButton
+                        type="button"
+                        title={transcript ? "Replace attached transcript (.srt/.vtt)" : "Attach an existing transcript (.srt/.vtt) — skips transcription"}
+                        onClick={() => openSubtitlePicker(f.itemId)}
+                      >
+                        CC
+                      </IconButton>
+
                       <IconButton type="button" title="Delete" onClick={onDelete}>
                         ✕
                       </IconButton>
@@ -1415,6 +1785,32 @@ const stageLabel =
                       {f?.local?.name || f?.audio?.b2?.filename || f?.url || "Media"}
                     </Name>
                     <Sub>{stageLabelUi}</Sub>
+                    {trim ? (
+                      <Sub title={trim.ranges.map((r) => `${fmtClock(r.start)}–${fmtClock(r.end)}`).join(", ")}>
+                        {trim.source === "silence" ? "🔇 silence cut" : "✂"} {fmtClock(trim.keptSeconds)} of{" "}
+                        {fmtClock(trim.sourceDurationSeconds)} kept
+                      </Sub>
+                    ) : null}
+
+                    {transcript ? (
+                      <TranscriptChip
+                        title={[
+                          `Imported transcript: ${transcript.filename}`,
+                          `${transcript.cues} cues`,
+                          transcript.skipped ? `${transcript.skipped} unreadable block(s) skipped` : null,
+                          "Saved as the transcript on Start (no transcription run)",
+                        ]
+                          .filter(Boolean)
+                          .join(" • ")}
+                      >
+                        <TranscriptChipText>
+                          {String(transcript.format || "srt").toUpperCase()} • {transcript.filename} • {transcript.cues} cues
+                        </TranscriptChipText>
+                        <TranscriptChipX type="button" title="Remove attached transcript" onClick={() => onRemoveTranscript(f.itemId)}>
+                          ✕
+                        </TranscriptChipX>
+                      </TranscriptChip>
+                    ) : null}
                   </Meta>
                 </Card>
               );
@@ -1422,6 +1818,49 @@ const stageLabel =
           </MediaGrid>
         )}
 
+        {trimFile ? (
+          <MediaTrimEditor
+            key={trimFile.itemId}
+            src={objectUrls[trimFile.itemId]}
+            isVideo={isProbablyVideoDraftFile(trimFile)}
+            name={trimFile?.local?.name || ""}
+            durationSeconds={sourceSecondsFromDraftFile(trimFile, durationsByItemId)}
+            ranges={trimEdit.ranges}
+            estimateText={trimEstimateText}
+            busy={trimBusyId === trimFile.itemId}
+            onChange={(ranges) => setTrimEdit((p) => (p ? { ...p, ranges } : p))}
+            onApply={onApplyTrim}
+            onClose={() => setTrimEdit(null)}
+          />
+        ) : null}
+
+        <HiddenInput ref={subtitleInputRef} type="file" accept=".srt,.vtt" onChange={onSubtitlePicked} />
+
+        {liveSession ? (
+          <LiveBar>
+            <LiveDot aria-hidden $on={liveState === "live"} />
+            <LiveClock>{fmtClock(liveElapsed)}</LiveClock>
+            <LiveInfo>
+              {liveState === "starting"
+                ? "Starting live transcription…"
+                : liveState === "saving"
+                ? "Saving to this thread…"
+                : liveSession.dropped
+                ? "Live transcription stopped — still recording"
+                : `Live • ${liveCues} segment${liveCues === 1 ? "" : "s"}`}
+            </LiveInfo>
+            {liveState === "live" ? (
+              <LiveDiscard type="button" onClick={() => cancelLiveSession(thread.id)} title="Stop and discard this session">
+                Discard
+              </LiveDiscard>
+            ) : null}
+          </LiveBar>
+        ) : null}
+
+        {recorderOpen ? (
+          <AudioRecorder onRecorded={onRecorded} onClose={() => setRecorderOpen(false)} disabled={!thread?.id} />
+        ) : null}
+
         <TopRow>
           <Attach>
             <HiddenFile type="file" multiple accept="audio/*,video/*" onChange={onChooseFiles} />
@@ -1430,12 +1869,44 @@ const stageLabel =
             </AttachButton>
           </Attach>
 
+          <AddUrlButton
+            type="button"
+            onClick={() => setRecorderOpen((v) => !v)}
+            disabled={!thread?.id}
+            title="Record a voice note or tab audio"
+            aria-pressed={recorderOpen}
+          >
+            🎙
+          </AddUrlButton>
+
+          <SilenceToggle
+            type="button"
+            $on={cutSilence}
+            onClick={() => setCutSilence((v) => !v)}
+            title={
+              cutSilence
+                ? "Cutting silence from new uploads — click to upload them whole"
+                : "Cut long silences from new uploads before they’re sent (only speech is transcribed + billed)"
+            }
+            aria-pressed={cutSilence}
+          >
+            🔇
+          </SilenceToggle>
+
           <UrlInput placeholder="Paste a media URL and press +" value={url} onChange={(e) => setUrl(e.target.value)} />
 
           <AddUrlButton type="button" onClick={onAddUrl} disabled={!url.trim()}>
             +
           </AddUrlButton>
 
+{liveMode ? (
+  <StartButton type="button" disabled={liveUi.disabled} title={liveUi.title} onClick={onLiveToggle}>
+    <StartBtnInner>
+      {liveState === "starting" || liveState === "saving" ? <TinySpinner /> : null}
+      {liveUi.text}
+    </StartBtnInner>
+  </StartButton>
+) : (
 <StartButton
   type="button"
   disabled={startUi.disabled || !!startPending}
@@ -1453,10 +1924,32 @@ const stageLabel =
     )}
   </StartBtnInner>
 </StartButton>
+)}
 
         </TopRow>
 
 <OptionsRow>
+  <ModeSwitch role="group" aria-label="Mode">
+    <Pill
+      type="button"
+      $on={!liveMode}
+      disabled={!threadIsValid || !!liveSession}
+      onClick={() => setDraftMode(thread.id, "batch")}
+      title="Process uploaded / linked media"
+    >
+      Batch
+    </Pill>
+    <Pill
+      type="button"
+      $on={liveMode}
+      disabled={!threadIsValid || !!liveSession}
+      onClick={() => setDraftMode(thread.id, "stream")}
+      title="Transcribe your microphone in real time"
+    >
+      Live
+    </Pill>
+  </ModeSwitch>
+
   <Pill type="button" $on={doTranscribe} onClick={() => setDoTranscribe((v) => !v)}>
     <PillInner>
       <span>Transcription</span>
@@ -1465,6 +1958,11 @@ const stageLabel =
           {"~" + transcribeMini.text}
         </PillMiniBadge>
       )}
+      {trimSavings.show && (
+        <PillMiniBadge title={trimSavings.title} $state="saved">
+          {trimSavings.text}
+        </PillMiniBadge>
+      )}
     </PillInner>
   </Pill>
 
@@ -1530,6 +2028,55 @@ const stageLabel =
                       )}
                     </Select>
                   </Field>
+
+                  <Field>
+                    <Label>Speakers</Label>
+                    <Select
+                      value={diarize && canDiarize ? "on" : "off"}
+                      disabled={!canDiarize}
+                      onChange={(e) => setDiarize(e.target.value === "on")}
+                      title={canDiarize ? "Label who said what on each segment" : "This model doesn't return speaker labels"}
+                    >
+                      <option value="off">Off</option>
+                      <option value="on">Label speakers</option>
+                    </Select>
+                  </Field>
+
+                  <GlossaryField>
+                    <Label
+                      title={
+                        keytermLimits
+                          ? `Up to ${keytermLimits.maxTerms} terms of ${keytermLimits.maxTermChars} characters${
+                              keytermLimits.maxTotalChars ? ` (${keytermLimits.maxTotalChars} characters in total)` : ""
+                            }; thread terms go first`
+                          : "This model doesn't accept boost terms"
+                      }
+                    >
+                      Boost terms{" "}
+                      {keytermLimits
+                        ? `• ${runKeyterms.length}${
+                            glossaryTerms.length > runKeyterms.length ? ` of ${glossaryTerms.length}` : ""
+                          } will be sent`
+                        : "• not supported by this model"}
+                    </Label>
+                    <GlossaryAreas>
+                      <Textarea
+                        value={threadKeyterms}
+                        onChange={(e) => setThreadKeyterms(e.target.value)}
+                        onBlur={() => thread?.id && saveGlossary(thread.id, threadKeyterms)}
+                        placeholder={"This thread (one per line)\ne.g. HappySRT"}
+                        disabled={!thread?.id}
+                        rows={3}
+                      />
+                      <Textarea
+                        value={accountKeyterms}
+                        onChange={(e) => setAccountKeyterms(e.target.value)}
+                        onBlur={() => saveGlossary(null, accountKeyterms)}
+                        placeholder={"All threads (one per line)\ne.g. your product names"}
+                        rows={3}
+                      />
+                    </GlossaryAreas>
+                  </GlossaryField>
                 </Fields>
               </Group>
             )}
@@ -1563,14 +2110,38 @@ const stageLabel =
       <TrField>
         <Label>Model</Label>
         <Select value={trModelId} onChange={(e) => setTrModelId(e.target.value)}>
-          {(trModelOptions.length ? trModelOptions : [{ id: "gpt-4o-mini", label: "GPT-4o mini" }]).map((m) => (
+          {trModelOptions.map((m) => (
             <option key={String(m.id)} value={String(m.id)}>
               {String(m.label || m.id)}
             </option>
           ))}
         </Select>
       </TrField>
+
+      <TrField>
+        <Label>Glossary</Label>
+        <GlossaryToggle
+          type="button"
+          onClick={() => setTrGlossaryOpen((v) => !v)}
+          disabled={!thread?.id}
+          title="Fixed translations per language + do-not-translate terms for this thread"
+        >
+          {trGlossaryCount ? `${trGlossaryCount} term${trGlossaryCount === 1 ? "" : "s"}` : "Add terms"}
+        </GlossaryToggle>
+      </TrField>
     </TrFields>
+
+    {trGlossaryOpen ? (
+      <TranslationGlossaryEditor
+        key={`${thread?.id || ""}:${trGlossaryCount}`}
+        glossary={trGlossary}
+        langs={trTargetLangs.map(
+          (v) => trTargetLangOptions.find((l) => String(l?.value || "") === String(v)) || { value: v, label: v }
+        )}
+        onSave={saveTrGlossary}
+        onClose={() => setTrGlossaryOpen(false)}
+      />
+    ) : null}
   </Group>
 )}
 
@@ -1598,7 +2169,7 @@ const stageLabel =
                   <Field>
                     <Label>Model</Label>
 <Select value={sumModelId} onChange={(e) => setSumModelId(e.target.value)}>
-  {(sumModelOptions.length ? sumModelOptions : [{ id: "gpt-4o-mini", label: "GPT-4o mini" }]).map((m) => (
+  {sumModelOptions.map((m) => (
     <option key={String(m.id)} value={String(m.id)}>
       {String(m.label || m.id)}
     </option>
@@ -1606,6 +2177,17 @@ const stageLabel =
 </Select>
 
                   </Field>
+
+                  <Field>
+                    <Label>Template</Label>
+                    <Select value={sumTemplate} onChange={(e) => setSumTemplate(e.target.value)}>
+                      {(sumTemplateOptions.length ? sumTemplateOptions : [{ id: "bullets", label: "Bullet summary" }]).map((t) => (
+                        <option key={String(t.id)} value={String(t.id)}>
+                          {String(t.label || t.id)}
+                        </option>
+                      ))}
+                    </Select>
+                  </Field>
                 </Fields>
               </Group>
             )}
@@ -1749,6 +2331,41 @@ const Sub = styled.div`
 `;
 
 
+const TranscriptChip = styled.div`
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+  max-width: 100%;
+  align-self: flex-start;
+  border: 1px solid rgba(239, 68, 68, 0.22);
+  background: rgba(239, 68, 68, 0.06);
+  color: var(--accent);
+  border-radius: 999px;
+  padding: 2px 4px 2px 8px;
+  font-size: 10.5px;
+  font-weight: 900;
+`;
+
+const TranscriptChipText = styled.span`
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const TranscriptChipX = styled.button`
+  border: 0;
+  background: transparent;
+  color: inherit;
+  font-weight: 900;
+  font-size: 10px;
+  cursor: pointer;
+  padding: 0 4px;
+`;
+
+const HiddenInput = styled.input`
+  display: none;
+`;
+
 const Attach = styled.label`
   position: relative;
   display: inline-grid;
@@ -1806,6 +2423,15 @@ const AddUrlButton = styled.button`
   }
 `;
 
+const SilenceToggle = styled(AddUrlButton)`
+  border-color: ${(p) => (p.$on ? "rgba(239,68,68,0.28)" : "var(--border)")};
+  background: ${(p) => (p.$on ? "rgba(239,68,68,0.10)" : "var(--panel)")};
+
+  &:hover:enabled {
+    background: ${(p) => (p.$on ? "rgba(239,68,68,0.12)" : "var(--hover)")};
+  }
+`;
+
 const OptionsRow = styled.div`
   margin-top: 12px;
   display: flex;
@@ -1937,6 +2563,65 @@ const Label = styled.div`
   }
 `;
 
+const GlossaryToggle = styled.button`
+  height: 32px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff;
+  color: var(--text);
+  padding: 0 10px;
+  font-weight: 800;
+  font-size: 12px;
+  text-align: left;
+  cursor: pointer;
+
+  &:hover {
+    background: var(--hover);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+
+  @media(max-width: 786px){
+      height: 24px;
+      border-radius: 6px;
+  }
+`;
+
+const GlossaryField = styled(Field)`
+  grid-column: 1 / -1;
+`;
+
+const GlossaryAreas = styled.div`
+  display: grid;
+  grid-template-columns: repeat(2, minmax(0, 1fr));
+  gap: 10px;
+`;
+
+const Textarea = styled.textarea`
+  min-height: 56px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff;
+  color: var(--text);
+  padding: 6px 10px;
+  font: inherit;
+  font-size: 12px;
+  resize: vertical;
+  outline: none;
+
+  &:focus {
+    border-color: rgba(239, 68, 68, 0.35);
+    box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+  }
+`;
+
 const Select = styled.select`
   height: 32px;
   border-radius: 8px;
@@ -2277,15 +2962,89 @@ const PillMiniBadge = styled.span`
 
 
 
+const ModeSwitch = styled.div`
+  display: inline-flex;
+  gap: 4px;
+  padding-right: 8px;
+  margin-right: 2px;
+  border-right: 1px solid var(--border);
+
+  & > button:disabled {
+    opacity: 0.55;
+    cursor: not-allowed;
+  }
+`;
+
+const LiveBar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  min-width: 0;
+  padding: 8px 10px;
+  border: 1px solid rgba(239, 68, 68, 0.25);
+  border-radius: 14px;
+  background: rgba(239, 68, 68, 0.06);
+  box-shadow: var(--shadow);
+`;
+
+const LiveDot = styled.span`
+  width: 10px;
+  height: 10px;
+  border-radius: 999px;
+  background: ${(p) => (p.$on ? "var(--accent)" : "var(--muted)")};
+  animation: ${(p) => (p.$on ? "livePulse 1.2s ease-in-out infinite" : "none")};
+
+  @keyframes livePulse {
+    50% {
+      opacity: 0.35;
+    }
+  }
+`;
+
+const LiveClock = styled.span`
+  font-size: 12px;
+  font-weight: 900;
+  font-variant-numeric: tabular-nums;
+  color: var(--text);
+  min-width: 40px;
+`;
+
+const LiveInfo = styled.span`
+  flex: 1;
+  min-width: 0;
+  font-size: 11px;
+  font-weight: 900;
+  color: var(--muted);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const LiveDiscard = styled.button`
+  height: 28px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 950;
+  padding: 0 12px;
+  cursor: pointer;
+
+  &:hover {
+    background: var(--hover);
+  }
+`;
+
 const TopRow = styled.div`
   display: grid;
-  grid-template-columns: 44px minmax(0, 1fr) 44px 92px;
+  grid-template-columns: 44px 44px minmax(0, 1fr) 44px 92px;
   gap: 10px;
   align-items: center;
   min-width: 0;
 
   @media (max-width: 520px) {
-    grid-template-columns: 32px minmax(0, 1fr) 32px 80px;
+    grid-template-columns: 32px 32px minmax(0, 1fr) 32px 80px;
     gap: 10px;
   }
 `;
@@ -0,0 +1,364 @@
+// components/ThreadFindReplace.js
+import { useMemo, useState } from "react";
+import styled from "styled-components";
+import * as SearchImport from "../shared/subtitleSearch";
+const Search = (SearchImport && (SearchImport.default || SearchImport)) || {};
+
+const PREVIEW_ROWS_PER_TRACK = 40;
+
+function fmtClock(seconds) {
+  const s = Math.max(0, Number(seconds || 0));
+  const m = Math.floor(s / 60);
+  const r = Math.floor(s % 60);
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+function Highlighted({ text, ranges }) {
+  const s = String(text || "");
+  const parts = [];
+  let at = 0;
+  (ranges || []).forEach((r, i) => {
+    if (r.start > at) parts.push(<span key={`t${i}`}>{s.slice(at, r.start)}</span>);
+    parts.push(<Mark key={`m${i}`}>{s.slice(r.start, r.end)}</Mark>);
+    at = r.end;
+  });
+  if (at < s.length) parts.push(<span key="tail">{s.slice(at)}</span>);
+  return <>{parts}</>;
+}
+
+// Thread-wide find / replace over the saved transcript + every saved translation.
+// sources: [{ key, chatItemId, lang, itemLabel, trackLabel, segments, blocked }]
+//   blocked = reason the track can't be changed right now (running, unsaved editor edits), or "".
+// onApply(changes) gets [{ source, segments, count }] for every included track with matches.
+export default function ThreadFindReplace({ sources, onApply, onClose }) {
+  const [query, setQuery] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [excluded, setExcluded] = useState({});
+  const [applying, setApplying] = useState(false);
+
+  const findOpts = useMemo(() => ({ regex, caseSensitive, wholeWord }), [regex, caseSensitive, wholeWord]);
+  const { re, error } = useMemo(() => Search.compileFind(query, findOpts), [query, findOpts]);
+
+  const tracks = useMemo(() => {
+    if (!re) return [];
+    return (Array.isArray(sources) ? sources : [])
+      .map((src) => {
+        const hits = Search.searchSegments(src.segments, re, replacement, findOpts);
+        const count = hits.reduce((n, h) => n + h.ranges.length, 0);
+        return { src, hits, count };
+      })
+      .filter((t) => t.count > 0);
+  }, [sources, re, replacement, findOpts]);
+
+  // group by chat item, keeping source order
+  const groups = useMemo(() => {
+    const out = [];
+    const byItem = new Map();
+    for (const t of tracks) {
+      const id = t.src.chatItemId;
+      if (!byItem.has(id)) {
+        const g = { chatItemId: id, label: t.src.itemLabel, tracks: [] };
+        byItem.set(id, g);
+        out.push(g);
+      }
+      byItem.get(id).tracks.push(t);
+    }
+    return out;
+  }, [tracks]);
+
+  const applicable = tracks.filter((t) => !t.src.blocked && !excluded[t.src.key]);
+  const totalMatches = tracks.reduce((n, t) => n + t.count, 0);
+  const applyMatches = applicable.reduce((n, t) => n + t.count, 0);
+
+  const doApply = async () => {
+    if (!re || !applicable.length || applying) return;
+    const changes = applicable
+      .map((t) => {
+        const r = Search.replaceInSegments(t.src.segments, re, replacement, findOpts);
+        return { source: t.src, segments: r.segments, count: r.count };
+      })
+      .filter((c) => c.count > 0);
+    if (!changes.length) return;
+
+    setApplying(true);
+    try {
+      await onApply?.(changes);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <Panel>
+      <Row>
+        <Input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Find in transcripts + translations…"
+          aria-label="Find"
+          autoFocus
+          $bad={!!error}
+        />
+        <Toggle type="button" $on={caseSensitive} onClick={() => setCaseSensitive((v) => !v)} title="Match case">
+          Aa
+        </Toggle>
+        <Toggle type="button" $on={wholeWord} onClick={() => setWholeWord((v) => !v)} title="Whole word">
+          W
+        </Toggle>
+        <Toggle type="button" $on={regex} onClick={() => setRegex((v) => !v)} title="Regular expression">
+          .*
+        </Toggle>
+      </Row>
+
+      <Row>
+        <Input
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          placeholder={regex ? "Replace with… ($1, $<name> allowed)" : "Replace with…"}
+          aria-label="Replace"
+        />
+        <ApplyBtn type="button" onClick={doApply} disabled={!applyMatches || applying} title="Save all included tracks">
+          {applying ? "Saving…" : `Replace ${applyMatches || ""}`.trim()}
+        </ApplyBtn>
+        <CloseBtn type="button" onClick={onClose} aria-label="Close find and replace" title="Close">
+          ×
+        </CloseBtn>
+      </Row>
+
+      <Summary>
+        {error
+          ? error
+          : !query
+          ? "Searches the saved transcript and every saved translation of this thread."
+          : totalMatches
+          ? `${totalMatches} match${totalMatches === 1 ? "" : "es"} in ${tracks.length} track${tracks.length === 1 ? "" : "s"}`
+          : "No matches."}
+      </Summary>
+
+      {groups.length ? (
+        <Results>
+          {groups.map((g) => (
+            <Group key={g.chatItemId}>
+              <GroupTitle title={g.label}>{g.label}</GroupTitle>
+
+              {g.tracks.map((t) => {
+                const on = !t.src.blocked && !excluded[t.src.key];
+                return (
+                  <Track key={t.src.key}>
+                    <TrackHead>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={on}
+                          disabled={!!t.src.blocked}
+                          onChange={(e) => setExcluded((p) => ({ ...(p || {}), [t.src.key]: !e.target.checked }))}
+                        />
+                        <span>{t.src.trackLabel}</span>
+                      </label>
+                      <TrackCount>{t.count}</TrackCount>
+                      {t.src.blocked ? <TrackNote>{t.src.blocked}</TrackNote> : null}
+                    </TrackHead>
+
+                    {t.hits.slice(0, PREVIEW_ROWS_PER_TRACK).map((h) => (
+                      <Hit key={h.index} $off={!on}>
+                        <HitTime>{fmtClock(h.start)}</HitTime>
+                        <HitText dir="auto">
+                          <Highlighted text={h.text} ranges={h.ranges} />
+                          {h.after != null && h.after !== h.text ? <HitAfter dir="auto">→ {h.after}</HitAfter> : null}
+                        </HitText>
+                      </Hit>
+                    ))}
+                    {t.hits.length > PREVIEW_ROWS_PER_TRACK ? (
+                      <TrackNote>+{t.hits.length - PREVIEW_ROWS_PER_TRACK} more cues</TrackNote>
+                    ) : null}
+                  </Track>
+                );
+              })}
+            </Group>
+          ))}
+        </Results>
+      ) : null}
+    </Panel>
+  );
+}
+
+const Panel = styled.div`
+  border: 1px solid var(--border);
+  background: var(--panel);
+  border-radius: 18px;
+  box-shadow: var(--shadow);
+  padding: 12px;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+`;
+
+const Input = styled.input`
+  flex: 1;
+  min-width: 0;
+  height: 32px;
+  border-radius: 10px;
+  border: 1px solid ${(p) => (p.$bad ? "rgba(239, 68, 68, 0.55)" : "var(--border)")};
+  background: var(--bg);
+  color: var(--text);
+  padding: 0 10px;
+  font-size: 12px;
+  outline: none;
+
+  &:focus {
+    border-color: rgba(16, 116, 196, 0.45);
+  }
+`;
+
+const Toggle = styled.button`
+  height: 32px;
+  min-width: 32px;
+  border-radius: 10px;
+  border: 1px solid ${(p) => (p.$on ? "rgba(16, 116, 196, 0.45)" : "var(--border)")};
+  background: ${(p) => (p.$on ? "rgba(16, 116, 196, 0.1)" : "var(--panel)")};
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 950;
+  cursor: pointer;
+`;
+
+const ApplyBtn = styled.button`
+  height: 32px;
+  border-radius: 999px;
+  border: 1px solid rgba(239, 68, 68, 0.25);
+  background: rgba(239, 68, 68, 0.08);
+  color: var(--accent);
+  font-size: 11px;
+  font-weight: 950;
+  padding: 0 12px;
+  cursor: pointer;
+  white-space: nowrap;
+
+  &:hover {
+    background: rgba(239, 68, 68, 0.12);
+  }
+
+  &:disabled {
+    opacity: 0.55;
+    cursor: not-allowed;
+  }
+`;
+
+const CloseBtn = styled.button`
+  width: 32px;
+  height: 32px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  color: var(--text);
+  font-weight: 900;
+  cursor: pointer;
+`;
+
+const Summary = styled.div`
+  font-size: 11px;
+  font-weight: 800;
+  color: var(--muted);
+`;
+
+const Results = styled.div`
+  max-height: 320px;
+  overflow: auto;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const Group = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const GroupTitle = styled.div`
+  font-size: 12px;
+  font-weight: 950;
+  color: var(--text);
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+`;
+
+const Track = styled.div`
+  border: 1px solid var(--border);
+  border-radius: 12px;
+  padding: 6px 8px;
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+`;
+
+const TrackHead = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 11px;
+  font-weight: 900;
+
+  label {
+    display: inline-flex;
+    align-items: center;
+    gap: 6px;
+    cursor: pointer;
+  }
+`;
+
+const TrackCount = styled.span`
+  font-size: 10.5px;
+  font-weight: 900;
+  color: var(--muted);
+  background: var(--hover);
+  border-radius: 999px;
+  padding: 1px 7px;
+`;
+
+const TrackNote = styled.span`
+  font-size: 10.5px;
+  font-weight: 800;
+  color: var(--muted);
+`;
+
+const Hit = styled.div`
+  display: flex;
+  gap: 8px;
+  font-size: 12px;
+  line-height: 1.4;
+  opacity: ${(p) => (p.$off ? 0.5 : 1)};
+`;
+
+const HitTime = styled.span`
+  flex: 0 0 auto;
+  font-variant-numeric: tabular-nums;
+  color: var(--muted);
+  font-weight: 800;
+`;
+
+const HitText = styled.div`
+  min-width: 0;
+  white-space: pre-wrap;
+  color: var(--text);
+`;
+
+const HitAfter = styled.div`
+  color: var(--muted);
+`;
+
+const Mark = styled.mark`
+  background: rgba(239, 68, 68, 0.16);
+  color: inherit;
+  border-radius: 3px;
+`;
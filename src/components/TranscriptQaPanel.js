@@ -0,0 +1,310 @@
+// components/TranscriptQaPanel.js
+import { useEffect, useMemo, useRef, useState } from "react";
+import styled from "styled-components";
+import { getQaHistory, putQaHistory, deleteQaHistory } from "../lib/qaHistoryStore";
+import * as QaImport from "../shared/transcriptQa";
+const Qa = (QaImport && (QaImport.default || QaImport)) || {};
+import * as QaBillImport from "../shared/qaBillingCatalog";
+const QaBill = (QaBillImport && (QaBillImport.default || QaBillImport)) || {};
+
+function fmtClock(seconds) {
+  const s = Math.max(0, Number(seconds || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = Math.floor(s % 60);
+  return h ? `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}` : `${m}:${String(r).padStart(2, "0")}`;
+}
+
+function Answer({ turn, labelFor, onSeek }) {
+  const cites = Array.isArray(turn?.citations) ? turn.citations : [];
+  const parts = Qa.splitAnswerCitations(turn?.answer, cites);
+  return (
+    <AnswerText dir="auto">
+      {parts.map((p, i) => {
+        if (!p.cite) return <span key={i}>{p.text}</span>;
+        const c = cites[p.cite - 1];
+        const where = labelFor && c.chatItemId ? labelFor(c.chatItemId) : "";
+        return (
+          <Cite
+            key={i}
+            type="button"
+            onClick={() => onSeek?.(c.chatItemId, c.start)}
+            title={[where, c.text ? `“${c.text}”` : ""].filter(Boolean).join(" — ") || "Seek to this moment"}
+          >
+            {where ? `${where} ` : ""}
+            {fmtClock(c.start)}
+          </Cite>
+        );
+      })}
+    </AnswerText>
+  );
+}
+
+// Q&A over transcripts with cited timestamps. chatItemId = null -> whole-thread conversation.
+// contexts: transcript texts of the asked items (estimate only; the server reads the saved transcripts).
+// onAsk({ question, history }) -> Promise<{ answer, citations } | null>
+// onSeek(chatItemId, seconds); labelFor(chatItemId) names the item on thread-wide citation chips.
+export default function TranscriptQaPanel({
+  scope,
+  threadId,
+  chatItemId = null,
+  contexts,
+  availableTokens = Infinity,
+  modelId,
+  onAsk,
+  onSeek,
+  labelFor,
+  onClose,
+}) {
+  const [turns, setTurns] = useState([]);
+  const [question, setQuestion] = useState("");
+  const [asking, setAsking] = useState(false);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTurns([]);
+    getQaHistory(scope, threadId, chatItemId)
+      .then((t) => {
+        if (!cancelled) setTurns(Array.isArray(t) ? t : []);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [scope, threadId, chatItemId]);
+
+  useEffect(() => {
+    const el = listRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [turns.length, asking]);
+
+  const q = Qa.normalizeQuestion(question);
+  const history = useMemo(() => Qa.trimHistory(turns), [turns]);
+  const hasContext = (Array.isArray(contexts) ? contexts : []).some((c) => String(c || "").trim());
+
+  const est = useMemo(() => {
+    if (!q || !hasContext || typeof QaBill.estimateQaRun !== "function") return null;
+    return QaBill.estimateQaRun({ contexts, question: q, history }, modelId ? { modelId } : null);
+  }, [q, hasContext, contexts, history, modelId]);
+
+  const need = Number(est?.mediaTokens || 0) || 0;
+  const affordable = need <= availableTokens;
+  const canAsk = !!q && hasContext && affordable && !asking;
+
+  const ask = async () => {
+    if (!canAsk || typeof onAsk !== "function") return;
+    setAsking(true);
+    try {
+      const res = await onAsk({ question: q, history });
+      if (!res || !res.answer) return;
+      const next = [...turns, { question: q, answer: res.answer, citations: res.citations || [], at: new Date().toISOString() }];
+      setTurns(next);
+      setQuestion("");
+      putQaHistory(scope, threadId, chatItemId, next).catch(() => {});
+    } finally {
+      setAsking(false);
+    }
+  };
+
+  const clear = () => {
+    setTurns([]);
+    deleteQaHistory(scope, threadId, chatItemId).catch(() => {});
+  };
+
+  return (
+    <Panel>
+      {turns.length || asking ? (
+        <Turns ref={listRef}>
+          {turns.map((t, i) => (
+            <Turn key={`${t.at || ""}|${i}`}>
+              <QuestionText dir="auto">{t.question}</QuestionText>
+              <Answer turn={t} labelFor={chatItemId ? null : labelFor} onSeek={onSeek} />
+            </Turn>
+          ))}
+          {asking ? <Muted>Thinking…</Muted> : null}
+        </Turns>
+      ) : (
+        <Muted>
+          {hasContext
+            ? chatItemId
+              ? "Ask anything about this transcript — answers cite the moments they come from."
+              : "Ask across every transcribed item in this thread — answers cite the moments they come from."
+            : "Nothing to ask yet — transcribe first."}
+        </Muted>
+      )}
+
+      <Row>
+        <Input
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) {
+              e.preventDefault();
+              ask();
+            }
+          }}
+          placeholder={chatItemId ? "Ask about this item…" : "Ask about this thread…"}
+          maxLength={(Qa.QA_LIMITS && Qa.QA_LIMITS.maxQuestionChars) || 1000}
+          disabled={!hasContext || asking}
+          aria-label="Question"
+        />
+        <Est
+          $bad={!affordable}
+          title={
+            est
+              ? [`Estimated: ~${need} tokens`, est.usdFormatted ? `(~${est.usdFormatted})` : null, `Have unused: ${availableTokens}`]
+                  .filter(Boolean)
+                  .join(" • ")
+              : "Type a question to see the estimate"
+          }
+        >
+          {est ? `~${need} tok` : "—"}
+        </Est>
+        <AskBtn type="button" onClick={ask} disabled={!canAsk} title={!affordable ? "Not enough media tokens" : "Ask (Enter)"}>
+          {asking ? "Asking…" : "Ask"}
+        </AskBtn>
+        {turns.length ? (
+          <Btn type="button" onClick={clear} disabled={asking} title="Forget this conversation">
+            Clear
+          </Btn>
+        ) : null}
+        {onClose ? (
+          <CloseBtn type="button" onClick={onClose} aria-label="Close questions" title="Close">
+            ×
+          </CloseBtn>
+        ) : null}
+      </Row>
+    </Panel>
+  );
+}
+
+const Panel = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const Turns = styled.div`
+  max-height: 320px;
+  overflow: auto;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+`;
+
+const Turn = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+`;
+
+const QuestionText = styled.div`
+  align-self: flex-end;
+  max-width: 85%;
+  background: var(--hover);
+  border-radius: 12px;
+  padding: 6px 10px;
+  font-size: 12px;
+  font-weight: 800;
+  color: var(--text);
+`;
+
+const AnswerText = styled.div`
+  font-size: 13px;
+  line-height: 1.5;
+  color: var(--text);
+  white-space: pre-wrap;
+`;
+
+const Cite = styled.button`
+  display: inline;
+  margin: 0 2px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--accent);
+  border-radius: 999px;
+  padding: 0 7px;
+  font-size: 11px;
+  font-weight: 900;
+  font-variant-numeric: tabular-nums;
+  cursor: pointer;
+
+  &:hover {
+    border-color: rgba(239, 68, 68, 0.35);
+  }
+`;
+
+const Muted = styled.div`
+  font-size: 11px;
+  font-weight: 800;
+  color: var(--muted);
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+`;
+
+const Input = styled.input`
+  flex: 1;
+  min-width: 0;
+  height: 32px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--bg);
+  color: var(--text);
+  padding: 0 10px;
+  font-size: 12px;
+  outline: none;
+
+  &:focus {
+    border-color: rgba(16, 116, 196, 0.45);
+  }
+`;
+
+const Est = styled.span`
+  font-size: 10.5px;
+  font-weight: 900;
+  color: ${(p) => (p.$bad ? "var(--accent)" : "var(--muted)")};
+  white-space: nowrap;
+`;
+
+const Btn = styled.button`
+  height: 32px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 950;
+  padding: 0 12px;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.55;
+    cursor: not-allowed;
+  }
+`;
+
+const AskBtn = styled(Btn)`
+  border-color: rgba(239, 68, 68, 0.25);
+  background: rgba(239, 68, 68, 0.08);
+  color: var(--accent);
+
+  &:hover {
+    background: rgba(239, 68, 68, 0.12);
+  }
+`;
+
+const CloseBtn = styled.button`
+  width: 32px;
+  height: 32px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  color: var(--text);
+  font-weight: 900;
+  cursor: pointer;
+`;
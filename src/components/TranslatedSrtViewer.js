@@ -1,5 +1,9 @@
 import { useMemo } from "react";
 import styled from "styled-components";
+import KaraokeText from "./KaraokeText";
+import * as SubsImport from "../shared/subtitleFormats";
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+const { srtToSegments, segmentsToPlainText } = Subs;
 
 function normalizeWhitespace(t) {
   return String(t || "").replace(/\s+/g, " ").trim();
@@ -23,53 +27,6 @@ function getByLangCI(map, lang) {
   return key ? map[key] : null;
 }
 
-function parseTimecodeToSeconds(tc) {
-  const s = String(tc || "").trim();
-  const m = s.match(/^(\d+):(\d+):(\d+),(\d+)$/);
-  if (!m) return null;
-  const hh = Number(m[1] || 0);
-  const mm = Number(m[2] || 0);
-  const ss = Number(m[3] || 0);
-  const ms = Number(m[4] || 0);
-  if (![hh, mm, ss, ms].every((x) => Number.isFinite(x))) return null;
-  return hh * 3600 + mm * 60 + ss + ms / 1000;
-}
-
-function srtToSegments(srt) {
-  const raw = String(srt || "").trim();
-  if (!raw) return [];
-  const blocks = raw.split(/\n\s*\n/g);
-  const out = [];
-
-  for (const b of blocks) {
-    const lines = b.split("\n").map((x) => String(x || "").trim());
-    if (lines.length < 3) continue;
-
-    const ts = lines[1] || "";
-    const parts = ts.split(" --> ");
-    if (parts.length !== 2) continue;
-
-    const start = parseTimecodeToSeconds(parts[0]);
-    const end = parseTimecodeToSeconds(parts[1]);
-    if (start == null || end == null) continue;
-
-    const text = normalizeWhitespace(lines.slice(2).join("\n"));
-    out.push({ start, end, text });
-  }
-
-  out.sort((a, b) => a.start - b.start || a.end - b.end);
-  return out;
-}
-
-function segmentsToPlainText(segments) {
-  const segs = Array.isArray(segments) ? segments : [];
-  return segs
-    .map((s) => normalizeWhitespace(s?.text || ""))
-    .filter(Boolean)
-    .join(" ")
-    .trim();
-}
-
 function fmtClock(seconds) {
   const s = Math.max(0, Number(seconds || 0));
   const hh = Math.floor(s / 3600);
@@ -192,7 +149,7 @@ export default function TranslatedSrtViewer({
                   title={`${fmtClock(seg?.start)} → ${fmtClock(seg?.end)} (click to seek)`}
                   onClick={() => onSeek && onSeek(Number(seg?.start || 0))}
                 >
-                  {txt}
+                  <KaraokeText seg={seg} text={txt} currentTime={currentTime} active={active} />
                 </Snippet>
               );
             })}
@@ -0,0 +1,243 @@
+// components/TranslationGlossaryEditor.js
+import { useState } from "react";
+import styled from "styled-components";
+import * as GlossaryImport from "../shared/translationGlossary";
+const Glossary = (GlossaryImport && (GlossaryImport.default || GlossaryImport)) || {};
+
+function langKey(v) {
+  return String(v || "").trim().replace(/_/g, "-").toLowerCase();
+}
+
+// Thread glossary editor: source term -> target term per (selected) language + do-not-translate list.
+// langs: [{ value, label }] columns to edit; targets for other languages are kept as they are.
+export default function TranslationGlossaryEditor({ glossary, langs, onSave, onClose }) {
+  const [rows, setRows] = useState(() => {
+    const g = Glossary.normalizeTranslationGlossary(glossary);
+    return [...g.terms.map((t) => ({ source: t.source, targets: { ...t.targets } })), { source: "", targets: {} }];
+  });
+  const [dntText, setDntText] = useState(() => Glossary.normalizeTranslationGlossary(glossary).dnt.join("\n"));
+  const [saving, setSaving] = useState(false);
+
+  const cols = (Array.isArray(langs) ? langs : []).filter((l) => langKey(l?.value) && langKey(l?.value) !== "auto");
+  const limits = Glossary.GLOSSARY_LIMITS || {};
+
+  const patchRow = (i, patch) => {
+    setRows((prev) => {
+      const next = prev.map((r, idx) => (idx === i ? { ...r, ...patch, targets: { ...r.targets, ...(patch.targets || {}) } } : r));
+      // always keep one empty row to type into
+      const last = next[next.length - 1];
+      if (last && String(last.source || "").trim()) next.push({ source: "", targets: {} });
+      return next;
+    });
+  };
+
+  const removeRow = (i) => setRows((prev) => (prev.length > 1 ? prev.filter((_, idx) => idx !== i) : [{ source: "", targets: {} }]));
+
+  const doSave = async () => {
+    if (saving) return;
+    setSaving(true);
+    try {
+      await onSave?.(
+        Glossary.normalizeTranslationGlossary({
+          terms: rows,
+          dnt: String(dntText || "").split(/[\n,]+/),
+        })
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Wrap>
+      <Table>
+        <thead>
+          <tr>
+            <th>Source term</th>
+            {cols.map((l) => (
+              <th key={langKey(l.value)}>{String(l.label || l.value)}</th>
+            ))}
+            <th aria-label="Remove" />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i}>
+              <td>
+                <Cell
+                  value={r.source}
+                  onChange={(e) => patchRow(i, { source: e.target.value })}
+                  placeholder={i === rows.length - 1 ? "Add a term…" : ""}
+                  maxLength={limits.maxTermChars}
+                />
+              </td>
+              {cols.map((l) => {
+                const k = langKey(l.value);
+                return (
+                  <td key={k}>
+                    <Cell
+                      value={r.targets?.[k] || ""}
+                      onChange={(e) => patchRow(i, { targets: { [k]: e.target.value } })}
+                      placeholder={r.source ? r.source : ""}
+                      maxLength={limits.maxTermChars}
+                      dir="auto"
+                    />
+                  </td>
+                );
+              })}
+              <td>
+                <RemoveBtn type="button" onClick={() => removeRow(i)} title="Remove term" aria-label="Remove term">
+                  ×
+                </RemoveBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      <DntLabel>Do not translate (one per line) — names that must stay exactly as spoken</DntLabel>
+      <Dnt value={dntText} onChange={(e) => setDntText(e.target.value)} rows={2} placeholder={"HappySRT\nCaptain Nova"} />
+
+      <Actions>
+        <Hint>
+          Up to {limits.maxTerms} terms and {limits.maxDnt} do-not-translate entries. Sent with every translation run of this thread.
+        </Hint>
+        <Btn type="button" onClick={onClose}>
+          Close
+        </Btn>
+        <SaveBtn type="button" onClick={doSave} disabled={saving}>
+          {saving ? "Saving…" : "Save glossary"}
+        </SaveBtn>
+      </Actions>
+    </Wrap>
+  );
+}
+
+const Wrap = styled.div`
+  border: 1px solid var(--border);
+  border-radius: 12px;
+  padding: 10px;
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  background: #fff;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 12px;
+
+  th {
+    text-align: left;
+    font-size: 11px;
+    font-weight: 800;
+    color: var(--muted);
+    padding: 0 4px 4px;
+    white-space: nowrap;
+  }
+
+  td {
+    padding: 2px 4px;
+  }
+
+  th:last-child,
+  td:last-child {
+    width: 28px;
+  }
+`;
+
+const Cell = styled.input`
+  width: 100%;
+  height: 28px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff;
+  color: var(--text);
+  padding: 0 8px;
+  font-size: 12px;
+  outline: none;
+
+  &:focus {
+    border-color: rgba(239, 68, 68, 0.35);
+    box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
+  }
+`;
+
+const RemoveBtn = styled.button`
+  width: 24px;
+  height: 24px;
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  color: var(--text);
+  font-weight: 900;
+  cursor: pointer;
+`;
+
+const DntLabel = styled.div`
+  font-size: 11px;
+  color: var(--muted);
+  font-weight: 800;
+`;
+
+const Dnt = styled.textarea`
+  border-radius: 8px;
+  border: 1px solid var(--border);
+  background: #fff;
+  color: var(--text);
+  padding: 6px 10px;
+  font: inherit;
+  font-size: 12px;
+  resize: vertical;
+  outline: none;
+
+  &:focus {
+    border-color: rgba(239, 68, 68, 0.35);
+    box-shadow: 0 0 0 3px rgba(239, 68, 68, 0.1);
+  }
+`;
+
+const Actions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const Hint = styled.div`
+  flex: 1;
+  min-width: 0;
+  font-size: 11px;
+  color: var(--muted);
+`;
+
+const Btn = styled.button`
+  height: 30px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 900;
+  padding: 0 12px;
+  cursor: pointer;
+
+  &:hover {
+    background: var(--hover);
+  }
+`;
+
+const SaveBtn = styled(Btn)`
+  border-color: rgba(239, 68, 68, 0.25);
+  background: rgba(239, 68, 68, 0.08);
+  color: var(--accent);
+
+  &:hover {
+    background: rgba(239, 68, 68, 0.12);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
@@ -0,0 +1,493 @@
+// components/WaveformTimeline.js
+import { useEffect, useMemo, useRef, useState } from "react";
+import styled from "styled-components";
+import { getLocalMedia } from "../lib/mediaStore";
+import * as WaveformImport from "../shared/waveform";
+const Waveform = (WaveformImport && (WaveformImport.default || WaveformImport)) || {};
+
+// decode at a low rate: peaks only need 10 ms buckets, and a 1 h file stays ~115 MB per channel
+const DECODE_SAMPLE_RATE = 8000;
+
+// bigger originals aren't decoded (the whole file is held in memory twice while decoding)
+const MAX_DECODE_BYTES = 250 * 1024 * 1024;
+
+// shortest cue a drag can leave behind
+const MIN_CUE_SECONDS = 0.1;
+
+const STRIP_HEIGHT = 72;
+
+// decoded peaks per stored original; switching tabs / languages reuses them (small LRU)
+const PEAKS_CACHE_LIMIT = 3;
+const peaksCache = new Map();
+
+function fmtTime(seconds) {
+  const x = Math.max(0, Number(seconds || 0) || 0);
+  const m = Math.floor(x / 60);
+  const s = x - m * 60;
+  return `${m}:${s.toFixed(1).padStart(4, "0")}`;
+}
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+async function decodePeaks(blob) {
+  const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!Ctx) throw new Error("This browser can’t decode audio for the waveform.");
+
+  const ctx = new Ctx(1, 1, DECODE_SAMPLE_RATE);
+  const audio = await ctx.decodeAudioData(await blob.arrayBuffer());
+
+  const channels = [];
+  for (let c = 0; c < audio.numberOfChannels; c++) channels.push(audio.getChannelData(c));
+
+  const out = Waveform.computePeaks(channels, audio.sampleRate);
+  return { ...out, silences: Waveform.silencesFromPeaks(out.peaks, out.peaksPerSecond) };
+}
+
+// -> { status: "ready", data } | { status: "missing" | "too_big" }; rejects when decoding fails
+function loadPeaks(scope, threadId, clientFileId) {
+  const key = `${scope}:${threadId}:${clientFileId}`;
+  if (peaksCache.has(key)) {
+    const hit = peaksCache.get(key);
+    peaksCache.delete(key);
+    peaksCache.set(key, hit);
+    return hit;
+  }
+
+  const job = (async () => {
+    const blob = await getLocalMedia(scope, threadId, clientFileId);
+    if (!(blob instanceof Blob)) return { status: "missing" };
+    if (blob.size > MAX_DECODE_BYTES) return { status: "too_big" };
+    return { status: "ready", data: await decodePeaks(blob) };
+  })();
+
+  // failures / "not here yet" aren't cached: the upload may land in local storage later
+  job.then((r) => r.status !== "ready" && peaksCache.delete(key)).catch(() => peaksCache.delete(key));
+
+  peaksCache.set(key, job);
+  while (peaksCache.size > PEAKS_CACHE_LIMIT) peaksCache.delete(peaksCache.keys().next().value);
+  return job;
+}
+
+// Waveform strip above the SRT rows: cues as draggable regions (edges retime, body moves the cue),
+// edges snap to quiet stretches and to the neighbouring cues (hold Alt to drag freely).
+// segments are row-order { start, end, text } in seconds (NaN for unreadable rows, which are skipped).
+// A drag is previewed locally and reported once on release through onRetime(index, { start, end }).
+export default function WaveformTimeline({
+  scope,
+  threadId,
+  clientFileId,
+  segments,
+  currentTime = 0,
+  selectedIndex = -1,
+  activeIndex = -1,
+  disabled = false,
+  onSeek,
+  onSelect,
+  onRetime,
+}) {
+  const stripRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null); // { index, mode: "start" | "end" | "move", grab, lo, hi, seg, moved, preview }
+
+  const loadKey = scope && threadId && clientFileId ? `${scope}:${threadId}:${clientFileId}` : "";
+  const [wave, setWave] = useState({ key: "", status: "idle" });
+  const [view, setView] = useState(null);
+  const [width, setWidth] = useState(0);
+  const [drag, setDrag] = useState(null); // preview: { index, start, end }
+
+  const loaded = !loadKey ? { status: "missing" } : wave.key === loadKey ? wave : { status: "loading" };
+  const data = loaded.status === "ready" ? loaded.data : null;
+  const duration = data?.durationSeconds || 0;
+  const v = Waveform.clampView(view || Waveform.initialView(duration), duration);
+
+  useEffect(() => {
+    if (!loadKey) return undefined;
+    let cancelled = false;
+
+    loadPeaks(scope, threadId, clientFileId)
+      .then((r) => {
+        if (!cancelled) setWave({ key: loadKey, ...r });
+      })
+      .catch((err) => {
+        console.error("[waveform] decode failed", err);
+        if (!cancelled) setWave({ key: loadKey, status: "error" });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadKey, scope, threadId, clientFileId]);
+
+  // follow the playhead while it moves (playback, row clicks); a view scrolled away while paused stays put
+  const [followedTime, setFollowedTime] = useState(currentTime);
+  if (currentTime !== followedTime) {
+    setFollowedTime(currentTime);
+    if (!drag && duration) setView(Waveform.followView(v, currentTime, duration));
+  }
+
+  useEffect(() => {
+    const el = stripRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const ro = new ResizeObserver((entries) => setWidth(Math.round(entries[0]?.contentRect?.width || 0)));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, [data]);
+
+  // draw: one column per device pixel, quiet stretches shaded behind the peaks
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !data || !width) return;
+
+    const dpr = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+    const w = Math.round(width * dpr);
+    const h = Math.round(STRIP_HEIGHT * dpr);
+    if (canvas.width !== w) canvas.width = w;
+    if (canvas.height !== h) canvas.height = h;
+
+    const g = canvas.getContext("2d");
+    if (!g) return;
+    g.clearRect(0, 0, w, h);
+
+    const perPx = v.span / w;
+    const x = (t) => ((t - v.start) / v.span) * w;
+
+    g.fillStyle = "rgba(127,127,127,0.10)";
+    for (const s of data.silences) {
+      if (s.end < v.start || s.start > v.start + v.span) continue;
+      g.fillRect(x(s.start), 0, x(s.end) - x(s.start), h);
+    }
+
+    g.fillStyle = getComputedStyle(canvas).color || "#888";
+    const mid = h / 2;
+    for (let px = 0; px < w; px++) {
+      const t = v.start + px * perPx;
+      const p = Waveform.peakBetween(data.peaks, data.peaksPerSecond, t, t + perPx);
+      const bar = Math.max(1, p * (h - 4));
+      g.fillRect(px, mid - bar / 2, 1, bar);
+    }
+  }, [data, width, v.start, v.span]);
+
+  const timeAtClientX = (clientX) => {
+    const rect = stripRef.current?.getBoundingClientRect();
+    if (!rect || !rect.width) return v.start;
+    return clamp(v.start + ((clientX - rect.left) / rect.width) * v.span, 0, duration);
+  };
+
+  // ctrl/⌘ + wheel zooms at the pointer, horizontal (or shift) wheel scrolls; native listener so it can preventDefault
+  useEffect(() => {
+    const el = stripRef.current;
+    if (!el || !duration) return undefined;
+
+    const onWheel = (e) => {
+      const rect = el.getBoundingClientRect();
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        setView((cur) => {
+          const cv = Waveform.clampView(cur || Waveform.initialView(duration), duration);
+          const anchor = cv.start + ((e.clientX - rect.left) / Math.max(1, rect.width)) * cv.span;
+          return Waveform.zoomView(cv, e.deltaY > 0 ? 1.25 : 0.8, anchor, duration);
+        });
+        return;
+      }
+
+      const dx = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.shiftKey ? e.deltaY : 0;
+      if (!dx) return;
+      e.preventDefault();
+      setView((cur) => {
+        const cv = Waveform.clampView(cur || Waveform.initialView(duration), duration);
+        return Waveform.scrollView(cv, (dx / Math.max(1, rect.width)) * cv.span, duration);
+      });
+    };
+
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, [duration]);
+
+  const rows = useMemo(
+    () =>
+      (Array.isArray(segments) ? segments : []).map((s, i) => {
+        const start = Number(s?.start);
+        const end = Number(s?.end);
+        return Number.isFinite(start) && Number.isFinite(end) && end >= start ? { i, start, end, text: String(s?.text || "") } : null;
+      }),
+    [segments]
+  );
+
+  const onRegionDown = (index, mode) => (e) => {
+    e.stopPropagation();
+    const seg = rows[index];
+    if (!seg) return;
+    if (disabled) {
+      if (typeof onSelect === "function") onSelect(index);
+      return;
+    }
+
+    // a drag never crosses a neighbour (an existing overlap is left as is, not made worse)
+    const prev = rows.slice(0, index).reverse().find(Boolean);
+    const next = rows.slice(index + 1).find(Boolean);
+    dragRef.current = {
+      index,
+      mode,
+      seg,
+      grab: timeAtClientX(e.clientX) - seg.start,
+      lo: prev ? Math.min(prev.end, seg.start) : 0,
+      hi: next ? Math.max(next.start, seg.end) : Math.max(duration, seg.end),
+      moved: false,
+    };
+    try {
+      e.currentTarget.setPointerCapture(e.pointerId);
+    } catch {}
+  };
+
+  const onRegionMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const t = timeAtClientX(e.clientX);
+    const tolerance = width ? (Waveform.SNAP_PIXELS / width) * v.span : 0;
+    const snap = (x, edge) =>
+      e.altKey ? x : Waveform.snapTime(x, Waveform.snapTargets(segments, d.index, edge, data?.silences), tolerance);
+
+    let { start, end } = d.seg;
+    if (d.mode === "start") {
+      start = clamp(snap(t, "start"), d.lo, end - MIN_CUE_SECONDS);
+    } else if (d.mode === "end") {
+      end = clamp(snap(t, "end"), start + MIN_CUE_SECONDS, d.hi);
+    } else {
+      const len = end - start;
+      const s0 = clamp(t - d.grab, d.lo, d.hi - len);
+      const s1 = snap(s0, "start");
+      const e1 = snap(s0 + len, "end");
+      // whichever edge found a target wins (the closer one if both did)
+      const ds = Math.abs(s1 - s0);
+      const de = Math.abs(e1 - (s0 + len));
+      start = clamp(ds && (!de || ds <= de) ? s1 : de ? e1 - len : s0, d.lo, d.hi - len);
+      end = start + len;
+    }
+
+    if (Math.abs(start - d.seg.start) > 1e-3 || Math.abs(end - d.seg.end) > 1e-3) d.moved = true;
+    d.preview = { start, end };
+    setDrag({ index: d.index, start, end });
+  };
+
+  const onRegionUp = () => {
+    const d = dragRef.current;
+    if (!d) return;
+    dragRef.current = null;
+    setDrag(null);
+
+    if (d.moved && d.preview && typeof onRetime === "function") {
+      onRetime(d.index, d.preview);
+      return;
+    }
+    if (typeof onSelect === "function") onSelect(d.index);
+  };
+
+  const setZoom = (factor) => setView(Waveform.zoomView(v, factor, clamp(currentTime, v.start, v.start + v.span), duration));
+
+  if (loaded.status !== "ready") {
+    const note =
+      loaded.status === "loading"
+        ? "Decoding waveform…"
+        : loaded.status === "missing"
+        ? "Waveform needs the original file in this browser (it only exists where it was uploaded)."
+        : loaded.status === "too_big"
+        ? "This file is too large to draw a waveform in the browser."
+        : "Couldn’t decode audio for the waveform.";
+    return <Note>{note}</Note>;
+  }
+
+  const pct = (t) => `${((t - v.start) / v.span) * 100}%`;
+  const visible = (s) => s.end >= v.start && s.start <= v.start + v.span;
+
+  return (
+    <Wrap>
+      <Strip
+        ref={stripRef}
+        onPointerDown={(e) => {
+          if (typeof onSeek === "function") onSeek(timeAtClientX(e.clientX));
+        }}
+        title="Click to seek • drag cue edges to retime, the middle to move • Alt: no snapping • Ctrl/⌘+wheel zoom"
+      >
+        <Canvas ref={canvasRef} />
+
+        {rows.map((r) => {
+          if (!r) return null;
+          const shown = drag && drag.index === r.i ? { ...r, start: drag.start, end: drag.end } : r;
+          if (!visible(shown)) return null;
+          return (
+            <Region
+              key={r.i}
+              $on={r.i === selectedIndex}
+              $active={r.i === activeIndex}
+              $disabled={disabled}
+              style={{ left: pct(shown.start), width: `calc(${pct(shown.end)} - ${pct(shown.start)})` }}
+              onPointerDown={onRegionDown(r.i, "move")}
+              onPointerMove={onRegionMove}
+              onPointerUp={onRegionUp}
+              onPointerCancel={onRegionUp}
+              title={`${r.i + 1} • ${fmtTime(shown.start)} – ${fmtTime(shown.end)}${r.text ? ` • ${r.text}` : ""}`}
+            >
+              <RegionText>{r.text}</RegionText>
+              {!disabled ? (
+                <>
+                  <Edge $edge="start" onPointerDown={onRegionDown(r.i, "start")} />
+                  <Edge $edge="end" onPointerDown={onRegionDown(r.i, "end")} />
+                </>
+              ) : null}
+            </Region>
+          );
+        })}
+
+        {currentTime >= v.start && currentTime <= v.start + v.span ? <Playhead style={{ left: pct(currentTime) }} /> : null}
+      </Strip>
+
+      <Row>
+        <Btn type="button" onClick={() => setZoom(0.5)} disabled={v.span <= Waveform.MIN_SPAN_SECONDS} title="Zoom in">
+          +
+        </Btn>
+        <Btn type="button" onClick={() => setZoom(2)} disabled={v.span >= duration} title="Zoom out">
+          −
+        </Btn>
+        <Btn type="button" onClick={() => setView({ start: 0, span: duration })} disabled={v.span >= duration} title="Show the whole file">
+          Fit
+        </Btn>
+        <Scroll
+          type="range"
+          min={0}
+          max={Math.max(0, duration - v.span)}
+          step={0.01}
+          value={v.start}
+          disabled={v.span >= duration}
+          onChange={(e) => setView({ start: Number(e.target.value), span: v.span })}
+          aria-label="Scroll waveform"
+        />
+        <Info>
+          {fmtTime(v.start)} – {fmtTime(v.start + v.span)} of {fmtTime(duration)}
+        </Info>
+      </Row>
+    </Wrap>
+  );
+}
+
+const Wrap = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+`;
+
+const Note = styled.div`
+  font-size: 11px;
+  color: var(--muted);
+  padding: 6px 2px;
+`;
+
+const Strip = styled.div`
+  position: relative;
+  height: ${STRIP_HEIGHT}px;
+  border-radius: 10px;
+  border: 1px solid var(--border);
+  background: var(--hover);
+  overflow: hidden;
+  cursor: pointer;
+  touch-action: none;
+  user-select: none;
+`;
+
+const Canvas = styled.canvas`
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+  color: var(--muted);
+  pointer-events: none;
+`;
+
+const Region = styled.div`
+  position: absolute;
+  top: 4px;
+  bottom: 4px;
+  min-width: 2px;
+  border-radius: 6px;
+  background: ${(p) => (p.$on ? "rgba(239,68,68,0.26)" : p.$active ? "rgba(239,68,68,0.18)" : "rgba(239,68,68,0.10)")};
+  border: 1px solid ${(p) => (p.$on ? "var(--accent)" : "rgba(239,68,68,0.35)")};
+  cursor: ${(p) => (p.$disabled ? "pointer" : "grab")};
+  overflow: hidden;
+
+  &:active {
+    cursor: ${(p) => (p.$disabled ? "pointer" : "grabbing")};
+  }
+`;
+
+const RegionText = styled.div`
+  padding: 2px 8px;
+  font-size: 10px;
+  font-weight: 800;
+  color: var(--text);
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  pointer-events: none;
+`;
+
+const Edge = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 6px;
+  ${(p) => (p.$edge === "start" ? "left: 0;" : "right: 0;")}
+  background: rgba(239, 68, 68, 0.55);
+  cursor: ew-resize;
+`;
+
+const Playhead = styled.div`
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 2px;
+  margin-left: -1px;
+  background: var(--text);
+  pointer-events: none;
+`;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+`;
+
+const Btn = styled.button`
+  height: 24px;
+  min-width: 28px;
+  border-radius: 999px;
+  border: 1px solid var(--border);
+  background: var(--panel);
+  color: var(--text);
+  font-size: 11px;
+  font-weight: 900;
+  padding: 0 8px;
+  cursor: pointer;
+
+  &:hover:enabled {
+    background: var(--hover);
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const Scroll = styled.input`
+  flex: 1;
+  min-width: 60px;
+  accent-color: var(--accent);
+`;
+
+const Info = styled.div`
+  font-size: 11px;
+  color: var(--muted);
+  font-variant-numeric: tabular-nums;
+  white-space: nowrap;
+`;
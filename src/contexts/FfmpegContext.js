@@ -1,5 +1,13 @@
 import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
-import { extractAudioToMp3, getMediaDurationSeconds, loadFfmpegSingleton } from "../lib/ffmpegClient";
+import {
+  extractAudioToMp3,
+  detectSilence,
+  burnSubtitlesToMp4,
+  muxSubtitlesIntoVideo,
+  getMediaDurationSeconds,
+  loadFfmpegSingleton,
+} from "../lib/ffmpegClient";
+import { transcribeInBrowser } from "../lib/browserAsrClient";
 
 const FfmpegContext = createContext(null);
 
@@ -52,7 +60,17 @@ export function FfmpegProvider({ children }) {
       // keep these available for later features
       extractAudioToMp3,
       getMediaDurationSeconds,
+      // silent stretches for the optional "cut silence" upload step (shared/silenceCut)
+      detectSilence,
       ensureFfmpeg: () => loadFfmpegSingleton(),
+
+      // hardcoded captions for social clips (local media -> MP4, never uploaded)
+      burnSubtitlesToMp4,
+      // soft subtitle streams (transcript + translations) in MP4 / MKV, video stream-copied
+      muxSubtitlesIntoVideo,
+
+      // in-browser Whisper fallback (loads its model on first use, not at boot)
+      transcribeInBrowser,
     }),
     [ffmpegReady, ffmpegLoading, ffmpegError]
   );
@@ -5,19 +5,31 @@ import { useAuth } from "./AuthContext";
 import { useFfmpeg } from "./FfmpegContext";
 import { ensureDefaultThread, loadThreadsState, saveThreadsState, makeNewThread } from "../lib/threadsStore";
 import { apiCreateThread, apiRenameThread, apiDeleteThread } from "../lib/api/threads";
-import { putLocalMedia, deleteLocalMedia } from "../lib/mediaStore";
+import { putLocalMedia, getLocalMedia, deleteLocalMedia } from "../lib/mediaStore";
 import { createThreadWsClient } from "../lib/wsThreadsClient";
 import { putMediaIndex, getMediaIndex } from "../lib/mediaIndexStore";
-import { putLocalMediaMeta } from "../lib/mediaMetaStore";
+import { putLocalMediaMeta, getLocalMediaMeta } from "../lib/mediaMetaStore";
+import { putDraftTranscript, getDraftTranscript, deleteDraftTranscript } from "../lib/draftTranscriptStore";
 import { safeLangKey, deleteLangKey } from "../lib/langKey";
 import { makeScope } from "../lib/scopeKey";
 import { uploadDraftFileViaWs, uploadDraftUrlViaWs } from "../lib/wsDraftUploadClient";
+import { startLiveTranscriptionViaWs } from "../lib/wsLiveTranscribeClient";
 import {downloadMediaFileFromUrl} from "../lib/downloadMediaFileFromURL"
 
 import * as BillingImport from "../shared/billingCatalog";
+import * as TranscriptionCatalogImport from "../shared/transcriptionCatalog";
 import * as TranslationImport from "../shared/translationCatalog";
 import * as TranslationBillingImport from "../shared/translationBillingCatalog";
 import * as SummarizationBillingImport from "../shared/summarizationBillingCatalog";
+import * as SummarizationCatalogImport from "../shared/summarizationCatalog";
+import * as QaBillingImport from "../shared/qaBillingCatalog";
+import * as LlmProvidersImport from "../shared/llmProviders";
+import * as TranscriptQaImport from "../shared/transcriptQa";
+import * as SubtitleFormatsImport from "../shared/subtitleFormats";
+import * as TranslationGlossaryImport from "../shared/translationGlossary";
+import * as MediaTrimImport from "../shared/mediaTrim";
+import * as SilenceCutImport from "../shared/silenceCut";
+import * as MediaTokensAvailableImport from "../shared/mediaTokensAvailable";
 
 import { requestUpgrade } from "../lib/upgradeBus";
 
@@ -28,11 +40,27 @@ const { formatBytes } = Plans;
 const TranslationCatalog = (TranslationImport && (TranslationImport.default || TranslationImport)) || {};
 const TR_DEFAULTS = TranslationCatalog?.DEFAULTS || {};
 
+const TranscriptionCatalog =
+  (TranscriptionCatalogImport && (TranscriptionCatalogImport.default || TranscriptionCatalogImport)) || {};
+
 const Billing = (BillingImport && (BillingImport.default || BillingImport)) || {};
 const TranslationBilling =
   (TranslationBillingImport && (TranslationBillingImport.default || TranslationBillingImport)) || {};
 const SummarizationBilling =
   (SummarizationBillingImport && (SummarizationBillingImport.default || SummarizationBillingImport)) || {};
+const SummarizationCatalog =
+  (SummarizationCatalogImport && (SummarizationCatalogImport.default || SummarizationCatalogImport)) || {};
+const SUM_DEFAULTS = SummarizationCatalog?.DEFAULTS || {};
+const LlmProviders = (LlmProvidersImport && (LlmProvidersImport.default || LlmProvidersImport)) || {};
+const QaBilling = (QaBillingImport && (QaBillingImport.default || QaBillingImport)) || {};
+const TranscriptQa = (TranscriptQaImport && (TranscriptQaImport.default || TranscriptQaImport)) || {};
+const SubtitleFormats = (SubtitleFormatsImport && (SubtitleFormatsImport.default || SubtitleFormatsImport)) || {};
+const TranslationGlossary =
+  (TranslationGlossaryImport && (TranslationGlossaryImport.default || TranslationGlossaryImport)) || {};
+const MediaTrim = (MediaTrimImport && (MediaTrimImport.default || MediaTrimImport)) || {};
+const SilenceCut = (SilenceCutImport && (SilenceCutImport.default || SilenceCutImport)) || {};
+const MediaTokensAvailable =
+  (MediaTokensAvailableImport && (MediaTokensAvailableImport.default || MediaTokensAvailableImport)) || {};
 
 const ThreadsContext = createContext(null);
 
@@ -199,6 +227,19 @@ function estimateSummaryMediaTokensDeterministic({ text, modelId, targetLang } =
 }
 
 
+// transcript Q&A: same deterministic estimate the UI shows (context = transcripts of the asked items)
+function estimateQaMediaTokensDeterministic({ chatItems, question, history, modelId } = {}) {
+  if (typeof QaBilling?.estimateQaRun !== "function") return 0;
+  try {
+    const contexts = (Array.isArray(chatItems) ? chatItems : []).map((it) => getTranscriptTextAny(it)).filter(Boolean);
+    const run = QaBilling.estimateQaRun({ contexts, question, history }, modelId ? { modelId: String(modelId) } : null);
+    return Math.max(0, Math.round(Number(run?.mediaTokens || 0) || 0));
+  } catch {
+    return 0;
+  }
+}
+
+
 function ensureDraftShape(d) {
   const out = d && typeof d === "object" ? { ...d } : {};
   if (!Array.isArray(out.files)) out.files = [];
@@ -321,6 +362,40 @@ function applyChatItemPatch(item, patch) {
   };
 }
 
+// keep-ranges of a trimmed chat item (null = not trimmed)
+function itemTrimRanges(item) {
+  const ranges = MediaTrim.normalizeKeepRanges(item?.media?.trim?.ranges);
+  return ranges.length ? ranges : null;
+}
+
+// Server ASR transcribes the trimmed upload, so a finished server transcript is on the trimmed timeline until
+// a SAVE_SEGMENTS write marks it results.transcriptTimeline = "original" (see shared/mediaTrim).
+// -> the item with its transcript mapped back onto the original (and marked so locally), or null
+function remapTrimmedTranscript(item) {
+  const ranges = itemTrimRanges(item);
+  if (!ranges || String(item?.status?.transcribe?.state || "") !== "done") return null;
+
+  const results = item?.results && typeof item.results === "object" ? item.results : {};
+  if (results.transcriptTimeline === MediaTrim.ORIGINAL_TIMELINE) return null;
+
+  const segs = Array.isArray(results.transcriptSegments) ? results.transcriptSegments : [];
+  const srt = String(results.transcriptSrt || "").trim();
+  if (!segs.length && !srt) return null;
+
+  const next = {
+    ...results,
+    transcriptSegments: MediaTrim.shiftSegmentsToOriginal(segs, ranges),
+    transcriptTimeline: MediaTrim.ORIGINAL_TIMELINE,
+  };
+  if (srt && typeof SubtitleFormats.srtToSegments === "function") {
+    next.transcriptSrt = SubtitleFormats.segmentsToSrt(
+      MediaTrim.shiftSegmentsToOriginal(SubtitleFormats.srtToSegments(srt), ranges)
+    );
+  }
+
+  return { ...item, results: next };
+}
+
 
 function hasOwn(obj, key) {
   return Object.prototype.hasOwnProperty.call(obj || {}, key);
@@ -510,12 +585,31 @@ function baseName(name) {
   return n.replace(/\.[a-z0-9]+$/i, "") || "media";
 }
 
-async function convertToMp3OrPassThrough(file, { ensureFfmpeg, extractAudioToMp3 }) {
-  if (isMp3(file)) return file;
+// keepRanges (shared/mediaTrim) force a pass through ffmpeg, even for mp3s.
+// cutSilence: silencedetect first (shared/silenceCut); the speech becomes the keep-ranges. A failed or
+// pointless detection just converts the whole file.
+// -> { file, trim } — trim is the silence-cut record that was applied (null = none). Callers store it like a
+//    manual trim (draft entry + localMeta), so the server transcript is mapped back by remapTrimmedTranscript.
+async function convertToMp3OrPassThrough(file, { ensureFfmpeg, extractAudioToMp3, detectSilence, keepRanges, cutSilence }) {
+  let ranges = Array.isArray(keepRanges) && keepRanges.length > 0 ? keepRanges : null;
+  let trim = null;
+
+  if (!ranges && cutSilence && typeof detectSilence === "function") {
+    try {
+      await ensureFfmpeg();
+      const found = await detectSilence(file);
+      trim = SilenceCut.silenceTrimRecord(found?.silences, found?.durationSeconds);
+      ranges = trim ? trim.ranges : null;
+    } catch (e) {
+      console.warn("[silence] detection failed — uploading the whole file", e);
+    }
+  }
+
+  if (isMp3(file) && !ranges) return { file, trim: null };
 
   await ensureFfmpeg();
 
-  const out = await extractAudioToMp3(file);
+  const out = await extractAudioToMp3(file, ranges ? { keepRanges: ranges } : undefined);
   const mp3File = out && out.file ? out.file : null;
 
   if (!(mp3File instanceof File)) throw new Error("FFmpeg conversion did not return an mp3 File");
@@ -524,10 +618,10 @@ async function convertToMp3OrPassThrough(file, { ensureFfmpeg, extractAudioToMp3
   const renamed = mp3File.name === "output.mp3" ? new File([mp3File], wantedName, { type: "audio/mpeg" }) : mp3File;
 
   if (!String(renamed.type).startsWith("audio/")) {
-    return new File([renamed], renamed.name || wantedName, { type: "audio/mpeg" });
+    return { file: new File([renamed], renamed.name || wantedName, { type: "audio/mpeg" }), trim };
   }
 
-  return renamed;
+  return { file: renamed, trim };
 }
 
 // ---------- API helpers ----------
@@ -585,6 +679,9 @@ async function apiGetThread(jwt, { threadId }) {
 }
 
 // ---------- deterministic optimistic estimation ----------
+// live ASR has no known duration up front: reserve one minute at a time while the mic runs
+const LIVE_RESERVE_EVERY_MS = 60 * 1000;
+
 function estimateTokensForSecondsDeterministic(seconds, modelId) {
   const s = Number(seconds || 0);
   if (!Number.isFinite(s) || s <= 0) return 0;
@@ -630,11 +727,25 @@ function normalizeRunOptions(raw) {
   delete o.trTargetLangs;
   delete o.trLangs;
 
+  // ✅ diarization (speaker labels on transcript segments) — transcription-only flag
+  const diarize = !!(o.diarize || (o.diarization && typeof o.diarization === "object" && o.diarization.enabled));
+  delete o.diarization;
+  if (diarize && o.doTranscribe !== false) o.diarize = true;
+  else delete o.diarize;
+
+  // ✅ keyterms (glossary boost terms) — only for models that accept them, capped to the model's limit
+  const keyterms =
+    o.doTranscribe !== false && typeof TranscriptionCatalog.normalizeKeyterms === "function"
+      ? TranscriptionCatalog.normalizeKeyterms(o.keyterms, String(o.asrModel || ""))
+      : [];
+  if (keyterms.length) o.keyterms = keyterms;
+  else delete o.keyterms;
+
     // ✅ normalize summarize (array-free, simple)
   if (o.summarize && typeof o.summarize === "object") {
     const s = o.summarize || {};
 
-    const modelId = String(s.modelId || TR_DEFAULTS?.modelId || "gpt-4o-mini");
+    const modelId = SummarizationCatalog.resolveModelId(s.modelId); // unknown / MT-only -> default LLM
     const targetLangRaw =
       s.targetLang ||
       s.language || // legacy
@@ -648,6 +759,7 @@ function normalizeRunOptions(raw) {
        enabled: !!s.enabled,
        modelId,
       targetLang,
+      template: SummarizationCatalog.normalizeTemplateId(s.template), // "bullets" = legacy text summary
      };
 
     return o;
@@ -655,11 +767,12 @@ function normalizeRunOptions(raw) {
 
   // ✅ if caller set doSummarize but forgot summarize block, enforce defaults
   if (o.doSummarize) {
-    const modelId = String(TR_DEFAULTS?.modelId || "gpt-4o-mini");
+    const modelId = String(SUM_DEFAULTS.modelId);
     o.summarize = {
       enabled: true,
       modelId,
       targetLang: "auto",
+      template: SummarizationCatalog.normalizeTemplateId(o.summarization?.template),
     };
   }
 
@@ -667,9 +780,6 @@ function normalizeRunOptions(raw) {
   if (o.translation && typeof o.translation === "object") {
     const t = o.translation || {};
 
-    const modelId = String(t.modelId || TR_DEFAULTS?.modelId || "gpt-4o-mini");
-    const modelObj = typeof TranslationCatalog?.getModelById === "function" ? TranslationCatalog.getModelById(modelId) : null;
-
     const sourceLang = String(t.sourceLang || TR_DEFAULTS?.sourceLang || "auto");
 
     const fallbackTargets =
@@ -681,14 +791,25 @@ const targetLangs = uniqStrings(
     .filter(Boolean)
 );
 
+    // the picked model must handle every language; otherwise the registry picks one that does
+    const modelId = TranslationCatalog.resolveModelId(t.modelId, sourceLang, targetLangs);
+    const modelObj = TranslationCatalog.getModelById(modelId);
+
     o.translation = {
       enabled: !!t.enabled,
-      provider: t.provider != null ? String(t.provider) : (modelObj?.provider || "openai"),
+      provider: modelObj?.provider || "openai",
       modelId: String(modelObj?.id || modelId),
       sourceLang,
       targetLangs, // ✅ always array
     };
 
+    // ✅ thread glossary + do-not-translate terms (only the langs being run; omitted when empty)
+    const glossary =
+      t.glossary && typeof TranslationGlossary.glossaryForLangs === "function"
+        ? TranslationGlossary.glossaryForLangs(t.glossary, targetLangs)
+        : null;
+    if (glossary && !TranslationGlossary.isEmptyGlossary(glossary)) o.translation.glossary = glossary;
+
     return o;
   }
 
@@ -697,8 +818,8 @@ const targetLangs = uniqStrings(
     const fallbackTargets =
       (Array.isArray(TR_DEFAULTS?.targetLangs) && TR_DEFAULTS.targetLangs.length ? TR_DEFAULTS.targetLangs : ["en"]);
 
-    const modelId = String(TR_DEFAULTS?.modelId || "gpt-4o-mini");
-    const modelObj = typeof TranslationCatalog?.getModelById === "function" ? TranslationCatalog.getModelById(modelId) : null;
+    const modelId = String(TR_DEFAULTS.modelId);
+    const modelObj = TranslationCatalog.getModelById(modelId);
 
     o.translation = {
       enabled: true,
@@ -999,6 +1120,8 @@ export function ThreadsProvider({ children }) {
     refreshTokens,
     applyTokensSnapshot,
     tokenSnapshot,
+    mediaTokens,
+    pendingMediaTokens,
 
     // ✅ from your AuthContext (already exists)
     reserveMediaTokens,
@@ -1006,7 +1129,7 @@ export function ThreadsProvider({ children }) {
     clearAllMediaReservations,
   } = useAuth();
 
-  const { extractAudioToMp3, ensureFfmpeg } = useFfmpeg();
+  const { extractAudioToMp3, detectSilence, ensureFfmpeg, transcribeInBrowser } = useFfmpeg();
 
   const [threadsById, setThreadsById] = useState({});
   const [activeId, setActiveIdState] = useState("default");
@@ -1021,6 +1144,7 @@ export function ThreadsProvider({ children }) {
 
   const wsClientRef = useRef(null);
   const wsBoundThreadRef = useRef(null);
+  const liveSessionRef = useRef(null); // live "stream" mode session: { threadId, session, options, reserveId, reserveTimer }
 
   const threadsRef = useRef({});
   const activeRef = useRef("default");
@@ -1261,6 +1385,50 @@ const forwardUploadProgressToDraft = (threadId, itemId, ev) => {
     });
   };
 
+  // live progress (0..1) for one step; translate keeps one value per lang.
+  // Fed by CHAT_ITEM_PROGRESS and by in-browser transcription.
+  const applyChatItemProgress = (threadId, chatItemId, step, progress, lang) => {
+    const tid = String(threadId || "");
+    const cid = String(chatItemId || "");
+    if (!tid || !cid || !step) return;
+
+    setLiveRunsByThread((prev) => {
+      const cur = (prev && prev[tid]) || {};
+      const chatItems = cur.chatItems && typeof cur.chatItems === "object" ? cur.chatItems : {};
+      const existing = chatItems[cid] || {};
+      const existingProgress = existing.progress && typeof existing.progress === "object" ? existing.progress : {};
+      const existingStep = existingProgress[step];
+
+      let nextStepValue;
+
+      const useLang = step === "translate" && lang;
+
+      if (useLang) {
+        const stepMap = existingStep && typeof existingStep === "object" && !Array.isArray(existingStep) ? existingStep : {};
+        nextStepValue = { ...stepMap, [lang]: progress };
+      } else {
+        nextStepValue = progress;
+      }
+
+      return {
+        ...(prev || {}),
+        [tid]: {
+          ...cur,
+          chatItems: {
+            ...chatItems,
+            [cid]: {
+              ...existing,
+              progress: { ...existingProgress, [step]: nextStepValue },
+              lastProgressAt: nowIso(),
+              updatedAt: nowIso(),
+            },
+          },
+          updatedAt: nowIso(),
+        },
+      };
+    });
+  };
+
   const disconnectWs = () => {
     try {
       if (wsClientRef.current) wsClientRef.current.disconnect(1000, "thread_switch");
@@ -1298,6 +1466,11 @@ useEffect(() => {
 
   abortAllUrlDownloads("scope_change");
 
+  // a running live session belongs to the old scope (mic + socket)
+  clearInterval(liveSessionRef.current?.reserveTimer);
+  liveSessionRef.current?.session?.cancel().catch(() => {});
+  liveSessionRef.current = null;
+
   // kill any previous WS connection immediately
   disconnectWs();
 
@@ -1367,6 +1540,15 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
     reservedKeysRef.current = next;
   };
 
+  // unused media tokens right now (balance minus optimistic reservations), same math as the timeline pills
+  const availableUnusedTokens = () =>
+    typeof MediaTokensAvailable.computeAvailableUnusedMediaTokens === "function"
+      ? MediaTokensAvailable.computeAvailableUnusedMediaTokens({ tokenSnapshot, mediaTokens, pendingMediaTokens })
+      : Infinity;
+  // the live session's per-minute top-up runs from a timer, so it reads the latest render's balance
+  const availableUnusedTokensRef = useRef(availableUnusedTokens);
+  availableUnusedTokensRef.current = availableUnusedTokens;
+
   const getThreadFallbackModelId = (thread) => {
     return (
       thread?.draft?.shared?.modelId ||
@@ -1452,7 +1634,7 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
   const s = normalizedOptions?.summarize && typeof normalizedOptions.summarize === "object" ? normalizedOptions.summarize : null;
   if (!s || !s.enabled) return;
 
-  const modelId = String(s.modelId || TR_DEFAULTS?.modelId || "gpt-4o-mini");
+  const modelId = String(s.modelId || SUM_DEFAULTS.modelId);
   const targetLang = String(s.targetLang || "auto") || "auto";
 
   for (const cid of ids) {
@@ -1516,7 +1698,7 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
     const targetLangsAll = Array.isArray(tr?.targetLangs) ? tr.targetLangs.map(safeLangKey).filter(Boolean) : [];
     if (!targetLangsAll.length) return;
 
-    const modelId = String(tr?.modelId || TR_DEFAULTS?.modelId || "gpt-4o-mini");
+    const modelId = String(tr?.modelId || TR_DEFAULTS.modelId);
     const sourceLang = String(tr?.sourceLang || TR_DEFAULTS?.sourceLang || "auto");
 
     const estimateOpts =
@@ -1668,6 +1850,7 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
         nextChatItems = await hydrateChatItemsWithMediaIndex(scope, t.id, nextChatItems);
       } catch {}
     }
+    nextChatItems = remapTrimmedItems(t.id, nextChatItems);
 
     const nextThread = {
       ...(existing || {}),
@@ -1722,6 +1905,9 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
     }
   } catch {}
 
+  // imported transcripts that couldn't be saved while the socket was down
+  flushQueuedTranscriptImports().catch(() => {});
+
   return;
 }
 
@@ -1894,19 +2080,29 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
         for (const f of files) {
           const iid = String(f?.itemId || "");
           if (!iid) continue;
-          draftMap[iid] = { clientFileId: f?.clientFileId || null, local: f?.local || null };
+          draftMap[iid] = { clientFileId: f?.clientFileId || null, local: f?.local || null, trim: MediaTrim.getDraftTrim(f) };
         }
       } catch {}
 
       const patchedItems = items.map((it) => {
         const iid = String(it?.itemId || "");
         const m = it?.media && typeof it.media === "object" ? it.media : {};
-        if (m.clientFileId) return it;
-
-        const hit = draftMap[iid];
-        if (!hit?.clientFileId) return it;
-
-        return { ...it, media: { ...m, clientFileId: String(hit.clientFileId) } };
+        const hit = draftMap[iid] || {};
+
+        // trim (manual or silence cut): a server transcript is on the trimmed audio until mapped back
+        // (remapTrimmedTranscript); imported / in-browser transcripts are saved on the original timeline
+        const clientFileId = m.clientFileId || hit.clientFileId || null;
+        const trim = m.trim || hit.trim || null;
+        if (!clientFileId && !trim) return it;
+
+        return {
+          ...it,
+          media: {
+            ...m,
+            ...(clientFileId ? { clientFileId: String(clientFileId) } : null),
+            ...(trim ? { trim } : null),
+          },
+        };
       });
 
       if (t) {
@@ -1965,6 +2161,30 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
         }
       } catch {}
 
+      // ✅ imported transcripts: item exists now -> SAVE_SEGMENTS, then queue the follow-up steps
+      try {
+        for (const it of patchedItems) {
+          const iid = String(it?.itemId || "");
+          const cid = String(it?.chatItemId || "");
+          const pending = iid ? pendingTranscriptImportsRef.current[iid] : null;
+          if (!pending || !cid) continue;
+
+          delete pendingTranscriptImportsRef.current[iid];
+          if (pending.browser) {
+            // runs for minutes — don't hold up the rest of CHAT_ITEMS_CREATED
+            const cfi = it?.media?.clientFileId ? String(it.media.clientFileId) : "";
+            queueBrowserTranscription(threadId, cid, {
+              ...pending.browser,
+              clientFileId: cfi,
+              trim: it?.media?.trim || null,
+              followUp: pending.followUp,
+            });
+          } else {
+            await applyImportedTranscript(threadId, iid, cid, pending);
+          }
+        }
+      } catch {}
+
       // ✅ if server billed by itemId first, attach once chatItemId exists
       try {
         const liveForThread = liveRunsByThread && liveRunsByThread[String(threadId)] ? liveRunsByThread[String(threadId)] : null;
@@ -1995,10 +2215,17 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
   const chatItemId = String(msg?.payload?.chatItemId || "");
   const step = String(msg?.payload?.step || "transcribe");
   const lang = String(msg?.payload?.lang || msg?.payload?.targetLang || ""); // ✅ NEW
-  const incoming = Array.isArray(msg?.payload?.segments) ? msg.payload.segments : [];
+  const incomingRaw = Array.isArray(msg?.payload?.segments) ? msg.payload.segments : [];
   const append = !!msg?.payload?.append;
   if (!chatItemId) return;
 
+  // server ASR streams on the trimmed timeline; show it on the original one (like the final transcript)
+  const item = ensureChatItemsArray(threadsRef.current?.[threadId]?.chatItems).find(
+    (x) => String(x?.chatItemId || "") === chatItemId
+  );
+  const ranges = step === "transcribe" ? itemTrimRanges(item) : null;
+  const incoming = ranges ? MediaTrim.shiftSegmentsToOriginal(incomingRaw, ranges) : incomingRaw;
+
   setLiveRunsByThread((prev) => {
     const cur = (prev && prev[threadId]) || {};
     const chatItems = cur.chatItems && typeof cur.chatItems === "object" ? cur.chatItems : {};
@@ -2050,43 +2277,7 @@ const releaseForSummarizeChatItem = (threadId, chatItemId) => {
   const progress = Number(msg?.payload?.progress || 0);
   if (!chatItemId || !step) return;
 
-  setLiveRunsByThread((prev) => {
-    const cur = (prev && prev[threadId]) || {};
-    const chatItems = cur.chatItems && typeof cur.chatItems === "object" ? cur.chatItems : {};
-    const existing = chatItems[chatItemId] || {};
-    const existingProgress = existing.progress && typeof existing.progress === "object" ? existing.progress : {};
-    const existingStep = existingProgress[step];
-
-    let nextStepValue;
-
-      const useLang = step === "translate" && lang;
-
-      if (useLang) {
-        const stepMap = existingStep && typeof existingStep === "object" && !Array.isArray(existingStep) ? existingStep : {};
-        nextStepValue = { ...stepMap, [lang]: progress };
-      } else {
-        nextStepValue = progress;
-      }
-
-
-    return {
-      ...(prev || {}),
-      [threadId]: {
-        ...cur,
-        chatItems: {
-          ...chatItems,
-          [chatItemId]: {
-            ...existing,
-            progress: { ...existingProgress, [step]: nextStepValue },
-            lastProgressAt: nowIso(),
-            updatedAt: nowIso(),
-          },
-        },
-        updatedAt: nowIso(),
-      },
-    };
-  });
-
+  applyChatItemProgress(threadId, chatItemId, step, progress, lang);
   return;
 }
 
@@ -2200,7 +2391,7 @@ try {
       if (idx < 0) return;
 
       const nextItems = [...items];
-      nextItems[idx] = applyChatItemPatch(nextItems[idx], patch);
+      nextItems[idx] = remapTrimmedItems(threadId, [applyChatItemPatch(nextItems[idx], patch)])[0];
 
 const nextThread = { ...t, chatItems: nextItems, updatedAt: nowIso() };
 const nextThreads = { ...cur, [threadId]: nextThread };
@@ -2582,7 +2773,15 @@ return;
   };
 
   // ---------------- Draft Media (UPLOAD / URL / DELETE) ----------------
-  const addDraftMediaFromFile = async (threadId, file) => {
+  // origin: "upload" | "recording" (mic / tab capture from the composer) | "live" (stream mode) — only changes the stored meta
+  // transcript: { filename, format, segments } attached like an imported .srt, so Start skips ASR for it
+  // trim: shared/mediaTrim record — only the keep-ranges are converted + uploaded; the local copy stays whole
+  // cutSilence: detect silent stretches while converting and trim them the same way (ignored when trim is given)
+  const addDraftMediaFromFile = async (
+    threadId,
+    file,
+    { origin = "upload", transcript = null, trim = null, cutSilence = false } = {}
+  ) => {
     if (!threadId || threadId === "default") return;
     if (!file) return;
 
@@ -2600,6 +2799,8 @@ return;
 
     const originalMime = String(file?.type || "");
     const originalIsVideo = originalMime.startsWith("video/");
+    const keepRanges = Array.isArray(trim?.ranges) && trim.ranges.length ? trim.ranges : null;
+    const passThrough = isMp3(file) && !keepRanges && !cutSilence;
 
     const localMeta = {
       name: file?.name || "",
@@ -2607,19 +2808,34 @@ return;
       mime: originalMime,
       lastModified: file?.lastModified || 0,
       isVideo: originalIsVideo,
+      ...(keepRanges ? { trim } : null),
     };
 
     if (scope) {
       await putLocalMedia(scope, threadId, clientFileId, file);
 
       await putLocalMediaMeta(scope, threadId, clientFileId, {
-        origin: "upload",
+        origin,
         name: file?.name || "",
         mime: String(file?.type || ""),
         isVideo: String(file?.type || "").startsWith("video/"),
         bytes: Number(file?.size || 0) || 0,
+        ...(keepRanges ? { trim } : null),
         savedAt: nowIso(),
       });
+
+      const segs = normalizeSegmentsForWs(transcript?.segments);
+      if (segs.length) {
+        await putDraftTranscript(scope, threadId, itemId, {
+          filename: String(transcript?.filename || file?.name || ""),
+          format: String(transcript?.format || "srt"),
+          cues: segs.length,
+          skipped: 0,
+          durationSeconds: segs[segs.length - 1].end,
+          importedAt: nowIso(),
+          segments: segs,
+        });
+      }
     }
 
     const draft = ensureDraftShape(t.draft);
@@ -2628,7 +2844,8 @@ return;
       clientFileId,
       sourceType: "upload",
       local: localMeta,
-      stage: isMp3(file) ? "uploading" : "converting",
+      ...(keepRanges ? { trim } : null),
+      stage: passThrough ? "uploading" : "converting",
       createdAt: nowIso(),
       updatedAt: nowIso(),
     };
@@ -2650,12 +2867,31 @@ return toast.promise(
     let mp3File = file;
 
     // If mp3 already, mark upload progress start
-    if (isMp3(file)) {
+    if (passThrough) {
       patchDraftFileUi(threadId, itemId, { stage: "uploading", uploadPct: 0, uploadStage: "verifying" });
     }
 
-    if (!isMp3(file)) {
-      mp3File = await convertToMp3OrPassThrough(file, { ensureFfmpeg, extractAudioToMp3 });
+    if (!passThrough) {
+      const converted = await convertToMp3OrPassThrough(file, {
+        ensureFfmpeg,
+        extractAudioToMp3,
+        detectSilence,
+        keepRanges,
+        cutSilence: cutSilence && !keepRanges,
+      });
+      mp3File = converted.file;
+
+      // silence cut: record it like a manual trim (draft entry + upload localMeta + local meta)
+      const silenceTrim = converted.trim;
+      if (silenceTrim) {
+        localMeta.trim = silenceTrim;
+        if (scope) {
+          try {
+            const meta = await getLocalMediaMeta(scope, threadId, clientFileId);
+            await putLocalMediaMeta(scope, threadId, clientFileId, { ...(meta || {}), trim: silenceTrim });
+          } catch {}
+        }
+      }
 
       const curMid = threadsRef.current || {};
       const tMid = curMid[threadId];
@@ -2666,6 +2902,7 @@ return toast.promise(
         if (idx >= 0) {
           filesMid[idx] = {
             ...filesMid[idx],
+            ...(silenceTrim ? { trim: silenceTrim, local: localMeta } : null),
             stage: "uploading",
             uploadPct: 0,
             uploadStage: "verifying",
@@ -2746,7 +2983,13 @@ return toast.promise(
   })(),
   {
     // ✅ keep your original toast UX
-    loading: isMp3(file) ? "Uploading mp3…" : "Converting to mp3…",
+    loading: passThrough
+      ? "Uploading mp3…"
+      : keepRanges
+      ? "Trimming to mp3…"
+      : cutSilence
+      ? "Cutting silence…"
+      : "Converting to mp3…",
     success: "Uploaded",
     error: async (e) => {
       try {
@@ -2781,7 +3024,8 @@ return toast.promise(
 );
   };
 
-const addDraftMediaFromUrl = async (threadId, url) => {
+// cutSilence: same optional silence cut as addDraftMediaFromFile, applied after the download
+const addDraftMediaFromUrl = async (threadId, url, { cutSilence = false } = {}) => {
   if (!threadId || threadId === "default") return;
 
   const clean = String(url || "").trim();
@@ -2886,23 +3130,40 @@ return toast.promise(
       }
 
       // 3) Move to converting/uploading (same UX as normal upload)
+      const passThrough = isMp3(originalFile) && !cutSilence;
       patchDraftFileUi(threadId, itemId, {
         local: localMeta,
-        stage: isMp3(originalFile) ? "uploading" : "converting",
+        stage: passThrough ? "uploading" : "converting",
         downloadPct: null,
         downloadReceivedBytes: null,
         downloadTotalBytes: null,
-        uploadPct: isMp3(originalFile) ? 0 : null,
-        uploadStage: isMp3(originalFile) ? "verifying" : null,
+        uploadPct: passThrough ? 0 : null,
+        uploadStage: passThrough ? "verifying" : null,
       });
 
       // 4) Convert -> mp3 (if needed), then WS upload mp3 (but keep original locally!)
       let mp3File = originalFile;
 
-      if (!isMp3(originalFile)) {
-        mp3File = await convertToMp3OrPassThrough(originalFile, { ensureFfmpeg, extractAudioToMp3 });
+      if (!passThrough) {
+        const converted = await convertToMp3OrPassThrough(originalFile, {
+          ensureFfmpeg,
+          extractAudioToMp3,
+          detectSilence,
+          cutSilence,
+        });
+        mp3File = converted.file;
+        if (converted.trim) {
+          localMeta.trim = converted.trim;
+          if (scope) {
+            try {
+              const meta = await getLocalMediaMeta(scope, threadId, clientFileId);
+              await putLocalMediaMeta(scope, threadId, clientFileId, { ...(meta || {}), trim: converted.trim });
+            } catch {}
+          }
+        }
 
         patchDraftFileUi(threadId, itemId, {
+          ...(converted.trim ? { trim: converted.trim, local: localMeta } : null),
           stage: "uploading",
           uploadPct: 0,
           uploadStage: "verifying",
@@ -3019,6 +3280,36 @@ return toast.promise(
 };
 
 
+  // local copy + attached transcript + server draft entry (no toast — see deleteDraftMedia / trimDraftMedia)
+  const removeDraftItem = async (threadId, itemId, clientFileId) => {
+    if (scope && clientFileId) {
+      try {
+        await deleteLocalMedia(scope, threadId, clientFileId);
+      } catch {}
+    }
+    await removeDraftTranscript(threadId, itemId);
+
+    const jwt = await getJwtIfAny();
+    await postJson("/api/threads/draft/delete", jwt, { threadId, itemId });
+
+    const cur2 = threadsRef.current || {};
+    const t2 = cur2[threadId];
+    if (!t2) return;
+
+    const d2 = ensureDraftShape(t2.draft);
+    const files2 = (d2.files || []).filter((x) => String(x?.itemId) !== String(itemId));
+
+    const nextT2 = {
+      ...t2,
+      draft: { ...d2, files: files2 },
+      draftRev: (t2.draftRev || 0) + 1,
+      draftUpdatedAt: nowIso(),
+      updatedAt: nowIso(),
+    };
+
+    await commit({ ...cur2, [threadId]: nextT2 }, activeRef.current, syncRef.current);
+  };
+
   const deleteDraftMedia = async (threadId, itemId) => {
     if (!threadId || threadId === "default" || !itemId) return;
     abortUrlDownload(threadId, itemId, "item_deleted");
@@ -3030,57 +3321,71 @@ return toast.promise(
     const entry = (d.files || []).find((x) => String(x?.itemId) === String(itemId));
     const clientFileId = entry?.clientFileId;
 
-    return toast.promise(
-      (async () => {
-        if (scope && clientFileId) {
-          try {
-            await deleteLocalMedia(scope, threadId, clientFileId);
-          } catch {}
-        }
+    return toast.promise(removeDraftItem(threadId, itemId, clientFileId), {
+      loading: "Deleting…",
+      success: "Deleted",
+      error: (e) => e?.message || "Delete failed",
+    });
+  };
 
-        const jwt = await getJwtIfAny();
-        await postJson("/api/threads/draft/delete", jwt, { threadId, itemId });
+  // Re-cuts an uploaded draft file to keep-ranges on its ORIGINAL timeline (ranges from the composer's trim
+  // editor). The local original is converted again with the ranges and uploaded as a new draft item carrying
+  // the trim record; the old item goes away once that upload succeeds. Ranges covering everything = untrim.
+  const trimDraftMedia = async (threadId, itemId, ranges) => {
+    if (!threadId || threadId === "default" || !itemId) return null;
+    const cur = threadsRef.current || {};
+    const t = cur[threadId];
+    if (!t) return null;
 
-        const cur2 = threadsRef.current || {};
-        const t2 = cur2[threadId];
-        if (!t2) return;
+    const d = ensureDraftShape(t.draft);
+    const entry = (d.files || []).find((x) => String(x?.itemId) === String(itemId));
+    if (!entry || isBusyDraftFile(entry)) return null;
 
-        const d2 = ensureDraftShape(t2.draft);
-        const files2 = (d2.files || []).filter((x) => String(x?.itemId) !== String(itemId));
+    const clientFileId = String(entry.clientFileId || "");
+    const blob = scope && clientFileId ? await getLocalMedia(scope, threadId, clientFileId) : null;
+    if (!(blob instanceof Blob)) {
+      toast.error("The original media isn’t stored in this browser — it can’t be trimmed here.");
+      return null;
+    }
 
-        const nextT2 = {
-          ...t2,
-          draft: { ...d2, files: files2 },
-          draftRev: (t2.draftRev || 0) + 1,
-          draftUpdatedAt: nowIso(),
-          updatedAt: nowIso(),
-        };
+    const local = entry.local || {};
+    const prevTrim = MediaTrim.getDraftTrim(entry);
+    const sourceSeconds =
+      Number(prevTrim?.sourceDurationSeconds || 0) ||
+      (await probeDurationSecondsFromFile(blob)) ||
+      (prevTrim ? 0 : Number(local.durationSeconds || 0)); // untrimmed mp3 ≈ source length
+    const trim = MediaTrim.makeTrimRecord(ranges, sourceSeconds);
+    if (!trim && !prevTrim) return itemId; // nothing cut, nothing to undo
 
-        await commit({ ...cur2, [threadId]: nextT2 }, activeRef.current, syncRef.current);
-      })(),
-      {
-        loading: "Deleting…",
-        success: "Deleted",
-        error: (e) => e?.message || "Delete failed",
-      }
-    );
-  };
+    let origin = "upload";
+    try {
+      origin = String((await getLocalMediaMeta(scope, threadId, clientFileId))?.origin || "upload");
+    } catch {}
 
-  function normalizeWhitespace(t) {
-  return String(t || "").replace(/\s+/g, " ").trim();
-}
+    const file =
+      blob instanceof File
+        ? blob
+        : new File([blob], String(local.name || "media"), {
+            type: String(local.mime || blob.type || ""),
+            lastModified: Number(local.lastModified || 0) || undefined,
+          });
 
-function parseTimecodeToSeconds(tc) {
-  const s = String(tc || "").trim();
-  const m = s.match(/^(\d+):(\d+):(\d+),(\d+)$/);
-  if (!m) return null;
-  const hh = Number(m[1] || 0);
-  const mm = Number(m[2] || 0);
-  const ss = Number(m[3] || 0);
-  const ms = Number(m[4] || 0);
-  if (![hh, mm, ss, ms].every((x) => Number.isFinite(x))) return null;
-  return hh * 3600 + mm * 60 + ss + ms / 1000;
-}
+    const res = await addDraftMediaFromFile(threadId, file, { origin, trim });
+    let nextItemId = null;
+    try {
+      nextItemId = await res?.unwrap?.();
+    } catch {
+      return null; // upload toast already reported it; the untrimmed item stays
+    }
+    if (!nextItemId) return null;
+
+    try {
+      await removeDraftItem(threadId, itemId, clientFileId);
+    } catch (e) {
+      console.warn("[trim] old draft item not removed", e);
+    }
+    return nextItemId;
+  };
 
 const clearLiveTranslateLangs = (threadId, chatItemId, langs) => {
   const tid = String(threadId || "");
@@ -3139,32 +3444,13 @@ const clearLiveTranslateLangs = (threadId, chatItemId, langs) => {
 };
 
 
-function srtToSegments(srt) {
-  const raw = String(srt || "").trim();
-  if (!raw) return [];
-  const blocks = raw.split(/\n\s*\n/g);
-  const out = [];
-
-  for (const b of blocks) {
-    const lines = b.split("\n").map((x) => String(x || "").trim());
-    if (lines.length < 3) continue;
-
-    const ts = lines[1] || "";
-    const parts = ts.split(" --> ");
-    if (parts.length !== 2) continue;
-
-    const start = parseTimecodeToSeconds(parts[0]);
-    const end = parseTimecodeToSeconds(parts[1]);
-    if (start == null || end == null) continue;
-
-    const text = normalizeWhitespace(lines.slice(2).join("\n"));
-    if (!text) continue;
-
-    out.push({ start, end, text });
+// SRT or VTT text -> segments; unreadable blocks are surfaced instead of silently dropped
+function subtitleTextToSegments(text, label) {
+  const parsed = SubtitleFormats.parseSubtitles(text);
+  if (parsed.errors.length) {
+    toast.warning(`${label}: ${SubtitleFormats.describeParseErrors(parsed.errors)}`);
   }
-
-  out.sort((a, b) => a.start - b.start || a.end - b.end);
-  return out;
+  return parsed.segments;
 }
 
 function normalizeSegmentsForWs(segments) {
@@ -3180,7 +3466,17 @@ function normalizeSegmentsForWs(segments) {
     if (end < start) continue;
     if (!text) continue;
 
-    clean.push({ start: Math.max(0, start), end: Math.max(0, end), text });
+    const seg = { start: Math.max(0, start), end: Math.max(0, end), text };
+
+    // ✅ optional word timings survive only while they still line up with the text
+    const words = SubtitleFormats.segmentWords ? SubtitleFormats.segmentWords({ ...seg, words: s?.words }) : null;
+    if (words) seg.words = words.map((w) => ({ start: w.start, end: w.end, text: w.text }));
+
+    // ✅ optional diarization label
+    const speaker = SubtitleFormats.normalizeSpeaker ? SubtitleFormats.normalizeSpeaker(s?.speaker) : "";
+    if (speaker) seg.speaker = speaker;
+
+    clean.push(seg);
   }
 
   clean.sort((a, b) => a.start - b.start || a.end - b.end);
@@ -3199,7 +3495,7 @@ function normalizeSegmentsForWs(segments) {
     return false;
   }
 
-  const segsRaw = Array.isArray(segments) ? segments : srtToSegments(transcriptSrt);
+  const segsRaw = Array.isArray(segments) ? segments : subtitleTextToSegments(transcriptSrt, "Transcript");
   const segs = normalizeSegmentsForWs(segsRaw);
 
   if (!String(chatItemId || "").trim()) {
@@ -3215,6 +3511,7 @@ function normalizeSegmentsForWs(segments) {
     threadId: String(tid),
     chatItemId: String(chatItemId),
     segments: segs,
+    timeline: MediaTrim.ORIGINAL_TIMELINE, // edited rows are shown (and saved) on the original media's timeline
   };
 
   const ok = wsClientRef.current.send("SAVE_SEGMENTS", payload);
@@ -3246,7 +3543,7 @@ const saveTranslationSrt = async ({ chatItemId, lang, translationSrt, segments }
     return false;
   }
 
-  const segsRaw = Array.isArray(segments) ? segments : srtToSegments(translationSrt);
+  const segsRaw = Array.isArray(segments) ? segments : subtitleTextToSegments(translationSrt, `Translation (${l})`);
   const segs = normalizeSegmentsForWs(segsRaw);
 
   if (!segs.length) {
@@ -3266,6 +3563,171 @@ const saveTranslationSrt = async ({ chatItemId, lang, translationSrt, segments }
   return ok;
 };
 
+// ✅ re-translate ONE cue (aligned translation editor). Nothing is saved server-side:
+// resolves to the new text (or null) and the editor keeps it as an unsaved edit.
+const translateSegment = async ({ chatItemId, lang, text, context, options } = {}) => {
+  const tid = wsBoundThreadRef.current || activeRef.current;
+  const client = wsClientRef.current;
+  if (!tid || tid === "default" || !client || !client.isConnected()) {
+    toast.error("Not connected to the realtime server yet.");
+    return null;
+  }
+
+  const cid = String(chatItemId || "").trim();
+  const l = safeLangKey(lang);
+  const src = String(text || "").trim();
+  if (!cid || !l || !src) return null;
+
+  const normalized = normalizeRunOptions({
+    doTranslate: true,
+    translation: { ...(options && typeof options === "object" ? options : {}), enabled: true, targetLangs: [l] },
+  });
+
+  // billed like a tiny translation run: the cue plus the neighbouring context goes to the model
+  const modelId = String(normalized.translation?.modelId || TR_DEFAULTS.modelId || "");
+  const ctxText = [context?.prev, src, context?.next].map((x) => String(x || "").trim()).filter(Boolean).join(" ");
+  const need = estimateTranslationUnitTokensDeterministic({
+    segments: [{ start: 0, end: 0, text: ctxText }],
+    modelId,
+    estimateOpts: normalized.translation?.estimate,
+  });
+  const have = availableUnusedTokens();
+  if (need > 0 && need > have) {
+    toast.error(`Not enough media tokens to translate this row. Need ~${need}, have ${have}.`);
+    return null;
+  }
+
+  const requestId = client.uuid();
+  const reserveId = `${String(tid)}:trseg:${requestId}`;
+  reserveKey(reserveId, need);
+
+  const payload = {
+    threadId: String(tid),
+    chatItemId: cid,
+    lang: l,
+    text: src,
+    context: {
+      prev: String(context?.prev || ""),
+      next: String(context?.next || ""),
+    },
+    translation: normalized.translation,
+  };
+
+  return new Promise((resolve) => {
+    let done = false;
+    let timer = null;
+    let off = () => {};
+
+    const finish = (value) => {
+      if (done) return;
+      done = true;
+      off();
+      if (timer) clearTimeout(timer);
+      releaseKey(reserveId);
+      resolve(value);
+    };
+
+    off = client.onMessage((msg) => {
+      if (String(msg?.requestId || "") !== requestId) return;
+      const t = String(msg?.type || "");
+      if (t === "ERROR") {
+        toast.error(msg?.payload?.message || "Row translation failed.");
+        finish(null);
+      } else if (t === "TRANSLATE_SEGMENT_RESULT") {
+        finish(String(msg?.payload?.text ?? ""));
+      }
+    });
+
+    timer = setTimeout(() => {
+      toast.error("Row translation timed out.");
+      finish(null);
+    }, 60000);
+
+    const ok = client.send("TRANSLATE_SEGMENT", payload, requestId);
+    if (!ok) {
+      toast.error("Failed to send TRANSLATE_SEGMENT");
+      finish(null);
+    }
+  });
+};
+
+
+
+// ✅ transcript Q&A over one chat item (chatItemIds = [id]) or the whole thread (every transcribed item).
+// Tokens are reserved optimistically for the request and released once the answer (or an error) arrives.
+// Resolves to { answer, citations } (shared/transcriptQa.js) or null.
+const askQuestion = async ({ chatItemIds, question, history, modelId } = {}) => {
+  const tid = wsBoundThreadRef.current || activeRef.current;
+  const client = wsClientRef.current;
+  if (!tid || tid === "default" || !client || !client.isConnected()) {
+    toast.error("Not connected to the realtime server yet.");
+    return null;
+  }
+
+  const q = TranscriptQa.normalizeQuestion(question);
+  if (!q) return null;
+
+  const thread = threadsRef.current?.[tid] || null;
+  const all = Array.isArray(thread?.chatItems) ? thread.chatItems : [];
+  const want = new Set((Array.isArray(chatItemIds) ? chatItemIds : []).map((x) => String(x || "")).filter(Boolean));
+  const asked = all.filter((it) => (!want.size || want.has(String(it?.chatItemId || ""))) && getTranscriptTextAny(it));
+  if (!asked.length) {
+    toast.error("Nothing to ask yet — transcribe first.");
+    return null;
+  }
+
+  const turns = TranscriptQa.trimHistory(history);
+  const mid = LlmProviders.resolveModelId(LlmProviders.TASKS.qa, modelId);
+  const requestId = client.uuid();
+  const reserveId = `${String(tid)}:qa:${requestId}`;
+  reserveKey(reserveId, estimateQaMediaTokensDeterministic({ chatItems: asked, question: q, history: turns, modelId: mid }));
+
+  const payload = {
+    threadId: String(tid),
+    chatItemIds: asked.map((it) => String(it.chatItemId)),
+    question: q,
+    history: turns,
+    modelId: mid,
+  };
+
+  return new Promise((resolve) => {
+    let done = false;
+    let timer = null;
+    let off = () => {};
+
+    const finish = (value) => {
+      if (done) return;
+      done = true;
+      off();
+      if (timer) clearTimeout(timer);
+      releaseKey(reserveId);
+      resolve(value);
+    };
+
+    off = client.onMessage((msg) => {
+      if (String(msg?.requestId || "") !== requestId) return;
+      const t = String(msg?.type || "");
+      if (t === "ERROR") {
+        toast.error(msg?.payload?.message || "Question failed.");
+        finish(null);
+      } else if (t === "ASK_RESULT") {
+        finish(TranscriptQa.normalizeQaAnswer(msg?.payload));
+      }
+    });
+
+    timer = setTimeout(() => {
+      toast.error("No answer yet — timed out.");
+      finish(null);
+    }, 120000);
+
+    const ok = client.send("ASK_QUESTION", payload, requestId);
+    if (!ok) {
+      toast.error("Failed to send ASK_QUESTION");
+      finish(null);
+    }
+  });
+};
+
 
 
   // --------- START / RETRY ----------
@@ -3533,6 +3995,20 @@ const runLangs =
       options: normalizeRunOptions(options),
     };
 
+    // ✅ in-browser ASR: re-transcribe from the local media copy; nothing to reserve or send yet
+    if (typeof TranscriptionCatalog.isBrowserModel === "function" && TranscriptionCatalog.isBrowserModel(payload.options.asrModel)) {
+      const items = ensureChatItemsArray(threadsRef.current?.[tid]?.chatItems);
+      for (const cid of ids) {
+        const it = items.find((x) => String(x?.chatItemId || "") === cid);
+        queueBrowserTranscription(tid, cid, {
+          clientFileId: it?.media?.clientFileId ? String(it.media.clientFileId) : "",
+          language: String(payload.options.asrLang || "auto"),
+          trim: it?.media?.trim || null,
+        });
+      }
+      return true;
+    }
+
     const wantClear = !!(payload.options && payload.options.clear);
     if (wantClear) {
       for (const cid of ids) {
@@ -3554,6 +4030,244 @@ const runLangs =
     return ok;
   };
 
+  // --------- IMPORTED TRANSCRIPTS (draft subtitle files) ----------
+  const pendingTranscriptImportsRef = useRef({}); // itemId -> { segments, followUp }
+  const queuedTranscriptImportsRef = useRef({}); // `${threadId}:${chatItemId}` -> { threadId, itemId, chatItemId, pending } (socket was down)
+
+  const draftTranscriptInfo = (v) =>
+    v && typeof v === "object"
+      ? {
+          filename: String(v.filename || ""),
+          format: String(v.format || "srt"),
+          cues: Number(v.cues || 0) || 0,
+          skipped: Number(v.skipped || 0) || 0,
+          durationSeconds: Number(v.durationSeconds || 0) || 0,
+          importedAt: v.importedAt || null,
+        }
+      : null;
+
+  const attachDraftTranscript = async (threadId, itemId, file) => {
+    if (!threadId || threadId === "default" || !itemId || !file) return null;
+
+    const name = String(file?.name || "");
+    if (!/\.(srt|vtt)$/i.test(name)) {
+      toast.error("Only .srt or .vtt subtitle files can be imported.");
+      return null;
+    }
+    if (!scope) {
+      toast.error("Not signed in yet.");
+      return null;
+    }
+
+    let text = "";
+    try {
+      text = await file.text();
+    } catch {
+      toast.error(`Could not read ${name}.`);
+      return null;
+    }
+
+    const parsed = SubtitleFormats.parseSubtitles(text);
+    const segments = normalizeSegmentsForWs(parsed.segments);
+    if (!segments.length) {
+      toast.error(`${name}: no readable cues.`);
+      return null;
+    }
+    if (parsed.errors.length) {
+      toast.warning(`${name}: ${SubtitleFormats.describeParseErrors(parsed.errors)}`);
+    }
+
+    const value = {
+      filename: name,
+      format: parsed.format,
+      cues: segments.length,
+      skipped: parsed.errors.length,
+      durationSeconds: segments[segments.length - 1].end,
+      importedAt: nowIso(),
+      segments,
+    };
+
+    await putDraftTranscript(scope, threadId, itemId, value);
+    toast.success(`Transcript attached (${segments.length} cues) — transcription will be skipped for this file.`);
+    return draftTranscriptInfo(value);
+  };
+
+  const getDraftTranscriptInfo = async (threadId, itemId) => {
+    if (!scope || !threadId || !itemId) return null;
+    try {
+      return draftTranscriptInfo(await getDraftTranscript(scope, threadId, itemId));
+    } catch {
+      return null;
+    }
+  };
+
+  const removeDraftTranscript = async (threadId, itemId) => {
+    if (!scope || !threadId || !itemId) return;
+    try {
+      await deleteDraftTranscript(scope, threadId, itemId);
+    } catch {}
+  };
+
+  // -> true once SAVE_SEGMENTS is sent; false when it had to be queued for the next HELLO_OK (or had no cues)
+  const applyImportedTranscript = async (threadId, itemId, chatItemId, pending) => {
+    const tid = String(threadId || "");
+    const cid = String(chatItemId || "");
+    if (!tid || !cid) return false;
+
+    const segs = normalizeSegmentsForWs(pending?.segments);
+    if (!segs.length) {
+      toast.error("The imported transcript has no readable cues.");
+      return false;
+    }
+
+    const key = `${tid}:${cid}`;
+    const ok =
+      String(wsBoundThreadRef.current || "") === tid &&
+      wsClientRef.current?.isConnected() &&
+      wsClientRef.current.send("SAVE_SEGMENTS", {
+        threadId: tid,
+        chatItemId: cid,
+        segments: segs,
+        timeline: MediaTrim.ORIGINAL_TIMELINE,
+      });
+    if (!ok) {
+      queuedTranscriptImportsRef.current[key] = { threadId: tid, itemId, chatItemId: cid, pending };
+      toast.error("Couldn’t save the imported transcript (realtime server offline) — it will be retried on reconnect.");
+      return false;
+    }
+
+    delete queuedTranscriptImportsRef.current[key];
+    await removeDraftTranscript(tid, itemId);
+
+    const followUp = pending?.followUp || {};
+    if (followUp.translation) await retryTranslate({ chatItemId: cid, options: { translation: followUp.translation } });
+    if (followUp.summarize) await retrySummarize({ chatItemId: cid, options: { summarize: followUp.summarize } });
+    return true;
+  };
+
+  const flushQueuedTranscriptImports = async () => {
+    const tid = String(wsBoundThreadRef.current || "");
+    for (const q of Object.values(queuedTranscriptImportsRef.current || {})) {
+      if (!wsClientRef.current?.isConnected()) return;
+      if (q.threadId !== tid) continue;
+      if (await applyImportedTranscript(q.threadId, q.itemId, q.chatItemId, q.pending)) {
+        toast.success("Imported transcript saved.");
+      }
+    }
+  };
+
+  // Local-only status patch (no server echo): in-browser transcription reports its own state.
+  const patchThreadChatItem = (threadId, chatItemId, patch) => {
+    const cur = threadsRef.current || {};
+    const t = cur[threadId];
+    if (!t) return;
+
+    const items = ensureChatItemsArray(t.chatItems);
+    const idx = items.findIndex((x) => String(x?.chatItemId || "") === String(chatItemId));
+    if (idx < 0) return;
+
+    const nextItems = [...items];
+    nextItems[idx] = applyChatItemPatch(nextItems[idx], patch);
+
+    const nextThreads = { ...cur, [threadId]: { ...t, chatItems: nextItems, updatedAt: nowIso() } };
+    setThreadsById(nextThreads);
+    threadsRef.current = nextThreads;
+  };
+
+  // Maps finished server transcripts of trimmed items back onto the original timeline (remapTrimmedTranscript)
+  // and saves them with timeline: "original". The server keeps that mark with the segments, so every tab and
+  // browser reads the same state; two tabs mapping the same server copy send the same rows.
+  const remapTrimmedItems = (threadId, items) => {
+    const tid = String(threadId || "");
+    return ensureChatItemsArray(items).map((it) => {
+      const next = remapTrimmedTranscript(it);
+      if (!next) return it;
+
+      const r = next.results;
+      const segs = normalizeSegmentsForWs(
+        r.transcriptSrt
+          ? SubtitleFormats.carrySegmentExtras(SubtitleFormats.srtToSegments(r.transcriptSrt), r.transcriptSegments)
+          : r.transcriptSegments
+      );
+      if (segs.length && String(wsBoundThreadRef.current || "") === tid && wsClientRef.current?.isConnected()) {
+        wsClientRef.current.send("SAVE_SEGMENTS", {
+          threadId: tid,
+          chatItemId: String(next.chatItemId || ""),
+          segments: segs,
+          timeline: MediaTrim.ORIGINAL_TIMELINE,
+        });
+      }
+      return next;
+    });
+  };
+
+  // In-browser ASR (shared/browserAsr.js): transcribe the locally stored media, then save it exactly like
+  // an imported transcript (SAVE_SEGMENTS + translate/summarize follow-ups). Progress goes through the
+  // same live state as CHAT_ITEM_PROGRESS.
+  // trim: the draft's keep-ranges — only those are transcribed, and the segments are mapped back onto the original.
+  const runBrowserTranscription = async (threadId, chatItemId, { clientFileId, language, trim, followUp } = {}) => {
+    const tid = String(threadId || "");
+    const cid = String(chatItemId || "");
+    if (!tid || !cid) return false;
+
+    const setState = (state, extra) =>
+      patchThreadChatItem(tid, cid, {
+        status: {
+          transcribe: { state, stage: state === "running" ? "in-browser" : state, provider: "browser", updatedAt: nowIso(), ...(extra || {}) },
+        },
+      });
+
+    try {
+      const file = scope && clientFileId ? await getLocalMedia(scope, tid, clientFileId) : null;
+      if (!file) throw new Error("The original media isn’t stored in this browser — pick a server model instead.");
+
+      setState("running", { error: null });
+      applyChatItemProgress(tid, cid, "transcribe", 0);
+
+      const keepRanges = Array.isArray(trim?.ranges) && trim.ranges.length ? trim.ranges : null;
+      const input = keepRanges ? (await extractAudioToMp3(file, { keepRanges })).file : file;
+
+      const out = await transcribeInBrowser(input, {
+        language,
+        onProgress: (p) => applyChatItemProgress(tid, cid, "transcribe", p),
+      });
+
+      if (!out.segments.length) throw new Error("No speech found.");
+
+      const segments = keepRanges ? MediaTrim.shiftSegmentsToOriginal(out.segments, keepRanges) : out.segments;
+      if (!(await applyImportedTranscript(tid, null, cid, { segments, followUp }))) {
+        setState("failed", { error: "Transcript not saved yet (realtime server offline) — retried on reconnect" });
+        return false;
+      }
+      applyChatItemProgress(tid, cid, "transcribe", 1);
+      setState("done");
+      return true;
+    } catch (err) {
+      console.error("[browser-asr] failed", err);
+      setState("failed", { error: err?.message || "In-browser transcription failed" });
+      toast.error(err?.message || "In-browser transcription failed");
+      return false;
+    }
+  };
+
+  // One in-browser run at a time: ffmpeg.wasm and the ONNX pipeline are singletons, and several Whisper
+  // runs side by side would only thrash them. Waiting items show as queued.
+  const browserAsrQueueRef = useRef(Promise.resolve());
+
+  const queueBrowserTranscription = (threadId, chatItemId, opts) => {
+    const tid = String(threadId || "");
+    const cid = String(chatItemId || "");
+    if (!tid || !cid) return Promise.resolve(false);
+
+    patchThreadChatItem(tid, cid, {
+      status: { transcribe: { state: "queued", stage: "queued", provider: "browser", error: null, updatedAt: nowIso() } },
+    });
+
+    const run = browserAsrQueueRef.current.then(() => runBrowserTranscription(tid, cid, opts));
+    browserAsrQueueRef.current = run.catch(() => {});
+    return run;
+  };
+
   const startRun = async ({ itemIds, itemId, options } = {}) => {
     const tid = wsBoundThreadRef.current || activeRef.current;
     if (!tid || tid === "default") {
@@ -3577,20 +4291,280 @@ const runLangs =
       return false;
     }
 
-    // ✅ optimistic reserve by itemId (draft files). Will transfer on CHAT_ITEMS_CREATED.
-    reserveForDraftItemIds(tid, ids);
+    // ✅ items with an imported transcript skip ASR: they start with no steps, and the
+    // transcript + any translate/summarize follow-ups are sent once the chat item exists.
+    const imported = {};
+    for (const iid of ids) {
+      try {
+        const v = scope ? await getDraftTranscript(scope, tid, iid) : null;
+        if (Array.isArray(v?.segments) && v.segments.length) imported[iid] = v.segments;
+      } catch {}
+    }
 
-    const payload = {
-      threadId: String(tid),
-      itemIds: ids,
-      options: normalizeRunOptions(options),
-    };
+    const normalized = normalizeRunOptions(options);
+
+    // ✅ in-browser ASR: the server only creates the items; the tab transcribes (see runBrowserTranscription)
+    const inBrowser =
+      normalized.doTranscribe !== false &&
+      typeof TranscriptionCatalog.isBrowserModel === "function" &&
+      TranscriptionCatalog.isBrowserModel(normalized.asrModel);
+
+    const plainIds = inBrowser ? [] : ids.filter((x) => !imported[x]);
+    const importIds = ids.filter((x) => inBrowser || imported[x]);
+
+    let ok = true;
+
+    if (plainIds.length) {
+      // ✅ optimistic reserve by itemId (draft files). Will transfer on CHAT_ITEMS_CREATED.
+      reserveForDraftItemIds(tid, plainIds);
+
+      const payload = {
+        threadId: String(tid),
+        itemIds: plainIds,
+        options: normalized,
+      };
+
+      ok = wsClientRef.current.send("START_RUN", payload);
+      if (!ok) toast.error("Failed to send START_RUN");
+    }
+
+    if (importIds.length && ok) {
+      const o = options && typeof options === "object" ? options : {};
+      const sum = o.summarize || o.summarization || null;
+
+      const followUp = {
+        translation: o.doTranslate && normalized.translation?.enabled !== false ? normalized.translation || null : null,
+        summarize: o.doSummarize
+          ? {
+              enabled: true,
+              modelId: sum?.modelId || null,
+              targetLang: sum?.targetLang || o.sumTargetLang || "auto",
+              template: sum?.template || null,
+            }
+          : null,
+      };
+
+      for (const iid of importIds) {
+        pendingTranscriptImportsRef.current[iid] = imported[iid]
+          ? { segments: imported[iid], followUp }
+          : { browser: { language: String(normalized.asrLang || "auto") }, followUp };
+      }
+
+      const payload = {
+        threadId: String(tid),
+        itemIds: importIds,
+        options: {
+          doTranscribe: false,
+          doTranslate: false,
+          doSummarize: false,
+          transcriptSource: inBrowser ? "browser" : "import",
+        },
+      };
+
+      ok = wsClientRef.current.send("START_RUN", payload);
+      if (!ok) {
+        for (const iid of importIds) delete pendingTranscriptImportsRef.current[iid];
+        toast.error("Failed to send START_RUN");
+      }
+    }
 
-    const ok = wsClientRef.current.send("START_RUN", payload);
-    if (!ok) toast.error("Failed to send START_RUN");
     return ok;
   };
 
+  // --------- LIVE SESSIONS ("stream" draft mode) ----------
+  // One mic session at a time. Segments land in liveRunsByThread[tid].liveSession (ChatTimeline renders it
+  // like CHAT_ITEM_STREAM text); on stop the take + its final segments become a draft file with an attached
+  // transcript, and startRun's import path turns it into a normal chat item.
+  const setDraftMode = async (threadId, mode) => {
+    const cur = threadsRef.current || {};
+    const t = cur[threadId];
+    if (!t) return;
+
+    const draft = ensureDraftShape(t.draft);
+    const nextMode = mode === "stream" ? "stream" : "batch";
+    if (draft.mode === nextMode) return;
+
+    await commit({ ...cur, [threadId]: { ...t, draft: { ...draft, mode: nextMode }, updatedAt: nowIso() } }, activeRef.current, syncRef.current);
+  };
+
+  const patchLiveSession = (threadId, patch) => {
+    setLiveRunsByThread((prev) => {
+      const cur = (prev && prev[threadId]) || {};
+      if (!cur.liveSession) return prev;
+      return {
+        ...(prev || {}),
+        [threadId]: { ...cur, liveSession: { ...cur.liveSession, ...(patch || {}), updatedAt: nowIso() }, updatedAt: nowIso() },
+      };
+    });
+  };
+
+  const applyLiveSegment = (threadId, seg, final) => {
+    setLiveRunsByThread((prev) => {
+      const cur = (prev && prev[threadId]) || {};
+      const ls = cur.liveSession;
+      if (!ls) return prev;
+
+      const segments = Array.isArray(ls.segments) ? ls.segments : [];
+      const streamArr = Array.isArray(ls.stream?.transcribe) ? ls.stream.transcribe : [];
+
+      return {
+        ...(prev || {}),
+        [threadId]: {
+          ...cur,
+          liveSession: {
+            ...ls,
+            segments: final ? [...segments, seg] : segments,
+            stream: { transcribe: final ? [...streamArr, `${seg.text} `] : streamArr },
+            interim: final ? "" : seg.text,
+            updatedAt: nowIso(),
+          },
+          updatedAt: nowIso(),
+        },
+      };
+    });
+  };
+
+  // stop topping up + drop the live session's token reservation (stop / cancel / failed start)
+  const endLiveReservation = (cur) => {
+    if (!cur) return;
+    clearInterval(cur.reserveTimer);
+    if (cur.reserveId) releaseKey(cur.reserveId);
+  };
+
+  // options: the composer's run options (asrLang / asrModel / keyterms + translate / summarize follow-ups)
+  const startLiveSession = async (threadId, { options } = {}) => {
+    const tid = String(threadId || "");
+    if (!tid || tid === "default") return false;
+    if (liveSessionRef.current) {
+      toast.error("A live session is already running.");
+      return false;
+    }
+
+    const o = options && typeof options === "object" ? options : {};
+
+    // LIVE_BEGIN is served by the realtime server's streaming ASR; in-browser / self-hosted models can't stream
+    const asrModel = String(o.asrModel || "");
+    if (
+      (typeof TranscriptionCatalog.isBrowserModel === "function" && TranscriptionCatalog.isBrowserModel(asrModel)) ||
+      (typeof TranscriptionCatalog.isSelfHostedModel === "function" && TranscriptionCatalog.isSelfHostedModel(asrModel))
+    ) {
+      toast.error("Live mode needs a server transcription model. Pick another model to go live.");
+      return false;
+    }
+
+    const perMinute = estimateTokensForSecondsDeterministic(60, asrModel);
+    const have = availableUnusedTokens();
+    if (perMinute > 0 && perMinute > have) {
+      toast.error(`Not enough media tokens to go live. Need ~${perMinute} per minute, have ${have}.`);
+      return false;
+    }
+
+    const reserveId = `${tid}:live:${Date.now()}`;
+    reserveKey(reserveId, perMinute);
+
+    let minutes = 1;
+    let warned = false;
+    const reserveTimer = setInterval(() => {
+      const next = estimateTokensForSecondsDeterministic((minutes + 1) * 60, asrModel);
+      const more = next - (Number(reservedKeysRef.current?.[reserveId] || 0) || 0);
+      if (more > 0 && more > availableUnusedTokensRef.current()) {
+        if (!warned) toast.warning("Media tokens are running out — stop the live session to save it.");
+        warned = true;
+        return;
+      }
+      minutes += 1;
+      reserveKey(reserveId, next);
+    }, LIVE_RESERVE_EVERY_MS);
+
+    liveSessionRef.current = { threadId: tid, session: null, options: o, reserveId, reserveTimer };
+    patchLiveThread(tid, {
+      liveSession: { state: "starting", startedAt: nowIso(), segments: [], stream: { transcribe: [] }, interim: "" },
+    });
+
+    try {
+      await connectWsForThread(tid);
+
+      const session = await startLiveTranscriptionViaWs({
+        wsClient: wsClientRef.current,
+        threadId: tid,
+        language: o.asrLang || "auto",
+        options: {
+          asrModel: o.asrModel || null,
+          asrProvider: o.asrProvider || null,
+          diarize: !!o.diarize,
+          keyterms: Array.isArray(o.keyterms) ? o.keyterms : [],
+        },
+        onSegment: (seg, final) => applyLiveSegment(tid, seg, final),
+        onDropped: (err) => {
+          patchLiveSession(tid, { dropped: true, interim: "" });
+          toast.warning(`${err?.message || "Live transcription stopped"} — still recording, the audio is kept when you stop.`);
+        },
+      });
+
+      liveSessionRef.current = { threadId: tid, session, options: o, reserveId, reserveTimer };
+      patchLiveSession(tid, { state: "live", sessionId: session.sessionId, startedAt: session.startedAt });
+      return true;
+    } catch (err) {
+      endLiveReservation({ reserveId, reserveTimer });
+      liveSessionRef.current = null;
+      patchLiveThread(tid, { liveSession: null });
+      if (isUpgradeLimitError(err)) openUpgradeFromError(err);
+      toast.error(err?.name === "NotAllowedError" ? "Microphone access was denied." : err?.message || "Couldn’t start the live session.");
+      return false;
+    }
+  };
+
+  const stopLiveSession = async (threadId) => {
+    const cur = liveSessionRef.current;
+    if (!cur?.session || cur.threadId !== String(threadId || "")) return false;
+
+    const { threadId: tid, session, options } = cur;
+    patchLiveSession(tid, { state: "saving", interim: "" });
+
+    try {
+      const { file, segments } = await session.stop();
+      endLiveReservation(cur); // the mic is off; the saved item is billed by its own run
+      liveSessionRef.current = null;
+
+      if (!file) {
+        toast.error("Nothing was recorded.");
+        return false;
+      }
+      if (!segments.length) toast.warning("No speech was transcribed — the recording was added as a draft.");
+
+      const transcript = segments.length ? { filename: file.name, format: "live", segments } : null;
+      const res = await addDraftMediaFromFile(tid, file, { origin: "live", transcript });
+
+      let itemId = null;
+      try {
+        itemId = await res?.unwrap?.();
+      } catch {
+        return false; // upload failed (already toasted)
+      }
+      if (!itemId || !transcript) return !!itemId;
+
+      if ((wsBoundThreadRef.current || activeRef.current) !== tid) {
+        toast.message("Live session saved as a draft — press Start in its thread to add it.");
+        return true;
+      }
+      return await startRun({ itemIds: [itemId], options });
+    } finally {
+      endLiveReservation(cur);
+      liveSessionRef.current = null;
+      patchLiveThread(tid, { liveSession: null });
+    }
+  };
+
+  const cancelLiveSession = async (threadId) => {
+    const cur = liveSessionRef.current;
+    if (!cur?.session || cur.threadId !== String(threadId || "")) return;
+
+    endLiveReservation(cur);
+    liveSessionRef.current = null;
+    patchLiveThread(cur.threadId, { liveSession: null });
+    await cur.session.cancel();
+  };
+
   const value = {
     loadingThreads,
     syncError,
@@ -3609,6 +4583,8 @@ const runLangs =
     addDraftMediaFromFile,
     addDraftMediaFromUrl,
     deleteDraftMedia,
+    trimDraftMedia,
+    setDraftMode,
 
     wsStatus,
     wsError,
@@ -3618,11 +4594,19 @@ const runLangs =
     retryTranscribe,
     retryTranslate,
     retrySummarize,
+    attachDraftTranscript,
+    getDraftTranscriptInfo,
+    removeDraftTranscript,
+    startLiveSession,
+    stopLiveSession,
+    cancelLiveSession,
     requestThreadSnapshot,
     requestMediaUrl,
 
     saveSrt,
     saveTranslationSrt, // ✅ add this
+    translateSegment,
+    askQuestion,
   };
 
   return <ThreadsContext.Provider value={value}>{children}</ThreadsContext.Provider>;
@@ -0,0 +1,153 @@
+import { loadFfmpegSingleton, runFfmpegJob } from "./ffmpegClient";
+import { cachedBlobURL } from "./runtimeCache";
+import * as BrowserAsrImport from "../shared/browserAsr";
+const BrowserAsr = (BrowserAsrImport && (BrowserAsrImport.default || BrowserAsrImport)) || {};
+
+// In-browser transcription fallback: ffmpeg.wasm decodes to 16 kHz mono PCM, transformers.js runs a
+// Whisper-tiny-class ONNX model on the WASM backend. The runtime (transformers.js + the onnxruntime-web
+// binaries) is cached like the ffmpeg core (lib/runtimeCache) and the model files by transformers.js, so
+// later sessions (and offline use) skip the download.
+
+let _pipeline = null;
+let _loadingPromise = null;
+
+function isBrowser() {
+  return typeof window !== "undefined";
+}
+
+// onLoadProgress(0..1) while the model downloads (first run only)
+export async function loadWhisperSingleton({ onLoadProgress } = {}) {
+  if (!isBrowser()) return null; // never load during SSR
+  if (_pipeline) return _pipeline;
+  if (_loadingPromise) return _loadingPromise;
+
+  const cfg = BrowserAsr.BROWSER_ASR;
+
+  _loadingPromise = (async () => {
+    const lib = await import(/* webpackIgnore: true */ await cachedBlobURL(cfg.libUrl, "text/javascript"));
+
+    lib.env.allowLocalModels = false;
+    lib.env.useBrowserCache = true;
+    // the WASM backend's loader + binary, from the same cache (default: fetched from the CDN every session)
+    if (lib.env.backends?.onnx?.wasm) {
+      const [mjs, wasm] = await Promise.all([
+        cachedBlobURL(`${cfg.wasmUrl}/ort-wasm-simd-threaded.jsep.mjs`, "text/javascript"),
+        cachedBlobURL(`${cfg.wasmUrl}/ort-wasm-simd-threaded.jsep.wasm`, "application/wasm"),
+      ]);
+      lib.env.backends.onnx.wasm.wasmPaths = { mjs, wasm };
+      // run ONNX inference in a worker so the tab stays responsive
+      lib.env.backends.onnx.wasm.proxy = true;
+    }
+
+    const files = {};
+    const asr = await lib.pipeline("automatic-speech-recognition", cfg.model, {
+      device: "wasm",
+      dtype: "q8",
+      progress_callback: (e) => {
+        if (e?.status !== "progress" || !e.file || typeof onLoadProgress !== "function") return;
+        files[e.file] = { loaded: Number(e.loaded) || 0, total: Number(e.total) || 0 };
+        const all = Object.values(files);
+        const total = all.reduce((n, f) => n + f.total, 0);
+        if (total > 0) onLoadProgress(all.reduce((n, f) => n + f.loaded, 0) / total);
+      },
+    });
+
+    _pipeline = asr;
+    return _pipeline;
+  })();
+
+  try {
+    return await _loadingPromise;
+  } catch (err) {
+    _loadingPromise = null; // allow a retry (e.g. after coming back online)
+    throw err;
+  }
+}
+
+function safeName(name) {
+  const base = String(name || "input").replace(/[^a-zA-Z0-9._-]/g, "_");
+  return base.length ? base : "input";
+}
+
+// any audio/video File/Blob -> Float32Array of mono samples at BrowserAsr.SAMPLE_RATE
+// (queued with the other ffmpeg jobs — see ffmpegClient.runFfmpegJob). Media longer than maxSeconds is refused;
+// ffmpeg stops just past the limit, so an overlong file never ends up in memory whole.
+export function decodeToPcm(file, { maxSeconds = BrowserAsr.BROWSER_ASR.maxSeconds } = {}) {
+  return runFfmpegJob(async () => {
+    const loaded = await loadFfmpegSingleton();
+    if (!loaded) throw new Error("FFmpeg not available (SSR?)");
+
+    const { ffmpeg, fetchFile } = loaded;
+    const inName = `${Date.now()}_${safeName(file?.name || "input")}`;
+    const outName = `${Date.now()}_pcm.f32`;
+
+    try {
+      await ffmpeg.writeFile(inName, await fetchFile(file));
+      const limit = Number(maxSeconds) > 0 ? Number(maxSeconds) : 0;
+      const code = await ffmpeg.exec([
+        "-i",
+        inName,
+        "-vn",
+        "-ac",
+        "1",
+        "-ar",
+        String(BrowserAsr.SAMPLE_RATE),
+        ...(limit ? ["-t", String(limit + 1)] : []),
+        "-f",
+        "f32le",
+        outName,
+      ]);
+      if (code !== 0) throw new Error("FFmpeg could not decode the audio for transcription (see the console log)");
+
+      const data = await ffmpeg.readFile(outName);
+      if (limit && data.byteLength / 4 > limit * BrowserAsr.SAMPLE_RATE) {
+        throw new Error(
+          `In-browser transcription takes up to ${Math.round(limit / 60)} min of audio — trim it or pick a server model.`
+        );
+      }
+      // copy: the view may not start on a 4-byte boundary
+      return new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    } finally {
+      await ffmpeg.deleteFile(inName).catch(() => {});
+      await ffmpeg.deleteFile(outName).catch(() => {});
+    }
+  });
+}
+
+// -> { segments: [{ start, end, text }], text }
+// language: Whisper code, or "auto" / "" to let the model decide.
+// onProgress(0..1) covers the model download + every transcribed window.
+export async function transcribeInBrowser(file, { language, onProgress } = {}) {
+  let last = -1;
+  const report = (p) => {
+    const pct = Math.round(p * 100);
+    if (pct === last || typeof onProgress !== "function") return;
+    last = pct;
+    onProgress(pct / 100);
+  };
+
+  report(0);
+  const asr = await loadWhisperSingleton({ onLoadProgress: (l) => report(BrowserAsr.overallProgress({ loaded: l })) });
+  if (!asr) throw new Error("In-browser transcription is not available here.");
+
+  const pcm = await decodeToPcm(file);
+  const windows = BrowserAsr.windowsForSamples(pcm.length, BrowserAsr.SAMPLE_RATE, BrowserAsr.WINDOW_SECONDS);
+  const lang = String(language || "").trim();
+  const segments = [];
+
+  report(BrowserAsr.overallProgress({ windowsTotal: windows.length }));
+
+  for (let i = 0; i < windows.length; i += 1) {
+    const w = windows[i];
+    const out = await asr(pcm.subarray(w.from, w.to), {
+      return_timestamps: true,
+      task: "transcribe",
+      ...(lang && lang !== "auto" && lang !== "multi" ? { language: lang } : null),
+    });
+
+    segments.push(...BrowserAsr.chunksToSegments(out, w.offsetSeconds, w.to / BrowserAsr.SAMPLE_RATE));
+    report(BrowserAsr.overallProgress({ windowsDone: i + 1, windowsTotal: windows.length }));
+  }
+
+  return { segments, text: segments.map((s) => s.text).join(" ") };
+}
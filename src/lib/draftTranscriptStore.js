@@ -0,0 +1,27 @@
+import localforage from "localforage";
+
+// Subtitle files attached to draft media (imported transcripts).
+// Kept client-side until the draft item becomes a chat item; then sent via SAVE_SEGMENTS.
+const store = localforage.createInstance({
+  name: "happysrt",
+  storeName: "draft_transcripts",
+});
+
+function key(scope, threadId, itemId) {
+  return `draftTranscript:v1:${scope}:${threadId}:${itemId}`;
+}
+
+export async function putDraftTranscript(scope, threadId, itemId, value) {
+  if (!scope || !threadId || !itemId) return;
+  await store.setItem(key(scope, threadId, itemId), value || {});
+}
+
+export async function getDraftTranscript(scope, threadId, itemId) {
+  if (!scope || !threadId || !itemId) return null;
+  return store.getItem(key(scope, threadId, itemId));
+}
+
+export async function deleteDraftTranscript(scope, threadId, itemId) {
+  if (!scope || !threadId || !itemId) return;
+  await store.removeItem(key(scope, threadId, itemId));
+}
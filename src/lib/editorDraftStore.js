@@ -0,0 +1,27 @@
+import localforage from "localforage";
+
+// Unsaved segment-editor rows (autosave), one per chat item (+ translation lang).
+// Cleared on save / reset; restored on reload if the server copy hasn't changed underneath.
+const store = localforage.createInstance({
+  name: "happysrt",
+  storeName: "editor_drafts",
+});
+
+function key(scope, draftKey) {
+  return `editorDraft:v1:${scope}:${draftKey}`;
+}
+
+export async function putEditorDraft(scope, draftKey, value) {
+  if (!scope || !draftKey) return;
+  await store.setItem(key(scope, draftKey), value || {});
+}
+
+export async function getEditorDraft(scope, draftKey) {
+  if (!scope || !draftKey) return null;
+  return store.getItem(key(scope, draftKey));
+}
+
+export async function deleteEditorDraft(scope, draftKey) {
+  if (!scope || !draftKey) return;
+  await store.removeItem(key(scope, draftKey));
+}
@@ -1,5 +1,16 @@
+import * as SubtitleBurnImport from "../shared/subtitleBurn";
+const SubtitleBurn = (SubtitleBurnImport && (SubtitleBurnImport.default || SubtitleBurnImport)) || {};
+import * as SubtitleMuxImport from "../shared/subtitleMux";
+const SubtitleMux = (SubtitleMuxImport && (SubtitleMuxImport.default || SubtitleMuxImport)) || {};
+import * as MediaTrimImport from "../shared/mediaTrim";
+const MediaTrim = (MediaTrimImport && (MediaTrimImport.default || MediaTrimImport)) || {};
+import * as SilenceCutImport from "../shared/silenceCut";
+const SilenceCut = (SilenceCutImport && (SilenceCutImport.default || SilenceCutImport)) || {};
+import { cachedBlobURL } from "./runtimeCache";
+
 let _instance = null;
 let _loadingPromise = null;
+let _burnFontLoaded = false;
 
 function isBrowser() {
   return typeof window !== "undefined";
@@ -12,7 +23,7 @@ export async function loadFfmpegSingleton({ onLog } = {}) {
 
   _loadingPromise = (async () => {
     // New API: FFmpeg + toBlobURL (recommended)
-    const [{ FFmpeg }, { toBlobURL, fetchFile }] = await Promise.all([
+    const [{ FFmpeg }, { fetchFile }] = await Promise.all([
       import("@ffmpeg/ffmpeg"),
       import("@ffmpeg/util"),
     ]);
@@ -31,9 +42,9 @@ export async function loadFfmpegSingleton({ onLog } = {}) {
       "https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.10/dist/umd";
 
     // Per docs: load coreURL/wasmURL using blob URLs
-    // (this avoids common CORS issues when fetching WASM assets) :contentReference[oaicite:2]{index=2}
-    const coreURL = await toBlobURL(`${baseURL}/ffmpeg-core.js`, "text/javascript");
-    const wasmURL = await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, "application/wasm");
+    // (this avoids common CORS issues when fetching WASM assets); lib/runtimeCache keeps them for offline use
+    const coreURL = await cachedBlobURL(`${baseURL}/ffmpeg-core.js`, "text/javascript");
+    const wasmURL = await cachedBlobURL(`${baseURL}/ffmpeg-core.wasm`, "application/wasm");
 
     await ffmpeg.load({ coreURL, wasmURL });
 
@@ -45,37 +56,197 @@ export async function loadFfmpegSingleton({ onLog } = {}) {
   return _loadingPromise;
 }
 
-// --- Optional helpers you can use later (not wired into UI yet) ---
+// ffmpeg.wasm runs one exec at a time, and its "log" event reaches every listener on the singleton: a
+// silencedetect pass running next to another file's conversion would parse that file's lines too.
+// Every job (write input -> exec -> read output) goes through this queue, one after the other.
+let _jobQueue = Promise.resolve();
+
+export function runFfmpegJob(job) {
+  const run = _jobQueue.then(() => job());
+  _jobQueue = run.catch(() => {});
+  return run;
+}
+
+// --- Helpers ---
 
 function safeName(name) {
   const base = String(name || "input").replace(/[^a-zA-Z0-9._-]/g, "_");
   return base.length ? base : "input";
 }
 
-export async function extractAudioToMp3(file) {
-  const loaded = await loadFfmpegSingleton();
-  if (!loaded) throw new Error("FFmpeg not available (SSR?)");
+// keepRanges: [{ start, end }] on the source timeline (shared/mediaTrim) — only those parts end up in the mp3
+export function extractAudioToMp3(file, { keepRanges } = {}) {
+  return runFfmpegJob(async () => {
+    const loaded = await loadFfmpegSingleton();
+    if (!loaded) throw new Error("FFmpeg not available (SSR?)");
 
-  const { ffmpeg, fetchFile } = loaded;
+    const { ffmpeg, fetchFile } = loaded;
 
-  const inName = `${Date.now()}_${safeName(file?.name || "input")}`;
-  const outName = `${Date.now()}_output.mp3`;
+    const inName = `${Date.now()}_${safeName(file?.name || "input")}`;
+    const outName = `${Date.now()}_output.mp3`;
 
-  await ffmpeg.writeFile(inName, await fetchFile(file));
-  // -vn: no video, -q:a 0: high quality VBR
-  await ffmpeg.exec(["-i", inName, "-vn", "-q:a", "0", outName]);
+    await ffmpeg.writeFile(inName, await fetchFile(file));
+    // -vn: no video, -q:a 0: high quality VBR
+    const af = MediaTrim.trimAudioFilter(keepRanges);
+    const code = await ffmpeg.exec(["-i", inName, "-vn", ...(af ? ["-af", af] : []), "-q:a", "0", outName]);
+    if (af && code !== 0) throw new Error("FFmpeg could not trim the media (see the console log)");
 
-  const data = await ffmpeg.readFile(outName);
-  const blob = new Blob([data.buffer], { type: "audio/mpeg" });
-  const mp3File = new File([blob], "output.mp3", { type: "audio/mpeg" });
+    const data = await ffmpeg.readFile(outName);
+    const blob = new Blob([data.buffer], { type: "audio/mpeg" });
+    const mp3File = new File([blob], "output.mp3", { type: "audio/mpeg" });
 
-  return {
-    file: mp3File,
-    blob,
-    url: URL.createObjectURL(blob),
+    return {
+      file: mp3File,
+      blob,
+      url: URL.createObjectURL(blob),
+    };
+  });
+}
+
+// silencedetect pass over the audio (nothing is written) -> { silences: [{ start, end }], durationSeconds }
+// noiseDb / minSeconds default to shared/silenceCut SILENCE_DEFAULTS
+export function detectSilence(file, { noiseDb, minSeconds } = {}) {
+  return runFfmpegJob(async () => {
+    const loaded = await loadFfmpegSingleton();
+    if (!loaded) throw new Error("FFmpeg not available (SSR?)");
+
+    const { ffmpeg, fetchFile } = loaded;
+    const inName = `${Date.now()}_${safeName(file?.name || "input")}`;
+
+    const lines = [];
+    const onLog = ({ message } = {}) => {
+      if (message) lines.push(message);
+    };
+
+    ffmpeg.on("log", onLog);
+    try {
+      await ffmpeg.writeFile(inName, await fetchFile(file));
+      const code = await ffmpeg.exec(SilenceCut.silenceDetectArgs({ inName, noiseDb, minSeconds }));
+      if (code !== 0) throw new Error("FFmpeg could not analyse the audio (see the console log)");
+      return SilenceCut.parseSilenceLog(lines);
+    } finally {
+      ffmpeg.off("log", onLog);
+      await ffmpeg.deleteFile(inName).catch(() => {});
+    }
+  });
+}
+
+// libass in ffmpeg.wasm has no system fonts: write the burn-in font once per session
+async function ensureBurnFont(ffmpeg, fetchFile) {
+  if (_burnFontLoaded) return;
+  const font = await fetchFile(SubtitleBurn.BURN_FONT.url);
+  await ffmpeg.createDir(SubtitleBurn.BURN_FONT_DIR).catch(() => {}); // already there
+  await ffmpeg.writeFile(SubtitleBurn.BURN_FONT_FILE, font);
+  _burnFontLoaded = true;
+}
+
+// log listener -> onProgress(0..1); durationSeconds is a hint until ffmpeg prints its own "Duration:"
+function logProgressListener(durationSeconds, onProgress) {
+  let total = Number(durationSeconds) > 0 ? Number(durationSeconds) : 0;
+  return ({ message } = {}) => {
+    const d = SubtitleBurn.parseLogDuration(message);
+    if (d) total = d;
+    const p = SubtitleBurn.burnProgress(SubtitleBurn.parseLogTime(message), total);
+    if (p != null && typeof onProgress === "function") onProgress(p);
   };
 }
 
+// Burns an .ass script (see shared/subtitleBurn.buildBurnAss) into a video -> H.264/AAC MP4.
+// onProgress(0..1) is parsed from ffmpeg's log lines; durationSeconds is a hint until ffmpeg prints its own.
+export function burnSubtitlesToMp4(file, { ass, filename, durationSeconds, onProgress } = {}) {
+  return runFfmpegJob(async () => {
+    const loaded = await loadFfmpegSingleton();
+    if (!loaded) throw new Error("FFmpeg not available (SSR?)");
+    if (!String(ass || "").trim()) throw new Error("No subtitles to burn in");
+
+    const { ffmpeg, fetchFile } = loaded;
+
+    const inName = `${Date.now()}_${safeName(file?.name || "input")}`;
+    const subsName = `${Date.now()}_subs.ass`;
+    const outName = `${Date.now()}_burned.mp4`;
+
+    const onLog = logProgressListener(durationSeconds, onProgress);
+
+    ffmpeg.on("log", onLog);
+    try {
+      await ensureBurnFont(ffmpeg, fetchFile);
+      await ffmpeg.writeFile(inName, await fetchFile(file));
+      await ffmpeg.writeFile(subsName, new TextEncoder().encode(String(ass)));
+
+      const code = await ffmpeg.exec(SubtitleBurn.burnArgs({ inName, subsName, outName }));
+      if (code !== 0) throw new Error("FFmpeg could not render the video (see the console log)");
+
+      const data = await ffmpeg.readFile(outName);
+      const blob = new Blob([data.buffer], { type: "video/mp4" });
+      if (typeof onProgress === "function") onProgress(1);
+
+      return {
+        file: new File([blob], filename || "subtitled.mp4", { type: "video/mp4" }),
+        blob,
+        url: URL.createObjectURL(blob),
+      };
+    } finally {
+      ffmpeg.off("log", onLog);
+      await ffmpeg.deleteFile(inName).catch(() => {});
+      await ffmpeg.deleteFile(subsName).catch(() => {});
+      await ffmpeg.deleteFile(outName).catch(() => {});
+    }
+  });
+}
+
+// Muxes SRT tracks into the video as selectable subtitle streams (video/audio stream-copied, not re-encoded).
+// tracks: [{ srt, language, title }] — language is the container's ISO 639-2 tag (shared/subtitleMux)
+// container: "mp4" (mov_text) | "mkv" (SRT)
+export function muxSubtitlesIntoVideo(file, { tracks, container, filename, durationSeconds, onProgress } = {}) {
+  return runFfmpegJob(async () => {
+    const loaded = await loadFfmpegSingleton();
+    if (!loaded) throw new Error("FFmpeg not available (SSR?)");
+
+    const list = (Array.isArray(tracks) ? tracks : []).filter((t) => String(t?.srt || "").trim());
+    if (!list.length) throw new Error("No subtitle tracks to add");
+
+    const { ffmpeg, fetchFile } = loaded;
+    const c = SubtitleMux.getContainer(container);
+
+    const stamp = Date.now();
+    const inName = `${stamp}_${safeName(file?.name || "input")}`;
+    const outName = `${stamp}_muxed.${c.ext}`;
+    const subs = list.map((t, i) => ({ ...t, subsName: `${stamp}_track${i}.srt` }));
+
+    const onLog = logProgressListener(durationSeconds, onProgress);
+
+    ffmpeg.on("log", onLog);
+    try {
+      await ffmpeg.writeFile(inName, await fetchFile(file));
+      for (const t of subs) await ffmpeg.writeFile(t.subsName, new TextEncoder().encode(String(t.srt)));
+
+      const code = await ffmpeg.exec(SubtitleMux.muxArgs({ inName, tracks: subs, outName, containerId: c.id }));
+      if (code !== 0) {
+        throw new Error(
+          c.id === "mp4"
+            ? "FFmpeg could not write the MP4 — its codecs may not fit in MP4, try MKV"
+            : "FFmpeg could not write the MKV (see the console log)"
+        );
+      }
+
+      const data = await ffmpeg.readFile(outName);
+      const blob = new Blob([data.buffer], { type: c.mime });
+      if (typeof onProgress === "function") onProgress(1);
+
+      return {
+        file: new File([blob], filename || `subtitles.${c.ext}`, { type: c.mime }),
+        blob,
+        url: URL.createObjectURL(blob),
+      };
+    } finally {
+      ffmpeg.off("log", onLog);
+      await ffmpeg.deleteFile(inName).catch(() => {});
+      for (const t of subs) await ffmpeg.deleteFile(t.subsName).catch(() => {});
+      await ffmpeg.deleteFile(outName).catch(() => {});
+    }
+  });
+}
+
 export function getMediaDurationSeconds(fileOrUrl) {
   // Works for audio/video; uses native media metadata (fast + no ffmpeg needed)
   return new Promise((resolve, reject) => {
@@ -0,0 +1,34 @@
+import localforage from "localforage";
+
+// Keyterm glossaries (transcription boost terms): one for the account, one per thread.
+// Stored as { terms: string[], updatedAt } and merged into run options by ThreadComposer.
+const store = localforage.createInstance({
+  name: "happysrt",
+  storeName: "glossaries",
+});
+
+const ACCOUNT = "account";
+
+function key(scope, threadId) {
+  return `glossary:v1:${scope}:${threadId || ACCOUNT}`;
+}
+
+// threadId = null/"" -> account-wide glossary
+export async function putGlossary(scope, threadId, terms) {
+  if (!scope) return;
+  await store.setItem(key(scope, threadId), {
+    terms: Array.isArray(terms) ? terms : [],
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export async function getGlossary(scope, threadId) {
+  if (!scope) return [];
+  const v = await store.getItem(key(scope, threadId));
+  return Array.isArray(v?.terms) ? v.terms : [];
+}
+
+export async function deleteGlossary(scope, threadId) {
+  if (!scope) return;
+  await store.removeItem(key(scope, threadId));
+}
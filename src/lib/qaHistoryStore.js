@@ -0,0 +1,34 @@
+import localforage from "localforage";
+
+// Transcript Q&A conversations, kept per thread (whole-thread questions) or per chat item.
+// Stored as { turns: [{ question, answer, citations, at }], updatedAt }.
+const store = localforage.createInstance({
+  name: "happysrt",
+  storeName: "qa_history",
+});
+
+const MAX_TURNS = 50;
+
+function key(scope, threadId, chatItemId) {
+  return `qa:v1:${scope}:${threadId}:${chatItemId || "thread"}`;
+}
+
+// chatItemId = null/"" -> the thread-wide conversation
+export async function putQaHistory(scope, threadId, chatItemId, turns) {
+  if (!scope || !threadId) return;
+  await store.setItem(key(scope, threadId, chatItemId), {
+    turns: (Array.isArray(turns) ? turns : []).slice(-MAX_TURNS),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export async function getQaHistory(scope, threadId, chatItemId) {
+  if (!scope || !threadId) return [];
+  const v = await store.getItem(key(scope, threadId, chatItemId));
+  return Array.isArray(v?.turns) ? v.turns : [];
+}
+
+export async function deleteQaHistory(scope, threadId, chatItemId) {
+  if (!scope || !threadId) return;
+  await store.removeItem(key(scope, threadId, chatItemId));
+}
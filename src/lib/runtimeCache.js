@@ -0,0 +1,30 @@
+// lib/runtimeCache.js
+// WASM runtimes fetched from a CDN (ffmpeg core, transformers.js + its onnxruntime-web binaries) go through
+// Cache Storage: the first load stores each file, later sessions — offline ones too — read it from there.
+// URLs are version-pinned, so an entry never goes stale; a new version is a new URL (and a new entry).
+
+const CACHE_NAME = "happysrt-runtimes-v1";
+
+async function openCache() {
+  try {
+    return typeof caches !== "undefined" ? await caches.open(CACHE_NAME) : null;
+  } catch {
+    return null; // Cache Storage needs a secure context; fall back to plain fetches
+  }
+}
+
+// url -> blob: URL of the file (cached copy, or fetched + cached). Same contract as @ffmpeg/util toBlobURL.
+export async function cachedBlobURL(url, mimeType) {
+  const u = String(url || "");
+  const cache = await openCache();
+
+  let res = cache ? await cache.match(u).catch(() => null) : null;
+  if (!res) {
+    res = await fetch(u);
+    if (!res.ok) throw new Error(`Could not download ${u} (HTTP ${res.status})`);
+    if (cache) await cache.put(u, res.clone()).catch(() => {});
+  }
+
+  const buf = await res.arrayBuffer();
+  return URL.createObjectURL(new Blob([buf], { type: mimeType }));
+}
@@ -0,0 +1,43 @@
+import localforage from "localforage";
+
+// Per-thread translation glossary ({ terms, dnt } — see shared/translationGlossary.js).
+// Edited in ThreadComposer, read by ChatTimeline (reruns + checker); writes broadcast a window event.
+const store = localforage.createInstance({
+  name: "happysrt",
+  storeName: "translation_glossaries",
+});
+
+export const TR_GLOSSARY_EVENT = "app:translation-glossary";
+
+function key(scope, threadId) {
+  return `trGlossary:v1:${scope}:${threadId}`;
+}
+
+function emit(scope, threadId) {
+  if (typeof window === "undefined") return;
+  window.dispatchEvent(new CustomEvent(TR_GLOSSARY_EVENT, { detail: { scope, threadId } }));
+}
+
+export async function putTranslationGlossary(scope, threadId, glossary) {
+  if (!scope || !threadId) return;
+  await store.setItem(key(scope, threadId), glossary || {});
+  emit(scope, threadId);
+}
+
+export async function getTranslationGlossary(scope, threadId) {
+  if (!scope || !threadId) return null;
+  return store.getItem(key(scope, threadId));
+}
+
+export async function deleteTranslationGlossary(scope, threadId) {
+  if (!scope || !threadId) return;
+  await store.removeItem(key(scope, threadId));
+  emit(scope, threadId);
+}
+
+export function onTranslationGlossaryChanged(handler) {
+  if (typeof window === "undefined") return () => {};
+  const fn = (e) => handler((e && e.detail) || {});
+  window.addEventListener(TR_GLOSSARY_EVENT, fn);
+  return () => window.removeEventListener(TR_GLOSSARY_EVENT, fn);
+}
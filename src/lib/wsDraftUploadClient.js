@@ -1,4 +1,5 @@
 // lib/wsDraftUploadClient.js
+import { arrayBufferToBase64, makeWsError, waitForMessage } from "./wsHelpers";
 
 function nowIso() {
   return new Date().toISOString();
@@ -13,13 +14,6 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-function makeWsError(message, code, payload) {
-  const e = new Error(message || "WebSocket request failed");
-  if (code) e.code = code;
-  if (payload != null) e.payload = payload;
-  return e;
-}
-
 function matchesAnyType(msgType, list) {
   const t = String(msgType || "");
   for (const x of Array.isArray(list) ? list : []) {
@@ -28,51 +22,6 @@ function matchesAnyType(msgType, list) {
   return false;
 }
 
-async function waitForMessage(wsClient, predicate, timeoutMs) {
-  const timeout = Math.max(500, Number(timeoutMs || 0) || 0);
-
-  return new Promise((resolve, reject) => {
-    const start = Date.now();
-
-    const off = wsClient.onMessage((msg) => {
-      try {
-        if (!predicate(msg)) return;
-        cleanup();
-        resolve(msg);
-      } catch (e) {
-        cleanup();
-        reject(e);
-      }
-    });
-
-    const timer = setInterval(() => {
-      if (Date.now() - start > timeout) {
-        cleanup();
-        reject(makeWsError("Timed out waiting for server response", "WS_TIMEOUT"));
-      }
-    }, 60);
-
-    function cleanup() {
-      try {
-        off && off();
-      } catch {}
-      try {
-        clearInterval(timer);
-      } catch {}
-    }
-  });
-}
-
-function arrayBufferToBase64(buf) {
-  const bytes = new Uint8Array(buf);
-  let binary = "";
-  const CHUNK = 0x8000;
-  for (let i = 0; i < bytes.length; i += CHUNK) {
-    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
-  }
-  return btoa(binary);
-}
-
 async function sha256HexOfFile(file) {
   if (!(globalThis.crypto && crypto.subtle)) return "";
   const buf = await file.arrayBuffer();
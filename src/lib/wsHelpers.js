@@ -0,0 +1,55 @@
+// lib/wsHelpers.js
+// Request/response plumbing shared by the WebSocket clients that speak the thread socket's JSON protocol
+// (wsDraftUploadClient, wsLiveTranscribeClient).
+
+export function makeWsError(message, code, payload) {
+  const e = new Error(message || "WebSocket request failed");
+  if (code) e.code = code;
+  if (payload != null) e.payload = payload;
+  return e;
+}
+
+export async function waitForMessage(wsClient, predicate, timeoutMs) {
+  const timeout = Math.max(500, Number(timeoutMs || 0) || 0);
+
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+
+    const off = wsClient.onMessage((msg) => {
+      try {
+        if (!predicate(msg)) return;
+        cleanup();
+        resolve(msg);
+      } catch (e) {
+        cleanup();
+        reject(e);
+      }
+    });
+
+    const timer = setInterval(() => {
+      if (Date.now() - start > timeout) {
+        cleanup();
+        reject(makeWsError("Timed out waiting for server response", "WS_TIMEOUT"));
+      }
+    }, 60);
+
+    function cleanup() {
+      try {
+        off && off();
+      } catch {}
+      try {
+        clearInterval(timer);
+      } catch {}
+    }
+  });
+}
+
+export function arrayBufferToBase64(buf) {
+  const bytes = new Uint8Array(buf);
+  let binary = "";
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,240 @@
+// lib/wsLiveTranscribeClient.js
+// Live transcription for the "stream" draft mode. Mic audio goes over the thread WebSocket with the
+// same JSON/base64 framing as draft uploads:
+//   LIVE_BEGIN { mime, language, options }  -> LIVE_ACCEPTED { sessionId }
+//   LIVE_CHUNK { sessionId, seq, dataBase64 }   one MediaRecorder slice every TIMESLICE_MS
+//                                            <- LIVE_SEGMENT { sessionId, segment: { start, end, text }, final }
+//   LIVE_END { sessionId, discard? }         -> LIVE_COMPLETE { sessionId, segments? }
+// The slices are also kept in memory, so the take becomes a normal audio File when the session ends.
+
+import { arrayBufferToBase64, makeWsError, waitForMessage } from "./wsHelpers";
+
+const TIMESLICE_MS = 1000;
+
+// first container the browser can record (Chrome/Firefox: webm/ogg opus, Safari: mp4/aac)
+const MIME_CANDIDATES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeStr(x) {
+  const s = String(x == null ? "" : x).trim();
+  return s || "";
+}
+
+function stopTracks(stream) {
+  try {
+    stream?.getTracks().forEach((t) => t.stop());
+  } catch {}
+}
+
+// -> { start, end, text } | null
+function normalizeLiveSegment(s) {
+  const text = String(s?.text || "").replace(/\s+/g, " ").trim();
+  const start = Number(s?.start);
+  const end = Number(s?.end);
+  if (!text || !Number.isFinite(start)) return null;
+  return { start, end: Number.isFinite(end) && end >= start ? end : start, text };
+}
+
+export function pickRecorderMime() {
+  if (typeof MediaRecorder === "undefined" || typeof MediaRecorder.isTypeSupported !== "function") return "";
+  return MIME_CANDIDATES.find((m) => MediaRecorder.isTypeSupported(m)) || "";
+}
+
+export function extForMime(mime) {
+  if (/mp4/.test(mime)) return "m4a";
+  if (/ogg/.test(mime)) return "ogg";
+  return "webm";
+}
+
+// "Voice note 2025-01-31 14-05.webm"
+export function recordingFileName(prefix, ext) {
+  const d = new Date();
+  const p = (n) => String(n).padStart(2, "0");
+  const stamp = `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}-${p(d.getMinutes())}`;
+  return `${prefix} ${stamp}.${ext}`;
+}
+
+// Starts recording the mic and streaming it. Resolves once the server accepted the session.
+// onSegment({ start, end, text }, final) for every interim / final segment;
+// onDropped(error) once if the socket goes away (recording continues locally).
+// -> { sessionId, startedAt, stop(): Promise<{ file, segments }>, cancel() }
+export async function startLiveTranscriptionViaWs({ wsClient, threadId, language, options, onSegment, onDropped } = {}) {
+  const tid = safeStr(threadId);
+
+  if (!wsClient) throw makeWsError("Missing wsClient", "WS_NO_CLIENT");
+  if (!tid) throw makeWsError("Missing threadId", "WS_BAD_ARGS");
+
+  const md = typeof navigator !== "undefined" ? navigator.mediaDevices : null;
+  if (typeof MediaRecorder === "undefined" || !md?.getUserMedia) {
+    throw makeWsError("Live transcription isn’t supported in this browser.", "LIVE_UNSUPPORTED");
+  }
+
+  const ready = await wsClient.waitForReady(12000);
+  if (!ready) throw makeWsError("WebSocket not ready yet (no HELLO_OK)", "WS_NOT_READY");
+
+  const stream = await md.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+
+  let recorder = null;
+  let accepted = null;
+  const reqId = wsClient.uuid ? wsClient.uuid() : `${Date.now()}-${Math.random()}`;
+
+  try {
+    const mime = pickRecorderMime();
+    recorder = new MediaRecorder(stream, mime ? { mimeType: mime } : undefined);
+
+    const okBegin = wsClient.send(
+      "LIVE_BEGIN",
+      {
+        mime: recorder.mimeType || mime || "audio/webm",
+        language: safeStr(language) || "auto",
+        options: options && typeof options === "object" ? options : {},
+        ts: nowIso(),
+      },
+      reqId
+    );
+    if (!okBegin) throw makeWsError("Failed to send LIVE_BEGIN", "WS_SEND_FAILED");
+
+    accepted = await waitForMessage(
+      wsClient,
+      (msg) => {
+        const t = String(msg?.type || "");
+        const p = msg?.payload || {};
+        if (String(msg?.requestId || "") !== reqId) return false;
+        if (t === "ERROR") throw makeWsError(p?.message || "Live session refused", p?.code || "WS_ERROR", p);
+        return t === "LIVE_ACCEPTED";
+      },
+      20000
+    );
+  } catch (e) {
+    stopTracks(stream);
+    throw e;
+  }
+
+  const sessionId = safeStr(accepted?.payload?.sessionId);
+  if (!sessionId) {
+    stopTracks(stream);
+    throw makeWsError("Server did not return sessionId", "WS_NO_SESSION_ID", accepted?.payload);
+  }
+
+  const recMime = recorder.mimeType || "audio/webm";
+  const chunks = [];
+  const finals = [];
+  let seq = 0;
+  let dropped = false;
+  let sendQueue = Promise.resolve();
+
+  const drop = (err) => {
+    if (dropped) return;
+    dropped = true;
+    if (typeof onDropped === "function") {
+      try {
+        onDropped(err);
+      } catch {}
+    }
+  };
+
+  const off = wsClient.onMessage((msg) => {
+    try {
+      const t = String(msg?.type || "");
+      const p = msg?.payload || {};
+      if (safeStr(p.sessionId) !== sessionId) return;
+
+      if (t === "LIVE_SEGMENT") {
+        const seg = normalizeLiveSegment(p.segment);
+        if (!seg) return;
+        const final = !!p.final;
+        if (final) finals.push(seg);
+        if (typeof onSegment === "function") onSegment(seg, final);
+      }
+
+      if (t === "LIVE_FAILED" || t === "ERROR") {
+        drop(makeWsError(String(p.reason || p.message || "Live transcription stopped"), p.code || "LIVE_FAILED", p));
+      }
+    } catch {}
+  });
+
+  const sendChunk = async (blob) => {
+    if (dropped) return;
+    const dataBase64 = arrayBufferToBase64(await blob.arrayBuffer());
+    const ok = wsClient.isConnected() && wsClient.send("LIVE_CHUNK", { sessionId, seq, dataBase64 }, reqId);
+    if (!ok) drop(makeWsError("WebSocket disconnected during the live session", "WS_DROPPED"));
+    seq += 1;
+  };
+
+  recorder.ondataavailable = (e) => {
+    if (!e.data || !e.data.size) return;
+    chunks.push(e.data);
+    // keep slices in order even though arrayBuffer() is async
+    sendQueue = sendQueue.then(() => sendChunk(e.data)).catch(() => {});
+  };
+
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start(TIMESLICE_MS);
+
+  const halt = async () => {
+    try {
+      if (recorder.state !== "inactive") recorder.stop();
+    } catch {}
+    await stopped;
+    stopTracks(stream);
+    await sendQueue;
+  };
+
+  let ending = null;
+
+  const stop = () => {
+    if (ending) return ending;
+    ending = (async () => {
+      await halt();
+
+      let segments = finals.slice();
+      if (!dropped && wsClient.isConnected() && wsClient.send("LIVE_END", { sessionId }, reqId)) {
+        try {
+          const done = await waitForMessage(
+            wsClient,
+            (msg) => String(msg?.type || "") === "LIVE_COMPLETE" && safeStr(msg?.payload?.sessionId) === sessionId,
+            30000
+          );
+          // the server may hand back a cleaned-up final pass; otherwise keep the finals we saw
+          const fromServer = (Array.isArray(done?.payload?.segments) ? done.payload.segments : [])
+            .map(normalizeLiveSegment)
+            .filter(Boolean);
+          if (fromServer.length) segments = fromServer;
+        } catch {}
+      }
+
+      try {
+        off && off();
+      } catch {}
+
+      const type = recMime.split(";")[0];
+      const file = chunks.length
+        ? new File(chunks, recordingFileName("Live session", extForMime(type)), { type, lastModified: Date.now() })
+        : null;
+
+      return { file, segments };
+    })();
+    return ending;
+  };
+
+  const cancel = () => {
+    if (ending) return ending;
+    ending = (async () => {
+      await halt();
+      if (!dropped && wsClient.isConnected()) wsClient.send("LIVE_END", { sessionId, discard: true }, reqId);
+      try {
+        off && off();
+      } catch {}
+      return { file: null, segments: [] };
+    })();
+    return ending;
+  };
+
+  return { sessionId, startedAt: nowIso(), stop, cancel };
+}
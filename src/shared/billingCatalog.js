@@ -14,6 +14,13 @@
 // - tokensPerMinute values below are INITIAL DEFAULTS.
 //   You should tune them to match your real vendor costs + desired margins.
 // - Keep this file public-safe (no vendor $ costs, no margin ratios).
+// - The self-hosted ASR model's rate comes from its config (shared/selfHostedAsr.js, default 0 = free).
+// - The in-browser ASR model (shared/browserAsr.js) is always free: it runs on the user's machine.
+
+const SelfHostedImport = require("./selfHostedAsr");
+const SelfHosted = (SelfHostedImport && (SelfHostedImport.default || SelfHostedImport)) || {};
+const BrowserAsrImport = require("./browserAsr");
+const BrowserAsr = (BrowserAsrImport && (BrowserAsrImport.default || BrowserAsrImport)) || {};
 
 // --------------------
 // Core pricing settings
@@ -60,6 +67,18 @@ const BILLING_MODELS = Object.freeze([
     label: "UpliftAI Scribe Mini",
     tokensPerMinute: 12,
   },
+  ...(SelfHosted.SELF_HOSTED_ASR && SelfHosted.SELF_HOSTED_ASR.enabled
+    ? [
+        {
+          id: SelfHosted.MODEL_ID,
+          label: SelfHosted.SELF_HOSTED_ASR.label,
+          tokensPerMinute: SelfHosted.SELF_HOSTED_ASR.tokensPerMinute,
+        },
+      ]
+    : []),
+  ...(BrowserAsr.BROWSER_ASR && BrowserAsr.BROWSER_ASR.enabled
+    ? [{ id: BrowserAsr.MODEL_ID, label: BrowserAsr.BROWSER_ASR.label, tokensPerMinute: 0 }]
+    : []),
 ]);
 
 // Handy for Stripe mapping / UI purchase options.
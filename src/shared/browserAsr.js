@@ -0,0 +1,129 @@
+// shared/browserAsr.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Config for the in-browser transcription fallback (Whisper-tiny-class ONNX model run through WASM,
+//   see lib/browserAsrClient.js). transcriptionCatalog turns it into a model entry; billingCatalog into a
+//   zero rate (nothing runs on our side), so anonymous users with no tokens can still transcribe.
+// - Pure helpers for the windowing + chunk -> segment math, so the result has the same
+//   { start, end, text } shape as server transcripts and goes through SAVE_SEGMENTS unchanged.
+//
+// Config (build-time env):
+//   NEXT_PUBLIC_BROWSER_ASR                 "off" hides the model (default on)
+//   NEXT_PUBLIC_BROWSER_ASR_MODEL           Hugging Face ONNX repo (default "onnx-community/whisper-tiny")
+//   NEXT_PUBLIC_BROWSER_ASR_LABEL           picker label (default "In-browser Whisper (offline)")
+//   NEXT_PUBLIC_BROWSER_ASR_LIB_URL         transformers.js ESM build to load (default: jsDelivr, pinned)
+//   NEXT_PUBLIC_BROWSER_ASR_WASM_URL        folder with its onnxruntime-web ort-wasm-* files (default: same dist folder)
+//   NEXT_PUBLIC_BROWSER_ASR_MAX_MINUTES     longest media it takes (default 60): the decoded audio is held in memory
+//
+// Notes:
+// - Next.js only inlines `process.env.NEXT_PUBLIC_*` when written out literally, hence one line per variable.
+// - Audio is cut into WINDOW_SECONDS windows (Whisper's native context) so progress can be reported per window.
+// - The runtime files are cached like the ffmpeg core (lib/runtimeCache), the model by transformers.js itself.
+// - 16 kHz Float32 PCM is ~3.8 MB per minute (plus ffmpeg's copy while decoding), hence maxSeconds.
+
+function readEnv(read) {
+  try {
+    const v = read();
+    return v == null ? "" : String(v).trim();
+  } catch {
+    return "";
+  }
+}
+
+const ENV = {
+  enabled: readEnv(() => process.env.NEXT_PUBLIC_BROWSER_ASR),
+  model: readEnv(() => process.env.NEXT_PUBLIC_BROWSER_ASR_MODEL),
+  label: readEnv(() => process.env.NEXT_PUBLIC_BROWSER_ASR_LABEL),
+  libUrl: readEnv(() => process.env.NEXT_PUBLIC_BROWSER_ASR_LIB_URL),
+  wasmUrl: readEnv(() => process.env.NEXT_PUBLIC_BROWSER_ASR_WASM_URL),
+  maxMinutes: readEnv(() => process.env.NEXT_PUBLIC_BROWSER_ASR_MAX_MINUTES),
+};
+
+const DEFAULT_LIB_BASE = "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.7.1/dist";
+const DEFAULT_MAX_MINUTES = 60;
+
+const MODEL_ID = "browser_whisper";
+
+const SAMPLE_RATE = 16000;
+const WINDOW_SECONDS = 30;
+
+// Share of the progress bar spent downloading the model (first run only; cached afterwards)
+const LOAD_PROGRESS_SHARE = 0.2;
+
+function normalizeConfig(env) {
+  const e = env && typeof env === "object" ? env : {};
+  const off = /^(0|off|false|no)$/i.test(String(e.enabled || ""));
+  const maxMinutes = Number(e.maxMinutes);
+
+  return Object.freeze({
+    enabled: !off,
+    model: String(e.model || "") || "onnx-community/whisper-tiny",
+    label: String(e.label || "") || "In-browser Whisper (offline)",
+    libUrl: String(e.libUrl || "") || `${DEFAULT_LIB_BASE}/transformers.min.js`,
+    wasmUrl: String(e.wasmUrl || "").replace(/\/+$/, "") || DEFAULT_LIB_BASE,
+    maxSeconds: (Number.isFinite(maxMinutes) && maxMinutes > 0 ? maxMinutes : DEFAULT_MAX_MINUTES) * 60,
+  });
+}
+
+const BROWSER_ASR = normalizeConfig(ENV);
+
+// sampleCount -> [{ from, to, offsetSeconds }] sample ranges, WINDOW_SECONDS each (last one shorter)
+function windowsForSamples(sampleCount, sampleRate, windowSeconds) {
+  const n = Math.max(0, Math.trunc(Number(sampleCount) || 0));
+  const sr = Math.max(1, Math.trunc(Number(sampleRate) || SAMPLE_RATE));
+  const size = Math.max(1, Math.round((Number(windowSeconds) || WINDOW_SECONDS) * sr));
+
+  const out = [];
+  for (let from = 0; from < n; from += size) {
+    out.push({ from, to: Math.min(n, from + size), offsetSeconds: from / sr });
+  }
+  return out;
+}
+
+// transformers.js ASR output ({ chunks: [{ timestamp: [start, end], text }] }) -> segments shifted by the window offset.
+// windowEnd closes a last chunk the model left open (end = null).
+function chunksToSegments(output, offsetSeconds, windowEnd) {
+  const chunks = Array.isArray(output?.chunks) ? output.chunks : [];
+  const off = Number(offsetSeconds) || 0;
+  const out = [];
+
+  for (const c of chunks) {
+    const ts = Array.isArray(c?.timestamp) ? c.timestamp : [];
+    const text = String(c?.text || "").replace(/\s+/g, " ").trim();
+    const start = Number(ts[0]);
+    if (!text || !Number.isFinite(start)) continue;
+
+    const endRaw = ts[1] == null ? Number(windowEnd) - off : Number(ts[1]);
+    const end = Number.isFinite(endRaw) && endRaw >= start ? endRaw : start;
+    out.push({ start: off + start, end: off + end, text });
+  }
+
+  if (!out.length) {
+    const text = String(output?.text || "").replace(/\s+/g, " ").trim();
+    if (text) out.push({ start: off, end: Math.max(off, Number(windowEnd) || off), text });
+  }
+  return out;
+}
+
+// overall 0..1 progress: model download first, then one step per window
+function overallProgress({ loaded = 1, windowsDone = 0, windowsTotal = 0 } = {}) {
+  const l = Math.min(1, Math.max(0, Number(loaded) || 0));
+  const w = windowsTotal > 0 ? Math.min(1, Math.max(0, windowsDone / windowsTotal)) : 0;
+  return LOAD_PROGRESS_SHARE * l + (1 - LOAD_PROGRESS_SHARE) * w;
+}
+
+module.exports = {
+  MODEL_ID,
+  SAMPLE_RATE,
+  WINDOW_SECONDS,
+  BROWSER_ASR,
+
+  normalizeConfig,
+  windowsForSamples,
+  chunksToSegments,
+  overallProgress,
+};
+
+// ESM interop
+module.exports.default = module.exports;
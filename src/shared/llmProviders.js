@@ -0,0 +1,240 @@
+// shared/llmProviders.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - One registry of the text models behind translation + summarization (+ transcript Q&A).
+//   translationCatalog / summarizationCatalog list their models from here, the billing catalogs read
+//   pricing from here, and threadsContext resolves defaults from here — no model-id literals elsewhere.
+// - Two provider APIs:
+//     "openai" — OpenAI-compatible chat completions (OpenAI itself, or a local Ollama / llama.cpp server)
+//     "deepl"  — DeepL-style machine translation (translate only, billed per character)
+//
+// Config (build-time env; NEXT_PUBLIC_ so the browser pickers see the same list as the server):
+//   NEXT_PUBLIC_LOCAL_LLM_URL             OpenAI-compatible base URL, e.g. http://localhost:11434/v1 — unset = disabled
+//   NEXT_PUBLIC_LOCAL_LLM_MODELS          comma list of model names served there ("llama3.1:8b,qwen2.5:7b")
+//   NEXT_PUBLIC_LOCAL_LLM_LABEL           provider label in pickers (default "Local")
+//   NEXT_PUBLIC_LOCAL_LLM_LANGUAGES       comma list of language codes the models handle; unset = all
+//   NEXT_PUBLIC_LOCAL_LLM_USD_CENTS_PER_1M  base price per 1M tokens (default 0 = free)
+//   NEXT_PUBLIC_DEEPL_URL                 DeepL-style API base, e.g. https://api-free.deepl.com/v2 — unset = disabled
+//   NEXT_PUBLIC_DEEPL_USD_CENTS_PER_1M_CHARS  base price per 1M source characters (default 2500 = $25)
+//   DEEPL_API_KEY / LOCAL_LLM_API_KEY     server-only credentials (never in this file)
+//
+// Model shape:
+//   { id, label, provider, kind: "llm" | "mt", model, tasks: ["translate", "summarize", "qa"],
+//     languages: null (= every catalog language) | ["en", "de", ...],
+//     pricing: { unit: "tokens" | "chars", usdCentsPer1M } }   // base vendor price, markup lives in billing
+//
+// Notes:
+// - Next.js only inlines `process.env.NEXT_PUBLIC_*` when written out literally, hence one line per variable.
+// - Language codes are translationCatalog values ("pt-BR", "zh-Hans"); a listed base code ("pt")
+//   also covers its regional variants.
+
+function readEnv(read) {
+  try {
+    const v = read();
+    return v == null ? "" : String(v).trim();
+  } catch {
+    return "";
+  }
+}
+
+const ENV = {
+  localUrl: readEnv(() => process.env.NEXT_PUBLIC_LOCAL_LLM_URL),
+  localModels: readEnv(() => process.env.NEXT_PUBLIC_LOCAL_LLM_MODELS),
+  localLabel: readEnv(() => process.env.NEXT_PUBLIC_LOCAL_LLM_LABEL),
+  localLanguages: readEnv(() => process.env.NEXT_PUBLIC_LOCAL_LLM_LANGUAGES),
+  localCentsPer1M: readEnv(() => process.env.NEXT_PUBLIC_LOCAL_LLM_USD_CENTS_PER_1M),
+  deeplUrl: readEnv(() => process.env.NEXT_PUBLIC_DEEPL_URL),
+  deeplCentsPer1MChars: readEnv(() => process.env.NEXT_PUBLIC_DEEPL_USD_CENTS_PER_1M_CHARS),
+};
+
+const APIS = Object.freeze({
+  openai: "openai",
+  deepl: "deepl",
+});
+
+const TASKS = Object.freeze({
+  translate: "translate",
+  summarize: "summarize",
+  qa: "qa",
+});
+
+const DEFAULT_MODEL_ID = "gpt-4o-mini";
+
+// Languages DeepL translates into (translationCatalog codes)
+const DEEPL_LANGUAGES = Object.freeze([
+  "en", "fr", "es", "de", "it", "pt", "pt-BR", "nl", "sv", "no", "da", "fi",
+  "pl", "cs", "hu", "ro", "bg", "el", "ru", "uk", "tr", "ar", "id", "ja", "ko",
+  "zh", "zh-Hans", "zh-Hant",
+]);
+
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+function splitList(v) {
+  return safeStr(v)
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+function httpUrl(v) {
+  const url = safeStr(v).replace(/\/+$/, "");
+  return /^https?:\/\//i.test(url) ? url : "";
+}
+
+function nonNegInt(v, fallback) {
+  if (safeStr(v).trim() === "") return fallback;
+  const n = Math.trunc(Number(v));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function buildRegistry(env) {
+  const e = env && typeof env === "object" ? env : {};
+  const providers = [{ id: "openai", label: "OpenAI", api: APIS.openai, baseUrl: "https://api.openai.com/v1" }];
+  const models = [
+    {
+      id: DEFAULT_MODEL_ID,
+      label: "GPT-4o mini",
+      provider: "openai",
+      kind: "llm",
+      model: "gpt-4o-mini",
+      tasks: [TASKS.translate, TASKS.summarize, TASKS.qa],
+      languages: null,
+      pricing: { unit: "tokens", usdCentsPer1M: 200 }, // $2.00 / 1M tokens (input + output alike)
+    },
+  ];
+
+  const localUrl = httpUrl(e.localUrl);
+  const localNames = splitList(e.localModels);
+  if (localUrl && localNames.length) {
+    const label = safeStr(e.localLabel).trim() || "Local";
+    const languages = splitList(e.localLanguages);
+    providers.push({ id: "local", label, api: APIS.openai, baseUrl: localUrl });
+
+    for (const name of localNames) {
+      models.push({
+        id: `local:${name}`,
+        label: `${name} (${label})`,
+        provider: "local",
+        kind: "llm",
+        model: name,
+        tasks: [TASKS.translate, TASKS.summarize, TASKS.qa],
+        languages: languages.length ? languages : null,
+        pricing: { unit: "tokens", usdCentsPer1M: nonNegInt(e.localCentsPer1M, 0) },
+      });
+    }
+  }
+
+  const deeplUrl = httpUrl(e.deeplUrl);
+  if (deeplUrl) {
+    providers.push({ id: "deepl", label: "DeepL", api: APIS.deepl, baseUrl: deeplUrl });
+    models.push({
+      id: "deepl",
+      label: "DeepL",
+      provider: "deepl",
+      kind: "mt",
+      model: "deepl",
+      tasks: [TASKS.translate],
+      languages: DEEPL_LANGUAGES,
+      pricing: { unit: "chars", usdCentsPer1M: nonNegInt(e.deeplCentsPer1MChars, 2500) },
+    });
+  }
+
+  return {
+    providers: Object.freeze(providers.map((p) => Object.freeze({ ...p }))),
+    models: Object.freeze(
+      models.map((m) =>
+        Object.freeze({
+          ...m,
+          tasks: Object.freeze(m.tasks.slice()),
+          languages: m.languages ? Object.freeze(m.languages.slice()) : null,
+          pricing: Object.freeze({ ...m.pricing }),
+        })
+      )
+    ),
+  };
+}
+
+const REGISTRY = buildRegistry(ENV);
+const PROVIDERS = REGISTRY.providers;
+const MODELS = REGISTRY.models;
+
+function getProviderById(id) {
+  const want = safeStr(id).trim();
+  return PROVIDERS.find((p) => p.id === want) || null;
+}
+
+function getModelById(id) {
+  const want = safeStr(id).trim();
+  if (!want) return null;
+  return MODELS.find((m) => m.id === want) || null;
+}
+
+// lang: catalog code; "auto" / "" always passes (source detection is the provider's job)
+function supportsLanguage(modelOrId, lang) {
+  const m = typeof modelOrId === "string" ? getModelById(modelOrId) : modelOrId;
+  if (!m) return false;
+  const l = safeStr(lang).trim().toLowerCase();
+  if (!l || l === "auto" || !m.languages) return true;
+  const base = l.split("-")[0];
+  return m.languages.some((x) => {
+    const v = safeStr(x).toLowerCase();
+    return v === l || v === base;
+  });
+}
+
+function supportsLanguages(modelOrId, langs) {
+  return (Array.isArray(langs) ? langs : [langs]).every((l) => supportsLanguage(modelOrId, l));
+}
+
+// task: TASKS value; langs (optional): every model returned handles all of them
+function getModelsForTask(task, langs) {
+  const t = safeStr(task).trim();
+  return MODELS.filter((m) => m.tasks.includes(t) && (langs == null || supportsLanguages(m, langs)));
+}
+
+function getDefaultModelId(task) {
+  const list = getModelsForTask(task);
+  return (list.find((m) => m.id === DEFAULT_MODEL_ID) || list[0] || getModelById(DEFAULT_MODEL_ID)).id;
+}
+
+// Known model for the task (and langs, when given) -> its id; otherwise the first model that fits,
+// falling back to the task default. Keeps stale / hand-edited options from reaching the server.
+function resolveModelId(task, modelId, langs) {
+  const m = getModelById(modelId);
+  const fitsTask = m && m.tasks.includes(safeStr(task).trim());
+  if (fitsTask && (langs == null || supportsLanguages(m, langs))) return m.id;
+
+  const fits = langs == null ? [] : getModelsForTask(task, langs);
+  if (fitsTask && !fits.length) return m.id;
+  return (fits.find((x) => x.id === getDefaultModelId(task)) || fits[0] || { id: getDefaultModelId(task) }).id;
+}
+
+// -> { unit: "tokens" | "chars", usdCentsPer1M } (unknown ids price like the default model)
+function getPricing(modelId) {
+  const m = getModelById(modelId) || getModelById(DEFAULT_MODEL_ID);
+  return m.pricing;
+}
+
+module.exports = {
+  APIS,
+  TASKS,
+  DEFAULT_MODEL_ID,
+  PROVIDERS,
+  MODELS,
+
+  buildRegistry,
+  getProviderById,
+  getModelById,
+  getModelsForTask,
+  getDefaultModelId,
+  resolveModelId,
+  supportsLanguage,
+  supportsLanguages,
+  getPricing,
+};
+
+// ESM interop
+module.exports.default = module.exports;
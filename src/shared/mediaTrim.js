@@ -0,0 +1,147 @@
+// shared/mediaTrim.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Keep-ranges for draft media: the composer marks which parts of an upload to keep, ffmpeg.wasm cuts
+//   them out of the local original into one mp3 (lib/ffmpegClient.extractAudioToMp3), and only that is
+//   uploaded / transcribed / billed.
+// - The trim record ({ ranges, sourceDurationSeconds, keptSeconds }) travels with the draft file and the
+//   upload's localMeta, so timestamps on the trimmed audio can be mapped back to the original media.
+// - Server ASR runs on the trimmed upload. Every SAVE_SEGMENTS write sends `timeline: ORIGINAL_TIMELINE`,
+//   and the server stores it with the segments as results.transcriptTimeline (cleared when ASR writes a new
+//   transcript). Only a trimmed item's transcript without that mark still needs shiftSegmentsToOriginal.
+//
+// Notes:
+// - Ranges are always on the ORIGINAL timeline, in seconds: [{ start, end }], sorted, non-overlapping.
+// - Trimmed time t falls into the range whose cumulative kept length covers it; a segment that spans a
+//   cut keeps its start in one range and its end in the next.
+
+const MIN_RANGE_SECONDS = 0.5;
+
+// results.transcriptTimeline of a transcript that is on the original media's timeline
+const ORIGINAL_TIMELINE = "original";
+
+// a range this close to the edges still counts as "the whole file"
+const EDGE_SLACK_SECONDS = 0.05;
+
+function num(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// -> sorted, clamped to [0, duration] (when known), overlaps merged, slivers dropped
+function normalizeKeepRanges(ranges, durationSeconds) {
+  const dur = num(durationSeconds);
+  const max = dur != null && dur > 0 ? dur : Infinity;
+
+  const list = (Array.isArray(ranges) ? ranges : [])
+    .map((r) => {
+      const a = num(r?.start);
+      const b = num(r?.end);
+      if (a == null || b == null) return null;
+      const start = Math.max(0, Math.min(a, b));
+      const end = Math.min(max, Math.max(a, b));
+      return end - start >= MIN_RANGE_SECONDS ? { start, end } : null;
+    })
+    .filter(Boolean)
+    .sort((x, y) => x.start - y.start);
+
+  const out = [];
+  for (const r of list) {
+    const last = out[out.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else out.push({ ...r });
+  }
+
+  return out.map((r) => ({ start: round3(r.start), end: round3(r.end) }));
+}
+
+function keptSeconds(ranges, durationSeconds) {
+  return normalizeKeepRanges(ranges, durationSeconds).reduce((sum, r) => sum + (r.end - r.start), 0);
+}
+
+// no ranges, or one range covering (almost) everything
+function isFullRange(ranges, durationSeconds) {
+  const list = normalizeKeepRanges(ranges, durationSeconds);
+  const dur = num(durationSeconds);
+  if (!list.length) return true;
+  if (list.length > 1 || dur == null) return false;
+  return list[0].start <= EDGE_SLACK_SECONDS && list[0].end >= dur - EDGE_SLACK_SECONDS;
+}
+
+// -> { ranges, sourceDurationSeconds, keptSeconds }, or null when nothing is cut away
+function makeTrimRecord(ranges, durationSeconds) {
+  const dur = num(durationSeconds);
+  if (dur == null || dur <= 0 || isFullRange(ranges, dur)) return null;
+
+  const list = normalizeKeepRanges(ranges, dur);
+  return {
+    ranges: list,
+    sourceDurationSeconds: round3(dur),
+    keptSeconds: round3(keptSeconds(list, dur)),
+  };
+}
+
+// draft file -> its trim record (the server keeps it inside `local`, the upload's localMeta)
+function getDraftTrim(draftFile) {
+  const t = draftFile?.trim || draftFile?.local?.trim || null;
+  return t && Array.isArray(t.ranges) && t.ranges.length ? t : null;
+}
+
+// ffmpeg -af value: keep only the ranges and close the gaps (one pass, no concat demuxer)
+function trimAudioFilter(ranges) {
+  const list = normalizeKeepRanges(ranges);
+  if (!list.length) return "";
+  const keep = list.map((r) => `between(t,${r.start.toFixed(3)},${r.end.toFixed(3)})`).join("+");
+  return `aselect='${keep}',asetpts=N/SR/TB`;
+}
+
+// trimmed-audio time -> original media time
+function toOriginalTime(seconds, ranges) {
+  const t = num(seconds);
+  if (t == null) return seconds;
+
+  const list = normalizeKeepRanges(ranges);
+  if (!list.length) return t;
+
+  let offset = 0;
+  for (const r of list) {
+    const len = r.end - r.start;
+    if (t <= offset + len) return round3(r.start + Math.max(0, t - offset));
+    offset += len;
+  }
+
+  // past the end (encoder padding): extend the last range
+  const last = list[list.length - 1];
+  return round3(last.end + (t - offset));
+}
+
+// [{ start, end, words?, ...rest }] on the trimmed timeline -> same segments (and word timings) on the original timeline
+function shiftSegmentsToOriginal(segments, ranges) {
+  const list = Array.isArray(segments) ? segments : [];
+  if (!normalizeKeepRanges(ranges).length) return list;
+
+  const shift = (x) => ({ ...x, start: toOriginalTime(x?.start, ranges), end: toOriginalTime(x?.end, ranges) });
+  return list.map((s) => (Array.isArray(s?.words) ? { ...shift(s), words: s.words.map(shift) } : shift(s)));
+}
+
+module.exports = {
+  MIN_RANGE_SECONDS,
+  ORIGINAL_TIMELINE,
+
+  normalizeKeepRanges,
+  keptSeconds,
+  isFullRange,
+  makeTrimRecord,
+  getDraftTrim,
+  trimAudioFilter,
+  toOriginalTime,
+  shiftSegmentsToOriginal,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,101 @@
+// shared/qaBillingCatalog.js
+// ✅ JS-only. Safe in BOTH browser + Node.
+// ✅ Deterministic estimation for transcript Q&A (ask a chat item / a whole thread).
+// ✅ Same pricing + token math as summarizationBillingCatalog; only the prompt/output shape differs:
+//    input  = transcript context + question + recent history + prompt overhead
+//    output = a capped answer (answers don't grow with the transcript like summaries do)
+
+const SumBillImport = require("./summarizationBillingCatalog");
+const SumBill = (SumBillImport && (SumBillImport.default || SumBillImport)) || {};
+
+const EST_DEFAULTS = Object.freeze({
+  charsPerToken: 4,
+  promptOverheadTokens: 220, // citation instructions + cue ids
+  maxAnswerTokens: 600,
+  maxHistoryTurns: 6,
+});
+
+function toInt(n, fallback) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return fallback;
+  return Math.trunc(x);
+}
+
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+// last N { question, answer } turns (what the server actually re-sends)
+function historyText(history, maxTurns) {
+  const turns = Array.isArray(history) ? history : [];
+  return turns
+    .slice(-Math.max(0, maxTurns))
+    .map((t) => `${safeStr(t?.question)}\n${safeStr(t?.answer)}`)
+    .join("\n");
+}
+
+// input: { context (text | { segments } | segments[] | [contexts]), question, history }
+function estimateQaLlmTokens(input, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const i = input && typeof input === "object" ? input : {};
+  const tokOpts = { charsPerToken: o.charsPerToken != null ? o.charsPerToken : EST_DEFAULTS.charsPerToken };
+
+  const contexts = Array.isArray(i.contexts) ? i.contexts : [i.context];
+  const contextText = contexts.map((c) => SumBill.inputToText(c)).filter(Boolean).join("\n");
+  const question = safeStr(i.question).trim();
+  const maxTurns = Math.max(0, toInt(o.maxHistoryTurns, EST_DEFAULTS.maxHistoryTurns));
+
+  const contextTokens = SumBill.approxTokensFromText(contextText, tokOpts);
+  const questionTokens = SumBill.approxTokensFromText(question, tokOpts);
+  const historyTokens = SumBill.approxTokensFromText(historyText(i.history, maxTurns), tokOpts);
+  const promptOverhead = Math.max(0, toInt(o.promptOverheadTokens, EST_DEFAULTS.promptOverheadTokens) || 0);
+
+  if (!question || contextTokens <= 0) {
+    return {
+      inputTokensTotal: 0,
+      outputTokensTotal: 0,
+      billableTokensTotal: 0,
+      _debug: { contextTokens, questionTokens, historyTokens, promptOverhead },
+    };
+  }
+
+  const inputTokensTotal = contextTokens + questionTokens + historyTokens + promptOverhead;
+  const outputTokensTotal = Math.max(0, toInt(o.maxAnswerTokens, EST_DEFAULTS.maxAnswerTokens) || 0);
+
+  return {
+    inputTokensTotal,
+    outputTokensTotal,
+    billableTokensTotal: inputTokensTotal + outputTokensTotal,
+    _debug: { contextTokens, questionTokens, historyTokens, promptOverhead },
+  };
+}
+
+function estimateQaRun(input, opts) {
+  const tok = estimateQaLlmTokens(input, opts);
+  const modelId = opts && opts.modelId;
+  const price = SumBill.pricingForModel(modelId);
+  const usdCents = SumBill.estimateUsdCentsFromBillableTokens(tok.billableTokensTotal, modelId);
+  const mediaTokens = SumBill.estimateMediaTokensFromUsdCents(usdCents);
+
+  return {
+    ...tok,
+    usdCents,
+    usdFormatted: SumBill.formatUsdFromCents(usdCents),
+    mediaTokens,
+    pricing: {
+      unit: price.unit,
+      baseUsdCentsPer1M: price.baseUsdCentsPer1M,
+      markupX: price.markupX,
+      effectiveUsdCentsPer1MTokens: price.effectiveUsdCentsPer1MTokens,
+    },
+  };
+}
+
+module.exports = {
+  EST_DEFAULTS,
+
+  estimateQaLlmTokens,
+  estimateQaRun,
+};
+
+module.exports.default = module.exports;
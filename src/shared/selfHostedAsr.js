@@ -0,0 +1,84 @@
+// shared/selfHostedAsr.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Config for the optional self-hosted transcription provider (whisper.cpp server, faster-whisper /
+//   any OpenAI-compatible `/v1/audio/transcriptions` endpoint). transcriptionCatalog turns it into a model
+//   entry; billingCatalog into a rate.
+// - The call itself happens on the realtime server's transcription worker (it holds SELF_HOSTED_ASR_API_KEY),
+//   not in this repo. The worker contract, for a chat item whose modelId is MODEL_ID:
+//     openai:      POST {url}/v1/audio/transcriptions, multipart: file, model, response_format=verbose_json,
+//                  timestamp_granularities[]=segment, language (omitted for "auto")
+//     whispercpp:  POST {url}/inference, multipart: file, response_format=verbose_json, temperature=0.0, language
+//     both:        `Authorization: Bearer <SELF_HOSTED_ASR_API_KEY>` when set; the verbose_json reply's
+//                  segments[].{start,end,text} become the transcript segments, `language` the detected language
+//
+// Config (build-time env; NEXT_PUBLIC_ so the browser catalog sees the same model list as the server):
+//   NEXT_PUBLIC_SELF_HOSTED_ASR_URL                base URL, e.g. http://whisper:8080 — unset = provider disabled
+//   NEXT_PUBLIC_SELF_HOSTED_ASR_API                "openai" (default) | "whispercpp"
+//   NEXT_PUBLIC_SELF_HOSTED_ASR_MODEL              model name sent to OpenAI-compatible servers (default "whisper-1")
+//   NEXT_PUBLIC_SELF_HOSTED_ASR_LABEL              picker label (default "Self-hosted Whisper")
+//   NEXT_PUBLIC_SELF_HOSTED_ASR_LANGUAGES          comma list of Whisper codes ("en,de,fr"); unset = every Whisper language
+//   NEXT_PUBLIC_SELF_HOSTED_ASR_TOKENS_PER_MINUTE  media tokens per minute (default 0 = free)
+//   SELF_HOSTED_ASR_API_KEY                        server-only bearer token, if the endpoint wants one (never in this file)
+//
+// Notes:
+// - Next.js only inlines `process.env.NEXT_PUBLIC_*` when written out literally, hence one line per variable.
+
+function readEnv(read) {
+  try {
+    const v = read();
+    return v == null ? "" : String(v).trim();
+  } catch {
+    return "";
+  }
+}
+
+const ENV = {
+  url: readEnv(() => process.env.NEXT_PUBLIC_SELF_HOSTED_ASR_URL),
+  api: readEnv(() => process.env.NEXT_PUBLIC_SELF_HOSTED_ASR_API),
+  model: readEnv(() => process.env.NEXT_PUBLIC_SELF_HOSTED_ASR_MODEL),
+  label: readEnv(() => process.env.NEXT_PUBLIC_SELF_HOSTED_ASR_LABEL),
+  languages: readEnv(() => process.env.NEXT_PUBLIC_SELF_HOSTED_ASR_LANGUAGES),
+  tokensPerMinute: readEnv(() => process.env.NEXT_PUBLIC_SELF_HOSTED_ASR_TOKENS_PER_MINUTE),
+};
+
+const APIS = Object.freeze({
+  openai: "openai",
+  whispercpp: "whispercpp",
+});
+
+const MODEL_ID = "selfhosted_whisper";
+
+function normalizeConfig(env) {
+  const e = env && typeof env === "object" ? env : {};
+  const url = String(e.url || "").replace(/\/+$/, "");
+  const tpm = Math.trunc(Number(e.tokensPerMinute));
+  const languages = String(e.languages || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+  return Object.freeze({
+    enabled: /^https?:\/\//i.test(url),
+    url,
+    api: APIS[String(e.api || "").toLowerCase()] || APIS.openai,
+    model: String(e.model || "") || "whisper-1",
+    label: String(e.label || "") || "Self-hosted Whisper",
+    languages: languages.length ? Object.freeze(languages) : null, // null = all Whisper languages
+    tokensPerMinute: Number.isFinite(tpm) && tpm > 0 ? tpm : 0,
+  });
+}
+
+const SELF_HOSTED_ASR = normalizeConfig(ENV);
+
+module.exports = {
+  APIS,
+  MODEL_ID,
+  SELF_HOSTED_ASR,
+
+  normalizeConfig,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,137 @@
+// shared/silenceCut.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Optional "cut silence" step before upload: ffmpeg's silencedetect finds silent stretches, they are
+//   turned into keep-ranges (speech + a little padding), and the normal trim path (shared/mediaTrim)
+//   converts/uploads only those. Lectures with long pauses get billed on the speech, not the room tone.
+// - The result is a regular trim record (+ source: "silence"), so timestamps map back to the original
+//   media exactly like a manual trim (MediaTrim.shiftSegmentsToOriginal, applied by threadsContext).
+//
+// Config (build-time env):
+//   NEXT_PUBLIC_SILENCE_NOISE_DB      silence threshold in dB (default -35; quieter rooms: -40 … -50)
+//   NEXT_PUBLIC_SILENCE_MIN_SECONDS   shortest pause that gets cut (default 2)
+//
+// Notes:
+// - Next.js only inlines `process.env.NEXT_PUBLIC_*` when written out literally, hence one line per variable.
+// - Cuts that would save less than MIN_SAVED_SECONDS are skipped: not worth a re-encode of an mp3.
+
+const MediaTrimImport = require("./mediaTrim");
+const MediaTrim = (MediaTrimImport && (MediaTrimImport.default || MediaTrimImport)) || {};
+
+function readEnv(read) {
+  try {
+    const v = read();
+    return v == null ? "" : String(v).trim();
+  } catch {
+    return "";
+  }
+}
+
+function num(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+const ENV = {
+  noiseDb: readEnv(() => process.env.NEXT_PUBLIC_SILENCE_NOISE_DB),
+  minSeconds: readEnv(() => process.env.NEXT_PUBLIC_SILENCE_MIN_SECONDS),
+};
+
+const SILENCE_DEFAULTS = Object.freeze({
+  noiseDb: num(ENV.noiseDb) != null && num(ENV.noiseDb) < 0 ? num(ENV.noiseDb) : -35,
+  minSeconds: num(ENV.minSeconds) > 0 ? num(ENV.minSeconds) : 2,
+  padSeconds: 0.3, // kept on both sides of every cut so words aren't clipped
+});
+
+const MIN_SAVED_SECONDS = 5;
+
+// ffmpeg args: analysis only (null muxer), results arrive as log lines
+function silenceDetectArgs({ inName, noiseDb, minSeconds } = {}) {
+  const n = num(noiseDb) != null ? num(noiseDb) : SILENCE_DEFAULTS.noiseDb;
+  const d = num(minSeconds) > 0 ? num(minSeconds) : SILENCE_DEFAULTS.minSeconds;
+  return ["-i", inName, "-vn", "-af", `silencedetect=noise=${n}dB:d=${d}`, "-f", "null", "-"];
+}
+
+// ffmpeg log lines -> { silences: [{ start, end }], durationSeconds }
+// "[silencedetect @ 0x…] silence_start: 12.5" / "… silence_end: 18.25 | silence_duration: 5.75"
+// A silence still open at the end of the file runs to the duration.
+function parseSilenceLog(lines) {
+  const silences = [];
+  let durationSeconds = null;
+  let open = null;
+
+  for (const line of Array.isArray(lines) ? lines : []) {
+    const s = String(line == null ? "" : line);
+
+    const dur = s.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (dur && durationSeconds == null) {
+      durationSeconds = Number(dur[1]) * 3600 + Number(dur[2]) * 60 + Number(dur[3]);
+    }
+
+    const a = s.match(/silence_start:\s*(-?\d+(?:\.\d+)?)/);
+    if (a) open = Math.max(0, Number(a[1]));
+
+    const b = s.match(/silence_end:\s*(\d+(?:\.\d+)?)/);
+    if (b && open != null) {
+      silences.push({ start: open, end: Number(b[1]) });
+      open = null;
+    }
+  }
+
+  if (open != null && durationSeconds != null && durationSeconds > open) {
+    silences.push({ start: open, end: durationSeconds });
+  }
+
+  return { silences, durationSeconds };
+}
+
+// silences -> keep-ranges (everything else, with padSeconds of each silence kept next to the speech)
+function keepRangesFromSilences(silences, durationSeconds, { padSeconds } = {}) {
+  const dur = num(durationSeconds);
+  if (dur == null || dur <= 0) return [];
+
+  const pad = num(padSeconds) != null ? Math.max(0, num(padSeconds)) : SILENCE_DEFAULTS.padSeconds;
+  const cuts = (Array.isArray(silences) ? silences : [])
+    .filter((s) => num(s?.start) != null && num(s?.end) != null)
+    .map((s) => ({
+      // no padding at the file edges: leading / trailing silence goes entirely
+      start: num(s.start) <= 0 ? 0 : num(s.start) + pad,
+      end: num(s.end) >= dur ? dur : num(s.end) - pad,
+    }))
+    .filter((c) => c.end > c.start)
+    .sort((x, y) => x.start - y.start);
+
+  const keep = [];
+  let cursor = 0;
+  for (const c of cuts) {
+    if (c.start > cursor) keep.push({ start: cursor, end: c.start });
+    cursor = Math.max(cursor, c.end);
+  }
+  if (cursor < dur) keep.push({ start: cursor, end: dur });
+
+  return MediaTrim.normalizeKeepRanges(keep, dur);
+}
+
+// -> trim record ({ ranges, sourceDurationSeconds, keptSeconds, source: "silence" }), or null when not worth it
+function silenceTrimRecord(silences, durationSeconds, opts) {
+  const dur = num(durationSeconds);
+  if (dur == null || dur <= 0) return null;
+
+  const rec = MediaTrim.makeTrimRecord(keepRangesFromSilences(silences, dur, opts), dur);
+  if (!rec || dur - rec.keptSeconds < MIN_SAVED_SECONDS) return null;
+  return { ...rec, source: "silence" };
+}
+
+module.exports = {
+  SILENCE_DEFAULTS,
+  MIN_SAVED_SECONDS,
+
+  silenceDetectArgs,
+  parseSilenceLog,
+  keepRangesFromSilences,
+  silenceTrimRecord,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,157 @@
+// shared/subtitleBurn.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Pure parts of the in-browser "burn subtitles into the video" render (lib/ffmpegClient.js runs it):
+//   the .ass script (subtitleFormats presets, pinned to the one font we ship into ffmpeg.wasm),
+//   the ffmpeg arguments, and progress parsing from ffmpeg log lines.
+//
+// Config (build-time env):
+//   NEXT_PUBLIC_BURN_FONT_URL    TTF/OTF written into the ffmpeg.wasm FS for libass (default: Noto Sans Bold Latin,
+//                                a pinned fontsource version on jsDelivr)
+//   NEXT_PUBLIC_BURN_FONT_NAME   its family name, used as the ASS Fontname (default "Noto Sans")
+//
+// Notes:
+// - ffmpeg.wasm has no system fonts / fontconfig: libass only sees BURN_FONT_DIR, so every style is
+//   rewritten to the shipped family. Scripts the font doesn't cover need a different BURN_FONT_URL;
+//   burnFontCoversLanguage() lets the panel warn before rendering boxes.
+// - Next.js only inlines `process.env.NEXT_PUBLIC_*` when written out literally, hence one line per variable.
+
+const FormatsImport = require("./subtitleFormats");
+const Formats = (FormatsImport && (FormatsImport.default || FormatsImport)) || {};
+
+function readEnv(read) {
+  try {
+    const v = read();
+    return v == null ? "" : String(v).trim();
+  } catch {
+    return "";
+  }
+}
+
+const ENV = {
+  fontUrl: readEnv(() => process.env.NEXT_PUBLIC_BURN_FONT_URL),
+  fontName: readEnv(() => process.env.NEXT_PUBLIC_BURN_FONT_NAME),
+};
+
+const BURN_FONT = Object.freeze({
+  url: ENV.fontUrl || "https://cdn.jsdelivr.net/fontsource/fonts/noto-sans@5.0.0/latin-700-normal.ttf",
+  name: ENV.fontName || "Noto Sans",
+});
+
+// langKey base codes written in a non-Latin script: the default (Latin subset) font has no glyphs for them
+const NON_LATIN_LANGS = Object.freeze([
+  "am", "ar", "be", "bg", "bn", "bo", "el", "fa", "gu", "he", "hi", "hy", "ja", "ka", "kk", "km", "kn", "ko",
+  "lo", "mk", "ml", "mn", "mr", "my", "ne", "pa", "ps", "ru", "sd", "si", "sr", "ta", "te", "tg", "th", "tt",
+  "uk", "ur", "yi", "zh",
+]);
+
+// paths inside the ffmpeg.wasm virtual FS
+const BURN_FONT_DIR = "/fonts";
+const BURN_FONT_FILE = `${BURN_FONT_DIR}/burn.ttf`;
+
+const DEFAULT_STYLE = "social";
+
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+// [{ id, label }] for the style picker (subtitleFormats ASS presets)
+function getBurnStyles() {
+  const presets = Formats.ASS_STYLE_PRESETS || {};
+  return Object.keys(presets).map((id) => ({ id, label: safeStr(presets[id]?.label || id) }));
+}
+
+// segments -> .ass script for the subtitles filter
+function buildBurnAss(segments, { styleId, title } = {}) {
+  const preset = Formats.getAssPreset(styleId || DEFAULT_STYLE);
+  return Formats.segmentsToAss(segments, {
+    preset: { ...preset, font: BURN_FONT.name },
+    title: safeStr(title) || "HappySRT burn-in",
+  });
+}
+
+// false when the track's script is known to be missing from the burn font ("" / unknown languages pass).
+// A custom NEXT_PUBLIC_BURN_FONT_URL is trusted: it's usually set for exactly that script.
+function burnFontCoversLanguage(langKey) {
+  if (ENV.fontUrl) return true;
+  const base = safeStr(langKey).trim().toLowerCase().split(/[-_]/)[0];
+  return !NON_LATIN_LANGS.includes(base);
+}
+
+// ffmpeg args: burn `subsName` into `inName`, H.264 + AAC MP4 (plays everywhere, uploads to social as-is)
+function burnArgs({ inName, subsName, outName }) {
+  return [
+    "-i",
+    inName,
+    "-vf",
+    `subtitles=${subsName}:fontsdir=${BURN_FONT_DIR}`,
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-crf",
+    "23",
+    "-pix_fmt",
+    "yuv420p",
+    "-c:a",
+    "aac",
+    "-b:a",
+    "128k",
+    "-movflags",
+    "+faststart",
+    outName,
+  ];
+}
+
+function hmsToSeconds(h, m, s) {
+  const n = Number(h) * 3600 + Number(m) * 60 + Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "  Duration: 00:01:23.45, start: ..." -> 83.45 (null when the line has none)
+function parseLogDuration(line) {
+  const m = safeStr(line).match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  return m ? hmsToSeconds(m[1], m[2], m[3]) : null;
+}
+
+// "frame=  120 fps= 24 ... time=00:00:05.00 bitrate=..." -> 5
+function parseLogTime(line) {
+  const m = safeStr(line).match(/time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  return m ? hmsToSeconds(m[1], m[2], m[3]) : null;
+}
+
+// 0..1, or null while the duration is unknown
+function burnProgress(timeSeconds, durationSeconds) {
+  const t = Number(timeSeconds);
+  const d = Number(durationSeconds);
+  if (!Number.isFinite(t) || !Number.isFinite(d) || d <= 0) return null;
+  return Math.min(1, Math.max(0, t / d));
+}
+
+// "My clip.mov" + "de" -> "My clip.de.subtitled.mp4"
+function burnOutputName(baseName, trackLang) {
+  const base = safeStr(baseName).replace(/\.[a-z0-9]{1,5}$/i, "").trim() || "video";
+  const lang = safeStr(trackLang).trim();
+  return `${base}${lang ? `.${lang}` : ""}.subtitled.mp4`;
+}
+
+module.exports = {
+  BURN_FONT,
+  BURN_FONT_DIR,
+  BURN_FONT_FILE,
+  DEFAULT_STYLE,
+  NON_LATIN_LANGS,
+
+  getBurnStyles,
+  burnFontCoversLanguage,
+  buildBurnAss,
+  burnArgs,
+  parseLogDuration,
+  parseLogTime,
+  burnProgress,
+  burnOutputName,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,1219 @@
+// shared/subtitleFormats.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Subtitle codec shared by UI exports + WS saves.
+// - Segments are the app-wide shape: { start, end, text } (seconds).
+// - SRT + WebVTT (cue identifiers, cue settings, NOTE blocks).
+// - ASS/SSA export (named style presets, extra styled layers for translations).
+// - Bilingual export: transcript + one translation in the same cue (paired by time overlap).
+//
+// Notes:
+// - Input is tolerant (BOM, CRLF, "," or "." millis, index-less / glued blocks, multi-line cues)
+//   and every block that can't be read is reported in `errors` instead of being dropped silently.
+// - Output is strict (sorted cues, spec timecodes, no empty cues, "\n" line endings, trailing newline).
+// - VTT cue text is escaped on write and un-escaped (tags stripped) on read.
+// - Optional word timings ride along as seg.words = [{ start, end, text }]; they are used only
+//   while they still line up 1:1 with the cue's words (see segmentWords), and written as
+//   VTT timestamp tags / ASS karaoke tags.
+// - Optional seg.speaker (diarization label) is written as VTT <v> voice tags, or as a
+//   "Name: " line prefix in SRT/ASS when opts.speakers is set (never by default, so saved SRT stays clean).
+
+// --------------------
+// Small helpers
+// --------------------
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+function toNum(n, fallback) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function pad3(n) {
+  return String(n).padStart(3, "0");
+}
+
+function normalizeNewlines(text) {
+  return safeStr(text).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
+
+function normalizeWhitespace(t) {
+  return safeStr(t).replace(/\s+/g, " ").trim();
+}
+
+// --------------------
+// Timecodes
+// --------------------
+
+// Accepts "HH:MM:SS,mmm", "HH:MM:SS.mmm" and the VTT short form "MM:SS.mmm".
+function parseTimecodeToSeconds(tc) {
+  const s = safeStr(tc).trim();
+  const m = s.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!m) return null;
+  const hh = Number(m[1] || 0);
+  const mm = Number(m[2] || 0);
+  const ss = Number(m[3] || 0);
+  const ms = Number(String(m[4] || "0").padEnd(3, "0"));
+  if (![hh, mm, ss, ms].every((x) => Number.isFinite(x))) return null;
+  return hh * 3600 + mm * 60 + ss + ms / 1000;
+}
+
+function splitMs(sec) {
+  const totalMs = Math.round(Math.max(0, toNum(sec, 0)) * 1000);
+  const hh = Math.floor(totalMs / 3600000);
+  const rem1 = totalMs % 3600000;
+  const mm = Math.floor(rem1 / 60000);
+  const rem2 = rem1 % 60000;
+  const ss = Math.floor(rem2 / 1000);
+  const ms = rem2 % 1000;
+  return { hh, mm, ss, ms };
+}
+
+function secondsToSrtTimecode(sec) {
+  const { hh, mm, ss, ms } = splitMs(sec);
+  return `${pad2(hh)}:${pad2(mm)}:${pad2(ss)},${pad3(ms)}`;
+}
+
+function secondsToVttTimecode(sec) {
+  const { hh, mm, ss, ms } = splitMs(sec);
+  return `${pad2(hh)}:${pad2(mm)}:${pad2(ss)}.${pad3(ms)}`;
+}
+
+// --------------------
+// Segments
+// --------------------
+
+// Cue text: each line trimmed, blank lines dropped (a blank line would end the cue on re-read).
+function normalizeCueText(text) {
+  return normalizeNewlines(text)
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Strict writer input: finite times, start >= 0, end >= start, non-empty text, sorted by time.
+// Extra fields (id, settings, ...) are kept.
+function toStrictSegments(segments) {
+  const arr = Array.isArray(segments) ? segments : [];
+  const out = [];
+
+  for (const s of arr) {
+    const start = toNum(s?.start, NaN);
+    const end = toNum(s?.end, NaN);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+
+    const text = normalizeCueText(s?.text);
+    if (!text) continue;
+
+    const st = Math.max(0, start);
+    out.push({ ...s, start: st, end: Math.max(st, end), text });
+  }
+
+  out.sort((a, b) => a.start - b.start || a.end - b.end);
+  return out;
+}
+
+// --------------------
+// Word timings
+// --------------------
+
+// Clean word list: non-empty text, finite times clamped inside [cueStart, cueEnd], sorted.
+// Accepts { word } as an alias for { text } (ASR payloads).
+function normalizeWords(words, cueStart, cueEnd) {
+  const arr = Array.isArray(words) ? words : [];
+  const lo = toNum(cueStart, 0);
+  const hi = Math.max(lo, toNum(cueEnd, Infinity));
+  const out = [];
+
+  for (const w of arr) {
+    const text = normalizeWhitespace(w?.text != null ? w.text : w?.word);
+    const s = toNum(w?.start, NaN);
+    if (!text || !Number.isFinite(s)) continue;
+
+    const start = Math.min(Math.max(s, lo), hi);
+    const end = Math.min(Math.max(toNum(w?.end, start), start), hi);
+    out.push({ start, end, text });
+  }
+
+  out.sort((a, b) => a.start - b.start || a.end - b.end);
+  return out;
+}
+
+function textTokens(text) {
+  return normalizeWhitespace(text).split(" ").filter(Boolean);
+}
+
+// Words stay valid while there is exactly one per whitespace-separated token of the cue text.
+// Token text wins, so typo fixes keep their timings. Returns null when they no longer line up.
+function alignWordsToText(words, text) {
+  const tokens = textTokens(text);
+  const ws = Array.isArray(words) ? words : [];
+  if (!tokens.length || ws.length !== tokens.length) return null;
+  return ws.map((w, i) => ({ ...w, text: tokens[i] }));
+}
+
+// Usable word timings for a segment, or null.
+function segmentWords(seg) {
+  if (!Array.isArray(seg?.words) || !seg.words.length) return null;
+  return alignWordsToText(normalizeWords(seg.words, seg.start, seg.end), seg.text);
+}
+
+// --------------------
+// Speakers
+// --------------------
+
+// Diarization label -> display name. Numeric labels are 0-based speaker indices ("Speaker 1", ...).
+function normalizeSpeaker(v) {
+  if (typeof v === "number") return Number.isInteger(v) && v >= 0 ? `Speaker ${v + 1}` : "";
+  return normalizeWhitespace(v).slice(0, 64);
+}
+
+// Distinct speakers in order of first appearance, with cue counts.
+function listSpeakers(segments) {
+  const counts = new Map();
+  for (const seg of Array.isArray(segments) ? segments : []) {
+    const name = normalizeSpeaker(seg?.speaker);
+    if (name) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return Array.from(counts, ([name, count]) => ({ name, count }));
+}
+
+function withSpeakerPrefix(seg, text) {
+  const name = normalizeSpeaker(seg?.speaker);
+  return name && text ? `${name}: ${text}` : text;
+}
+
+// Copy word timings + speaker labels from `sources` onto same-timed `targets` that lack them
+// (e.g. segments re-read from an SRT string, which can't carry either).
+function carrySegmentExtras(targets, sources) {
+  const tgt = Array.isArray(targets) ? targets : [];
+  const src = (Array.isArray(sources) ? sources : []).filter(
+    (s) => (Array.isArray(s?.words) && s.words.length) || normalizeSpeaker(s?.speaker)
+  );
+  if (!src.length) return tgt;
+
+  const near = (a, b) => Math.abs(toNum(a, NaN) - toNum(b, NaN)) <= 0.05;
+
+  return tgt.map((seg) => {
+    const hit = src.find((s) => near(s.start, seg?.start) && near(s.end, seg?.end));
+    if (!hit) return seg;
+
+    const out = { ...seg };
+    if (!(Array.isArray(seg?.words) && seg.words.length) && Array.isArray(hit.words)) {
+      const words = alignWordsToText(normalizeWords(hit.words, seg.start, seg.end), seg.text);
+      if (words) out.words = words;
+    }
+    if (!normalizeSpeaker(seg?.speaker) && normalizeSpeaker(hit.speaker)) out.speaker = normalizeSpeaker(hit.speaker);
+    return out;
+  });
+}
+
+// Index of the word playing at `time` (or the last one already spoken), -1 before the first.
+function activeWordIndex(words, time) {
+  const ws = Array.isArray(words) ? words : [];
+  const t = toNum(time, -Infinity);
+  let idx = -1;
+  for (let i = 0; i < ws.length; i++) {
+    if (ws[i].start <= t) idx = i;
+    else break;
+  }
+  return idx;
+}
+
+function segmentsToPlainText(segments) {
+  const segs = Array.isArray(segments) ? segments : [];
+  return segs
+    .map((s) => normalizeWhitespace(s?.text || ""))
+    .filter(Boolean)
+    .join(" ")
+    .trim();
+}
+
+// --------------------
+// SRT
+// --------------------
+const TIMING_LINE_RE = /^(\S+)\s*-->\s*(\S+)(?:\s+(.*))?$/;
+
+// opts.speakers: prefix cue text with "Speaker: "
+function segmentsToSrt(segments, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const segs = toStrictSegments(segments);
+  const blocks = segs.map((seg, i) => {
+    const start = secondsToSrtTimecode(seg.start);
+    const end = secondsToSrtTimecode(seg.end);
+    const text = o.speakers ? withSpeakerPrefix(seg, seg.text) : seg.text;
+    return `${i + 1}\n${start} --> ${end}\n${text}`;
+  });
+  return blocks.length ? blocks.join("\n\n") + "\n" : "";
+}
+
+/**
+ * SRT text -> { segments, errors }.
+ * Tolerant: BOM, CRLF/CR, "," or "." millis, missing index lines, missing blank
+ * lines between cues, multi-line cue text (kept as "\n"), trailing garbage after the end time.
+ * Nothing is dropped silently: every skipped block lands in errors as
+ * { block, line, reason, raw } (block = 1-based cue position, line = 1-based line number).
+ */
+function parseSrt(srt) {
+  const lines = normalizeNewlines(srt).split("\n");
+  const segments = [];
+  const errors = [];
+
+  let cur = null; // { start, end, line, block, text: [], closed, bad }
+  let orphan = []; // { no, text } lines seen outside a cue
+  let blockNo = 0;
+
+  const isIndexLine = (t) => /^\d+$/.test(t);
+
+  const flushOrphans = () => {
+    const real = orphan.filter((o) => !isIndexLine(o.text));
+    if (real.length) {
+      blockNo += 1;
+      errors.push({
+        block: blockNo,
+        line: real[0].no,
+        reason: "no timing line",
+        raw: real.map((o) => o.text).join("\n"),
+      });
+    }
+    orphan = [];
+  };
+
+  const flushCue = () => {
+    if (!cur) return;
+    const text = cur.text.join("\n").trim();
+
+    if (cur.bad) {
+      errors.push({ block: cur.block, line: cur.line, reason: cur.bad, raw: [cur.timing, ...cur.text].join("\n") });
+    } else if (!text) {
+      errors.push({ block: cur.block, line: cur.line, reason: "empty cue text", raw: cur.timing });
+    } else {
+      segments.push({ start: cur.start, end: cur.end, text });
+    }
+    cur = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const t = lines[i].trim();
+    const no = i + 1;
+
+    if (t.includes("-->")) {
+      // cues glued together without a blank line: "...text\n2\n00:00:05,000 --> ..."
+      if (cur && !cur.closed && cur.text.length > 1 && isIndexLine(cur.text[cur.text.length - 1])) {
+        cur.text.pop();
+      }
+      flushCue();
+      flushOrphans();
+
+      blockNo += 1;
+      const m = t.match(TIMING_LINE_RE);
+      const start = m ? parseTimecodeToSeconds(m[1]) : null;
+      const end = m ? parseTimecodeToSeconds(m[2]) : null;
+
+      let bad = "";
+      if (start == null || end == null) bad = "bad timecode";
+      else if (end < start) bad = "end before start";
+
+      cur = { start, end, line: no, block: blockNo, timing: t, text: [], closed: false, bad };
+      continue;
+    }
+
+    if (!t) {
+      if (cur) cur.closed = true;
+      continue;
+    }
+
+    if (cur && !cur.closed) cur.text.push(t);
+    else orphan.push({ no, text: t });
+  }
+
+  flushCue();
+  flushOrphans();
+
+  segments.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { segments, errors };
+}
+
+function srtToSegments(srt) {
+  return parseSrt(srt).segments;
+}
+
+// --------------------
+// WebVTT
+// --------------------
+const VTT_CUE_SETTING_KEYS = Object.freeze(["vertical", "line", "position", "size", "align", "region"]);
+
+function isVtt(text) {
+  return /^WEBVTT(?:[ \t\n]|$)/.test(normalizeNewlines(text).replace(/^\s+/, ""));
+}
+
+// "align:start line:90%" -> { align: "start", line: "90%" } (unknown keys are dropped)
+function parseVttCueSettings(str) {
+  const out = {};
+  for (const tok of safeStr(str).trim().split(/\s+/)) {
+    const i = tok.indexOf(":");
+    if (i <= 0) continue;
+    const k = tok.slice(0, i);
+    const v = tok.slice(i + 1);
+    if (!v || !VTT_CUE_SETTING_KEYS.includes(k)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+function formatVttCueSettings(settings) {
+  if (!settings) return "";
+  if (typeof settings === "string") return formatVttCueSettings(parseVttCueSettings(settings));
+  if (typeof settings !== "object") return "";
+
+  return VTT_CUE_SETTING_KEYS.map((k) => {
+    const v = safeStr(settings[k]).trim();
+    return v && !/\s/.test(v) ? `${k}:${v}` : "";
+  })
+    .filter(Boolean)
+    .join(" ");
+}
+
+function escapeVttText(text) {
+  return safeStr(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function unescapeVttText(text) {
+  return safeStr(text)
+    .replace(/<[^>]*>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lrm;/g, "\u200E")
+    .replace(/&rlm;/g, "\u200F")
+    .replace(/&amp;/g, "&");
+}
+
+// NOTE text can't contain "-->" and a blank line would end the block.
+function formatVttNote(note) {
+  const body = normalizeCueText(safeStr(note).replace(/-->/g, "->"));
+  if (!body) return "";
+  return body.includes("\n") ? `NOTE\n${body}` : `NOTE ${body}`;
+}
+
+// Cue payload: no blank lines, no "-->".
+function formatVttCueText(text) {
+  return normalizeCueText(text)
+    .split("\n")
+    .map((l) => escapeVttText(l).replace(/--&gt;/g, "-&gt;"))
+    .join("\n");
+}
+
+// Same, with a <hh:mm:ss.mmm> timestamp tag before each word (tags must increase and stay inside the cue).
+function formatVttCueTextWithWords(text, words, cueStart, cueEnd) {
+  let wi = 0;
+  let last = toNum(cueStart, 0);
+
+  return normalizeCueText(text)
+    .split("\n")
+    .map((line) =>
+      line
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((tok) => {
+          const w = words[wi++];
+          const out = escapeVttText(tok).replace(/--&gt;/g, "-&gt;");
+          if (!w || !(w.start > last) || !(w.start < cueEnd)) return out;
+          last = w.start;
+          return `<${secondsToVttTimecode(w.start)}>${out}`;
+        })
+        .join(" ")
+    )
+    .join("\n");
+}
+
+const VTT_TIMESTAMP_TAG_RE = /<((?:\d+:)?\d{2}:\d{2}\.\d{3})>/;
+
+// Word timings from inline timestamp tags: each token starts at the latest tag before it.
+// Returns null when the payload has no timestamp tags.
+function parseVttWordTimes(payload, cueStart, cueEnd) {
+  const parts = safeStr(payload).split(VTT_TIMESTAMP_TAG_RE);
+  if (parts.length < 3) return null;
+
+  const words = [];
+  let t = cueStart;
+  parts.forEach((part, i) => {
+    if (i % 2 === 1) {
+      const s = parseTimecodeToSeconds(part);
+      if (s != null) t = s;
+      return;
+    }
+    for (const tok of textTokens(unescapeVttText(part))) words.push({ start: t, end: t, text: tok });
+  });
+
+  // each word runs until the next one starts
+  for (let i = 0; i < words.length; i++) {
+    words[i].end = i + 1 < words.length ? Math.max(words[i].start, words[i + 1].start) : cueEnd;
+  }
+  return normalizeWords(words, cueStart, cueEnd);
+}
+
+/**
+ * segments -> WebVTT string.
+ * opts.header: text after "WEBVTT" on the first line
+ * opts.notes: string | string[] written as NOTE blocks before the cues
+ * seg.settings: string ("align:start line:90%") or object ({ align, line, position, size, vertical, region })
+ * seg.id: optional cue identifier
+ * seg.words: optional word timings, written as timestamp tags
+ * seg.speaker: written as a <v Speaker> voice tag when opts.speakers is set
+ */
+function segmentsToVtt(segments, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const header = normalizeWhitespace(o.header || "").replace(/-->/g, "->");
+  const notes = (Array.isArray(o.notes) ? o.notes : o.notes ? [o.notes] : []).map(formatVttNote).filter(Boolean);
+
+  const segs = toStrictSegments(segments);
+  const cues = segs
+    .map((seg) => {
+      const words = segmentWords(seg);
+      const text = words
+        ? formatVttCueTextWithWords(seg.text, words, seg.start, seg.end)
+        : formatVttCueText(seg?.text);
+      if (!text) return "";
+
+      const speaker = o.speakers ? normalizeSpeaker(seg?.speaker) : "";
+      const voiced = speaker ? `<v ${escapeVttText(speaker).replace(/--&gt;/g, "-&gt;")}>${text}` : text;
+
+      const id = normalizeWhitespace(seg?.id || "").replace(/-->/g, "->");
+      const settings = formatVttCueSettings(seg?.settings);
+      const timing = `${secondsToVttTimecode(seg?.start)} --> ${secondsToVttTimecode(seg?.end)}`;
+
+      return [id, settings ? `${timing} ${settings}` : timing, voiced].filter(Boolean).join("\n");
+    })
+    .filter(Boolean);
+
+  const blocks = [header ? `WEBVTT ${header}` : "WEBVTT", ...notes, ...cues];
+  return blocks.join("\n\n") + "\n";
+}
+
+/**
+ * WebVTT string -> { segments, errors, notes, header }.
+ * Cue ids + settings are kept on each segment (seg.id, seg.settings) so a
+ * VTT -> VTT round trip doesn't lose positioning; inline timestamp tags become seg.words
+ * and the first <v Speaker> voice tag becomes seg.speaker.
+ * STYLE / REGION blocks are skipped; unreadable cue blocks land in errors
+ * ({ block, line, reason, raw }, same shape as parseSrt).
+ */
+function parseVtt(vtt) {
+  const lines = normalizeNewlines(vtt).split("\n");
+
+  // group into blank-line separated blocks, remembering where each starts
+  const blocks = [];
+  let curBlock = null;
+  lines.forEach((l, i) => {
+    if (!l.trim()) {
+      curBlock = null;
+      return;
+    }
+    if (!curBlock) {
+      curBlock = { line: i + 1, lines: [] };
+      blocks.push(curBlock);
+    }
+    curBlock.lines.push(l);
+  });
+
+  const segments = [];
+  const errors = [];
+  const notes = [];
+  let header = "";
+  let cueNo = 0;
+
+  blocks.forEach((b, bi) => {
+    const first = b.lines[0].trim();
+
+    if (bi === 0 && /^WEBVTT(?:[ \t]|$)/.test(first)) {
+      header = first.slice(6).trim();
+      return;
+    }
+
+    if (/^NOTE(?:[ \t]|$)/.test(first)) {
+      const note = [first.slice(4).trim(), ...b.lines.slice(1).map((l) => l.trim())].filter(Boolean).join("\n");
+      if (note) notes.push(note);
+      return;
+    }
+
+    if (/^(STYLE|REGION)(?:[ \t]|$)/.test(first)) return;
+
+    cueNo += 1;
+    const raw = b.lines.join("\n");
+    const tsIdx = b.lines.findIndex((l) => l.includes("-->"));
+    if (tsIdx < 0 || tsIdx > 1) {
+      errors.push({ block: cueNo, line: b.line, reason: "no timing line", raw });
+      return;
+    }
+
+    const m = b.lines[tsIdx].trim().match(TIMING_LINE_RE);
+    const start = m ? parseTimecodeToSeconds(m[1]) : null;
+    const end = m ? parseTimecodeToSeconds(m[2]) : null;
+    if (start == null || end == null) {
+      errors.push({ block: cueNo, line: b.line + tsIdx, reason: "bad timecode", raw });
+      return;
+    }
+    if (end < start) {
+      errors.push({ block: cueNo, line: b.line + tsIdx, reason: "end before start", raw });
+      return;
+    }
+
+    const text = normalizeCueText(
+      b.lines
+        .slice(tsIdx + 1)
+        .map((l) => unescapeVttText(l))
+        .join("\n")
+    );
+    if (!text) {
+      errors.push({ block: cueNo, line: b.line + tsIdx, reason: "empty cue text", raw });
+      return;
+    }
+
+    const seg = { start, end, text };
+    const id = tsIdx === 1 ? b.lines[0].trim() : "";
+    const settings = formatVttCueSettings(m[3] || "");
+    const payload = b.lines.slice(tsIdx + 1).join("\n");
+    const words = parseVttWordTimes(payload, start, end);
+    const voice = payload.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    const speaker = voice ? normalizeSpeaker(unescapeVttText(voice[1])) : "";
+    if (id) seg.id = id;
+    if (speaker) seg.speaker = speaker;
+    if (settings) seg.settings = settings;
+    if (words && alignWordsToText(words, text)) seg.words = words;
+
+    segments.push(seg);
+  });
+
+  segments.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { segments, errors, notes, header };
+}
+
+function vttToSegments(vtt) {
+  return parseVtt(vtt).segments;
+}
+
+function srtToVtt(srt, opts) {
+  return segmentsToVtt(srtToSegments(srt), opts);
+}
+
+// --------------------
+// ASS / SSA
+// --------------------
+
+// Presets are written for a 1920x1080 script (PlayResX/Y) and scale with the player.
+// position: "bottom" | "middle" | "top"  •  colors: "#RRGGBB"  •  borderStyle: 1 outline, 3 opaque box
+// karaoke: cues with word timings get \kf tags (text starts in secondaryColor, fills to primaryColor)
+const ASS_STYLE_PRESETS = Object.freeze({
+  classic: Object.freeze({
+    id: "classic",
+    label: "Classic (bottom, white + outline)",
+    font: "Arial",
+    size: 56,
+    bold: false,
+    primaryColor: "#FFFFFF",
+    outlineColor: "#000000",
+    backColor: "#000000",
+    backAlpha: 128,
+    borderStyle: 1,
+    outline: 3,
+    shadow: 1,
+    position: "bottom",
+    marginV: 60,
+  }),
+  social: Object.freeze({
+    id: "social",
+    label: "Social (big, bold, centered)",
+    font: "Arial Black",
+    size: 84,
+    bold: true,
+    primaryColor: "#FFFFFF",
+    outlineColor: "#000000",
+    backColor: "#000000",
+    backAlpha: 0,
+    borderStyle: 1,
+    outline: 6,
+    shadow: 2,
+    position: "middle",
+    marginV: 40,
+  }),
+  boxed: Object.freeze({
+    id: "boxed",
+    label: "Boxed (bottom, dark box)",
+    font: "Helvetica",
+    size: 52,
+    bold: false,
+    primaryColor: "#FFFFFF",
+    outlineColor: "#000000",
+    backColor: "#000000",
+    backAlpha: 96,
+    borderStyle: 3,
+    outline: 8,
+    shadow: 0,
+    position: "bottom",
+    marginV: 70,
+  }),
+  news: Object.freeze({
+    id: "news",
+    label: "Top (yellow, slim outline)",
+    font: "Verdana",
+    size: 48,
+    bold: true,
+    primaryColor: "#FFE14D",
+    outlineColor: "#111111",
+    backColor: "#000000",
+    backAlpha: 128,
+    borderStyle: 1,
+    outline: 2,
+    shadow: 1,
+    position: "top",
+    marginV: 50,
+  }),
+  karaoke: Object.freeze({
+    id: "karaoke",
+    label: "Karaoke (word fill, needs word timings)",
+    font: "Arial",
+    size: 60,
+    bold: true,
+    primaryColor: "#FFE14D",
+    secondaryColor: "#FFFFFF",
+    outlineColor: "#000000",
+    backColor: "#000000",
+    backAlpha: 128,
+    borderStyle: 1,
+    outline: 3,
+    shadow: 1,
+    position: "bottom",
+    marginV: 60,
+    karaoke: true,
+  }),
+});
+
+const ASS_DEFAULT_PRESET = "classic";
+
+// Extra layers (translations) are recoloured + shrunk so they read as secondary.
+const ASS_LAYER_COLORS = Object.freeze(["#FFE14D", "#7FDBFF", "#B8F28A", "#FFB3C7"]);
+
+function getAssPreset(id) {
+  const k = safeStr(id).trim().toLowerCase();
+  return ASS_STYLE_PRESETS[k] || ASS_STYLE_PRESETS[ASS_DEFAULT_PRESET];
+}
+
+function clampInt(n, min, max) {
+  const x = Math.round(toNum(n, min));
+  return Math.min(max, Math.max(min, x));
+}
+
+// "#RRGGBB" + alpha (0 = opaque, 255 = transparent) -> "&HAABBGGRR"
+function toAssColor(hex, alpha) {
+  const m = safeStr(hex).trim().match(/^#?([0-9a-f]{6})$/i);
+  const rgb = m ? m[1].toUpperCase() : "FFFFFF";
+  const a = clampInt(alpha, 0, 255).toString(16).toUpperCase().padStart(2, "0");
+  return `&H${a}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+// ASS uses numpad alignment (2 = bottom center); SSA v4 uses 1-3 bottom, 5-7 top, 9-11 middle.
+function assAlignment(position, variant) {
+  const p = safeStr(position).toLowerCase();
+  const numpad = p === "top" ? 8 : p === "middle" ? 5 : 2;
+  if (variant !== "ssa") return numpad;
+  return numpad === 8 ? 6 : numpad === 5 ? 10 : 2;
+}
+
+// H:MM:SS.cc (centiseconds)
+function secondsToAssTimecode(sec) {
+  const totalCs = Math.round(Math.max(0, toNum(sec, 0)) * 100);
+  const h = Math.floor(totalCs / 360000);
+  const m = Math.floor((totalCs % 360000) / 6000);
+  const s = Math.floor((totalCs % 6000) / 100);
+  const cs = totalCs % 100;
+  return `${h}:${pad2(m)}:${pad2(s)}.${pad2(cs)}`;
+}
+
+// Style/Name fields are comma separated, so commas can't appear in names.
+function assFieldSafe(s) {
+  return normalizeWhitespace(s).replace(/,/g, " ");
+}
+
+// "{", "}" and "\" start override tags and can't be escaped portably -> fullwidth look-alikes.
+function formatAssText(text) {
+  return normalizeCueText(text)
+    .replace(/\\/g, "＼")
+    .replace(/\{/g, "｛")
+    .replace(/\}/g, "｝")
+    .replace(/\n/g, "\\N");
+}
+
+// Cue text with a karaoke tag per word (centiseconds; ASS \kf sweeps, SSA \k switches).
+// A lead-in gap before the first word becomes an empty tag so the fill stays in sync.
+function formatAssKaraokeText(seg, words, variant) {
+  const tag = variant === "ssa" ? "k" : "kf";
+  const cs = (sec) => Math.round(toNum(sec, 0) * 100);
+  const lead = cs(words[0].start) - cs(seg.start);
+  let wi = 0;
+
+  const body = normalizeCueText(seg.text)
+    .split("\n")
+    .map((line) =>
+      line
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((tok) => {
+          const w = words[wi];
+          const next = words[wi + 1];
+          wi++;
+          const dur = Math.max(0, cs(next ? next.start : seg.end) - cs(w.start));
+          return `{\\${tag}${dur}}${formatAssText(tok)}`;
+        })
+        .join(" ")
+    )
+    .join("\\N");
+
+  return lead > 0 ? `{\\${tag}${lead}}${body}` : body;
+}
+
+function assStyleLine(name, preset, variant) {
+  const p = preset || getAssPreset(ASS_DEFAULT_PRESET);
+  const bold = p.bold ? -1 : 0;
+  const primary = toAssColor(p.primaryColor, 0);
+  const secondary = toAssColor(p.secondaryColor || "#FF0000", 0);
+  const outline = toAssColor(p.outlineColor, 0);
+  const back = toAssColor(p.backColor, p.backAlpha);
+  const align = assAlignment(p.position, variant);
+  const marginV = clampInt(p.marginV, 0, 2000);
+
+  if (variant === "ssa") {
+    return [
+      `Style: ${assFieldSafe(name)}`,
+      assFieldSafe(p.font),
+      clampInt(p.size, 1, 400),
+      primary,
+      secondary,
+      outline,
+      back,
+      bold,
+      0,
+      p.borderStyle === 3 ? 3 : 1,
+      toNum(p.outline, 0),
+      toNum(p.shadow, 0),
+      align,
+      60,
+      60,
+      marginV,
+      0,
+      1,
+    ].join(",");
+  }
+
+  return [
+    `Style: ${assFieldSafe(name)}`,
+    assFieldSafe(p.font),
+    clampInt(p.size, 1, 400),
+    primary,
+    secondary,
+    outline,
+    back,
+    bold,
+    0,
+    0,
+    0,
+    100,
+    100,
+    0,
+    0,
+    p.borderStyle === 3 ? 3 : 1,
+    toNum(p.outline, 0),
+    toNum(p.shadow, 0),
+    align,
+    60,
+    60,
+    marginV,
+    1,
+  ].join(",");
+}
+
+// Layer N stacks away from the primary track (up from the bottom, down from the top).
+// MarginV is ignored for middle alignment, so layers under a centered primary go to the bottom.
+function deriveLayerPreset(base, layerIndex, override) {
+  const size = Math.max(24, Math.round(toNum(base.size, 56) * 0.8));
+  const step = Math.round(toNum(base.size, 56) * 1.3 + toNum(base.outline, 0) * 2);
+  const centered = safeStr(base.position).toLowerCase() === "middle";
+
+  return {
+    ...base,
+    size,
+    bold: false,
+    primaryColor: ASS_LAYER_COLORS[(layerIndex - 1) % ASS_LAYER_COLORS.length],
+    position: centered ? "bottom" : base.position,
+    marginV: toNum(base.marginV, 0) + step * (centered ? layerIndex - 1 : layerIndex),
+    ...(override && typeof override === "object" ? override : {}),
+  };
+}
+
+/**
+ * segments -> .ass (or .ssa with opts.variant === "ssa").
+ * opts.preset: preset id or preset-shaped object (see ASS_STYLE_PRESETS)
+ * opts.title: [Script Info] Title
+ * opts.primaryName: style name for the main track (default "Default")
+ * opts.layers: [{ name, segments, preset? }] extra tracks (e.g. translations),
+ *   each written with its own style + Layer number.
+ * Karaoke presets turn seg.words into per-word fill tags; cues without usable words stay plain.
+ * seg.speaker goes into the Dialogue Name field; opts.speakers also prefixes the text.
+ * opts.dual: { name, top } second language inside the same cue: seg.dualText is written on its own
+ *   line in a derived (smaller, recoloured) style — below seg.text, or above it with top: true.
+ *   seg.dualOnly marks a cue whose seg.text is itself second-language text.
+ * One Dialogue line per non-empty segment.
+ */
+function segmentsToAss(segments, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const variant = safeStr(o.variant).toLowerCase() === "ssa" ? "ssa" : "ass";
+  const base = o.preset && typeof o.preset === "object" ? { ...getAssPreset(), ...o.preset } : getAssPreset(o.preset);
+
+  const tracks = [
+    { name: assFieldSafe(o.primaryName || "Default") || "Default", preset: base, segments },
+    ...(Array.isArray(o.layers) ? o.layers : []).map((l, i) => {
+      const override = typeof l?.preset === "string" ? getAssPreset(l.preset) : l?.preset;
+      return {
+        name: assFieldSafe(l?.name || `Layer${i + 1}`) || `Layer${i + 1}`,
+        preset: deriveLayerPreset(base, i + 1, override),
+        segments: l?.segments,
+      };
+    }),
+  ];
+
+  const dual =
+    o.dual && typeof o.dual === "object"
+      ? {
+          name: assFieldSafe(o.dual.name || "Dual") || "Dual",
+          top: !!o.dual.top,
+          // same spot as the primary text; only size/colour mark it as the other language
+          preset: deriveLayerPreset(base, 1, { position: base.position, marginV: base.marginV }),
+        }
+      : null;
+
+  // style names must be unique
+  const seen = new Set();
+  for (const t of dual ? [...tracks, dual] : tracks) {
+    let n = t.name;
+    for (let k = 2; seen.has(n.toLowerCase()); k++) n = `${t.name}_${k}`;
+    seen.add(n.toLowerCase());
+    t.name = n;
+  }
+
+  const title = assFieldSafe(o.title || "HappySRT export");
+
+  const info = [
+    "[Script Info]",
+    "; Generated by HappySRT",
+    `Title: ${title}`,
+    `ScriptType: ${variant === "ssa" ? "v4.00" : "v4.00+"}`,
+    "PlayResX: 1920",
+    "PlayResY: 1080",
+    "WrapStyle: 0",
+    ...(variant === "ssa" ? [] : ["ScaledBorderAndShadow: yes"]),
+  ];
+
+  const styles =
+    variant === "ssa"
+      ? [
+          "[V4 Styles]",
+          "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding",
+        ]
+      : [
+          "[V4+ Styles]",
+          "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+        ];
+  for (const t of tracks) styles.push(assStyleLine(t.name, t.preset, variant));
+  if (dual) styles.push(assStyleLine(dual.name, dual.preset, variant));
+
+  const events = [
+    "[Events]",
+    `Format: ${variant === "ssa" ? "Marked" : "Layer"}, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text`,
+  ];
+
+  tracks.forEach((t, layer) => {
+    const segs = toStrictSegments(t.segments);
+    for (const seg of segs) {
+      const words = t.preset.karaoke ? segmentWords(seg) : null;
+      let body = words ? formatAssKaraokeText(seg, words, variant) : formatAssText(seg?.text);
+      if (!body) continue;
+      if (dual && layer === 0) {
+        const other = formatAssText(seg?.dualText);
+        const style = `{\\r${dual.name}}`;
+        if (seg?.dualOnly) body = `${style}${body}`;
+        else if (other) body = dual.top ? `${style}${other}\\N{\\r}${body}` : `${body}\\N${style}${other}`;
+      }
+      const speaker = normalizeSpeaker(seg?.speaker);
+      const text = o.speakers && speaker ? `${formatAssText(speaker)}: ${body}` : body;
+      const lead = variant === "ssa" ? "Marked=0" : String(layer);
+      events.push(
+        `Dialogue: ${lead},${secondsToAssTimecode(seg?.start)},${secondsToAssTimecode(seg?.end)},${t.name},${assFieldSafe(speaker)},0,0,0,,${text}`
+      );
+    }
+  });
+
+  return [info.join("\n"), styles.join("\n"), events.join("\n")].join("\n\n") + "\n";
+}
+
+// --------------------
+// Any format
+// --------------------
+const FORMATS = Object.freeze({
+  srt: Object.freeze({ id: "srt", label: "SRT", ext: "srt", mime: "application/x-subrip;charset=utf-8" }),
+  vtt: Object.freeze({ id: "vtt", label: "VTT", ext: "vtt", mime: "text/vtt;charset=utf-8" }),
+  ass: Object.freeze({ id: "ass", label: "ASS", ext: "ass", mime: "text/x-ssa;charset=utf-8", styled: true }),
+  ssa: Object.freeze({ id: "ssa", label: "SSA", ext: "ssa", mime: "text/x-ssa;charset=utf-8", styled: true }),
+});
+
+function getFormat(id) {
+  const k = safeStr(id).trim().toLowerCase();
+  return FORMATS[k] || FORMATS.srt;
+}
+
+function detectFormat(text) {
+  return isVtt(text) ? "vtt" : "srt";
+}
+
+// SRT or VTT text -> { format, segments, errors } (format sniffed from the "WEBVTT" signature)
+function parseSubtitles(text) {
+  const format = detectFormat(text);
+  const parsed = format === "vtt" ? parseVtt(text) : parseSrt(text);
+  return { format, segments: parsed.segments, errors: parsed.errors };
+}
+
+function parseSubtitleText(text) {
+  return parseSubtitles(text).segments;
+}
+
+// errors -> one short human line ("2 blocks skipped: #3 line 12 (bad timecode), #7 ...")
+function describeParseErrors(errors, limit) {
+  const errs = Array.isArray(errors) ? errors : [];
+  if (!errs.length) return "";
+  const max = Math.max(1, Math.trunc(toNum(limit, 3)));
+  const head = errs
+    .slice(0, max)
+    .map((e) => `#${toNum(e?.block, 0)} line ${toNum(e?.line, 0)} (${safeStr(e?.reason) || "unreadable"})`)
+    .join(", ");
+  const more = errs.length > max ? ` +${errs.length - max} more` : "";
+  return `${errs.length} block${errs.length === 1 ? "" : "s"} skipped: ${head}${more}`;
+}
+
+function segmentsToFormat(segments, format, opts) {
+  const f = getFormat(format).id;
+  if (f === "vtt") return segmentsToVtt(segments, opts);
+  if (f === "ass" || f === "ssa") return segmentsToAss(segments, { ...(opts || {}), variant: f });
+  return segmentsToSrt(segments, opts);
+}
+
+// --------------------
+// Bilingual (dual-language) cues
+// --------------------
+const BILINGUAL_UNPAIRED = Object.freeze(["keep", "original", "drop"]);
+
+function flattenCueText(text) {
+  return normalizeCueText(text).replace(/\n+/g, " ");
+}
+
+// strict orig/tr -> each tr cue goes to the orig cue it overlaps most; { partners: tr[][] per orig, lonely: tr[] }
+function assignByOverlap(orig, tr) {
+  const partners = orig.map(() => []);
+  const lonely = [];
+
+  for (const t of tr) {
+    let best = -1;
+    let bestOverlap = 0;
+    for (let i = 0; i < orig.length; i++) {
+      if (orig[i].start >= t.end) break;
+      const ov = Math.min(orig[i].end, t.end) - Math.max(orig[i].start, t.start);
+      if (ov > bestOverlap) {
+        best = i;
+        bestOverlap = ov;
+      }
+    }
+    if (best >= 0) partners[best].push(t);
+    else lonely.push(t);
+  }
+
+  return { partners, lonely };
+}
+
+/**
+ * One row per source cue with the translation text that overlaps it (source timing wins).
+ * -> { rows: [{ start, end, source, target, speaker? }], orphans: translation cues that overlap no source cue }
+ */
+function alignTranslationToSource(source, translation) {
+  const src = toStrictSegments(source);
+  const { partners, lonely } = assignByOverlap(src, toStrictSegments(translation));
+
+  const rows = src.map((seg, i) => {
+    const row = {
+      start: seg.start,
+      end: seg.end,
+      source: seg.text,
+      target: partners[i].map((t) => t.text).join(partners[i].length > 1 ? " " : ""),
+    };
+    const speaker = normalizeSpeaker(seg.speaker);
+    if (speaker) row.speaker = speaker;
+    return row;
+  });
+
+  return { rows, orphans: lonely };
+}
+
+/**
+ * Pair transcript cues with translation cues by time overlap.
+ * Each translation cue goes to the original cue it overlaps most (several can land on one);
+ * timing follows the original cue. Both sides are flattened to one line.
+ * opts.unpaired: what to do with cues that found no partner
+ *   "keep"     -> keep them, single-language (default)
+ *   "original" -> keep unpaired originals only
+ *   "drop"     -> only cues that have both languages
+ * -> { cues: [{ start, end, original, translation, speaker? }], stats: { paired, originalOnly, translationOnly, dropped } }
+ */
+function pairBilingualSegments(original, translation, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const unpaired = BILINGUAL_UNPAIRED.includes(o.unpaired) ? o.unpaired : "keep";
+
+  const orig = toStrictSegments(original);
+  const { partners, lonely: lonelyTr } = assignByOverlap(orig, toStrictSegments(translation));
+
+  const stats = { paired: 0, originalOnly: 0, translationOnly: 0, dropped: 0 };
+  const cues = [];
+
+  orig.forEach((seg, i) => {
+    const translationText = partners[i].map((t) => flattenCueText(t.text)).join(" ");
+    const speaker = normalizeSpeaker(seg.speaker);
+    const cue = { start: seg.start, end: seg.end, original: flattenCueText(seg.text), translation: translationText };
+    if (speaker) cue.speaker = speaker;
+
+    if (translationText) stats.paired++;
+    else if (unpaired === "drop") {
+      stats.dropped++;
+      return;
+    } else stats.originalOnly++;
+    cues.push(cue);
+  });
+
+  for (const t of lonelyTr) {
+    if (unpaired !== "keep") {
+      stats.dropped++;
+      continue;
+    }
+    stats.translationOnly++;
+    cues.push({ start: t.start, end: t.end, original: "", translation: flattenCueText(t.text) });
+  }
+
+  cues.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { cues, stats };
+}
+
+/**
+ * Transcript + translation -> one dual-language subtitle file (srt | vtt | ass | ssa).
+ * opts.order: "original-top" (default) | "translation-top"
+ * opts.separator: between the two languages in SRT/VTT (default "\n" = two lines); ASS always stacks
+ *   them on two lines and styles the translation as the secondary line.
+ * opts.unpaired: see pairBilingualSegments. Other opts go to the format writer (preset, title, speakers...).
+ * -> { text, stats }
+ */
+function segmentsToBilingual(original, translation, format, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const f = getFormat(format).id;
+  const translationTop = o.order === "translation-top";
+  const sep = o.separator == null ? "\n" : safeStr(o.separator);
+  const { cues, stats } = pairBilingualSegments(original, translation, o);
+
+  if (f === "ass" || f === "ssa") {
+    const segs = cues.map((c) => ({
+      start: c.start,
+      end: c.end,
+      speaker: c.speaker,
+      text: c.original || c.translation,
+      dualText: c.original ? c.translation : "",
+      dualOnly: !c.original,
+    }));
+    const dual = { name: o.dualName || "Translation", top: translationTop };
+    return { text: segmentsToAss(segs, { ...o, variant: f, dual }), stats };
+  }
+
+  const segs = cues.map((c) => {
+    const parts = translationTop ? [c.translation, c.original] : [c.original, c.translation];
+    const seg = { start: c.start, end: c.end, text: parts.filter(Boolean).join(sep) };
+    if (c.speaker) seg.speaker = c.speaker;
+    return seg;
+  });
+  return { text: segmentsToFormat(segs, f, o), stats };
+}
+
+module.exports = {
+  FORMATS,
+  VTT_CUE_SETTING_KEYS,
+
+  // timecodes
+  parseTimecodeToSeconds,
+  secondsToSrtTimecode,
+  secondsToVttTimecode,
+
+  // segments
+  normalizeCueText,
+  toStrictSegments,
+  segmentsToPlainText,
+
+  // word timings
+  normalizeWords,
+  alignWordsToText,
+  segmentWords,
+  activeWordIndex,
+
+  // speakers
+  normalizeSpeaker,
+  listSpeakers,
+  carrySegmentExtras,
+
+  // srt
+  segmentsToSrt,
+  parseSrt,
+  srtToSegments,
+
+  // vtt
+  isVtt,
+  parseVttCueSettings,
+  formatVttCueSettings,
+  segmentsToVtt,
+  parseVtt,
+  vttToSegments,
+  srtToVtt,
+
+  // ass/ssa
+  ASS_STYLE_PRESETS,
+  ASS_DEFAULT_PRESET,
+  getAssPreset,
+  secondsToAssTimecode,
+  segmentsToAss,
+
+  // any
+  getFormat,
+  detectFormat,
+  parseSubtitles,
+  parseSubtitleText,
+  describeParseErrors,
+  segmentsToFormat,
+
+  // bilingual
+  BILINGUAL_UNPAIRED,
+  alignTranslationToSource,
+  pairBilingualSegments,
+  segmentsToBilingual,
+};
+
+// ESM interop
+module.exports.default = module.exports;
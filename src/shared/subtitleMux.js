@@ -0,0 +1,117 @@
+// shared/subtitleMux.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Pure parts of the "soft subtitles" export (lib/ffmpegClient.js runs it): the transcript + any
+//   number of translations go into one MP4 (mov_text) or MKV (SRT) file as selectable streams.
+// - Stream language tags: langKey codes ("en", "pt-br", "zh-hans") -> ISO 639-2, which is what both
+//   containers store. The region / script survives in the stream title ("Portuguese (Brazil)").
+//
+// Notes:
+// - Video and audio are stream-copied (-c copy), never re-encoded. MP4 can't hold every codec
+//   (e.g. Vorbis audio from a .webm) — MKV takes anything.
+// - MKV wants ISO 639-2/B ("ger", "fre"), MP4 the /T form ("deu", "fra"); they differ for ~20 languages.
+
+const TranslationCatalogImport = require("./translationCatalog");
+const TranslationCatalog =
+  (TranslationCatalogImport && (TranslationCatalogImport.default || TranslationCatalogImport)) || {};
+
+const CONTAINERS = Object.freeze({
+  mp4: Object.freeze({ id: "mp4", label: "MP4 (mov_text)", ext: "mp4", mime: "video/mp4", subtitleCodec: "mov_text" }),
+  mkv: Object.freeze({ id: "mkv", label: "MKV (SRT)", ext: "mkv", mime: "video/x-matroska", subtitleCodec: "srt" }),
+});
+
+const DEFAULT_CONTAINER = "mp4";
+
+// ISO 639-1 (and a few 639-2 codes used as-is) -> ISO 639-2/T
+const ISO639_2T = Object.freeze({
+  af: "afr", am: "amh", ar: "ara", az: "aze", be: "bel", bg: "bul", bn: "ben", bo: "bod", bs: "bos",
+  ca: "cat", cs: "ces", cy: "cym", da: "dan", de: "deu", el: "ell", en: "eng", es: "spa", et: "est",
+  eu: "eus", fa: "fas", fi: "fin", fil: "fil", fr: "fra", ga: "gle", gl: "glg", gu: "guj", ha: "hau",
+  haw: "haw", he: "heb", hi: "hin", hr: "hrv", ht: "hat", hu: "hun", hy: "hye", id: "ind", is: "isl",
+  it: "ita", ja: "jpn", jv: "jav", ka: "kat", kk: "kaz", km: "khm", kn: "kan", ko: "kor", la: "lat",
+  lb: "ltz", lo: "lao", lt: "lit", lv: "lav", mi: "mri", mk: "mkd", ml: "mal", mn: "mon", mr: "mar",
+  ms: "msa", mt: "mlt", my: "mya", nb: "nob", ne: "nep", nl: "nld", nn: "nno", no: "nor", pa: "pan",
+  pl: "pol", ps: "pus", pt: "por", ro: "ron", ru: "rus", sd: "snd", si: "sin", sk: "slk", sl: "slv",
+  so: "som", sq: "sqi", sr: "srp", su: "sun", sv: "swe", sw: "swa", ta: "tam", te: "tel", tg: "tgk",
+  th: "tha", tk: "tuk", tl: "tgl", tr: "tur", tt: "tat", uk: "ukr", ur: "urd", uz: "uzb", vi: "vie",
+  yi: "yid", yo: "yor", zh: "zho", zu: "zul",
+});
+
+// /T -> /B where they differ
+const ISO639_2B = Object.freeze({
+  bod: "tib", ces: "cze", cym: "wel", deu: "ger", ell: "gre", eus: "baq", fas: "per", fra: "fre",
+  hye: "arm", isl: "ice", kat: "geo", mkd: "mac", mri: "mao", msa: "may", mya: "bur", nld: "dut",
+  ron: "rum", slk: "slo", sqi: "alb", zho: "chi",
+});
+
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+function getContainer(id) {
+  const k = safeStr(id).trim().toLowerCase();
+  return CONTAINERS[k] || CONTAINERS[DEFAULT_CONTAINER];
+}
+
+// langKey code ("pt-br") -> 3-letter tag for the container, "und" when unknown / auto
+function containerLanguage(langKey, containerId) {
+  const base = safeStr(langKey).trim().toLowerCase().split(/[-_]/)[0];
+  const t = ISO639_2T[base] || "";
+  if (!t) return "und";
+  return getContainer(containerId).id === "mkv" ? ISO639_2B[t] || t : t;
+}
+
+// langKey code -> human stream title from the translation catalog ("Portuguese (Brazil)"); falls back to the code
+function languageTitle(langKey) {
+  const want = safeStr(langKey).trim().toLowerCase();
+  if (!want || want === "auto") return "";
+  const list = typeof TranslationCatalog.getSourceLanguages === "function" ? TranslationCatalog.getSourceLanguages() : [];
+  const hit = list.find((l) => safeStr(l.value).toLowerCase() === want);
+  return hit ? safeStr(hit.label) : want;
+}
+
+// tracks: [{ subsName, language, title }] (already-written SRT files, in stream order; the first is default)
+function muxArgs({ inName, tracks, outName, containerId }) {
+  const c = getContainer(containerId);
+  const list = Array.isArray(tracks) ? tracks : [];
+
+  const args = ["-i", inName];
+  for (const t of list) args.push("-i", t.subsName);
+
+  // "?" keeps audio-only / video-only inputs working
+  args.push("-map", "0:v?", "-map", "0:a?");
+  list.forEach((_, i) => args.push("-map", `${i + 1}:0`));
+
+  args.push("-c:v", "copy", "-c:a", "copy", "-c:s", c.subtitleCodec);
+
+  list.forEach((t, i) => {
+    args.push(`-metadata:s:s:${i}`, `language=${safeStr(t.language) || "und"}`);
+    if (t.title) args.push(`-metadata:s:s:${i}`, `title=${safeStr(t.title)}`);
+    args.push(`-disposition:s:${i}`, i === 0 ? "default" : "0");
+  });
+
+  if (c.id === "mp4") args.push("-movflags", "+faststart");
+  args.push(outName);
+  return args;
+}
+
+// "My clip.mov" + "mkv" -> "My clip.subtitles.mkv"
+function muxOutputName(baseName, containerId) {
+  const base = safeStr(baseName).replace(/\.[a-z0-9]{1,5}$/i, "").trim() || "video";
+  return `${base}.subtitles.${getContainer(containerId).ext}`;
+}
+
+module.exports = {
+  CONTAINERS,
+  DEFAULT_CONTAINER,
+
+  getContainer,
+  containerLanguage,
+  languageTitle,
+  muxArgs,
+  muxOutputName,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,513 @@
+// shared/subtitleReflow.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Subtitle spec presets (chars/line, lines/cue, reading speed, min/max duration, min gap).
+// - Per-cue validation (what breaks the spec, in words the editor can show on a row).
+// - Reflow pass: split long cues, merge too-short ones, stretch timing for reading speed, line-wrap text.
+//
+// Notes:
+// - Works on the app-wide segment shape { start, end, text } (seconds); extra fields are kept.
+// - Reading speed (CPS) counts every character of the cue except line breaks (spaces included).
+// - Reflow never moves a cue past its neighbours: timing only grows into existing gaps.
+// - Word timings (seg.words) are followed when present: splits land on word starts and
+//   merged / split cues keep their words.
+
+const SubsImport = require("./subtitleFormats");
+const Subs = (SubsImport && (SubsImport.default || SubsImport)) || {};
+
+// --------------------
+// Presets (v1)
+// --------------------
+const REFLOW_PRESETS = Object.freeze({
+  netflix: Object.freeze({
+    id: "netflix",
+    label: "Netflix-style",
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    maxCps: 20,
+    minDuration: 5 / 6, // 20 frames @ 24fps
+    maxDuration: 7,
+    minGap: 2 / 24, // 2 frames @ 24fps
+  }),
+  broadcast: Object.freeze({
+    id: "broadcast",
+    label: "Broadcast (17 cps)",
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    maxCps: 17,
+    minDuration: 1,
+    maxDuration: 7,
+    minGap: 0,
+  }),
+  youtube: Object.freeze({
+    id: "youtube",
+    label: "YouTube",
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    maxCps: 25,
+    minDuration: 0.7,
+    maxDuration: 8,
+    minGap: 0,
+  }),
+});
+
+const REFLOW_DEFAULT_PRESET = "netflix";
+
+// cues further apart than this are never merged
+const MERGE_MAX_GAP_SECONDS = 0.5;
+
+// --------------------
+// Small helpers
+// --------------------
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+function toNum(n, fallback) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : fallback;
+}
+
+function round3(n) {
+  return Math.round(Number(n || 0) * 1000) / 1000;
+}
+
+function flatText(text) {
+  return safeStr(text).replace(/\s+/g, " ").trim();
+}
+
+// code points, so emoji / CJK count as one character
+function charLen(s) {
+  return Array.from(safeStr(s)).length;
+}
+
+function cueChars(text) {
+  return charLen(safeStr(text).replace(/\r?\n/g, ""));
+}
+
+function endsClause(word) {
+  return /[.!?…:;,]["'”’)\]]*$/.test(safeStr(word));
+}
+
+function endsSentence(word) {
+  return /[.!?…]["'”’)\]]*$/.test(safeStr(word));
+}
+
+/**
+ * Resolve a preset by id (or take a preset-like object), then apply overrides.
+ * Unknown ids fall back to the default preset.
+ */
+function getReflowPreset(idOrPreset, overrides) {
+  const base =
+    idOrPreset && typeof idOrPreset === "object"
+      ? idOrPreset
+      : REFLOW_PRESETS[safeStr(idOrPreset).trim().toLowerCase()] || REFLOW_PRESETS[REFLOW_DEFAULT_PRESET];
+
+  const o = { ...base, ...(overrides && typeof overrides === "object" ? overrides : {}) };
+
+  return {
+    id: safeStr(o.id || "custom"),
+    label: safeStr(o.label || "Custom"),
+    maxCharsPerLine: Math.max(8, Math.floor(toNum(o.maxCharsPerLine, 42))),
+    maxLines: Math.max(1, Math.floor(toNum(o.maxLines, 2))),
+    maxCps: Math.max(1, toNum(o.maxCps, 20)),
+    minDuration: Math.max(0, toNum(o.minDuration, 1)),
+    maxDuration: Math.max(0.5, toNum(o.maxDuration, 7)),
+    minGap: Math.max(0, toNum(o.minGap, 0)),
+  };
+}
+
+// --------------------
+// Line wrapping
+// --------------------
+function greedyLines(words, maxChars) {
+  const lines = [];
+  let cur = "";
+
+  for (const w of words) {
+    if (!cur) {
+      cur = w;
+      continue;
+    }
+    if (charLen(cur) + 1 + charLen(w) <= maxChars) cur += ` ${w}`;
+    else {
+      lines.push(cur);
+      cur = w;
+    }
+  }
+  if (cur) lines.push(cur);
+  return lines;
+}
+
+// Best single break for two lines: both fit, shortest longer line, small bonus for breaking after punctuation.
+function balancedTwoLines(words, maxChars) {
+  let best = null;
+
+  for (let i = 1; i < words.length; i++) {
+    const a = words.slice(0, i).join(" ");
+    const b = words.slice(i).join(" ");
+    const la = charLen(a);
+    const lb = charLen(b);
+    if (la > maxChars || lb > maxChars) continue;
+
+    const score = Math.max(la, lb) - (endsClause(words[i - 1]) ? 4 : 0);
+    if (!best || score < best.score) best = { score, lines: [a, b] };
+  }
+
+  return best ? best.lines : null;
+}
+
+/**
+ * Wrap cue text into lines of at most `maxChars` characters.
+ * Two-line results are balanced (pyramid-ish) instead of greedy-filled.
+ * The result can exceed `maxLines` when the text simply doesn't fit — callers split the cue then.
+ */
+function wrapText(text, maxChars = 42, maxLines = 2) {
+  const flat = flatText(text);
+  if (!flat) return [];
+  if (charLen(flat) <= maxChars) return [flat];
+
+  const words = flat.split(" ");
+  const greedy = greedyLines(words, maxChars);
+
+  if (greedy.length === 2 && maxLines >= 2) return balancedTwoLines(words, maxChars) || greedy;
+  return greedy;
+}
+
+// --------------------
+// Validation
+// --------------------
+function fmtSec(n) {
+  return `${round3(n)}s`;
+}
+
+/**
+ * Spec violations for one cue.
+ * `next` is the following cue (for gap/overlap checks), or null.
+ * Returns [{ code, message, short }].
+ */
+function validateSegment(seg, preset, next) {
+  const p = getReflowPreset(preset);
+  const issues = [];
+
+  const start = toNum(seg?.start, NaN);
+  const end = toNum(seg?.end, NaN);
+  const text = safeStr(seg?.text).trim();
+
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+    issues.push({ code: "time", short: "bad time", message: "Start/end time is missing or end is before start" });
+    return issues;
+  }
+
+  const lines = text ? text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean) : [];
+  const longest = lines.reduce((m, l) => Math.max(m, charLen(l)), 0);
+  const dur = end - start;
+  const chars = cueChars(lines.join(""));
+
+  if (!lines.length) {
+    issues.push({ code: "empty", short: "empty", message: "Cue has no text" });
+  }
+
+  if (longest > p.maxCharsPerLine) {
+    issues.push({
+      code: "chars_per_line",
+      short: `${longest} chars/line`,
+      message: `Line is ${longest} characters (max ${p.maxCharsPerLine})`,
+    });
+  }
+
+  if (lines.length > p.maxLines) {
+    issues.push({
+      code: "lines",
+      short: `${lines.length} lines`,
+      message: `Cue has ${lines.length} lines (max ${p.maxLines})`,
+    });
+  }
+
+  if (dur < p.minDuration) {
+    issues.push({
+      code: "min_duration",
+      short: `${fmtSec(dur)} short`,
+      message: `Cue is on screen ${fmtSec(dur)} (min ${fmtSec(p.minDuration)})`,
+    });
+  }
+
+  if (dur > p.maxDuration) {
+    issues.push({
+      code: "max_duration",
+      short: `${fmtSec(dur)} long`,
+      message: `Cue is on screen ${fmtSec(dur)} (max ${fmtSec(p.maxDuration)})`,
+    });
+  }
+
+  if (chars && dur > 0) {
+    const cps = chars / dur;
+    if (cps > p.maxCps) {
+      issues.push({
+        code: "cps",
+        short: `${Math.round(cps * 10) / 10} cps`,
+        message: `Reading speed is ${Math.round(cps * 10) / 10} chars/sec (max ${p.maxCps})`,
+      });
+    }
+  } else if (chars && dur <= 0) {
+    issues.push({ code: "cps", short: "0s cue", message: "Cue has text but no duration" });
+  }
+
+  const nextStart = toNum(next?.start, NaN);
+  if (Number.isFinite(nextStart)) {
+    const gap = nextStart - end;
+    if (gap < 0) {
+      issues.push({ code: "overlap", short: "overlap", message: `Overlaps the next cue by ${fmtSec(-gap)}` });
+    } else if (p.minGap > 0 && gap < p.minGap - 0.0005) {
+      issues.push({
+        code: "gap",
+        short: "gap",
+        message: `Gap to next cue is ${fmtSec(gap)} (min ${fmtSec(p.minGap)})`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a cue list in its given order.
+ * Returns an array aligned with `segments`: issues[i] is the list for segments[i].
+ */
+function validateSegments(segments, preset) {
+  const arr = Array.isArray(segments) ? segments : [];
+  const p = getReflowPreset(preset);
+  return arr.map((seg, i) => validateSegment(seg, p, arr[i + 1] || null));
+}
+
+function countIssues(issuesList) {
+  return (Array.isArray(issuesList) ? issuesList : []).reduce((n, x) => n + (Array.isArray(x) && x.length ? 1 : 0), 0);
+}
+
+// --------------------
+// Reflow
+// --------------------
+
+// Split words into `n` chunks of roughly equal length, preferring sentence / clause ends.
+// No chunk is allowed past `capacity` characters unless a single word is longer.
+function chunkWords(words, n, capacity) {
+  if (n <= 1) return [words];
+
+  const total = charLen(words.join(" "));
+  const target = total / n;
+  const chunks = [];
+  let cur = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    const curLen = charLen(cur.join(" "));
+    const withW = cur.length ? curLen + 1 + charLen(w) : charLen(w);
+    const remainingChunks = n - chunks.length - 1;
+
+    if (cur.length && remainingChunks > 0) {
+      const overCapacity = withW > capacity;
+      const overTarget = withW > target * 1.15;
+      const goodBreak = curLen >= target * 0.6 && endsSentence(cur[cur.length - 1]);
+      const okBreak = curLen >= target * 0.85 && endsClause(cur[cur.length - 1]);
+
+      if (overCapacity || overTarget || goodBreak || okBreak) {
+        chunks.push(cur);
+        cur = [];
+      }
+    }
+
+    cur.push(w);
+  }
+
+  if (cur.length) chunks.push(cur);
+  return chunks;
+}
+
+function wordsOf(seg) {
+  return typeof Subs.segmentWords === "function" ? Subs.segmentWords(seg) : null;
+}
+
+// Split one cue so every part fits the box (maxLines x maxChars) and maxDuration.
+// Time is shared out by character count, or cut at word starts when word timings exist.
+function splitSegment(seg, p) {
+  const flat = flatText(seg.text);
+  const words = flat.split(" ").filter(Boolean);
+  const dur = seg.end - seg.start;
+
+  const fitsBox = wrapText(flat, p.maxCharsPerLine, p.maxLines).length <= p.maxLines;
+  const fitsTime = dur <= p.maxDuration;
+  if (words.length < 2 || (fitsBox && fitsTime)) return [seg];
+
+  const capacity = p.maxCharsPerLine * p.maxLines;
+  let n = Math.max(Math.ceil(charLen(flat) / capacity), Math.ceil(dur / p.maxDuration), 2);
+
+  let chunks = chunkWords(words, n, capacity);
+  // chunks that still overflow after wrapping get one more pass
+  while (
+    n < words.length &&
+    chunks.some((c) => wrapText(c.join(" "), p.maxCharsPerLine, p.maxLines).length > p.maxLines)
+  ) {
+    n++;
+    chunks = chunkWords(words, n, capacity);
+  }
+
+  const texts = chunks.map((c) => c.join(" "));
+  const totalChars = texts.reduce((s, t) => s + charLen(t), 0) || 1;
+
+  const segWords = wordsOf(seg);
+  if (segWords) {
+    const out = [];
+    let wi = 0;
+    chunks.forEach((c, i) => {
+      const words = segWords.slice(wi, wi + c.length);
+      wi += c.length;
+      const start = i === 0 ? seg.start : words[0].start;
+      const end = i === chunks.length - 1 ? seg.end : segWords[wi].start;
+      out.push({ ...seg, start: round3(start), end: round3(end), text: texts[i], words });
+    });
+    return out;
+  }
+
+  const out = [];
+  let t = seg.start;
+  texts.forEach((text, i) => {
+    const last = i === texts.length - 1;
+    const end = last ? seg.end : t + (dur * charLen(text)) / totalChars;
+    const part = { ...seg, start: round3(t), end: round3(end), text };
+    delete part.words;
+    out.push(part);
+    t = end;
+  });
+  return out;
+}
+
+function canMerge(a, b, p) {
+  if (!a || !b) return false;
+  if (safeStr(a.speaker) !== safeStr(b.speaker)) return false;
+
+  const gap = b.start - a.end;
+  if (gap > MERGE_MAX_GAP_SECONDS) return false;
+  if (b.end - a.start > p.maxDuration) return false;
+
+  const joined = `${flatText(a.text)} ${flatText(b.text)}`;
+  return wrapText(joined, p.maxCharsPerLine, p.maxLines).length <= p.maxLines;
+}
+
+function needsTime(seg, p) {
+  const dur = seg.end - seg.start;
+  // round up to the millisecond so the stretched cue lands on (not just under) the limit
+  const need = Math.ceil(Math.max(p.minDuration, cueChars(flatText(seg.text)) / p.maxCps) * 1000) / 1000;
+  return dur + 0.0005 < need ? need : 0;
+}
+
+/**
+ * Reflow cues to a spec preset.
+ * Returns { segments, stats: { split, merged, retimed, wrapped, remaining } }
+ * where `remaining` is how many cues still break the spec (e.g. fast speech with no gap to borrow).
+ */
+function reflowSegments(segments, preset) {
+  const p = getReflowPreset(preset);
+  const strict = typeof Subs.toStrictSegments === "function" ? Subs.toStrictSegments(segments) : [];
+  const stats = { split: 0, merged: 0, retimed: 0, wrapped: 0, remaining: 0 };
+
+  // 1) split cues that don't fit the box or run too long
+  let list = [];
+  for (const seg of strict) {
+    const parts = splitSegment(seg, p);
+    if (parts.length > 1) stats.split += parts.length - 1;
+    list.push(...parts);
+  }
+
+  // 2) merge cues that are too short / too fast into the next one when the result still fits
+  const merged = [];
+  for (const seg of list) {
+    const prev = merged[merged.length - 1];
+    if (prev && needsTime(prev, p) && canMerge(prev, seg, p)) {
+      const a = wordsOf(prev);
+      const b = wordsOf(seg);
+      const next = {
+        ...prev,
+        end: seg.end,
+        text: `${flatText(prev.text)} ${flatText(seg.text)}`,
+      };
+      if (a && b) next.words = [...a, ...b];
+      else delete next.words;
+
+      merged[merged.length - 1] = next;
+      stats.merged++;
+      continue;
+    }
+    merged.push({ ...seg });
+  }
+  list = merged;
+
+  // 3) timing: min gap / overlaps, then grow short cues into free space (forward first, then back)
+  for (let i = 0; i < list.length; i++) {
+    const seg = list[i];
+    const prev = list[i - 1] || null;
+    const next = list[i + 1] || null;
+    const before = `${seg.start}|${seg.end}`;
+
+    if (next) {
+      const latestEnd = next.start - p.minGap;
+      if (seg.end > latestEnd) seg.end = Math.max(seg.start, latestEnd);
+    }
+
+    const need = needsTime(seg, p);
+    if (need) {
+      const maxEnd = next ? next.start - p.minGap : Infinity;
+      seg.end = Math.max(seg.end, Math.min(seg.start + need, maxEnd, seg.start + p.maxDuration));
+
+      const still = need - (seg.end - seg.start);
+      if (still > 0.0005) {
+        const minStart = prev ? prev.end + p.minGap : 0;
+        seg.start = Math.max(Math.min(seg.start, seg.end - need), minStart, 0);
+      }
+    }
+
+    seg.start = round3(seg.start);
+    seg.end = round3(Math.max(seg.start, seg.end));
+    if (`${seg.start}|${seg.end}` !== before) stats.retimed++;
+  }
+
+  // 4) line-wrap
+  list = list.map((seg) => {
+    const text = wrapText(seg.text, p.maxCharsPerLine, p.maxLines).join("\n");
+    if (text !== safeStr(seg.text).trim()) stats.wrapped++;
+    return { ...seg, text };
+  });
+
+  stats.remaining = countIssues(validateSegments(list, p));
+  return { segments: list, stats };
+}
+
+function describeReflowStats(stats) {
+  const s = stats || {};
+  const parts = [
+    s.split ? `${s.split} split` : null,
+    s.merged ? `${s.merged} merged` : null,
+    s.retimed ? `${s.retimed} retimed` : null,
+    s.wrapped ? `${s.wrapped} re-wrapped` : null,
+  ].filter(Boolean);
+
+  const head = parts.length ? parts.join(", ") : "No changes needed";
+  return s.remaining ? `${head} • ${s.remaining} cue(s) still off-spec` : head;
+}
+
+module.exports = {
+  REFLOW_PRESETS,
+  REFLOW_DEFAULT_PRESET,
+  getReflowPreset,
+
+  wrapText,
+  validateSegment,
+  validateSegments,
+  countIssues,
+
+  reflowSegments,
+  describeReflowStats,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,149 @@
+// shared/subtitleSearch.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Find / replace over cue text (plain text or regex, case + whole-word options).
+// - Per-cue previews (match ranges + the text after replacement) for a thread-wide find/replace UI.
+//
+// Notes:
+// - Works on the app-wide segment shape { start, end, text } (seconds); extra fields are kept.
+// - Plain-text replacements are literal ("$1" stays "$1"); regex replacements support $1 / $<name>.
+// - Empty (zero-length) regex matches are ignored, so /x*/ can't "replace" between every character.
+// - Word timings are not touched here: the save path re-aligns them to the new text (or drops them).
+
+// --------------------
+// Pattern
+// --------------------
+function escapeRegExp(s) {
+  return String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// -> { re, error }. re is null for an empty query or an invalid regex (error says why).
+function compileFind(query, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const q = String(query || "");
+  if (!q) return { re: null, error: "" };
+
+  let src = o.regex ? q : escapeRegExp(q);
+  // unicode-aware word edges ("\b" is ASCII-only and breaks on é, ß, CJK, ...)
+  if (o.wholeWord) src = `(?<![\\p{L}\\p{N}_])(?:${src})(?![\\p{L}\\p{N}_])`;
+
+  try {
+    return { re: new RegExp(src, `g${o.caseSensitive ? "" : "i"}u`), error: "" };
+  } catch (e) {
+    return { re: null, error: String(e?.message || "Invalid regular expression") };
+  }
+}
+
+// --------------------
+// Text
+// --------------------
+function findInText(text, re) {
+  const s = String(text || "");
+  if (!re || !s) return [];
+
+  const out = [];
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(s))) {
+    if (!m[0].length) {
+      re.lastIndex++;
+      continue;
+    }
+    out.push({ start: m.index, end: m.index + m[0].length, match: m[0] });
+  }
+  re.lastIndex = 0;
+  return out;
+}
+
+// -> { text, count }
+function replaceInText(text, re, replacement, opts) {
+  const s = String(text || "");
+  if (!re || !s) return { text: s, count: 0 };
+
+  const regex = !!(opts && opts.regex);
+  const rep = String(replacement ?? "");
+  let count = 0;
+
+  re.lastIndex = 0;
+  const next = s.replace(re, (...args) => {
+    const match = args[0];
+    if (!match.length) return match;
+    count++;
+    if (!regex) return rep;
+
+    // expand $&, $1.., $<name> the way String.prototype.replace would
+    const hasGroups = typeof args[args.length - 1] === "object" && args[args.length - 1] !== null;
+    const groups = hasGroups ? args[args.length - 1] : null;
+    const caps = args.slice(1, hasGroups ? -3 : -2);
+    return rep.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (tok, what, name) => {
+      if (what === "$") return "$";
+      if (what === "&") return match;
+      if (name != null) return groups && groups[name] != null ? groups[name] : "";
+      const n = Number(what);
+      return n >= 1 && n <= caps.length ? caps[n - 1] ?? "" : tok;
+    });
+  });
+  re.lastIndex = 0;
+
+  return { text: next, count };
+}
+
+// --------------------
+// Segments
+// --------------------
+
+// Cues that match -> [{ index, start, end, text, ranges: [{start,end}], after }]
+function searchSegments(segments, re, replacement, opts) {
+  const out = [];
+  if (!re) return out;
+
+  const segs = Array.isArray(segments) ? segments : [];
+  for (let i = 0; i < segs.length; i++) {
+    const text = String(segs[i]?.text || "");
+    const ranges = findInText(text, re).map(({ start, end }) => ({ start, end }));
+    if (!ranges.length) continue;
+
+    out.push({
+      index: i,
+      start: Number(segs[i]?.start || 0),
+      end: Number(segs[i]?.end || 0),
+      text,
+      ranges,
+      after: replacement == null ? null : replaceInText(text, re, replacement, opts).text,
+    });
+  }
+  return out;
+}
+
+// -> { segments, count, cues } (segments is the input array when nothing matched)
+function replaceInSegments(segments, re, replacement, opts) {
+  const segs = Array.isArray(segments) ? segments : [];
+  if (!re) return { segments: segs, count: 0, cues: 0 };
+
+  let count = 0;
+  let cues = 0;
+  const next = segs.map((seg) => {
+    const r = replaceInText(seg?.text, re, replacement, opts);
+    if (!r.count || r.text === String(seg?.text || "")) return seg;
+    count += r.count;
+    cues++;
+    return { ...seg, text: r.text };
+  });
+
+  return { segments: cues ? next : segs, count, cues };
+}
+
+module.exports = {
+  escapeRegExp,
+  compileFind,
+
+  findInText,
+  replaceInText,
+
+  searchSegments,
+  replaceInSegments,
+};
+
+// ESM interop
+module.exports.default = module.exports;
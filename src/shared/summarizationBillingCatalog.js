@@ -5,9 +5,12 @@
 
 const BillingImport = require("./billingCatalog");
 const Billing = (BillingImport && (BillingImport.default || BillingImport)) || {};
+const LlmProvidersImport = require("./llmProviders");
+const LlmProviders = (LlmProvidersImport && (LlmProvidersImport.default || LlmProvidersImport)) || {};
 
-// Same pricing assumptions as translationBillingCatalog (easy to change later)
-const BASE_USD_CENTS_PER_1M_TOKENS = 200; // $2.00 => 200 cents
+// Same pricing assumptions as translationBillingCatalog; per-model base prices come from
+// shared/llmProviders (pass opts.modelId), these constants are the default model's.
+const BASE_USD_CENTS_PER_1M_TOKENS = LlmProviders.getPricing(LlmProviders.DEFAULT_MODEL_ID).usdCentsPer1M; // 200 cents
 const MARKUP_X = 20;
 const EFFECTIVE_USD_CENTS_PER_1M_TOKENS = BASE_USD_CENTS_PER_1M_TOKENS * MARKUP_X; // 4000 cents => $40
 
@@ -207,10 +210,23 @@ function estimateSummarizationLlmTokensWithDurationFallback(input, durationSecon
 }
 
 
-function estimateUsdCentsFromBillableTokens(billableTokens) {
+// Summaries + Q&A only run on token-priced (LLM) models
+function pricingForModel(modelId) {
+  const p = LlmProviders.getPricing(modelId);
+  return {
+    unit: p.unit,
+    baseUsdCentsPer1M: p.usdCentsPer1M,
+    markupX: MARKUP_X,
+    effectiveUsdCentsPer1MTokens: p.usdCentsPer1M * MARKUP_X,
+  };
+}
+
+// modelId (optional): price at that model's rate instead of the default model's
+function estimateUsdCentsFromBillableTokens(billableTokens, modelId) {
   const t = Math.max(0, toInt(billableTokens, 0) || 0);
   if (!t) return 0;
-  return ceilDiv(t * EFFECTIVE_USD_CENTS_PER_1M_TOKENS, 1000000);
+  const rate = modelId ? pricingForModel(modelId).effectiveUsdCentsPer1MTokens : EFFECTIVE_USD_CENTS_PER_1M_TOKENS;
+  return ceilDiv(t * rate, 1000000);
 }
 
 function estimateMediaTokensFromUsdCents(usdCents) {
@@ -232,7 +248,8 @@ function formatUsdFromCents(cents) {
 
 function estimateSummarizationRun(input, opts) {
   const tok = estimateSummarizationLlmTokens(input, opts);
-  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal);
+  const price = pricingForModel(opts && opts.modelId);
+  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal, opts && opts.modelId);
   const mediaTokens = estimateMediaTokensFromUsdCents(usdCents);
 
   return {
@@ -241,9 +258,10 @@ function estimateSummarizationRun(input, opts) {
     usdFormatted: formatUsdFromCents(usdCents),
     mediaTokens,
     pricing: {
-      baseUsdCentsPer1MTokens: BASE_USD_CENTS_PER_1M_TOKENS,
+      unit: price.unit,
+      baseUsdCentsPer1M: price.baseUsdCentsPer1M,
       markupX: MARKUP_X,
-      effectiveUsdCentsPer1MTokens: EFFECTIVE_USD_CENTS_PER_1M_TOKENS,
+      effectiveUsdCentsPer1MTokens: price.effectiveUsdCentsPer1MTokens,
       tokensPerUsd: Math.max(0, toInt(Billing.TOKENS_PER_USD, 0) || 0),
     },
   };
@@ -252,7 +270,8 @@ function estimateSummarizationRun(input, opts) {
 // One-stop estimate with duration fallback (like translation)
 function estimateSummarizationRunWithDurationFallback(input, durationSeconds, opts) {
   const tok = estimateSummarizationLlmTokensWithDurationFallback(input, durationSeconds, opts);
-  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal);
+  const price = pricingForModel(opts && opts.modelId);
+  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal, opts && opts.modelId);
   const mediaTokens = estimateMediaTokensFromUsdCents(usdCents);
 
   return {
@@ -261,9 +280,10 @@ function estimateSummarizationRunWithDurationFallback(input, durationSeconds, op
     usdFormatted: formatUsdFromCents(usdCents),
     mediaTokens,
     pricing: {
-      baseUsdCentsPer1MTokens: BASE_USD_CENTS_PER_1M_TOKENS,
+      unit: price.unit,
+      baseUsdCentsPer1M: price.baseUsdCentsPer1M,
       markupX: MARKUP_X,
-      effectiveUsdCentsPer1MTokens: EFFECTIVE_USD_CENTS_PER_1M_TOKENS,
+      effectiveUsdCentsPer1MTokens: price.effectiveUsdCentsPer1MTokens,
       tokensPerUsd: Math.max(0, toInt(Billing.TOKENS_PER_USD, 0) || 0),
     },
   };
@@ -279,6 +299,7 @@ module.exports = {
   EFFECTIVE_USD_CENTS_PER_1M_TOKENS,
   EST_DEFAULTS,
 
+  pricingForModel,
   inputToText,
   approxTokensFromText,
   estimateSummarizationLlmTokens,
@@ -2,27 +2,35 @@
 // ✅ Shared on server + client
 // ✅ JS only (no TS)
 // ✅ Keeps summarization “text-only” (not segments)
+// ✅ Models come from shared/llmProviders (LLMs only — MT providers can't summarize)
+
+const LlmProvidersImport = require("./llmProviders");
+const LlmProviders = (LlmProvidersImport && (LlmProvidersImport.default || LlmProvidersImport)) || {};
 
 function safeStr(x) {
   return String(x == null ? "" : x);
 }
 
-const MODELS = Object.freeze([
-  {
-    id: "gpt-4o-mini",
-    label: "GPT-4o mini",
-    provider: "openai",
-    kind: "llm",
-  },
-]);
+const MODELS = Object.freeze(LlmProviders.getModelsForTask(LlmProviders.TASKS.summarize));
+
 
 
+// Summary templates: the server returns `results.summaryData` ({ template, ... }) for structured ones.
+// "bullets" is the legacy single text blob (results.summary only). Shapes: shared/summaryTemplates.js
+const TEMPLATES = Object.freeze([
+  { id: "bullets", label: "Bullet summary", structured: false },
+  { id: "chapters", label: "YouTube chapters", structured: true },
+  { id: "minutes", label: "Meeting minutes", structured: true },
+  { id: "quotes", label: "Key quotes", structured: true },
+  { id: "shownotes", label: "Show notes", structured: true },
+]);
 
 const DEFAULTS = Object.freeze({
-  modelId: "gpt-4o-mini",
+  modelId: LlmProviders.getDefaultModelId(LlmProviders.TASKS.summarize),
   targetLang: "English",
   source: "auto",
   maxBullets: 10,
+  template: "bullets",
 });
 
 function getModels() {
@@ -35,17 +43,38 @@ function getModelById(id) {
   return MODELS.find((m) => safeStr(m.id) === want) || null;
 }
 
+// unknown / non-summarizing model -> DEFAULTS.modelId
+function resolveModelId(id) {
+  return LlmProviders.resolveModelId(LlmProviders.TASKS.summarize, id);
+}
 
+function getTemplates() {
+  return TEMPLATES.slice();
+}
 
+function getTemplateById(id) {
+  const want = safeStr(id).trim().toLowerCase();
+  if (!want) return null;
+  return TEMPLATES.find((t) => t.id === want) || null;
+}
 
-
+// unknown / missing -> DEFAULTS.template
+function normalizeTemplateId(id) {
+  return (getTemplateById(id) || getTemplateById(DEFAULTS.template)).id;
+}
 
 const api = {
   MODELS,
+  TEMPLATES,
   DEFAULTS,
 
   getModels,
   getModelById,
+  resolveModelId,
+
+  getTemplates,
+  getTemplateById,
+  normalizeTemplateId,
 };
 
 module.exports = api;
@@ -0,0 +1,308 @@
+// shared/summaryTemplates.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Structured summaries (templates in summarizationCatalog.TEMPLATES): normalize whatever the server
+//   stored in `results.summaryData` into one shape per template.
+// - Anchor quotes / items without times to transcript segments (click-to-seek).
+// - Exports: Markdown + JSON.
+//
+// Shapes (times in seconds, null when unknown):
+//   bullets:   { template, bullets: [{ text, start }] }
+//   chapters:  { template, chapters: [{ start, title }] }
+//   minutes:   { template, title, overview, attendees: [], decisions: [{ text, start }],
+//                actionItems: [{ task, owner, due, start }] }
+//   quotes:    { template, quotes: [{ text, speaker, start, end }] }
+//   shownotes: { template, title, description, topics: [{ start, title, notes }], links: [{ label, url }] }
+//
+// Notes:
+// - Times may arrive as seconds or clock strings ("1:02:03", "12:34", "00:12:34,500").
+// - YouTube only accepts chapter lists that start at 0:00 (and have >= 3 entries), so the first chapter is pinned to 0.
+
+const CatalogImport = require("./summarizationCatalog");
+const Catalog = (CatalogImport && (CatalogImport.default || CatalogImport)) || {};
+
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+function cleanLine(x) {
+  return safeStr(x).replace(/\s+/g, " ").trim();
+}
+
+function list(x) {
+  return Array.isArray(x) ? x : [];
+}
+
+// seconds | "h:mm:ss" | "m:ss" | "hh:mm:ss,mmm" -> seconds (null when not a time)
+function parseClock(v) {
+  if (typeof v === "number") return Number.isFinite(v) && v >= 0 ? v : null;
+  const s = safeStr(v).trim();
+  if (!s) return null;
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s);
+  const m = s.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?$/);
+  if (!m) return null;
+  const ms = m[4] ? Number(m[4].padEnd(3, "0")) / 1000 : 0;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + ms;
+}
+
+// YouTube-style clock: m:ss, or h:mm:ss past the hour
+function formatClock(sec) {
+  const t = Math.max(0, Math.floor(Number(sec) || 0));
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const s = t % 60;
+  return h ? `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}` : `${m}:${String(s).padStart(2, "0")}`;
+}
+
+function timeOf(x) {
+  return parseClock(x?.start ?? x?.time ?? x?.timestamp ?? x?.at);
+}
+
+function byStart(a, b) {
+  return (a.start == null ? Infinity : a.start) - (b.start == null ? Infinity : b.start);
+}
+
+// --------------------
+// Normalizers
+// --------------------
+
+function normBullets(raw) {
+  return {
+    bullets: list(raw.bullets || raw.points || raw.items)
+      .map((b) => (typeof b === "string" ? { text: cleanLine(b), start: null } : { text: cleanLine(b?.text), start: timeOf(b) }))
+      .filter((b) => b.text),
+  };
+}
+
+function normChapters(raw) {
+  const chapters = list(raw.chapters)
+    .map((c) => ({ start: timeOf(c), title: cleanLine(c?.title || c?.text) }))
+    .filter((c) => c.title && c.start != null)
+    .sort(byStart);
+  if (chapters.length) chapters[0].start = 0;
+  return { chapters };
+}
+
+function normMinutes(raw) {
+  return {
+    title: cleanLine(raw.title),
+    overview: safeStr(raw.overview || raw.summary).trim(),
+    attendees: list(raw.attendees).map(cleanLine).filter(Boolean),
+    decisions: list(raw.decisions)
+      .map((d) => (typeof d === "string" ? { text: cleanLine(d), start: null } : { text: cleanLine(d?.text), start: timeOf(d) }))
+      .filter((d) => d.text),
+    actionItems: list(raw.actionItems || raw.action_items || raw.actions)
+      .map((a) =>
+        typeof a === "string"
+          ? { task: cleanLine(a), owner: "", due: "", start: null }
+          : { task: cleanLine(a?.task || a?.text), owner: cleanLine(a?.owner || a?.assignee), due: cleanLine(a?.due), start: timeOf(a) }
+      )
+      .filter((a) => a.task),
+  };
+}
+
+function normQuotes(raw) {
+  return {
+    quotes: list(raw.quotes)
+      .map((q) => ({
+        text: cleanLine(typeof q === "string" ? q : q?.text || q?.quote),
+        speaker: cleanLine(q?.speaker),
+        start: timeOf(q),
+        end: parseClock(q?.end),
+      }))
+      .filter((q) => q.text),
+  };
+}
+
+function normShownotes(raw) {
+  return {
+    title: cleanLine(raw.title),
+    description: safeStr(raw.description || raw.summary).trim(),
+    topics: list(raw.topics || raw.chapters)
+      .map((t) => ({ start: timeOf(t), title: cleanLine(t?.title || t?.text), notes: safeStr(t?.notes).trim() }))
+      .filter((t) => t.title)
+      .sort(byStart),
+    links: list(raw.links)
+      .map((l) => (typeof l === "string" ? { label: "", url: l.trim() } : { label: cleanLine(l?.label || l?.title), url: safeStr(l?.url).trim() }))
+      .filter((l) => /^https?:\/\//i.test(l.url)),
+  };
+}
+
+const NORMALIZERS = {
+  bullets: normBullets,
+  chapters: normChapters,
+  minutes: normMinutes,
+  quotes: normQuotes,
+  shownotes: normShownotes,
+};
+
+// anything -> normalized { template, ... } (or null when there is nothing structured to show)
+function normalizeStructuredSummary(raw, templateHint) {
+  let obj = raw;
+  if (typeof obj === "string") {
+    const s = obj.trim();
+    if (!s.startsWith("{")) return null;
+    try {
+      obj = JSON.parse(s);
+    } catch {
+      return null;
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return null;
+
+  const template = Catalog.normalizeTemplateId(obj.template || templateHint);
+  const out = { template, ...NORMALIZERS[template](obj) };
+  return isEmptySummary(out) ? null : out;
+}
+
+// legacy text summary -> bullets (one per "-", "*", "•" or numbered line; whole text when there are none)
+function bulletsFromText(text) {
+  const lines = safeStr(text).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const marked = lines.filter((l) => /^([-*•]|\d+[.)])\s+/.test(l));
+  const src = marked.length ? marked.map((l) => l.replace(/^([-*•]|\d+[.)])\s+/, "")) : lines;
+  return { template: "bullets", bullets: src.map((t) => ({ text: cleanLine(t), start: null })).filter((b) => b.text) };
+}
+
+function isEmptySummary(data) {
+  if (!data) return true;
+  return !Object.values(data).some((v) => (Array.isArray(v) ? v.length : typeof v === "string" && v && v !== data.template));
+}
+
+// results -> normalized summary: summaryData wins, then a JSON summary string, then the text blob as bullets
+function getStructuredSummary(results, templateHint) {
+  const r = results && typeof results === "object" ? results : {};
+  return (
+    normalizeStructuredSummary(r.summaryData, templateHint) ||
+    normalizeStructuredSummary(r.summary, templateHint) ||
+    (safeStr(r.summary).trim() ? bulletsFromText(r.summary) : null)
+  );
+}
+
+// --------------------
+// Anchoring (quotes / decisions without times -> first transcript cue that contains them)
+// --------------------
+
+function fold(s) {
+  return safeStr(s)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function findCue(text, segments) {
+  const needle = fold(text).split(" ").slice(0, 6).join(" ");
+  if (!needle) return null;
+  const segs = list(segments);
+  for (let i = 0; i < segs.length; i++) {
+    // the quote has to start in this cue but may run into the next one
+    const own = fold(segs[i]?.text);
+    const pos = fold(`${segs[i]?.text || ""} ${segs[i + 1]?.text || ""}`).indexOf(needle);
+    if (pos >= 0 && pos < own.length) return segs[i];
+  }
+  return null;
+}
+
+function anchorSummaryToSegments(data, segments) {
+  if (!data || !list(segments).length) return data;
+  const anchor = (x, text) => {
+    if (x.start != null) return x;
+    const cue = findCue(text, segments);
+    return cue ? { ...x, start: Number(cue.start) || 0, end: x.end ?? (Number(cue.end) || null) } : x;
+  };
+
+  if (data.template === "quotes") return { ...data, quotes: data.quotes.map((q) => anchor(q, q.text)) };
+  if (data.template === "minutes") return { ...data, decisions: data.decisions.map((d) => anchor(d, d.text)) };
+  return data;
+}
+
+// --------------------
+// Exports
+// --------------------
+
+function at(start) {
+  return start == null ? "" : `[${formatClock(start)}] `;
+}
+
+function summaryToMarkdown(data, { title } = {}) {
+  if (!data) return "";
+  const out = [];
+  const heading = cleanLine(data.title || title);
+  if (heading) out.push(`# ${heading}`, "");
+
+  switch (data.template) {
+    case "chapters":
+      // plain "0:00 Title" lines: paste-ready for a YouTube description
+      for (const c of data.chapters) out.push(`${formatClock(c.start)} ${c.title}`);
+      break;
+
+    case "minutes":
+      if (data.overview) out.push(data.overview, "");
+      if (data.attendees.length) out.push(`**Attendees:** ${data.attendees.join(", ")}`, "");
+      if (data.decisions.length) {
+        out.push("## Decisions", "");
+        for (const d of data.decisions) out.push(`- ${at(d.start)}${d.text}`);
+        out.push("");
+      }
+      if (data.actionItems.length) {
+        out.push("## Action items", "");
+        for (const a of data.actionItems) {
+          const who = a.owner ? ` — **${a.owner}**` : "";
+          const due = a.due ? ` (due ${a.due})` : "";
+          out.push(`- [ ] ${at(a.start)}${a.task}${who}${due}`);
+        }
+      }
+      break;
+
+    case "quotes":
+      for (const q of data.quotes) {
+        out.push(`> ${q.text}`);
+        const by = [q.speaker, q.start != null ? formatClock(q.start) : ""].filter(Boolean).join(", ");
+        out.push(by ? `> — ${by}` : ">", "");
+      }
+      break;
+
+    case "shownotes":
+      if (data.description) out.push(data.description, "");
+      if (data.topics.length) {
+        out.push("## Topics", "");
+        for (const t of data.topics) {
+          out.push(`- ${at(t.start)}**${t.title}**`);
+          if (t.notes) out.push(`  ${t.notes.replace(/\n/g, "\n  ")}`);
+        }
+        out.push("");
+      }
+      if (data.links.length) {
+        out.push("## Links", "");
+        for (const l of data.links) out.push(`- ${l.label ? `[${l.label}](${l.url})` : l.url}`);
+      }
+      break;
+
+    default:
+      for (const b of data.bullets) out.push(`- ${at(b.start)}${b.text}`);
+  }
+
+  return `${out.join("\n").trim()}\n`;
+}
+
+function summaryToJson(data) {
+  return data ? `${JSON.stringify(data, null, 2)}\n` : "";
+}
+
+module.exports = {
+  parseClock,
+  formatClock,
+
+  normalizeStructuredSummary,
+  bulletsFromText,
+  isEmptySummary,
+  getStructuredSummary,
+  anchorSummaryToSegments,
+
+  summaryToMarkdown,
+  summaryToJson,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,96 @@
+// shared/transcriptQa.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Transcript Q&A (ask one chat item or a whole thread): request limits, answer normalization
+//   and citation parsing shared by the client (rendering) and the server (prompt + reply).
+//
+// Reply contract (ASK_RESULT payload):
+//   { answer: "They ship on Friday [1], after QA signs off [2][3].",
+//     citations: [{ chatItemId, start, end, text }],   // [n] in the answer -> citations[n - 1]
+//     billing: { tokens } }
+//
+// Notes:
+// - Markers may be grouped ("[1, 3]"); numbers without a matching citation stay plain text.
+// - History sent back to the server is trimmed to the last QA_LIMITS.maxHistoryTurns turns.
+
+const QA_LIMITS = Object.freeze({
+  maxQuestionChars: 1000,
+  maxHistoryTurns: 6,
+  maxCitations: 30,
+});
+
+function safeStr(x) {
+  return String(x == null ? "" : x);
+}
+
+function toSec(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function normalizeQuestion(q) {
+  return safeStr(q).replace(/\s+/g, " ").trim().slice(0, QA_LIMITS.maxQuestionChars);
+}
+
+// -> [{ question, answer }] (most recent last)
+function trimHistory(turns) {
+  return (Array.isArray(turns) ? turns : [])
+    .filter((t) => t && safeStr(t.question).trim() && safeStr(t.answer).trim())
+    .slice(-QA_LIMITS.maxHistoryTurns)
+    .map((t) => ({ question: safeStr(t.question), answer: safeStr(t.answer) }));
+}
+
+function normalizeCitation(c) {
+  const start = toSec(c?.start);
+  if (start == null) return null;
+  const end = toSec(c?.end);
+  return {
+    chatItemId: safeStr(c?.chatItemId).trim(),
+    start,
+    end: end != null && end >= start ? end : start,
+    text: safeStr(c?.text).replace(/\s+/g, " ").trim(),
+  };
+}
+
+// ASK_RESULT payload -> { answer, citations } (citations keep their 1-based position; unusable ones become null)
+function normalizeQaAnswer(payload) {
+  const p = payload && typeof payload === "object" ? payload : {};
+  const citations = (Array.isArray(p.citations) ? p.citations : []).slice(0, QA_LIMITS.maxCitations).map(normalizeCitation);
+  return { answer: safeStr(p.answer).trim(), citations };
+}
+
+// answer -> [{ text } | { cite: n }] for rendering; only markers with a usable citation become chips
+function splitAnswerCitations(answer, citations) {
+  const s = safeStr(answer);
+  const cites = Array.isArray(citations) ? citations : [];
+  const out = [];
+  const re = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+  let at = 0;
+  let m;
+
+  while ((m = re.exec(s))) {
+    const nums = m[1].split(",").map((x) => Number(x.trim()));
+    if (!nums.every((n) => n >= 1 && cites[n - 1])) continue;
+
+    if (m.index > at) out.push({ text: s.slice(at, m.index) });
+    for (const n of nums) out.push({ cite: n });
+    at = m.index + m[0].length;
+  }
+
+  if (at < s.length) out.push({ text: s.slice(at) });
+  return out;
+}
+
+module.exports = {
+  QA_LIMITS,
+
+  normalizeQuestion,
+  trimHistory,
+  normalizeQaAnswer,
+  splitAnswerCitations,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -13,6 +13,15 @@
 // - Deepgram Nova-3 language codes + "multi": https://developers.deepgram.com/docs/models-languages-overview
 // - Deepgram Whisper Cloud supported languages: https://developers.deepgram.com/docs/deepgram-whisper-cloud
 // - UpliftAI Speech-to-Text language options (currently Urdu only): https://docs.upliftai.org/api-reference/endpoint/speech-to-text
+// - Deepgram keyterm prompting (Nova-3 only, ~500 tokens per request): https://developers.deepgram.com/docs/keyterm
+// - Self-hosted provider (whisper.cpp / OpenAI-compatible server): configured in shared/selfHostedAsr.js,
+//   listed only when its URL is set.
+// - In-browser provider (Whisper-tiny-class ONNX via WASM): configured in shared/browserAsr.js, on by default.
+
+const SelfHostedImport = require("./selfHostedAsr");
+const SelfHosted = (SelfHostedImport && (SelfHostedImport.default || SelfHostedImport)) || {};
+const BrowserAsrImport = require("./browserAsr");
+const BrowserAsr = (BrowserAsrImport && (BrowserAsrImport.default || BrowserAsrImport)) || {};
 
 function uniqByValue(list) {
   const seen = new Set();
@@ -208,8 +217,49 @@ const UPLIFTAI_LANGUAGE_NAME_BY_CODE = Object.freeze({
 const PROVIDERS = Object.freeze({
   deepgram: "deepgram",
   upliftai: "upliftai",
+  selfhosted: "selfhosted",
+  browser: "browser",
 });
 
+// Whisper codes the self-hosted server was configured for (unknown codes dropped; none -> all of Whisper's)
+function selfHostedLanguageCodes(cfg) {
+  const all = Object.keys(WHISPER_LANGUAGE_NAME_BY_CODE);
+  const want = Array.isArray(cfg?.languages) ? cfg.languages.filter((c) => all.includes(c)) : [];
+  return want.length ? want : all;
+}
+
+function selfHostedModels(cfg) {
+  if (!cfg || !cfg.enabled) return [];
+  return [
+    {
+      id: SelfHosted.MODEL_ID,
+      provider: PROVIDERS.selfhosted,
+      model: cfg.model,
+      label: cfg.label,
+      output: ["srt"],
+      api: cfg.api, // "openai" | "whispercpp" -> request shape (worker contract in shared/selfHostedAsr.js)
+      selfHosted: true,
+      languageCodes: Object.freeze(selfHostedLanguageCodes(cfg)),
+    },
+  ];
+}
+
+// Runs in the user's tab: the client transcribes, then saves the segments like an imported transcript.
+function browserModels(cfg) {
+  if (!cfg || !cfg.enabled) return [];
+  return [
+    {
+      id: BrowserAsr.MODEL_ID,
+      provider: PROVIDERS.browser,
+      model: cfg.model,
+      label: cfg.label,
+      output: ["srt"],
+      browser: true,
+      languageCodes: Object.freeze(Object.keys(WHISPER_LANGUAGE_NAME_BY_CODE)),
+    },
+  ];
+}
+
 const MODELS = Object.freeze([
   {
     id: "deepgram_nova3",
@@ -217,6 +267,10 @@ const MODELS = Object.freeze([
     model: "nova-3",
     label: "Deepgram Nova-3",
     output: ["srt"],
+    diarize: true,
+    // keyterm prompting: boost product names / jargon. Deepgram caps all keyterms at 500 tokens together;
+    // 100 long terms alone would be ~1,250, so the summed length is capped too (~4 chars/token, with headroom)
+    keyterms: Object.freeze({ maxTerms: 100, maxTermChars: 50, maxTotalChars: 1800 }),
     languageCodes: Object.freeze(Object.keys(NOVA3_LANGUAGE_NAME_BY_CODE)),
   },
   {
@@ -225,6 +279,7 @@ const MODELS = Object.freeze([
     model: "whisper",
     label: "Deepgram Whisper",
     output: ["srt"],
+    diarize: true,
     languageCodes: Object.freeze(Object.keys(WHISPER_LANGUAGE_NAME_BY_CODE)),
   },
   {
@@ -243,6 +298,8 @@ const MODELS = Object.freeze([
     output: ["srt"],
     languageCodes: Object.freeze(Object.keys(UPLIFTAI_LANGUAGE_NAME_BY_CODE)),
   },
+  ...selfHostedModels(SelfHosted.SELF_HOSTED_ASR),
+  ...browserModels(BrowserAsr.BROWSER_ASR),
 ]);
 
 // --------------------
@@ -305,6 +362,61 @@ function getModelsForLanguage(languageCode) {
   return MODELS.filter((m) => Array.isArray(m.languageCodes) && m.languageCodes.includes(lc));
 }
 
+// Speaker labels ("who said what") are only offered where the provider returns them.
+function supportsDiarization(modelId) {
+  return !!getModelById(modelId)?.diarize;
+}
+
+// Runs on the operator's own server (no third-party vendor sees the audio).
+function isSelfHostedModel(modelId) {
+  return !!getModelById(modelId)?.selfHosted;
+}
+
+// Transcribed in the browser (lib/browserAsrClient.js) instead of by the server.
+function isBrowserModel(modelId) {
+  return !!getModelById(modelId)?.browser;
+}
+
+// --------------------
+// Keyterms (custom vocabulary boosting)
+// --------------------
+
+// { maxTerms, maxTermChars, maxTotalChars? } for models that accept boost terms, else null.
+function getKeytermLimits(modelId) {
+  const k = getModelById(modelId)?.keyterms;
+  return k && Number(k.maxTerms) > 0 ? k : null;
+}
+
+function supportsKeyterms(modelId) {
+  return !!getKeytermLimits(modelId);
+}
+
+// Glossary text/array -> clean boost terms: one per line or comma, trimmed, de-duplicated (case-insensitive).
+// With a modelId the list is cut to what that model accepts ([] when it accepts none): term count, term length,
+// and summed length (the first terms win, so thread terms placed first are kept).
+function normalizeKeyterms(list, modelId) {
+  const raw = Array.isArray(list) ? list : String(list || "").split(/[\n,]+/);
+  const limits = modelId !== undefined ? getKeytermLimits(modelId) : null;
+  if (modelId !== undefined && !limits) return [];
+
+  const maxTotal = limits && Number(limits.maxTotalChars) > 0 ? Number(limits.maxTotalChars) : Infinity;
+
+  const seen = new Set();
+  const out = [];
+  let total = 0;
+  for (const x of raw) {
+    const term = String(x || "").replace(/\s+/g, " ").trim();
+    if (!term || (limits && term.length > limits.maxTermChars)) continue;
+    const k = term.toLowerCase();
+    if (seen.has(k)) continue;
+    if (limits && (out.length >= limits.maxTerms || total + term.length > maxTotal)) break;
+    seen.add(k);
+    out.push(term);
+    total += term.length;
+  }
+  return out;
+}
+
 // Optional: if you want provider grouping later
 function groupModelsByProvider(models) {
   const out = {};
@@ -332,4 +444,10 @@ module.exports = {
   getModelById,
   getModelsForLanguage,
   groupModelsByProvider,
+  supportsDiarization,
+  isSelfHostedModel,
+  isBrowserModel,
+  getKeytermLimits,
+  supportsKeyterms,
+  normalizeKeyterms,
 };
@@ -5,26 +5,31 @@
 // - Deterministic estimation of translation cost.
 // - Convert estimated LLM tokens -> USD -> "media tokens" using shared/billingCatalog TOKENS_PER_USD.
 // - Apply markup (20x).
+// - Per-model base prices come from shared/llmProviders (pass opts.modelId); unknown / missing
+//   model ids price like the default model.
 //
 // Assumption requested (for now):
-// - Treat BOTH input + output pricing as "Output: $2.00 / 1M tokens" (same rate).
+// - Treat BOTH input + output pricing as the model's single per-1M-tokens rate.
+// - MT models (kind "mt", e.g. DeepL) bill source characters once per target — no prompt, no output.
 // - Charge translation in MEDIA TOKENS (not some separate "text tokens").
 // - Server remains authoritative; this is for gating + UI estimates.
 
 const BillingImport = require("./billingCatalog");
 const Billing = (BillingImport && (BillingImport.default || BillingImport)) || {};
+const LlmProvidersImport = require("./llmProviders");
+const LlmProviders = (LlmProvidersImport && (LlmProvidersImport.default || LlmProvidersImport)) || {};
 
 // --------------------
 // Config (v1)
 // --------------------
 
-// Base vendor price (your assumption): $2.00 per 1,000,000 tokens
-const BASE_USD_CENTS_PER_1M_TOKENS = 200; // $2.00 => 200 cents
+// Base vendor price of the default model: $2.00 per 1,000,000 tokens
+const BASE_USD_CENTS_PER_1M_TOKENS = LlmProviders.getPricing(LlmProviders.DEFAULT_MODEL_ID).usdCentsPer1M; // 200 cents
 
 // Your markup requirement
 const MARKUP_X = 20;
 
-// Effective "sell" price in cents per 1M tokens
+// Effective "sell" price in cents per 1M tokens (default model)
 const EFFECTIVE_USD_CENTS_PER_1M_TOKENS = BASE_USD_CENTS_PER_1M_TOKENS * MARKUP_X; // 200 * 20 = 4000 cents = $40
 
 // --------------------
@@ -84,6 +89,26 @@ function uniqStrings(arr) {
   return out;
 }
 
+function isMtModel(opts) {
+  const m = LlmProviders.getModelById(opts && opts.modelId);
+  return !!m && m.kind === "mt";
+}
+
+// Model pricing in "per 1M estimated tokens" terms. Char-priced (MT) models convert via charsPerToken.
+function pricingForModel(modelId, opts) {
+  const o = opts && typeof opts === "object" ? opts : {};
+  const p = LlmProviders.getPricing(modelId);
+  const cpt = Math.max(1, toInt(o.charsPerToken, EST_DEFAULTS.charsPerToken) || EST_DEFAULTS.charsPerToken);
+  const basePerToken = p.unit === "chars" ? p.usdCentsPer1M * cpt : p.usdCentsPer1M;
+
+  return {
+    unit: p.unit,
+    baseUsdCentsPer1M: p.usdCentsPer1M,
+    markupX: MARKUP_X,
+    effectiveUsdCentsPer1MTokens: basePerToken * MARKUP_X,
+  };
+}
+
 // --------------------
 // Input normalization (text / srt / segments)
 // --------------------
@@ -183,8 +208,9 @@ function estimateTranslationLlmTokensWithDurationFallback(input, durationSeconds
   const targets = uniqStrings(targetLangs);
   const targetCount = targets.length;
 
-  const promptOverhead = Math.max(0, toInt(o.promptOverheadTokens, EST_DEFAULTS.promptOverheadTokens) || 0);
-  const perTargetOverhead = Math.max(0, toInt(o.perTargetOverheadTokens, EST_DEFAULTS.perTargetOverheadTokens) || 0);
+  const mt = isMtModel(o);
+  const promptOverhead = mt ? 0 : Math.max(0, toInt(o.promptOverheadTokens, EST_DEFAULTS.promptOverheadTokens) || 0);
+  const perTargetOverhead = mt ? 0 : Math.max(0, toInt(o.perTargetOverheadTokens, EST_DEFAULTS.perTargetOverheadTokens) || 0);
   const outputRatio = clamp(
     o.outputRatio != null ? Number(o.outputRatio) : EST_DEFAULTS.outputRatio,
     0.1,
@@ -201,7 +227,7 @@ function estimateTranslationLlmTokensWithDurationFallback(input, durationSeconds
   }
 
   const perTargetInput = Math.max(0, baseInputTokens + promptOverhead + perTargetOverhead);
-  const perTargetOutput = Math.max(0, Math.ceil(baseInputTokens * outputRatio));
+  const perTargetOutput = mt ? 0 : Math.max(0, Math.ceil(baseInputTokens * outputRatio));
 
   const inputTokensTotal = perTargetInput * targetCount;
   const outputTokensTotal = perTargetOutput * targetCount;
@@ -217,7 +243,8 @@ function estimateTranslationLlmTokensWithDurationFallback(input, durationSeconds
 // One-stop estimate with duration fallback
 function estimateTranslationRunWithDurationFallback(input, durationSeconds, targetLangs, opts) {
   const tok = estimateTranslationLlmTokensWithDurationFallback(input, durationSeconds, targetLangs, opts);
-  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal);
+  const price = pricingForModel(opts && opts.modelId, opts);
+  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal, opts && opts.modelId, opts);
   const mediaTokens = estimateMediaTokensFromUsdCents(usdCents);
 
   return {
@@ -226,9 +253,10 @@ function estimateTranslationRunWithDurationFallback(input, durationSeconds, targ
     usdFormatted: formatUsdFromCents(usdCents),
     mediaTokens,
     pricing: {
-      baseUsdCentsPer1MTokens: BASE_USD_CENTS_PER_1M_TOKENS,
+      unit: price.unit,
+      baseUsdCentsPer1M: price.baseUsdCentsPer1M,
       markupX: MARKUP_X,
-      effectiveUsdCentsPer1MTokens: EFFECTIVE_USD_CENTS_PER_1M_TOKENS,
+      effectiveUsdCentsPer1MTokens: price.effectiveUsdCentsPer1MTokens,
       tokensPerUsd: Math.max(0, toInt(Billing.TOKENS_PER_USD, 0) || 0),
     },
   };
@@ -262,8 +290,9 @@ function estimateTranslationLlmTokens(input, targetLangs, opts) {
   const text = inputToText(input);
   const baseInputTokens = approxTokensFromText(text, o);
 
-  const promptOverhead = Math.max(0, toInt(o.promptOverheadTokens, EST_DEFAULTS.promptOverheadTokens) || 0);
-  const perTargetOverhead = Math.max(0, toInt(o.perTargetOverheadTokens, EST_DEFAULTS.perTargetOverheadTokens) || 0);
+  const mt = isMtModel(o);
+  const promptOverhead = mt ? 0 : Math.max(0, toInt(o.promptOverheadTokens, EST_DEFAULTS.promptOverheadTokens) || 0);
+  const perTargetOverhead = mt ? 0 : Math.max(0, toInt(o.perTargetOverheadTokens, EST_DEFAULTS.perTargetOverheadTokens) || 0);
 
   const outputRatio = clamp(
     o.outputRatio != null ? Number(o.outputRatio) : EST_DEFAULTS.outputRatio,
@@ -284,8 +313,8 @@ function estimateTranslationLlmTokens(input, targetLangs, opts) {
   // input billed each time (prompt + source text + per-target overhead)
   const perTargetInput = Math.max(0, baseInputTokens + promptOverhead + perTargetOverhead);
 
-  // output per target:
-  const perTargetOutput = Math.max(0, Math.ceil(baseInputTokens * outputRatio));
+  // output per target (MT bills input only):
+  const perTargetOutput = mt ? 0 : Math.max(0, Math.ceil(baseInputTokens * outputRatio));
 
   const inputTokensTotal = perTargetInput * targetCount;
   const outputTokensTotal = perTargetOutput * targetCount;
@@ -301,12 +330,15 @@ function estimateTranslationLlmTokens(input, targetLangs, opts) {
 // --------------------
 // Convert LLM tokens -> USD cents -> MEDIA TOKENS
 // --------------------
-function estimateUsdCentsFromBillableTokens(billableTokens) {
+// modelId (optional): price at that model's rate instead of the default model's
+function estimateUsdCentsFromBillableTokens(billableTokens, modelId, opts) {
   const t = Math.max(0, toInt(billableTokens, 0) || 0);
   if (!t) return 0;
 
+  const rate = modelId ? pricingForModel(modelId, opts).effectiveUsdCentsPer1MTokens : EFFECTIVE_USD_CENTS_PER_1M_TOKENS;
+
   // cents = ceil(tokens * centsPer1M / 1,000,000)
-  return ceilDiv(t * EFFECTIVE_USD_CENTS_PER_1M_TOKENS, 1000000);
+  return ceilDiv(t * rate, 1000000);
 }
 
 function estimateMediaTokensFromUsdCents(usdCents) {
@@ -331,7 +363,8 @@ function formatUsdFromCents(cents) {
 // One-stop estimate for a translate run
 function estimateTranslationRun(input, targetLangs, opts) {
   const tok = estimateTranslationLlmTokens(input, targetLangs, opts);
-  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal);
+  const price = pricingForModel(opts && opts.modelId, opts);
+  const usdCents = estimateUsdCentsFromBillableTokens(tok.billableTokensTotal, opts && opts.modelId, opts);
   const mediaTokens = estimateMediaTokensFromUsdCents(usdCents);
 
   return {
@@ -340,9 +373,10 @@ function estimateTranslationRun(input, targetLangs, opts) {
     usdFormatted: formatUsdFromCents(usdCents),
     mediaTokens, // THIS is what you charge / reserve / gate against
     pricing: {
-      baseUsdCentsPer1MTokens: BASE_USD_CENTS_PER_1M_TOKENS,
+      unit: price.unit,
+      baseUsdCentsPer1M: price.baseUsdCentsPer1M,
       markupX: MARKUP_X,
-      effectiveUsdCentsPer1MTokens: EFFECTIVE_USD_CENTS_PER_1M_TOKENS,
+      effectiveUsdCentsPer1MTokens: price.effectiveUsdCentsPer1MTokens,
       tokensPerUsd: Math.max(0, toInt(Billing.TOKENS_PER_USD, 0) || 0),
     },
   };
@@ -360,6 +394,7 @@ module.exports = {
   EST_DEFAULTS,
 
   // helpers
+  pricingForModel,
   inputToText,
   approxTokensFromText,
   estimateTranslationLlmTokens,
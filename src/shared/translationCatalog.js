@@ -1,9 +1,12 @@
 // shared/translationCatalog.js
 // ✅ Shared on server + client
 // ✅ JS only (no TS types)
-// ✅ For now: only GPT-4o mini translation model
+// ✅ Models come from shared/llmProviders (OpenAI, optional local OpenAI-compatible + DeepL-style MT)
 // ✅ Includes language lists for UI
 
+const LlmProvidersImport = require("./llmProviders");
+const LlmProviders = (LlmProvidersImport && (LlmProvidersImport.default || LlmProvidersImport)) || {};
+
 function safeStr(x) {
   return String(x == null ? "" : x);
 }
@@ -66,17 +69,11 @@ const LANGUAGES = Object.freeze([
   { value: "fil", label: "Filipino" },
 ]);
 
-const MODELS = Object.freeze([
-  {
-    id: "gpt-4o-mini",
-    label: "GPT-4o mini",
-    provider: "openai",
-    kind: "llm",
-  },
-]);
+// registry entries: { id, label, provider, kind, languages, pricing, ... }
+const MODELS = Object.freeze(LlmProviders.getModelsForTask(LlmProviders.TASKS.translate));
 
 const DEFAULTS = Object.freeze({
-  modelId: "gpt-4o-mini",
+  modelId: LlmProviders.getDefaultModelId(LlmProviders.TASKS.translate),
   sourceLang: "auto",
     targetLangs: ["en"], // ✅ always array
 });
@@ -91,6 +88,24 @@ function getModelById(id) {
   return MODELS.find((m) => safeStr(m.id) === want) || null;
 }
 
+// models that handle the source + every target (source "auto" always fits)
+function getModelsForLanguages(sourceLang, targetLangs) {
+  const langs = [sourceLang, ...(Array.isArray(targetLangs) ? targetLangs : [targetLangs])].filter(Boolean);
+  return MODELS.filter((m) => LlmProviders.supportsLanguages(m, langs));
+}
+
+// unknown model / unsupported langs -> a model that fits (DEFAULTS.modelId first)
+function resolveModelId(modelId, sourceLang, targetLangs) {
+  const langs = [sourceLang, ...(Array.isArray(targetLangs) ? targetLangs : [targetLangs])].filter(Boolean);
+  return LlmProviders.resolveModelId(LlmProviders.TASKS.translate, modelId, langs);
+}
+
+// target languages the model can produce (all of them for models without a language list)
+function getTargetLanguagesForModel(modelId) {
+  const m = getModelById(modelId);
+  return getTargetLanguages().filter((l) => !m || LlmProviders.supportsLanguage(m, l.value));
+}
+
 function getLanguageByValue(value) {
   const v = safeStr(value).trim();
   if (!v) return null;
@@ -124,10 +139,13 @@ const api = {
 
   getModels,
   getModelById,
+  getModelsForLanguages,
+  resolveModelId,
 
   getLanguageByValue,
   getSourceLanguages,
   getTargetLanguages,
+  getTargetLanguagesForModel,
 
   isValidLanguage,
   isValidTargetLanguage,
@@ -0,0 +1,176 @@
+// shared/translationGlossary.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Per-thread translation glossary: source term -> target term per language, plus do-not-translate (DNT) terms.
+// - Normalization / limits for the `translation.glossary` run option (START_RUN + RETRY_TRANSLATE).
+// - Checker: flags translated cues that break the glossary (editor row flags, header counts).
+//
+// Shape:
+//   { terms: [{ source: "Acme Cloud", targets: { fr: "Acme Cloud", de: "Acme-Cloud" } }], dnt: ["HappySRT"] }
+//
+// Notes:
+// - Language keys are compared case-insensitively ("pt-BR" == "pt-br").
+// - Source terms match whole words, case-insensitively. Expected targets only need to appear
+//   somewhere in the translated cue (case-insensitive); DNT terms must appear exactly as spoken.
+// - Translated cues are paired with the transcript cues they overlap in time.
+
+const SearchImport = require("./subtitleSearch");
+const Search = (SearchImport && (SearchImport.default || SearchImport)) || {};
+
+const GLOSSARY_LIMITS = Object.freeze({
+  maxTerms: 200,
+  maxDnt: 200,
+  maxTermChars: 80,
+});
+
+function cleanTerm(v) {
+  const s = String(v == null ? "" : v).replace(/\s+/g, " ").trim();
+  return s.length <= GLOSSARY_LIMITS.maxTermChars ? s : "";
+}
+
+function langKey(v) {
+  return String(v || "").trim().replace(/_/g, "-").toLowerCase();
+}
+
+function emptyGlossary() {
+  return { terms: [], dnt: [] };
+}
+
+// Anything -> { terms, dnt } (trimmed, de-duplicated, capped). Later duplicates merge their targets in.
+function normalizeTranslationGlossary(raw) {
+  const g = raw && typeof raw === "object" ? raw : {};
+  const out = emptyGlossary();
+
+  const bySource = new Map();
+  for (const t of Array.isArray(g.terms) ? g.terms : []) {
+    const source = cleanTerm(t?.source);
+    if (!source) continue;
+
+    const targets = {};
+    const tt = t?.targets && typeof t.targets === "object" ? t.targets : {};
+    for (const [lang, term] of Object.entries(tt)) {
+      const l = langKey(lang);
+      const v = cleanTerm(term);
+      if (l && v) targets[l] = v;
+    }
+
+    const k = source.toLowerCase();
+    if (bySource.has(k)) {
+      Object.assign(bySource.get(k).targets, targets);
+      continue;
+    }
+    if (out.terms.length >= GLOSSARY_LIMITS.maxTerms) continue;
+    const row = { source, targets };
+    bySource.set(k, row);
+    out.terms.push(row);
+  }
+
+  const seen = new Set();
+  for (const d of Array.isArray(g.dnt) ? g.dnt : []) {
+    const term = cleanTerm(d);
+    if (!term || seen.has(term.toLowerCase())) continue;
+    seen.add(term.toLowerCase());
+    out.dnt.push(term);
+    if (out.dnt.length >= GLOSSARY_LIMITS.maxDnt) break;
+  }
+
+  return out;
+}
+
+function isEmptyGlossary(g) {
+  return !(g && ((Array.isArray(g.terms) && g.terms.length) || (Array.isArray(g.dnt) && g.dnt.length)));
+}
+
+// Run-option payload: only the target languages being translated (terms with none of them are dropped).
+function glossaryForLangs(raw, langs) {
+  const g = normalizeTranslationGlossary(raw);
+  const want = new Set((Array.isArray(langs) ? langs : [langs]).map(langKey).filter(Boolean));
+
+  const terms = [];
+  for (const t of g.terms) {
+    const targets = {};
+    for (const [l, v] of Object.entries(t.targets)) if (want.has(l)) targets[l] = v;
+    if (Object.keys(targets).length) terms.push({ source: t.source, targets });
+  }
+
+  return { terms, dnt: g.dnt };
+}
+
+// --------------------
+// Checker
+// --------------------
+
+function wholeWordRe(term) {
+  return typeof Search.compileFind === "function" ? Search.compileFind(term, { wholeWord: true }).re : null;
+}
+
+function sourceTextFor(seg, sourceSegments) {
+  const s = Number(seg?.start);
+  const e = Number(seg?.end);
+  if (!Number.isFinite(s) || !Number.isFinite(e)) return "";
+  return sourceSegments
+    .filter((x) => Number(x?.start) < e && Number(x?.end) > s)
+    .map((x) => String(x?.text || ""))
+    .join(" ");
+}
+
+// -> issues per translated cue ([] when fine), in the editor's { code, short, message } row-flag shape.
+function checkGlossarySegments(sourceSegments, translatedSegments, glossary, lang) {
+  const src = Array.isArray(sourceSegments) ? sourceSegments : [];
+  const out = (Array.isArray(translatedSegments) ? translatedSegments : []).map(() => []);
+  const g = normalizeTranslationGlossary(glossary);
+  const l = langKey(lang);
+  if (!src.length || isEmptyGlossary(g)) return out;
+
+  const rules = [
+    ...g.terms
+      .filter((t) => t.targets[l])
+      .map((t) => ({ kind: "glossary", source: t.source, target: t.targets[l], re: wholeWordRe(t.source) })),
+    ...g.dnt.map((term) => ({ kind: "dnt", source: term, re: wholeWordRe(term) })),
+  ].filter((r) => r.re);
+  if (!rules.length) return out;
+
+  (Array.isArray(translatedSegments) ? translatedSegments : []).forEach((seg, i) => {
+    const said = sourceTextFor(seg, src);
+    if (!said) return;
+    const text = String(seg?.text || "");
+    const lower = text.toLowerCase();
+
+    const missing = [];
+    const mangled = [];
+    for (const r of rules) {
+      const hits = typeof Search.findInText === "function" ? Search.findInText(said, r.re) : [];
+      if (!hits.length) continue;
+
+      if (r.kind === "glossary") {
+        if (!lower.includes(r.target.toLowerCase())) missing.push(`"${r.source}" → "${r.target}"`);
+      } else if (!hits.some((h) => text.includes(h.match))) {
+        mangled.push(`"${hits[0].match}"`);
+      }
+    }
+
+    if (missing.length) {
+      out[i].push({ code: "glossary", short: "Glossary", message: `Glossary term not used: ${missing.join(", ")}` });
+    }
+    if (mangled.length) {
+      out[i].push({ code: "dnt", short: "DNT", message: `Do-not-translate term changed: ${mangled.join(", ")}` });
+    }
+  });
+
+  return out;
+}
+
+module.exports = {
+  GLOSSARY_LIMITS,
+
+  emptyGlossary,
+  normalizeTranslationGlossary,
+  isEmptyGlossary,
+  glossaryForLangs,
+
+  checkGlossarySegments,
+};
+
+// ESM interop
+module.exports.default = module.exports;
@@ -0,0 +1,191 @@
+// shared/waveform.js
+// JS-only. Safe in BOTH browser + Node.
+//
+// Purpose:
+// - Math behind the waveform timeline above the SRT editor (components/WaveformTimeline): the browser
+//   decodes the local media blob with WebAudio, this module boils the samples down to peaks, finds quiet
+//   stretches in them, and snaps dragged segment edges to those stretches or to the neighbouring cues.
+// - Also the zoom / scroll view math, so the component only deals with pixels and pointer events.
+//
+// Notes:
+// - Peaks are max |sample| over all channels per bucket, PEAKS_PER_SECOND buckets per second (10 ms).
+// - Quiet stretches use the same dB threshold as the upload "cut silence" step (shared/silenceCut), but a
+//   much shorter minimum: here they're only snap targets (the gaps between words/sentences), nothing is cut.
+// - A view is { start, span } in seconds; it always stays inside [0, duration].
+
+const SilenceCutImport = require("./silenceCut");
+const SilenceCut = (SilenceCutImport && (SilenceCutImport.default || SilenceCutImport)) || {};
+
+const PEAKS_PER_SECOND = 100;
+
+// quiet stretches shorter than this aren't snap targets
+const SNAP_SILENCE_MIN_SECONDS = 0.2;
+
+// an edge within this many pixels of a target snaps to it (the component converts to seconds per zoom)
+const SNAP_PIXELS = 8;
+
+// zoom limits (seconds across the whole strip) + the span a fresh view opens with
+const MIN_SPAN_SECONDS = 2;
+const DEFAULT_SPAN_SECONDS = 30;
+
+function num(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+// [Float32Array per channel] + sampleRate -> { peaks: Float32Array, peaksPerSecond, durationSeconds }
+function computePeaks(channels, sampleRate, { peaksPerSecond = PEAKS_PER_SECOND } = {}) {
+  const list = (Array.isArray(channels) ? channels : []).filter((c) => c && c.length);
+  const rate = num(sampleRate);
+  if (!list.length || rate == null || rate <= 0) {
+    return { peaks: new Float32Array(0), peaksPerSecond, durationSeconds: 0 };
+  }
+
+  const length = Math.min(...list.map((c) => c.length));
+  const perBucket = Math.max(1, Math.round(rate / peaksPerSecond));
+  const peaks = new Float32Array(Math.ceil(length / perBucket));
+
+  for (let b = 0; b < peaks.length; b++) {
+    const from = b * perBucket;
+    const to = Math.min(length, from + perBucket);
+    let max = 0;
+    for (const c of list) {
+      for (let i = from; i < to; i++) {
+        const v = c[i] < 0 ? -c[i] : c[i];
+        if (v > max) max = v;
+      }
+    }
+    peaks[b] = max;
+  }
+
+  return { peaks, peaksPerSecond, durationSeconds: length / rate };
+}
+
+// loudest peak in [fromSeconds, toSeconds) (one canvas column); 0 past the end
+function peakBetween(peaks, peaksPerSecond, fromSeconds, toSeconds) {
+  const n = peaks ? peaks.length : 0;
+  if (!n) return 0;
+  const a = clamp(Math.floor(fromSeconds * peaksPerSecond), 0, n);
+  const b = clamp(Math.max(a + 1, Math.ceil(toSeconds * peaksPerSecond)), 0, n);
+  let max = 0;
+  for (let i = a; i < b; i++) if (peaks[i] > max) max = peaks[i];
+  return max;
+}
+
+// peaks -> quiet stretches [{ start, end }] (every bucket below noiseDb for at least minSeconds)
+function silencesFromPeaks(peaks, peaksPerSecond, { noiseDb, minSeconds } = {}) {
+  const n = peaks ? peaks.length : 0;
+  if (!n || !(peaksPerSecond > 0)) return [];
+
+  const db = num(noiseDb) != null ? num(noiseDb) : SilenceCut.SILENCE_DEFAULTS?.noiseDb ?? -35;
+  const min = num(minSeconds) > 0 ? num(minSeconds) : SNAP_SILENCE_MIN_SECONDS;
+  const floor = Math.pow(10, db / 20);
+
+  const out = [];
+  let open = -1;
+  for (let i = 0; i <= n; i++) {
+    const quiet = i < n && peaks[i] < floor;
+    if (quiet && open < 0) open = i;
+    if (!quiet && open >= 0) {
+      if ((i - open) / peaksPerSecond >= min) out.push({ start: open / peaksPerSecond, end: i / peaksPerSecond });
+      open = -1;
+    }
+  }
+  return out;
+}
+
+// where edge `edge` ("start" | "end") of segments[index] may snap: neighbouring cue edges + quiet stretch edges
+function snapTargets(segments, index, edge, silences) {
+  const list = Array.isArray(segments) ? segments : [];
+  const out = [];
+
+  const prev = list[index - 1];
+  const next = list[index + 1];
+  if (edge === "start" && num(prev?.end) != null) out.push(num(prev.end));
+  if (edge === "end" && num(next?.start) != null) out.push(num(next.start));
+
+  // a cue starts where a pause ends and ends where one starts, but either side can be right
+  for (const s of Array.isArray(silences) ? silences : []) {
+    if (num(s?.start) != null) out.push(num(s.start));
+    if (num(s?.end) != null) out.push(num(s.end));
+  }
+  return out;
+}
+
+// t -> the closest target within toleranceSeconds, or t itself
+function snapTime(t, targets, toleranceSeconds) {
+  let best = t;
+  let bestDist = num(toleranceSeconds) > 0 ? num(toleranceSeconds) : 0;
+  for (const x of Array.isArray(targets) ? targets : []) {
+    const d = Math.abs(x - t);
+    if (d <= bestDist) {
+      best = x;
+      bestDist = d;
+    }
+  }
+  return best;
+}
+
+// ---------- view (zoom / scroll) ----------
+
+function clampView(view, durationSeconds) {
+  const dur = num(durationSeconds) > 0 ? num(durationSeconds) : 0;
+  if (!dur) return { start: 0, span: MIN_SPAN_SECONDS };
+  const span = clamp(num(view?.span) || DEFAULT_SPAN_SECONDS, Math.min(MIN_SPAN_SECONDS, dur), dur);
+  const start = clamp(num(view?.start) || 0, 0, dur - span);
+  return { start, span };
+}
+
+function initialView(durationSeconds) {
+  return clampView({ start: 0, span: DEFAULT_SPAN_SECONDS }, durationSeconds);
+}
+
+// zoom by `factor` (<1 in, >1 out) keeping anchorSeconds at the same spot on screen
+function zoomView(view, factor, anchorSeconds, durationSeconds) {
+  const v = clampView(view, durationSeconds);
+  const f = num(factor) > 0 ? num(factor) : 1;
+  const anchor = num(anchorSeconds) != null ? num(anchorSeconds) : v.start + v.span / 2;
+  const ratio = v.span ? clamp((anchor - v.start) / v.span, 0, 1) : 0.5;
+  const span = v.span * f;
+  return clampView({ start: anchor - span * ratio, span }, durationSeconds);
+}
+
+function scrollView(view, deltaSeconds, durationSeconds) {
+  const v = clampView(view, durationSeconds);
+  return clampView({ start: v.start + (num(deltaSeconds) || 0), span: v.span }, durationSeconds);
+}
+
+// playhead left the view (playback, a seek from the list) -> page so it sits near the left edge again
+function followView(view, seconds, durationSeconds) {
+  const v = clampView(view, durationSeconds);
+  const t = num(seconds);
+  if (t == null || (t >= v.start && t <= v.start + v.span)) return v;
+  return clampView({ start: t - v.span * 0.1, span: v.span }, durationSeconds);
+}
+
+module.exports = {
+  PEAKS_PER_SECOND,
+  SNAP_SILENCE_MIN_SECONDS,
+  SNAP_PIXELS,
+  MIN_SPAN_SECONDS,
+  DEFAULT_SPAN_SECONDS,
+
+  computePeaks,
+  peakBetween,
+  silencesFromPeaks,
+  snapTargets,
+  snapTime,
+
+  clampView,
+  initialView,
+  zoomView,
+  scrollView,
+  followView,
+};
+
+// ESM interop
+module.exports.default = module.exports;
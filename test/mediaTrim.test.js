@@ -0,0 +1,56 @@
+// test/mediaTrim.test.js
+// node --test (no deps): keep-ranges and mapping trimmed-audio timestamps back onto the original media.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const MediaTrim = require("../src/shared/mediaTrim");
+
+// keep 10–20 s and 30–40 s of the original
+const RANGES = [
+  { start: 10, end: 20 },
+  { start: 30, end: 40 },
+];
+
+test("toOriginalTime: trimmed time lands in the range whose kept length covers it", () => {
+  assert.equal(MediaTrim.toOriginalTime(0, RANGES), 10);
+  assert.equal(MediaTrim.toOriginalTime(5, RANGES), 15);
+  assert.equal(MediaTrim.toOriginalTime(12.5, RANGES), 32.5);
+  assert.equal(MediaTrim.toOriginalTime(21, RANGES), 41); // encoder padding past the end
+  assert.equal(MediaTrim.toOriginalTime(3, []), 3);
+});
+
+test("shiftSegmentsToOriginal: segments and their word timings move together, other fields stay", () => {
+  const out = MediaTrim.shiftSegmentsToOriginal(
+    [
+      {
+        start: 8,
+        end: 12,
+        text: "across the cut",
+        speaker: "A",
+        words: [
+          { start: 8, end: 9.5, text: "across" },
+          { start: 11, end: 12, text: "cut" },
+        ],
+      },
+    ],
+    RANGES
+  );
+  assert.deepEqual(out, [
+    {
+      start: 18,
+      end: 32,
+      text: "across the cut",
+      speaker: "A",
+      words: [
+        { start: 18, end: 19.5, text: "across" },
+        { start: 31, end: 32, text: "cut" },
+      ],
+    },
+  ]);
+});
+
+test("shiftSegmentsToOriginal: no ranges -> the same list back", () => {
+  const segs = [{ start: 1, end: 2, text: "x" }];
+  assert.equal(MediaTrim.shiftSegmentsToOriginal(segs, null), segs);
+});
@@ -0,0 +1,86 @@
+// test/silenceCut.test.js
+// node --test (no deps): silencedetect log parsing and the silences -> keep-ranges step of "cut silence".
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const SilenceCut = require("../src/shared/silenceCut");
+
+test("parseSilenceLog: picks silence lines out of a mixed ffmpeg log", () => {
+  const lines = [
+    "ffmpeg version 5.1.4 Copyright (c) 2000-2023 the FFmpeg developers",
+    "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from '1700000000000_talk.mp4':",
+    "  Duration: 00:01:30.50, start: 0.000000, bitrate: 128 kb/s",
+    "  Stream #0:0(und): Audio: aac (LC), 44100 Hz, stereo, fltp, 128 kb/s",
+    "[silencedetect @ 0x1a2b3c] silence_start: -0.00907",
+    "[silencedetect @ 0x1a2b3c] silence_end: 3.2 | silence_duration: 3.209",
+    "size=N/A time=00:00:20.00 bitrate=N/A speed=40x",
+    "[silencedetect @ 0x1a2b3c] silence_start: 40.5",
+    "[silencedetect @ 0x1a2b3c] silence_end: 47.25 | silence_duration: 6.75",
+    "[silencedetect @ 0x1a2b3c] silence_start: 88",
+    "video:0kB audio:0kB subtitle:0kB other streams:0kB global headers:0kB muxing overhead: unknown",
+  ];
+
+  assert.deepEqual(SilenceCut.parseSilenceLog(lines), {
+    silences: [
+      { start: 0, end: 3.2 },
+      { start: 40.5, end: 47.25 },
+      { start: 88, end: 90.5 }, // still open at the end -> runs to the duration
+    ],
+    durationSeconds: 90.5,
+  });
+});
+
+test("parseSilenceLog: a second input's Duration and unmatched silence_end lines are ignored", () => {
+  const lines = [
+    "  Duration: N/A, bitrate: N/A",
+    "  Duration: 00:00:20.00, start: 0.000000",
+    "  Duration: 00:10:00.00, start: 0.000000",
+    "[silencedetect @ 0x1] silence_end: 5 | silence_duration: 5",
+    "[silencedetect @ 0x1] silence_start: 12",
+    "[silencedetect @ 0x1] silence_end: 15 | silence_duration: 3",
+    null,
+    42,
+  ];
+
+  assert.deepEqual(SilenceCut.parseSilenceLog(lines), { silences: [{ start: 12, end: 15 }], durationSeconds: 20 });
+  assert.deepEqual(SilenceCut.parseSilenceLog("not an array"), { silences: [], durationSeconds: null });
+});
+
+test("keepRangesFromSilences: pads every cut next to speech, but not at the file edges", () => {
+  const keep = SilenceCut.keepRangesFromSilences(
+    [
+      { start: 30, end: 40 },
+      { start: 0, end: 3 },
+      { start: 55, end: 60 },
+      { start: 20, end: 20.4 }, // shorter than the padding on both sides -> nothing cut
+    ],
+    60,
+    { padSeconds: 0.5 }
+  );
+
+  assert.deepEqual(keep, [
+    { start: 2.5, end: 30.5 },
+    { start: 39.5, end: 55.5 },
+  ]);
+  assert.deepEqual(SilenceCut.keepRangesFromSilences([{ start: 1, end: 2 }], 0), []);
+});
+
+test("silenceTrimRecord: only cuts that save at least MIN_SAVED_SECONDS become a trim record", () => {
+  assert.equal(SilenceCut.MIN_SAVED_SECONDS, 5);
+
+  // default padding (0.3 s each side): 10–15.5 cuts 4.9 s, 10–15.6 cuts 5 s
+  assert.equal(SilenceCut.silenceTrimRecord([{ start: 10, end: 15.5 }], 60), null);
+
+  const rec = SilenceCut.silenceTrimRecord([{ start: 10, end: 15.6 }], 60);
+  assert.equal(rec.source, "silence");
+  assert.equal(rec.sourceDurationSeconds, 60);
+  assert.equal(rec.keptSeconds, 55);
+  assert.deepEqual(rec.ranges, [
+    { start: 0, end: 10.3 },
+    { start: 15.3, end: 60 },
+  ]);
+
+  assert.equal(SilenceCut.silenceTrimRecord([], 60), null);
+  assert.equal(SilenceCut.silenceTrimRecord([{ start: 10, end: 20 }], null), null);
+});
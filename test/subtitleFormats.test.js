@@ -0,0 +1,227 @@
+// test/subtitleFormats.test.js
+// node --test (no deps): the shared subtitle codec — tolerant parsing, timecode rounding, round trips.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Subs = require("../src/shared/subtitleFormats");
+
+test("timecodes: parse accepts ',' / '.' millis and the VTT short form", () => {
+  assert.equal(Subs.parseTimecodeToSeconds("00:01:02,500"), 62.5);
+  assert.equal(Subs.parseTimecodeToSeconds("00:01:02.500"), 62.5);
+  assert.equal(Subs.parseTimecodeToSeconds("01:02.5"), 62.5);
+  assert.equal(Subs.parseTimecodeToSeconds("1:00:00,000"), 3600);
+  assert.equal(Subs.parseTimecodeToSeconds("nope"), null);
+  assert.equal(Subs.parseTimecodeToSeconds("00:00:01"), null);
+});
+
+test("timecodes: writers round to the nearest unit and carry over", () => {
+  assert.equal(Subs.secondsToSrtTimecode(1.0005), "00:00:01,001");
+  assert.equal(Subs.secondsToSrtTimecode(59.9996), "00:01:00,000");
+  assert.equal(Subs.secondsToSrtTimecode(-3), "00:00:00,000");
+  assert.equal(Subs.secondsToVttTimecode(3723.25), "01:02:03.250");
+  assert.equal(Subs.secondsToAssTimecode(3661.999), "1:01:02.00");
+  assert.equal(Subs.secondsToAssTimecode(1.234), "0:00:01.23");
+});
+
+test("parseSrt: tolerant input (BOM, CRLF, '.' millis, no index, glued cues, multi-line)", () => {
+  const srt =
+    "\uFEFF1\r\n00:00:01,000 --> 00:00:02,000\r\nHello\r\nthere\r\n\r\n" +
+    "00:00:03.000 --> 00:00:04.000\r\nNo index\r\n" +
+    "3\r\n00:00:05,000 --> 00:00:06,000 X1:10\r\nGlued\r\n";
+
+  const { segments, errors } = Subs.parseSrt(srt);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(segments, [
+    { start: 1, end: 2, text: "Hello\nthere" },
+    { start: 3, end: 4, text: "No index" },
+    { start: 5, end: 6, text: "Glued" },
+  ]);
+});
+
+test("parseSrt: unreadable blocks are reported, not dropped silently", () => {
+  const srt = "1\n00:00:02,000 --> 00:00:01,000\nBackwards\n\n2\n00:00:xx,000 --> 00:00:03,000\nBad\n\nstray text\n";
+  const { segments, errors } = Subs.parseSrt(srt);
+  assert.deepEqual(segments, []);
+  assert.deepEqual(
+    errors.map((e) => e.reason),
+    ["end before start", "bad timecode", "no timing line"]
+  );
+  assert.match(Subs.describeParseErrors(errors), /^3 blocks skipped: #1 line 2 \(end before start\)/);
+});
+
+test("segmentsToSrt: strict output (sorted, renumbered, empty cues dropped, trailing newline)", () => {
+  const srt = Subs.segmentsToSrt([
+    { start: 3, end: 4, text: "  second  " },
+    { start: 1, end: 2, text: "first\n\nline two" },
+    { start: 5, end: 6, text: "   " },
+    { start: 7, end: 6, text: "clamped" },
+  ]);
+  assert.equal(
+    srt,
+    "1\n00:00:01,000 --> 00:00:02,000\nfirst\nline two\n\n" +
+      "2\n00:00:03,000 --> 00:00:04,000\nsecond\n\n" +
+      "3\n00:00:07,000 --> 00:00:07,000\nclamped\n"
+  );
+});
+
+test("SRT round trip keeps times and multi-line text", () => {
+  const segs = [
+    { start: 0.5, end: 1.75, text: "One" },
+    { start: 2, end: 3.125, text: "Two\nlines" },
+  ];
+  assert.deepEqual(Subs.srtToSegments(Subs.segmentsToSrt(segs)), segs);
+});
+
+test("VTT round trip: escaping, cue ids, settings, notes, header", () => {
+  const segs = [
+    { start: 1, end: 2, text: "a < b & c", id: "intro", settings: { align: "start", line: "90%" } },
+    { start: 3, end: 4.5, text: "plain" },
+  ];
+  const vtt = Subs.segmentsToVtt(segs, { header: "Kind: captions", notes: ["made by test"] });
+
+  assert.ok(Subs.isVtt(vtt));
+  assert.match(vtt, /^WEBVTT Kind: captions\n\nNOTE made by test\n\n/);
+  assert.match(vtt, /intro\n00:00:01\.000 --> 00:00:02\.000 line:90% align:start\na &lt; b &amp; c\n/);
+
+  const back = Subs.parseVtt(vtt);
+  assert.deepEqual(back.errors, []);
+  assert.deepEqual(
+    back.segments.map((s) => ({ start: s.start, end: s.end, text: s.text, id: s.id || "" })),
+    [
+      { start: 1, end: 2, text: "a < b & c", id: "intro" },
+      { start: 3, end: 4.5, text: "plain", id: "" },
+    ]
+  );
+  assert.deepEqual(Subs.parseVttCueSettings(back.segments[0].settings), { align: "start", line: "90%" });
+});
+
+test("VTT: word timings and speakers survive a round trip", () => {
+  const segs = [
+    {
+      start: 1,
+      end: 3,
+      text: "hello big world",
+      speaker: "Ann",
+      words: [
+        { start: 1, end: 1.5, text: "hello" },
+        { start: 1.5, end: 2, text: "big" },
+        { start: 2, end: 3, text: "world" },
+      ],
+    },
+  ];
+  const back = Subs.parseVtt(Subs.segmentsToVtt(segs, { speakers: true })).segments;
+  assert.equal(back.length, 1);
+  assert.equal(back[0].text, "hello big world");
+  assert.equal(back[0].speaker, "Ann");
+  assert.deepEqual(
+    back[0].words.map((w) => w.start),
+    [1, 1.5, 2]
+  );
+});
+
+test("parseSubtitles sniffs the format; SRT -> VTT -> SRT is lossless for plain cues", () => {
+  const srt = "1\n00:00:01,000 --> 00:00:02,500\nHi\n\n2\n00:00:03,000 --> 00:00:04,000\nThere\n";
+  assert.equal(Subs.parseSubtitles(srt).format, "srt");
+
+  const vtt = Subs.srtToVtt(srt);
+  const parsed = Subs.parseSubtitles(vtt);
+  assert.equal(parsed.format, "vtt");
+  assert.equal(Subs.segmentsToSrt(parsed.segments), srt);
+});
+
+test("segmentsToAss: centisecond timecodes, \\N line breaks, braces neutralised, sorted events", () => {
+  const ass = Subs.segmentsToAss([
+    { start: 1.234, end: 2.5, text: "Hello\nworld" },
+    { start: 0, end: 1, text: "A {b}" },
+  ]);
+  assert.match(ass, /^\[Script Info\]/);
+  const dialogue = ass.split("\n").filter((l) => l.startsWith("Dialogue:"));
+  assert.deepEqual(dialogue, [
+    "Dialogue: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,A ｛b｝",
+    "Dialogue: 0,0:00:01.23,0:00:02.50,Default,,0,0,0,,Hello\\Nworld",
+  ]);
+});
+
+test("parseVtt: NOTE / STYLE blocks, header text, cue ids and settings (unknown keys dropped)", () => {
+  const vtt =
+    "WEBVTT - demo\n\n" +
+    "NOTE\nmade in\nan editor\n\n" +
+    "STYLE\n::cue { color: red }\n\n" +
+    "NOTE one liner\n\n" +
+    "1\n00:00:01.000 --> 00:00:02.000 position:10% bogus:1 align:end size:50%\nHi\n\n" +
+    "00:00:03.000 --> 00:00:04.000\nNOTE inside a cue is text\n";
+
+  const { segments, errors, notes, header } = Subs.parseVtt(vtt);
+  assert.deepEqual(errors, []);
+  assert.equal(header, "- demo");
+  assert.deepEqual(notes, ["made in\nan editor", "one liner"]);
+  assert.deepEqual(segments, [
+    { start: 1, end: 2, text: "Hi", id: "1", settings: "position:10% size:50% align:end" },
+    { start: 3, end: 4, text: "NOTE inside a cue is text" },
+  ]);
+});
+
+test("segmentsToVtt: settings strings are filtered, notes can't break out of their block", () => {
+  const vtt = Subs.segmentsToVtt([{ start: 0, end: 1, text: "x", settings: "align:start bad:1 line:0" }], {
+    notes: ["two\nlines", "a --> b", ""],
+  });
+  assert.equal(
+    vtt,
+    "WEBVTT\n\nNOTE\ntwo\nlines\n\nNOTE a -> b\n\n" + "00:00:00.000 --> 00:00:01.000 line:0 align:start\nx\n"
+  );
+  assert.deepEqual(Subs.parseVtt(vtt).notes, ["two\nlines", "a -> b"]);
+});
+
+test("segmentsToAss: translation layers get their own style, Layer number and stacked margin", () => {
+  const ass = Subs.segmentsToAss([{ start: 0, end: 1, text: "Hello" }], {
+    layers: [
+      { name: "French", segments: [{ start: 0, end: 1, text: "Bonjour" }] },
+      { name: "Default", segments: [{ start: 1, end: 2, text: "Hallo" }] },
+    ],
+  });
+  const lines = ass.split("\n");
+
+  // duplicate style names are suffixed; layers are smaller, recoloured and stacked above the primary line
+  assert.deepEqual(
+    lines
+      .filter((l) => l.startsWith("Style:"))
+      .map((l) => l.split(",").filter((_, i) => [0, 2, 3, 18, 21].includes(i))),
+    [
+      ["Style: Default", "56", "&H00FFFFFF", "2", "60"],
+      ["Style: French", "45", "&H004DE1FF", "2", "139"],
+      ["Style: Default_2", "45", "&H00FFDB7F", "2", "218"],
+    ]
+  );
+  assert.deepEqual(
+    lines.filter((l) => l.startsWith("Dialogue:")),
+    [
+      "Dialogue: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,Hello",
+      "Dialogue: 1,0:00:00.00,0:00:01.00,French,,0,0,0,,Bonjour",
+      "Dialogue: 2,0:00:01.00,0:00:02.00,Default_2,,0,0,0,,Hallo",
+    ]
+  );
+});
+
+test("segmentsToAss: layers under a centered primary go to the bottom; SSA writes Marked=0", () => {
+  const styles = Subs.segmentsToAss([{ start: 0, end: 1, text: "Hello" }], {
+    preset: { position: "middle" },
+    layers: [{ name: "Fr", segments: [{ start: 0, end: 1, text: "Bonjour" }] }],
+  })
+    .split("\n")
+    .filter((l) => l.startsWith("Style:"))
+    .map((l) => l.split(",")[18]);
+  assert.deepEqual(styles, ["5", "2"]);
+
+  const ssa = Subs.segmentsToAss([{ start: 0, end: 1, text: "Hello" }], {
+    variant: "ssa",
+    layers: [{ name: "Fr", segments: [{ start: 0, end: 1, text: "Bonjour" }] }],
+  });
+  assert.deepEqual(
+    ssa.split("\n").filter((l) => l.startsWith("Dialogue:")),
+    [
+      "Dialogue: Marked=0,0:00:00.00,0:00:01.00,Default,,0,0,0,,Hello",
+      "Dialogue: Marked=0,0:00:00.00,0:00:01.00,Fr,,0,0,0,,Bonjour",
+    ]
+  );
+});
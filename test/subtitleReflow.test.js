@@ -0,0 +1,115 @@
+// test/subtitleReflow.test.js
+// node --test (no deps): spec presets — line wrapping, splitting / merging cues, per-row violation flags.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Reflow = require("../src/shared/subtitleReflow");
+
+const codes = (issues) => issues.map((x) => x.code);
+
+test("wrapText: short text stays on one line, long text breaks into balanced lines within the max", () => {
+  assert.deepEqual(Reflow.wrapText("Short line", 42, 2), ["Short line"]);
+  assert.deepEqual(Reflow.wrapText("  spaced \n out  ", 42, 2), ["spaced out"]);
+
+  const lines = Reflow.wrapText("The quick brown fox jumps over the lazy dog near the quiet river bank", 42, 2);
+  assert.deepEqual(lines, ["The quick brown fox jumps over the", "lazy dog near the quiet river bank"]);
+  assert.ok(lines.every((l) => l.length <= 42));
+});
+
+test("wrapText: prefers breaking after a comma when the lines stay balanced", () => {
+  assert.deepEqual(Reflow.wrapText("One two three, four five six seven eight nine ten eleven", 42, 2), [
+    "One two three, four five six",
+    "seven eight nine ten eleven",
+  ]);
+});
+
+test("reflowSegments: a cue past maxLines is split at a sentence end, time shared by length", () => {
+  const text =
+    "This is the first sentence of a long cue. Here comes the second sentence that makes it overflow. " +
+    "And a third one to be sure it needs splitting.";
+  const { segments, stats } = Reflow.reflowSegments([{ start: 0, end: 9, text }], "netflix");
+
+  assert.equal(stats.split, 1);
+  assert.equal(stats.remaining, 0);
+  assert.equal(segments.length, 2);
+  assert.ok(segments[0].text.startsWith("This is the first sentence of a long cue.\n"));
+  assert.equal(segments[0].start, 0);
+  assert.equal(segments[1].end, 9);
+  assert.ok(segments[0].end <= segments[1].start);
+  for (const seg of segments) {
+    const lines = seg.text.split("\n");
+    assert.ok(lines.length <= 2);
+    assert.ok(lines.every((l) => l.length <= 42));
+  }
+});
+
+test("reflowSegments: a cue below min duration merges into a close next cue", () => {
+  const { segments, stats } = Reflow.reflowSegments(
+    [
+      { start: 0, end: 0.4, text: "Hi." },
+      { start: 0.5, end: 2.5, text: "How are you today?" },
+    ],
+    "netflix"
+  );
+
+  assert.equal(stats.merged, 1);
+  assert.deepEqual(segments, [{ start: 0, end: 2.5, text: "Hi. How are you today?" }]);
+});
+
+test("reflowSegments: with a wide gap the short cue is stretched to min duration instead of merged", () => {
+  const { segments, stats } = Reflow.reflowSegments(
+    [
+      { start: 0, end: 0.4, text: "Hi." },
+      { start: 2, end: 4, text: "How are you today?" },
+    ],
+    "netflix"
+  );
+
+  assert.equal(stats.merged, 0);
+  assert.equal(stats.retimed, 1);
+  assert.deepEqual(
+    segments.map((s) => [s.start, s.end]),
+    [
+      [0, 0.834],
+      [2, 4],
+    ]
+  );
+});
+
+test("validateSegments: per-row flags follow the preset (min duration, chars/line, cps)", () => {
+  const segs = [
+    { start: 0, end: 0.75, text: "Okay." },
+    { start: 1, end: 2, text: "This sentence has way too many characters for one second" },
+    { start: 3, end: 4, text: "Twenty-two chars here." },
+  ];
+
+  const netflix = Reflow.validateSegments(segs, "netflix");
+  assert.deepEqual(netflix.map(codes), [["min_duration"], ["chars_per_line", "cps"], ["cps"]]);
+  assert.equal(netflix[0][0].message, "Cue is on screen 0.75s (min 0.833s)");
+  assert.equal(Reflow.countIssues(netflix), 3);
+
+  // YouTube: 0.7s minimum and 25 cps, so only the overlong line is flagged
+  const youtube = Reflow.validateSegments(segs, "youtube");
+  assert.deepEqual(youtube.map(codes), [[], ["chars_per_line", "cps"], []]);
+  assert.equal(youtube[1][1].short, "56 cps");
+  assert.equal(Reflow.countIssues(youtube), 1);
+});
+
+test("validateSegments: too many lines and overlaps with the next cue", () => {
+  const issues = Reflow.validateSegments(
+    [
+      { start: 0, end: 3, text: "a\nb\nc" },
+      { start: 2.9, end: 4, text: "x" },
+    ],
+    "netflix"
+  );
+
+  assert.deepEqual(issues.map(codes), [["lines", "overlap"], []]);
+});
+
+test("getReflowPreset: unknown ids fall back to the default, overrides apply", () => {
+  assert.equal(Reflow.getReflowPreset("nope").id, Reflow.REFLOW_DEFAULT_PRESET);
+  assert.equal(Reflow.getReflowPreset("YouTube").maxCps, 25);
+  assert.equal(Reflow.getReflowPreset("netflix", { maxCharsPerLine: 32 }).maxCharsPerLine, 32);
+});
@@ -0,0 +1,105 @@
+// test/subtitleSearch.test.js
+// node --test (no deps): thread find/replace — literal vs regex patterns, options, replacement expansion.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Search = require("../src/shared/subtitleSearch");
+
+function replace(text, query, replacement, opts) {
+  const { re, error } = Search.compileFind(query, opts);
+  assert.equal(error, "");
+  return Search.replaceInText(text, re, replacement, opts);
+}
+
+test("plain text: regex metacharacters are matched literally, '$1' stays literal", () => {
+  const { re } = Search.compileFind("1.5 (approx)?", {});
+  assert.deepEqual(Search.findInText("It costs 1.5 (approx)? No, 105 (approx)", re), [
+    { start: 9, end: 22, match: "1.5 (approx)?" },
+  ]);
+
+  assert.deepEqual(replace("price: $5", "$5", "$1 each", {}), { text: "price: $1 each", count: 1 });
+  assert.equal(Search.escapeRegExp("a+b*[c]"), "a\\+b\\*\\[c\\]");
+});
+
+test("whole word: only standalone words match, including non-ASCII letters", () => {
+  const opts = { wholeWord: true };
+  assert.deepEqual(replace("cat catalog bobcat cat_x cat.", "cat", "dog", opts), {
+    text: "dog catalog bobcat cat_x dog.",
+    count: 2,
+  });
+
+  // "\b" would treat é as a boundary and match inside "écafé"
+  assert.deepEqual(replace("café écafé", "café", "X", opts), { text: "X écafé", count: 1 });
+});
+
+test("case: insensitive by default, exact with caseSensitive", () => {
+  assert.deepEqual(replace("Hello HELLO hello", "hello", "hi", {}), { text: "hi hi hi", count: 3 });
+  assert.deepEqual(replace("Hello HELLO hello", "hello", "hi", { caseSensitive: true }), {
+    text: "Hello HELLO hi",
+    count: 1,
+  });
+});
+
+test("regex mode: $1 / $<name> / $& / $$ backreferences are expanded", () => {
+  const opts = { regex: true };
+  assert.deepEqual(replace("Smith, John", "(\\w+), (\\w+)", "$2 $1", opts), { text: "John Smith", count: 1 });
+  assert.deepEqual(replace("10:30", "(?<h>\\d+):(?<m>\\d+)", "$<m> past $<h>", opts), {
+    text: "30 past 10",
+    count: 1,
+  });
+  assert.deepEqual(replace("cost 5", "\\d", "$$$&", opts), { text: "cost $5", count: 1 });
+  // a group that doesn't exist is left as written
+  assert.deepEqual(replace("ab", "(a)", "$1$9", opts), { text: "a$9b", count: 1 });
+});
+
+test("regex mode: empty matches are skipped", () => {
+  assert.deepEqual(replace("abc", "x*", "-", { regex: true }), { text: "abc", count: 0 });
+});
+
+test("invalid regex: reported as an error instead of throwing", () => {
+  let res;
+  assert.doesNotThrow(() => {
+    res = Search.compileFind("(unclosed", { regex: true });
+  });
+  assert.equal(res.re, null);
+  assert.ok(res.error.length > 0);
+
+  // the same text is fine as a plain-text search
+  assert.equal(Search.compileFind("(unclosed", {}).error, "");
+  assert.deepEqual(Search.compileFind("", { regex: true }), { re: null, error: "" });
+
+  assert.deepEqual(Search.searchSegments([{ start: 0, end: 1, text: "x" }], null, "y"), []);
+  const segs = [{ start: 0, end: 1, text: "x" }];
+  assert.equal(Search.replaceInSegments(segs, null, "y").segments, segs);
+});
+
+test("segments: previews per matching cue, replace keeps untouched cues as-is", () => {
+  const segs = [
+    { start: 0, end: 1, text: "the cat", speaker: "A" },
+    { start: 1, end: 2, text: "no match" },
+    { start: 2, end: 3, text: "Cat and cat" },
+  ];
+  const { re } = Search.compileFind("cat", {});
+
+  assert.deepEqual(Search.searchSegments(segs, re, "dog", {}), [
+    { index: 0, start: 0, end: 1, text: "the cat", ranges: [{ start: 4, end: 7 }], after: "the dog" },
+    {
+      index: 2,
+      start: 2,
+      end: 3,
+      text: "Cat and cat",
+      ranges: [
+        { start: 0, end: 3 },
+        { start: 8, end: 11 },
+      ],
+      after: "dog and dog",
+    },
+  ]);
+
+  const out = Search.replaceInSegments(segs, re, "dog", {});
+  assert.equal(out.count, 3);
+  assert.equal(out.cues, 2);
+  assert.deepEqual(out.segments[0], { start: 0, end: 1, text: "the dog", speaker: "A" });
+  assert.equal(out.segments[1], segs[1]);
+});